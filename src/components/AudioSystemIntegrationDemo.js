@@ -71,16 +71,10 @@ const AudioSystemIntegrationDemo = () => {
             { root: 'C', type: 'major', octave: 4 }
         ];
 
-        for (let i = 0; i < progression.length; i++) {
-            setTimeout(() => {
-                audioPlayer.playChord(
-                    progression[i].root,
-                    progression[i].type,
-                    progression[i].octave,
-                    { duration: 1.5, volume: 0.4 }
-                );
-            }, i * 2000);
-        }
+        await audioPlayer.playSequence(
+            progression.map(chord => ({ type: 'chord', root: chord.root, chordType: chord.type, octave: chord.octave })),
+            { noteLength: 1.5, gap: 0.5, volume: 0.4 }
+        );
     };
 
     const handleTimbreChange = (newTimbre) => {
@@ -116,18 +110,13 @@ const AudioSystemIntegrationDemo = () => {
         // Show that old code still works
         console.log('=== Backward Compatibility Demo ===');
         
-        // Legacy note playing
-        audioPlayer.playNote('do', 4);
-        setTimeout(() => audioPlayer.stopNote(), 1000);
-        
-        setTimeout(() => {
-            audioPlayer.playNote('re', 4);
-            setTimeout(() => audioPlayer.stopNote(), 1000);
-        }, 1500);
-        
-        setTimeout(() => {
-            audioPlayer.playUIFeedback(1000, 150);
-        }, 3000);
+        // Legacy note names, scheduled on the audio clock
+        audioPlayer.playTimedSequence([
+            { note: 'do', octave: 4, startTime: 0, duration: 1000 },
+            { note: 're', octave: 4, startTime: 1500, duration: 1000 }
+        ], {
+            onEnd: () => audioPlayer.playUIFeedback(1000, 150)
+        }).catch(error => console.error('Failed to play legacy demo:', error));
         
         console.log('Legacy methods executed successfully!');
     };
@@ -139,20 +128,18 @@ const AudioSystemIntegrationDemo = () => {
         const notes = ['do', 're', 'mi', 'fa', 'sol', 'la', 'ti', 'do'];
         const timbres = Object.values(TIMBRES);
         
-        for (let i = 0; i < notes.length; i++) {
-            setTimeout(async () => {
-                const timbre = timbres[i % timbres.length];
-                console.log(`Playing ${notes[i]} with ${timbre} timbre`);
-                
-                await audioPlayer.playNoteEnhanced(notes[i], i < 7 ? 4 : 5, {
-                    duration: 0.8,
-                    timbre: timbre,
-                    volume: 0.5,
-                    attack: 0.02,
-                    release: 0.1
-                });
-            }, i * 1000);
-        }
+        await audioPlayer.playSequence(notes.map((note, i) => ({
+            note,
+            octave: i < 7 ? 4 : 5,
+            duration: 0.8,
+            timbre: timbres[i % timbres.length]
+        })), {
+            noteLength: 0.8,
+            gap: 0.2,
+            volume: 0.5,
+            attack: 0.02,
+            release: 0.1
+        });
     };
 
     if (!isInitialized) {
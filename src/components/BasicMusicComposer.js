@@ -135,12 +135,12 @@ function BasicMusicComposer() {
             return;
         }
 
-        composition.notes.forEach((noteItem, index) => {
-            setTimeout(() => {
-                audioPlayer.playNote(noteItem.note, noteItem.octave, noteItem.accidental);
-                setTimeout(() => audioPlayer.stopNote(), 450);
-            }, index * 500);
-        });
+        audioPlayer.playTimedSequence(composition.notes.map((noteItem, index) => ({
+            note: noteItem.note,
+            octave: noteItem.octave,
+            startTime: index * 500,
+            duration: 450
+        })));
     };
 
     const selectNote = (note) => {
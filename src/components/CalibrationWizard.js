@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { setCalibration, getCalibration, getSignFeatures } from '../utils/kodalySignsDB';
+import {
+    CALIBRATION_SIGNS,
+    MIN_SAMPLES,
+    buildCalibration,
+    saveCalibration,
+    clearCalibration
+} from '../utils/handCalibration';
+import { SignClassifier, CLASSIFIER_TYPES, saveSignClassifier } from '../utils/signClassifier';
+import './CalibrationWizard.css';
+
+const PREPARE_MS = 2000; // Time to form the sign before recording
+const HOLD_MS = 3000;    // Time the sign is recorded for
+
+// Steps through each diatonic sign, recording getSignFeatures() while the user holds it
+// The same recordings train the nearest-neighbour and logistic classifiers offered as alternative recognizers
+function CalibrationWizard({ landmarks, onClose, onClassifierTrained }) {
+    const [signIndex, setSignIndex] = useState(0);
+    const [phase, setPhase] = useState('ready'); // ready, prepare, record, review
+    const [sampleCounts, setSampleCounts] = useState({});
+    const samplesRef = useRef({});
+    const trainingRef = useRef([]);
+
+    const currentSign = CALIBRATION_SIGNS[signIndex];
+
+    const nextSign = useCallback(() => {
+        if (signIndex + 1 < CALIBRATION_SIGNS.length) {
+            setSignIndex(signIndex + 1);
+            setPhase('ready');
+        } else {
+            setPhase('review');
+        }
+    }, [signIndex]);
+
+    // Advance prepare -> record -> next sign on a timer
+    useEffect(() => {
+        if (phase !== 'prepare' && phase !== 'record') return undefined;
+
+        const timer = setTimeout(() => {
+            if (phase === 'prepare') {
+                samplesRef.current[currentSign] = [];
+                setPhase('record');
+            } else {
+                nextSign();
+            }
+        }, phase === 'prepare' ? PREPARE_MS : HOLD_MS);
+
+        return () => clearTimeout(timer);
+    }, [phase, currentSign, nextSign]);
+
+    // Record one feature vector per camera frame while the sign is held
+    useEffect(() => {
+        if (phase !== 'record' || !landmarks) return;
+
+        const features = getSignFeatures(landmarks);
+        if (!features) return;
+
+        const samples = samplesRef.current[currentSign];
+        samples.push(features);
+        trainingRef.current.push({ label: currentSign, features });
+        setSampleCounts(prev => ({ ...prev, [currentSign]: samples.length }));
+    }, [landmarks, phase, currentSign]);
+
+    const saveAndClose = useCallback(() => {
+        const calibration = buildCalibration(samplesRef.current);
+        saveCalibration(calibration);
+        setCalibration(calibration);
+
+        const trainingSamples = trainingRef.current.filter(sample => calibration.signs[sample.label]);
+        if (trainingSamples.length > 0) {
+            const classifiers = {};
+            Object.values(CLASSIFIER_TYPES).forEach(type => {
+                classifiers[type] = new SignClassifier({ type }).train(trainingSamples);
+                saveSignClassifier(classifiers[type]);
+            });
+            onClassifierTrained?.(classifiers);
+        }
+
+        onClose(calibration);
+    }, [onClose, onClassifierTrained]);
+
+    const resetCalibration = useCallback(() => {
+        clearCalibration();
+        setCalibration(null);
+        onClose(null);
+    }, [onClose]);
+
+    const restart = useCallback(() => {
+        samplesRef.current = {};
+        trainingRef.current = [];
+        setSampleCounts({});
+        setSignIndex(0);
+        setPhase('ready');
+    }, []);
+
+    const calibratedCount = CALIBRATION_SIGNS.filter(sign => (sampleCounts[sign] || 0) >= MIN_SAMPLES).length;
+
+    return (
+        <div className="calibration-wizard">
+            <div className="calibration-header">
+                <h3>Hand Sign Calibration</h3>
+                <button className="close-button" onClick={() => onClose(getCalibration())}>✕</button>
+            </div>
+
+            {phase !== 'review' && (
+                <>
+                    <div className="calibration-progress">
+                        {CALIBRATION_SIGNS.map((sign, index) => (
+                            <span
+                                key={sign}
+                                className={`progress-step ${index === signIndex ? 'active' : ''} ${(sampleCounts[sign] || 0) >= MIN_SAMPLES ? 'done' : ''}`}
+                            >
+                                {sign.toUpperCase()}
+                            </span>
+                        ))}
+                    </div>
+
+                    <div className="calibration-sign">{currentSign.toUpperCase()}</div>
+
+                    {phase === 'ready' && (
+                        <>
+                            <p>Hold up the {currentSign.toUpperCase()} sign the way you normally make it.</p>
+                            <div className="calibration-actions">
+                                <button onClick={() => setPhase('prepare')}>Start</button>
+                                <button onClick={nextSign}>Skip</button>
+                            </div>
+                        </>
+                    )}
+                    {phase === 'prepare' && <p>Get ready…</p>}
+                    {phase === 'record' && (
+                        <p className="recording">
+                            Recording – keep holding the sign ({sampleCounts[currentSign] || 0} frames)
+                            {!landmarks && ' – no hand in view'}
+                        </p>
+                    )}
+                </>
+            )}
+
+            {phase === 'review' && (
+                <>
+                    <p>{calibratedCount} of {CALIBRATION_SIGNS.length} signs recorded.</p>
+                    <ul className="calibration-summary">
+                        {CALIBRATION_SIGNS.map(sign => (
+                            <li key={sign}>
+                                {sign.toUpperCase()}: {(sampleCounts[sign] || 0) >= MIN_SAMPLES
+                                    ? `${sampleCounts[sign]} frames`
+                                    : 'built-in thresholds'}
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="calibration-actions">
+                        <button onClick={saveAndClose} disabled={calibratedCount === 0}>Save</button>
+                        <button onClick={restart}>Start Over</button>
+                    </div>
+                </>
+            )}
+
+            {getCalibration() && (
+                <button className="reset-button" onClick={resetCalibration}>
+                    Reset to built-in thresholds
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default CalibrationWizard;
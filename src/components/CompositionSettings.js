@@ -0,0 +1,65 @@
+import React, { useEffect } from 'react';
+import { audioPlayer } from '../utils/audioUtils';
+import { MODE_LABELS, getTonicsForMode, getTonicDisplayName } from '../utils/keySignatures';
+import { TIME_SIGNATURES, formatTimeSignature, parseTimeSignature } from '../utils/timeSignatures';
+import './CompositionSettings.css';
+
+// Key, mode and meter of an EnhancedCompositionManager piece, shared by the hand and face composers
+function CompositionSettings({ manager, compositionState, onChange }) {
+    // Movable do: hand signs and playback sound in the composition's key
+    useEffect(() => {
+        audioPlayer.setTonic(compositionState.key);
+    }, [compositionState.key]);
+
+    const handleKeyChange = (event) => {
+        manager.setKey(event.target.value);
+        onChange(manager.getCompositionInfo());
+    };
+
+    const handleModeChange = (event) => {
+        manager.setMode(event.target.value);
+        onChange(manager.getCompositionInfo());
+    };
+
+    // Applies from the next bar once notes are written; a running metronome follows
+    const handleTimeSignatureChange = (event) => {
+        if (manager.setTimeSignature(parseTimeSignature(event.target.value)) === null) return;
+        if (audioPlayer.metronome.isRunning()) {
+            audioPlayer.metronome.setTimeSignature(manager.getTimeSignature());
+        }
+        onChange(manager.getCompositionInfo());
+    };
+
+    return (
+        <div className="composition-settings">
+            <label>
+                Do =
+                <select value={compositionState.key} onChange={handleKeyChange}>
+                    {getTonicsForMode(compositionState.mode).map(tonic => (
+                        <option key={tonic} value={tonic}>{getTonicDisplayName(tonic)}</option>
+                    ))}
+                </select>
+            </label>
+            <label>
+                Mode
+                <select value={compositionState.mode} onChange={handleModeChange}>
+                    {Object.entries(MODE_LABELS).map(([mode, label]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                    ))}
+                </select>
+            </label>
+            <label>
+                Meter
+                <select value={formatTimeSignature(compositionState.timeSignature)} onChange={handleTimeSignatureChange}>
+                    {TIME_SIGNATURES.map(timeSignature => (
+                        <option key={formatTimeSignature(timeSignature)} value={formatTimeSignature(timeSignature)}>
+                            {formatTimeSignature(timeSignature)}
+                        </option>
+                    ))}
+                </select>
+            </label>
+        </div>
+    );
+}
+
+export default CompositionSettings;
@@ -1,18 +1,44 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { audioPlayer, TIMBRES, EFFECT_TYPES } from '../utils/enhancedAudioUtils';
+import { audioPlayer, TIMBRES, EFFECT_TYPES, EFFECT_PRESETS, TUNING_SYSTEMS, REFERENCE_PITCHES } from '../utils/enhancedAudioUtils';
 import './EnhancedAudioDemo.css';
 
+const TUNING_LABELS = {
+    [TUNING_SYSTEMS.EQUAL]: 'Equal temperament',
+    [TUNING_SYSTEMS.JUST]: 'Just (relative to do)',
+    [TUNING_SYSTEMS.PYTHAGOREAN]: 'Pythagorean'
+};
+
+// Slider ranges for the effect params that can be changed while notes sound
+const EFFECT_PARAM_RANGES = {
+    wetness: { min: 0, max: 1, step: 0.01 },
+    duration: { min: 0.1, max: 8, step: 0.1 },
+    delayTime: { min: 0.01, max: 1, step: 0.01 },
+    feedback: { min: 0, max: 0.9, step: 0.01 },
+    rate: { min: 0.1, max: 5, step: 0.1 },
+    depth: { min: 0, max: 0.01, step: 0.0005 },
+    amount: { min: 0, max: 200, step: 1 },
+    frequency: { min: 50, max: 10000, step: 10 },
+    Q: { min: 0.1, max: 20, step: 0.1 }
+};
+
 const EnhancedAudioDemo = () => {
     const [settings, setSettings] = useState({
         masterVolume: 0.7,
         tempo: 120,
         timbre: TIMBRES.sine,
-        transitionTime: 0.05
+        transitionTime: 0.05,
+        referencePitch: 440,
+        tuningSystem: TUNING_SYSTEMS.EQUAL
     });
     
-    const [activeEffects, setActiveEffects] = useState([]);
+    const [activeEffects, setActiveEffects] = useState([]); // { id, type, params } in signal order
     const [currentlyPlaying, setCurrentlyPlaying] = useState([]);
     const [isInitialized, setIsInitialized] = useState(false);
+    const [chordSymbol, setChordSymbol] = useState('F#m7b5/A');
+    const [chordNotes, setChordNotes] = useState(null); // Spelled notes of the last chord played
+    const [timbres, setTimbres] = useState(() => audioPlayer.getAvailableTimbres());
+    const [instrumentStatus, setInstrumentStatus] = useState('');
+    const [scalaStatus, setScalaStatus] = useState(''); // Loaded scale's description, or why it failed
 
     // Initialize audio engine
     useEffect(() => {
@@ -55,6 +81,51 @@ const EnhancedAudioDemo = () => {
         setSettings(prev => ({ ...prev, timbre }));
     };
 
+    // An .sf2, an .sfz with its samples, or WAV files named by note become a new timbre
+    const handleInstrumentFiles = async (e) => {
+        const input = e.target;
+        if (!input.files || input.files.length === 0) return;
+
+        setInstrumentStatus('Loading...');
+        try {
+            const instrument = await audioPlayer.loadInstrument(input.files);
+            audioPlayer.setTimbre(instrument.name);
+            setTimbres(audioPlayer.getAvailableTimbres());
+            setSettings(prev => ({ ...prev, timbre: instrument.name }));
+            setInstrumentStatus(`Loaded ${instrument.name} (${instrument.regions.length} samples)`);
+        } catch (error) {
+            console.error('Failed to load instrument:', error);
+            setInstrumentStatus(error.message);
+        }
+        input.value = '';
+    };
+
+    const handleReferencePitchChange = (e) => {
+        const referencePitch = parseInt(e.target.value);
+        audioPlayer.setReferencePitch(referencePitch);
+        setSettings(prev => ({ ...prev, referencePitch }));
+    };
+
+    const handleTuningChange = (e) => {
+        audioPlayer.setTuningSystem(e.target.value);
+        setSettings(prev => ({ ...prev, tuningSystem: audioPlayer.getTuning().system }));
+    };
+
+    const handleScalaFile = async (e) => {
+        const input = e.target;
+        const [file] = input.files || [];
+        if (!file) return;
+
+        try {
+            const scale = audioPlayer.loadScala(await file.text());
+            setSettings(prev => ({ ...prev, tuningSystem: TUNING_SYSTEMS.SCALA }));
+            setScalaStatus(scale.description || file.name);
+        } catch (error) {
+            setScalaStatus(error.message);
+        }
+        input.value = '';
+    };
+
     const handleTransitionTimeChange = (e) => {
         const time = parseFloat(e.target.value);
         audioPlayer.setTransitionTime(time);
@@ -69,12 +140,22 @@ const EnhancedAudioDemo = () => {
         });
     };
 
-    const playChord = (root, type = 'major', octave = 4) => {
+    const playChord = async (root, type = 'major', octave = 4) => {
         if (!isInitialized) return;
-        audioPlayer.playChord(root, type, octave, {
+        const result = await audioPlayer.playChord(root, type, octave, {
             duration: 3,
             volume: 0.5
         });
+        setChordNotes(result ? result.notes : null);
+    };
+
+    const playChordSymbol = async () => {
+        if (!isInitialized) return;
+        const result = await audioPlayer.playChordSymbol(chordSymbol, 4, {
+            duration: 3,
+            volume: 0.5
+        });
+        setChordNotes(result ? result.notes : null);
     };
 
     const playSequence = () => {
@@ -117,15 +198,28 @@ const EnhancedAudioDemo = () => {
             highpass: { frequency: 200, Q: 1 }
         };
         
-        const effectId = audioPlayer.addEffect(type, defaultParams[type]);
-        if (effectId) {
-            setActiveEffects(prev => [...prev, { id: effectId, type }]);
+        if (audioPlayer.addEffect(type, defaultParams[type])) {
+            setActiveEffects(audioPlayer.getEffects());
+        }
+    };
+
+    const applyEffectPreset = async (e) => {
+        if (!isInitialized || !e.target.value) return;
+        await audioPlayer.applyEffectPreset(e.target.value);
+        setActiveEffects(audioPlayer.getEffects());
+    };
+
+    // Glides to the new value, so dragging a slider while a note sounds doesn't click
+    const changeEffectParam = (effectId, name, value) => {
+        const params = audioPlayer.setEffectParams(effectId, { [name]: value });
+        if (params) {
+            setActiveEffects(prev => prev.map(effect => effect.id === effectId ? { ...effect, params } : effect));
         }
     };
 
     const removeEffect = (effectId) => {
         audioPlayer.removeEffect(effectId);
-        setActiveEffects(prev => prev.filter(effect => effect.id !== effectId));
+        setActiveEffects(audioPlayer.getEffects());
     };
 
     const clearAllEffects = () => {
@@ -190,7 +284,7 @@ const EnhancedAudioDemo = () => {
                     <div className="setting-item">
                         <label htmlFor="timbre">Timbre:</label>
                         <select id="timbre" value={settings.timbre} onChange={handleTimbreChange}>
-                            {Object.values(TIMBRES).map(timbre => (
+                            {timbres.map(timbre => (
                                 <option key={timbre} value={timbre}>
                                     {timbre.charAt(0).toUpperCase() + timbre.slice(1)}
                                 </option>
@@ -198,6 +292,45 @@ const EnhancedAudioDemo = () => {
                         </select>
                     </div>
                     
+                    <div className="setting-item">
+                        <label htmlFor="instrument-files">Sampled Instrument:</label>
+                        <input
+                            id="instrument-files"
+                            type="file"
+                            accept=".sf2,.sfz,.wav"
+                            multiple
+                            onChange={handleInstrumentFiles}
+                        />
+                        <label className="instrument-folder">
+                            📁 Folder
+                            <input type="file" webkitdirectory="" multiple onChange={handleInstrumentFiles} />
+                        </label>
+                        {instrumentStatus && <span>{instrumentStatus}</span>}
+                    </div>
+                    
+                    <div className="setting-item">
+                        <label htmlFor="reference-pitch">Reference Pitch (A4):</label>
+                        <select id="reference-pitch" value={settings.referencePitch} onChange={handleReferencePitchChange}>
+                            {REFERENCE_PITCHES.map(pitch => (
+                                <option key={pitch} value={pitch}>{pitch} Hz</option>
+                            ))}
+                        </select>
+                    </div>
+                    
+                    <div className="setting-item">
+                        <label htmlFor="tuning">Tuning:</label>
+                        <select id="tuning" value={settings.tuningSystem} onChange={handleTuningChange}>
+                            {Object.entries(TUNING_LABELS).map(([system, label]) => (
+                                <option key={system} value={system}>{label}</option>
+                            ))}
+                            {audioPlayer.getTuning().scale && (
+                                <option value={TUNING_SYSTEMS.SCALA}>Scala scale</option>
+                            )}
+                        </select>
+                        <input type="file" accept=".scl" onChange={handleScalaFile} aria-label="Load a Scala scale" />
+                        {scalaStatus && <span>{scalaStatus}</span>}
+                    </div>
+                    
                     <div className="setting-item">
                         <label htmlFor="transition">Transition Time:</label>
                         <input
@@ -256,7 +389,19 @@ const EnhancedAudioDemo = () => {
                         <button onClick={() => playChord('C', 'minor7')}>C Minor 7</button>
                         <button onClick={() => playChord('G', 'dom7')}>G7</button>
                         <button onClick={() => playChord('F', 'major')}>F Major</button>
+                        <button onClick={() => playChord('D', 'dom9')}>D9</button>
+                        <button onClick={() => playChord('Eb', 'minor7')}>E♭m7</button>
                     </div>
+                    <div className="chord-symbol-input">
+                        <input
+                            type="text"
+                            value={chordSymbol}
+                            onChange={(e) => setChordSymbol(e.target.value)}
+                            placeholder="e.g. G7/B, Bbmaj9, F#m7b5"
+                        />
+                        <button onClick={playChordSymbol}>Play Symbol</button>
+                    </div>
+                    {chordNotes && <p className="chord-notes">Notes: {chordNotes.join(' ')}</p>}
                 </div>
             </section>
 
@@ -293,6 +438,15 @@ const EnhancedAudioDemo = () => {
                                 </button>
                             ))}
                         </div>
+                        <label className="effect-preset">
+                            Preset:
+                            <select value="" onChange={applyEffectPreset}>
+                                <option value="">Choose a preset…</option>
+                                {Object.entries(EFFECT_PRESETS).map(([name, preset]) => (
+                                    <option key={name} value={name}>{preset.name}</option>
+                                ))}
+                            </select>
+                        </label>
                     </div>
                     
                     <div className="active-effects">
@@ -310,6 +464,19 @@ const EnhancedAudioDemo = () => {
                                         >
                                             Remove
                                         </button>
+                                        {Object.entries(effect.params)
+                                            .filter(([name]) => EFFECT_PARAM_RANGES[name])
+                                            .map(([name, value]) => (
+                                                <label key={name} className="effect-param">
+                                                    {name}: {value}
+                                                    <input
+                                                        type="range"
+                                                        {...EFFECT_PARAM_RANGES[name]}
+                                                        value={value}
+                                                        onChange={(e) => changeEffectParam(effect.id, name, parseFloat(e.target.value))}
+                                                    />
+                                                </label>
+                                            ))}
                                     </div>
                                 ))}
                                 <button onClick={clearAllEffects} className="clear-all-button">
@@ -100,12 +100,12 @@ function EnhancedHandDetection() {
             return;
         }
 
-        compositionState.notes.forEach((noteItem, index) => {
-            setTimeout(() => {
-                audioPlayer.playNote(noteItem.note, noteItem.octave);
-                setTimeout(() => audioPlayer.stopNote(), 400);
-            }, index * 500);
-        });
+        audioPlayer.playTimedSequence(compositionState.notes.map((noteItem, index) => ({
+            note: noteItem.note,
+            octave: noteItem.octave,
+            startTime: index * 500,
+            duration: 400
+        })));
     }, [compositionState.notes]);
 
     const handleSignDetection = useCallback((recognition) => {
@@ -7,7 +7,10 @@ import { HeadTracker } from '../utils/headTracking';
 import { EnhancedCompositionManager } from '../utils/enhancedComposition';
 import { DualMediaPipeManager } from '../utils/dualMediaPipe';
 import { audioPlayer } from '../utils/audioUtils';
+import { RECORDING_MIME_TYPE } from '../utils/landmarkRecording';
+import { downloadFile } from '../utils/fileDownload';
 import SimpleSheetMusic from './SimpleSheetMusic';
+import CompositionSettings from './CompositionSettings';
 import './HeadHandComposer.css';
 
 const CONFIDENCE_THRESHOLD = 0.85;
@@ -39,6 +42,7 @@ function FaceHandComposer() {
     );
 
     const [recentActions, setRecentActions] = useState([]);
+    const [isRecordingLandmarks, setIsRecordingLandmarks] = useState(false);
     const [systemStatus, setSystemStatus] = useState({
         handsLoaded: false,
         faceLoaded: false,
@@ -136,6 +140,21 @@ function FaceHandComposer() {
         }
     }, [compositionState.currentOctave, faceState.expression]);
 
+    // Save the raw hand and face landmark streams for offline replay in tests
+    const toggleLandmarkRecording = useCallback(() => {
+        const manager = dualManagerRef.current;
+        if (!manager) return;
+
+        if (isRecordingLandmarks) {
+            const recording = manager.stopRecording();
+            downloadFile(JSON.stringify(recording), `sol-fa-landmarks-${Date.now()}.json`, RECORDING_MIME_TYPE);
+            setIsRecordingLandmarks(false);
+        } else {
+            manager.startRecording();
+            setIsRecordingLandmarks(true);
+        }
+    }, [isRecordingLandmarks]);
+
     const onHandResults = useCallback((results) => {
         const canvas = canvasRef.current;
         if (!canvas) return;
@@ -291,12 +310,7 @@ function FaceHandComposer() {
             gesture: 'MANUAL'
         }]);
 
-        sequence.forEach(({ note, octave, accidental, startTime, duration }) => {
-            setTimeout(() => {
-                audioPlayer.playNote(note, octave, accidental);
-                setTimeout(() => audioPlayer.stopNote(), duration);
-            }, startTime);
-        });
+        audioPlayer.playTimedSequence(sequence);
     };
 
     const clearComposition = () => {
@@ -421,6 +435,11 @@ function FaceHandComposer() {
                     
                     <div className="manual-controls">
                         <h3>🎮 Manual Controls</h3>
+                        <CompositionSettings
+                            manager={compositionManagerRef.current}
+                            compositionState={compositionState}
+                            onChange={setCompositionState}
+                        />
                         <button onClick={playComposition} className="play-btn">
                             ▶️ Play Composition
                         </button>
@@ -428,7 +447,7 @@ function FaceHandComposer() {
                             🗑️ Clear All
                         </button>
                         <button onClick={() => {
-                            const exportData = compositionManagerRef.current.exportComposition();
+                            const exportData = compositionManagerRef.current.exportComposition(audioPlayer.getSound());
                             const blob = new Blob([exportData], { type: 'application/json' });
                             const url = URL.createObjectURL(blob);
                             const a = document.createElement('a');
@@ -444,14 +463,19 @@ function FaceHandComposer() {
                         }} className="export-btn">
                             💾 Export
                         </button>
+                        <button onClick={toggleLandmarkRecording} className="export-btn">
+                            {isRecordingLandmarks ? '⏹️ Save Landmark Recording' : '⏺️ Record Landmarks'}
+                        </button>
                     </div>
                 </div>
             </div>
             
             <SimpleSheetMusic 
                 notes={compositionState.notes} 
+                measures={compositionState.measures}
                 currentOctave={compositionState.currentOctave}
                 tempo={compositionState.tempo}
+                tonic={compositionState.key}
             />
             
             {compositionState.noteCount > 0 && (
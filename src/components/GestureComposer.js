@@ -7,6 +7,7 @@ import { recognizeKodalySign } from '../utils/kodalySignsDB';
 import { EnhancedCompositionManager } from '../utils/enhancedComposition';
 import { audioPlayer } from '../utils/audioUtils';
 import SimpleSheetMusic from './SimpleSheetMusic';
+import CompositionSettings from './CompositionSettings';
 import './HeadHandComposer.css';
 
 const CONFIDENCE_THRESHOLD = 0.85;
@@ -335,12 +336,7 @@ function GestureComposer() {
             return;
         }
 
-        sequence.forEach(({ note, octave, accidental, startTime, duration }) => {
-            setTimeout(() => {
-                audioPlayer.playNote(note, octave, accidental);
-                setTimeout(() => audioPlayer.stopNote(), duration);
-            }, startTime);
-        });
+        audioPlayer.playTimedSequence(sequence);
     };
 
     return (
@@ -457,6 +453,11 @@ function GestureComposer() {
                     
                     <div className="manual-controls">
                         <h3>🎮 Manual Controls</h3>
+                        <CompositionSettings
+                            manager={compositionManagerRef.current}
+                            compositionState={compositionState}
+                            onChange={setCompositionState}
+                        />
                         <button onClick={playComposition}>▶️ Play Composition</button>
                         <button onClick={() => {
                             compositionManagerRef.current.clear();
@@ -464,7 +465,7 @@ function GestureComposer() {
                         }}>🗑️ Clear All</button>
                         <button onClick={() => setShowInstructions(true)}>❓ Show Instructions</button>
                         <button onClick={() => {
-                            const exportData = compositionManagerRef.current.exportComposition();
+                            const exportData = compositionManagerRef.current.exportComposition(audioPlayer.getSound());
                             const blob = new Blob([exportData], { type: 'application/json' });
                             const url = URL.createObjectURL(blob);
                             const a = document.createElement('a');
@@ -480,8 +481,10 @@ function GestureComposer() {
             
             <SimpleSheetMusic 
                 notes={compositionState.notes} 
+                measures={compositionState.measures}
                 currentOctave={compositionState.currentOctave}
                 tempo={compositionState.tempo}
+                tonic={compositionState.key}
             />
         </div>
     );
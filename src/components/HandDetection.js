@@ -3,8 +3,10 @@ import Webcam from 'react-webcam';
 import * as hands from '@mediapipe/hands';
 import * as camera from '@mediapipe/camera_utils';
 import { drawConnectors, drawLandmarks } from '@mediapipe/drawing_utils';
-import { recognizeKodalySign } from '../utils/kodalySignsDB';
+import { recognizeKodalySign, setSignClassifier } from '../utils/kodalySignsDB';
+import { CLASSIFIER_TYPES, loadSignClassifier } from '../utils/signClassifier';
 import { audioPlayer } from '../utils/audioUtils';
+import CalibrationWizard from './CalibrationWizard';
 import './HandDetection.css';
 
 const CONFIDENCE_THRESHOLD = 0.85;
@@ -20,8 +22,15 @@ function HandDetection() {
         sign: null,
         confidence: 0,
         debug: null,
+        landmarks: null,
         handPresent: false
     });
+    const [showCalibration, setShowCalibration] = useState(false);
+    const [classifiers, setClassifiers] = useState(() => ({
+        [CLASSIFIER_TYPES.KNN]: loadSignClassifier(CLASSIFIER_TYPES.KNN),
+        [CLASSIFIER_TYPES.LOGISTIC]: loadSignClassifier(CLASSIFIER_TYPES.LOGISTIC)
+    }));
+    const [recognizer, setRecognizer] = useState('rules'); // 'rules' or a CLASSIFIER_TYPES value
 
     const lastSignRef = useRef(null);
     const frameCountRef = useRef(0);
@@ -83,6 +92,7 @@ function HandDetection() {
                 handleSignDetection(recognition);
                 setDetectionState({
                     ...recognition,
+                    landmarks: mirroredLandmarks,
                     handPresent: true
                 });
             }
@@ -92,6 +102,7 @@ function HandDetection() {
                 sign: null,
                 confidence: 0,
                 debug: null,
+                landmarks: null,
                 handPresent: false
             });
         }
@@ -144,6 +155,12 @@ function HandDetection() {
         };
     }, [onResults]);
 
+    // Switch recognizeKodalySign between the hand-tuned rules and a trained model
+    useEffect(() => {
+        setSignClassifier(classifiers[recognizer] || null);
+        return () => setSignClassifier(null);
+    }, [recognizer, classifiers]);
+
     const renderDebugInfo = useCallback(() => {
         if (!detectionState.handPresent) {
             return (
@@ -195,6 +212,18 @@ function HandDetection() {
                                      detectionState.debug.palmOrientation.isSide ? "Side" : "Neutral"}
                                 </p>
                             </div>
+                            {detectionState.debug.probabilities && (
+                                <div className="debug-section">
+                                    <h4>Model Probabilities:</h4>
+                                    {Object.entries(detectionState.debug.probabilities).map(([sign, probability]) => (
+                                        <div key={sign} className="debug-item">
+                                            <span>{sign}:</span>
+                                            <div className="debug-bar" style={{width: `${probability * 100}%`}}></div>
+                                            <span>{Math.round(probability * 100)}%</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
                             {detectionState.sign && frameCountRef.current >= HOLD_FRAMES && (
                                 <div className="debug-section playing">
                                     <h4>Playing Note:</h4>
@@ -224,13 +253,33 @@ function HandDetection() {
                         width={640}
                         height={480}
                     />
+                    <div className="recognizer-controls">
+                        <select value={recognizer} onChange={(event) => setRecognizer(event.target.value)}>
+                            <option value="rules">Rules</option>
+                            <option value={CLASSIFIER_TYPES.KNN} disabled={!classifiers[CLASSIFIER_TYPES.KNN]}>
+                                Trained model (nearest neighbour)
+                            </option>
+                            <option value={CLASSIFIER_TYPES.LOGISTIC} disabled={!classifiers[CLASSIFIER_TYPES.LOGISTIC]}>
+                                Trained model (logistic regression)
+                            </option>
+                        </select>
+                        <button onClick={() => setShowCalibration(true)}>
+                            🎯 Calibrate
+                        </button>
+                    </div>
                     {detectionState.sign && (
                         <div className={`sign-indicator ${frameCountRef.current >= HOLD_FRAMES ? 'playing' : ''}`}>
                             <h2>{detectionState.sign.toUpperCase()}</h2>
                         </div>
                     )}
                 </div>
-                {renderDebugInfo()}
+                {showCalibration ? (
+                    <CalibrationWizard
+                        landmarks={detectionState.landmarks}
+                        onClose={() => setShowCalibration(false)}
+                        onClassifierTrained={setClassifiers}
+                    />
+                ) : renderDebugInfo()}
             </div>
         </div>
     );
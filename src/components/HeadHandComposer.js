@@ -9,6 +9,7 @@ import { HeadTracker } from '../utils/headTracking';
 import { EnhancedCompositionManager } from '../utils/enhancedComposition';
 import { audioPlayer } from '../utils/audioUtils';
 import SimpleSheetMusic from './SimpleSheetMusic';
+import CompositionSettings from './CompositionSettings';
 import './HeadHandComposer.css';
 
 const CONFIDENCE_THRESHOLD = 0.85;
@@ -280,12 +281,7 @@ function HeadHandComposer() {
             return;
         }
 
-        sequence.forEach(({ note, octave, accidental, startTime, duration }) => {
-            setTimeout(() => {
-                audioPlayer.playNote(note, octave, accidental);
-                setTimeout(() => audioPlayer.stopNote(), duration);
-            }, startTime);
-        });
+        audioPlayer.playTimedSequence(sequence);
     };
 
     const clearComposition = () => {
@@ -393,10 +389,15 @@ function HeadHandComposer() {
                     
                     <div className="manual-controls">
                         <h3>Manual Controls</h3>
+                        <CompositionSettings
+                            manager={compositionManagerRef.current}
+                            compositionState={compositionState}
+                            onChange={setCompositionState}
+                        />
                         <button onClick={playComposition}>▶️ Play Composition</button>
                         <button onClick={clearComposition}>🗑️ Clear All</button>
                         <button onClick={() => {
-                            const exportData = compositionManagerRef.current.exportComposition();
+                            const exportData = compositionManagerRef.current.exportComposition(audioPlayer.getSound());
                             const blob = new Blob([exportData], { type: 'application/json' });
                             const url = URL.createObjectURL(blob);
                             const a = document.createElement('a');
@@ -412,8 +413,10 @@ function HeadHandComposer() {
             
             <SimpleSheetMusic 
                 notes={compositionState.notes} 
+                measures={compositionState.measures}
                 currentOctave={compositionState.currentOctave}
                 tempo={compositionState.tempo}
+                tonic={compositionState.key}
             />
             
             {compositionState.noteCount > 0 && (
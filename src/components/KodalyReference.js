@@ -39,6 +39,11 @@ const KODALY_SIGNS = [
     }
 ];
 
+const CHROMATIC_SIGNS = [
+    { direction: 'Tilt counter-clockwise (raised)', notes: 'do → di, re → ri, fa → fi, sol → si, la → li' },
+    { direction: 'Tilt clockwise (lowered)', notes: 're → ra, mi → me, sol → se, la → le, ti → te' }
+];
+
 const VOICE_COMMANDS = [
     { command: 'Octave Up', phrase: '"Octave up" or "Higher"' },
     { command: 'Octave Down', phrase: '"Octave down" or "Lower"' },
@@ -93,6 +98,15 @@ function KodalyReference() {
                             </div>
                         ))}
                     </div>
+                    <div className="chromatic-tips">
+                        <h4>Chromatic Signs:</h4>
+                        <p>Make the diatonic sign, then tilt your hand sideways by about 30 degrees.</p>
+                        <ul>
+                            {CHROMATIC_SIGNS.map(({ direction, notes }) => (
+                                <li key={direction}><strong>{direction}:</strong> {notes}</li>
+                            ))}
+                        </ul>
+                    </div>
                 </div>
             )}
 
@@ -4,10 +4,28 @@ import * as hands from '@mediapipe/hands';
 import * as camera from '@mediapipe/camera_utils';
 import { drawConnectors, drawLandmarks } from '@mediapipe/drawing_utils';
 import { recognizeKodalySign } from '../utils/kodalySignsDB';
-import { audioPlayer } from '../utils/audioUtils';
-import { MusicComposition, NOTE_DURATIONS, REST_DURATIONS } from '../utils/musicNotation';
+import { audioPlayer, EFFECT_PRESETS } from '../utils/audioUtils';
+import { MusicComposition, NOTE_DURATIONS, REST_DURATIONS, COMPOSITION_MIME_TYPE } from '../utils/musicNotation';
 import { VoiceCommandManager } from '../utils/voiceCommands';
+import { exportMusicXML, MUSICXML_MIME_TYPE } from '../utils/musicXMLExport';
+import { exportMidi, importMidi, MIDI_MIME_TYPE } from '../utils/midiFile';
+import { WAV_MIME_TYPE } from '../utils/wavFile';
+import { exportABC, parseABC } from '../utils/abcNotation';
+import { MODE_LABELS, getTonicsForMode, getTonicDisplayName } from '../utils/keySignatures';
+import { downloadFile } from '../utils/fileDownload';
+import { TRANSPORT_STATES } from '../utils/transport';
+import { TIME_SIGNATURES, formatTimeSignature, parseTimeSignature } from '../utils/timeSignatures';
+import {
+    createRound,
+    findDissonances,
+    MIN_ROUND_VOICES,
+    MAX_ROUND_VOICES,
+    DEFAULT_ROUND_VOICES,
+    DEFAULT_ENTRY_MEASURES
+} from '../utils/roundGenerator';
+import { harmonize, getAccompanimentSequence, ACCOMPANIMENT_STYLES } from '../utils/harmonizer';
 import SheetMusic from './SheetMusic';
+import StickNotation from './StickNotation';
 import KodalyReference from './KodalyReference';
 import './NotationComposer.css';
 
@@ -21,6 +39,8 @@ function NotationComposer() {
     const cameraRef = useRef(null);
     const compositionRef = useRef(new MusicComposition());
     const voiceManagerRef = useRef(null);
+    const midiInputRef = useRef(null);
+    const compositionInputRef = useRef(null);
     
     const [detectionState, setDetectionState] = useState({
         sign: null,
@@ -41,11 +61,77 @@ function NotationComposer() {
     });
 
     const [showReference, setShowReference] = useState(false);
-    const [isPlaying, setIsPlaying] = useState(false);
+    const [showStickNotation, setShowStickNotation] = useState(false);
+    const [playback, setPlayback] = useState({ state: TRANSPORT_STATES.STOPPED, position: 0, duration: 0 });
+    const [loopPlayback, setLoopPlayback] = useState(false);
+    const [abcText, setAbcText] = useState(null);
+    const [roundOptions, setRoundOptions] = useState(null); // { voices, entryMeasures } while the round panel is open
+    const [roundSource, setRoundSource] = useState(null); // Composition a round was made from, until it is restored
+    const [harmony, setHarmony] = useState(null); // { style, secondary } while chords are shown and played
+    const [partNameDraft, setPartNameDraft] = useState(null); // Part name being typed, applied on blur or Enter
 
     const lastNoteRef = useRef(null);
     const frameCountRef = useRef(0);
-    const playbackTimeoutRef = useRef(null);
+    const transportRef = useRef(null);
+    const voiceCommandRef = useRef(null); // Latest handleVoiceCommand, so the recognizer never calls a stale one
+
+    // A composition with its own effect chain plays through it; one without gets the player's own chain back
+    const applyCompositionEffects = useCallback(async () => {
+        await audioPlayer.applyCompositionEffects(compositionRef.current.effects);
+    }, []);
+
+    // Every part, plus the chord accompaniment while chords are on
+    const getPlaybackSequence = useCallback(() => {
+        const sequence = compositionRef.current.getPlaybackSequence();
+        if (!harmony || sequence.length === 0) return sequence;
+
+        const chords = harmonize(compositionRef.current, harmony);
+        return [...sequence, ...getAccompanimentSequence(compositionRef.current, chords, harmony)]
+            .sort((a, b) => a.startTime - b.startTime);
+    }, [harmony]);
+
+    const playComposition = useCallback(async () => {
+        const current = transportRef.current;
+        if (current?.state === TRANSPORT_STATES.PAUSED) {
+            await current.play();
+            setPlayback(prev => ({ ...prev, state: current.state }));
+            return;
+        }
+
+        const sequence = getPlaybackSequence();
+        if (sequence.length === 0) {
+            audioPlayer.playUIFeedback(400, 300);
+            return;
+        }
+
+        await applyCompositionEffects();
+        audioPlayer.playUIFeedback(1400);
+
+        const transport = await audioPlayer.playTimedSequence(sequence, {
+            gate: 0.8,
+            loop: loopPlayback,
+            // Skip re-rendering for movements too small to see on the position slider
+            onPosition: (position) => setPlayback(prev =>
+                Math.abs(prev.position - position) < 0.1 ? prev : { ...prev, position }),
+            onEnd: () => setPlayback(prev => ({ ...prev, state: TRANSPORT_STATES.STOPPED, position: 0 }))
+        });
+        transportRef.current = transport;
+        setPlayback({ state: transport.state, position: transport.getPosition(), duration: transport.duration });
+    }, [loopPlayback, getPlaybackSequence, applyCompositionEffects]);
+
+    const pausePlayback = useCallback(() => {
+        const transport = transportRef.current;
+        if (!transport) return;
+
+        transport.pause();
+        setPlayback(prev => ({ ...prev, state: transport.state, position: transport.getPosition() }));
+    }, []);
+
+    const stopPlayback = useCallback(() => {
+        transportRef.current?.stop();
+        audioPlayer.stopNote();
+        setPlayback(prev => ({ ...prev, state: TRANSPORT_STATES.STOPPED, position: 0 }));
+    }, []);
 
     // Voice command handler
     const handleVoiceCommand = useCallback((command, transcript) => {
@@ -88,7 +174,33 @@ function NotationComposer() {
                 audioPlayer.playUIFeedback(700);
                 setCompositionState(composition.getCompositionInfo());
                 break;
+            case 'SET_SIXTEENTH_NOTE':
+                composition.setNoteDuration(NOTE_DURATIONS.SIXTEENTH);
+                audioPlayer.playUIFeedback(650);
+                setCompositionState(composition.getCompositionInfo());
+                break;
+            case 'SET_DOTTED_HALF_NOTE':
+                composition.setNoteDuration(NOTE_DURATIONS.DOTTED_HALF);
+                audioPlayer.playUIFeedback(900);
+                setCompositionState(composition.getCompositionInfo());
+                break;
+            case 'SET_DOTTED_QUARTER_NOTE':
+                composition.setNoteDuration(NOTE_DURATIONS.DOTTED_QUARTER);
+                audioPlayer.playUIFeedback(800);
+                setCompositionState(composition.getCompositionInfo());
+                break;
+            case 'SET_DOTTED_EIGHTH_NOTE':
+                composition.setNoteDuration(NOTE_DURATIONS.DOTTED_EIGHTH);
+                audioPlayer.playUIFeedback(700);
+                setCompositionState(composition.getCompositionInfo());
+                break;
                 
+            case 'NEXT_PART':
+                composition.setActivePart((composition.activePart + 1) % composition.parts.length);
+                audioPlayer.playUIFeedback(1000);
+                setCompositionState(composition.getCompositionInfo());
+                break;
+
             case 'OCTAVE_UP':
                 composition.octaveUp();
                 audioPlayer.playUIFeedback(1200);
@@ -112,11 +224,31 @@ function NotationComposer() {
                 audioPlayer.playUIFeedback(500);
                 setCompositionState(composition.getCompositionInfo());
                 break;
+            case 'TOGGLE_TIE':
+                if (composition.toggleTie()) {
+                    audioPlayer.playUIFeedback(1000, 150);
+                } else {
+                    audioPlayer.playUIFeedback(600, 150);
+                }
+                setCompositionState(composition.getCompositionInfo());
+                break;
             case 'CLEAR_ALL':
                 composition.clear();
                 audioPlayer.playUIFeedback(400, 300);
                 setCompositionState(composition.getCompositionInfo());
                 break;
+
+            case 'TOGGLE_METRONOME':
+                if (audioPlayer.metronome.isRunning()) {
+                    audioPlayer.metronome.stop();
+                    audioPlayer.playUIFeedback(500);
+                } else {
+                    // Click the composition's own pulse, accenting its bar lines
+                    audioPlayer.metronome.setTempo(composition.tempo);
+                    audioPlayer.metronome.setTimeSignature(composition.getTimeSignature(Infinity));
+                    audioPlayer.metronome.start();
+                }
+                break;
         }
         
         setVoiceState(prev => ({ 
@@ -124,41 +256,217 @@ function NotationComposer() {
             lastCommand: command,
             lastTranscript: transcript 
         }));
-    }, [detectionState.sign]);
+    }, [detectionState.sign, playComposition, stopPlayback]);
 
-    const playComposition = useCallback(() => {
-        const sequence = compositionRef.current.getPlaybackSequence();
+    useEffect(() => {
+        voiceCommandRef.current = handleVoiceCommand;
+    }, [handleVoiceCommand]);
+
+    const seekPlayback = useCallback((event) => {
+        const position = Number(event.target.value);
+        transportRef.current?.seek(position);
+        setPlayback(prev => ({ ...prev, position }));
+    }, []);
+
+    const toggleLoop = useCallback(() => {
+        const loop = !loopPlayback;
+        const transport = transportRef.current;
+        if (transport) {
+            transport.setLoop(loop ? 0 : null, transport.duration);
+        }
+        setLoopPlayback(loop);
+    }, [loopPlayback]);
+
+    const exportToMusicXML = useCallback(() => {
+        const xml = exportMusicXML(compositionRef.current);
+        downloadFile(xml, `sol-fa-composition-${Date.now()}.musicxml`, MUSICXML_MIME_TYPE);
+    }, []);
+
+    const exportToMidi = useCallback(() => {
+        const midi = exportMidi(compositionRef.current);
+        downloadFile(midi, `sol-fa-composition-${Date.now()}.mid`, MIDI_MIME_TYPE);
+    }, []);
+
+    // Rendered offline, so it sounds as it plays (timbres, chords, effects) without being heard
+    const exportToWav = useCallback(async () => {
+        const sequence = getPlaybackSequence();
         if (sequence.length === 0) {
             audioPlayer.playUIFeedback(400, 300);
             return;
         }
 
-        setIsPlaying(true);
-        audioPlayer.playUIFeedback(1400);
+        try {
+            await applyCompositionEffects();
+            const wav = await audioPlayer.exportWav(sequence, { gate: 0.8 });
+            downloadFile(wav, `sol-fa-composition-${Date.now()}.wav`, WAV_MIME_TYPE);
+        } catch (error) {
+            console.error('Failed to render WAV file:', error);
+            audioPlayer.playUIFeedback(400, 300);
+        }
+    }, [getPlaybackSequence, applyCompositionEffects]);
 
-        sequence.forEach(({ note, octave, startTime, duration }) => {
-            setTimeout(() => {
-                audioPlayer.playNote(note, octave);
-                setTimeout(() => {
-                    audioPlayer.stopNote();
-                }, duration * 0.8);
-            }, startTime);
-        });
+    // Saved with the player's sound filled in wherever the piece leaves it to the player
+    const saveComposition = useCallback(() => {
+        const composition = compositionRef.current;
+        composition.setDefaultSound(audioPlayer.getSound());
+        setCompositionState(composition.getCompositionInfo());
+        downloadFile(JSON.stringify(composition.toJSON(), null, 2), `sol-fa-composition-${Date.now()}.json`, COMPOSITION_MIME_TYPE);
+    }, []);
+
+    const handleCompositionOpen = useCallback(async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            compositionRef.current = MusicComposition.fromJSON(await file.text());
+            setRoundSource(null);
+            setCompositionState(compositionRef.current.getCompositionInfo());
+            await applyCompositionEffects();
+            audioPlayer.playUIFeedback(1200, 200);
+        } catch (error) {
+            console.error('Failed to open composition:', error);
+            audioPlayer.playUIFeedback(400, 300);
+        }
+    }, [applyCompositionEffects]);
 
-        const totalDuration = Math.max(...sequence.map(item => item.startTime + item.duration));
-        playbackTimeoutRef.current = setTimeout(() => {
-            setIsPlaying(false);
-        }, totalDuration);
+    // Effect presets become the composition's own chain; "Player" leaves the effects to the player
+    const handleEffectPresetChange = useCallback(async (event) => {
+        const composition = compositionRef.current;
+        const preset = EFFECT_PRESETS[event.target.value];
+        composition.setEffects(preset ? preset.effects : null);
+        setCompositionState(composition.getCompositionInfo());
+        await applyCompositionEffects();
+    }, [applyCompositionEffects]);
+
+    const handleMidiImport = useCallback(async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            compositionRef.current = importMidi(await file.arrayBuffer());
+            setRoundSource(null);
+            setCompositionState(compositionRef.current.getCompositionInfo());
+            audioPlayer.playUIFeedback(1200, 200);
+        } catch (error) {
+            console.error('Failed to import MIDI file:', error);
+            audioPlayer.playUIFeedback(400, 300);
+        }
     }, []);
 
-    const stopPlayback = useCallback(() => {
-        if (playbackTimeoutRef.current) {
-            clearTimeout(playbackTimeoutRef.current);
+    const handleKeyChange = useCallback((event) => {
+        const composition = compositionRef.current;
+        composition.setKey(event.target.value);
+        setCompositionState(composition.getCompositionInfo());
+    }, []);
+
+    const handleModeChange = useCallback((event) => {
+        const composition = compositionRef.current;
+        composition.setMode(event.target.value);
+        setCompositionState(composition.getCompositionInfo());
+    }, []);
+
+    // Parts: hand signs and voice edits go to the active part; each part keeps its own octave and timbre
+    const handleAddPart = useCallback(() => {
+        const composition = compositionRef.current;
+        composition.setActivePart(composition.addPart(null, { octave: composition.currentOctave }));
+        setCompositionState(composition.getCompositionInfo());
+    }, []);
+
+    const handleSelectPart = useCallback((partIndex) => {
+        const composition = compositionRef.current;
+        composition.setActivePart(partIndex);
+        setCompositionState(composition.getCompositionInfo());
+    }, []);
+
+    const handleRemovePart = useCallback(() => {
+        const composition = compositionRef.current;
+        composition.removePart(composition.activePart);
+        setCompositionState(composition.getCompositionInfo());
+    }, []);
+
+    // A blank name is ignored, so the field snaps back to the current one
+    const handleRenamePart = useCallback(() => {
+        if (partNameDraft === null) return;
+        const composition = compositionRef.current;
+        composition.renamePart(composition.activePart, partNameDraft);
+        setPartNameDraft(null);
+        setCompositionState(composition.getCompositionInfo());
+    }, [partNameDraft]);
+
+    const handlePartNameKeyDown = useCallback((event) => {
+        if (event.key === 'Enter') {
+            event.target.blur();
+        } else if (event.key === 'Escape') {
+            setPartNameDraft(null);
         }
-        audioPlayer.stopNote();
-        setIsPlaying(false);
     }, []);
 
+    const handlePartTimbreChange = useCallback((event) => {
+        const composition = compositionRef.current;
+        composition.setPartTimbre(composition.activePart, event.target.value);
+        setCompositionState(composition.getCompositionInfo());
+    }, []);
+
+    // Applies from the next bar once notes are written; a running metronome follows
+    const handleTimeSignatureChange = useCallback((event) => {
+        const composition = compositionRef.current;
+        if (composition.setTimeSignature(parseTimeSignature(event.target.value)) === null) return;
+        if (audioPlayer.metronome.isRunning()) {
+            audioPlayer.metronome.setTimeSignature(composition.getTimeSignature(Infinity));
+        }
+        setCompositionState(composition.getCompositionInfo());
+    }, []);
+
+    // Movable do: hand signs and playback sound in the composition's key
+    useEffect(() => {
+        audioPlayer.setTonic(compositionState.key);
+    }, [compositionState.key]);
+
+    const toggleABCPanel = useCallback(() => {
+        setAbcText(prev => prev === null ? exportABC(compositionRef.current) : null);
+    }, []);
+
+    const loadABC = useCallback(() => {
+        const composition = parseABC(abcText || '');
+        if (composition.getTotalNotes() === 0) {
+            audioPlayer.playUIFeedback(400, 300);
+            return;
+        }
+        compositionRef.current = composition;
+        setRoundSource(null);
+        setCompositionState(composition.getCompositionInfo());
+        audioPlayer.playUIFeedback(1200, 200);
+    }, [abcText]);
+
+    const toggleRoundPanel = useCallback(() => {
+        setRoundOptions(prev => prev === null
+            ? { voices: DEFAULT_ROUND_VOICES, entryMeasures: DEFAULT_ENTRY_MEASURES }
+            : null);
+    }, []);
+
+    // The active part becomes the melody every voice sings. The original is kept, so a new
+    // round with other options starts from it again and it can be restored
+    const makeRound = useCallback(() => {
+        const source = roundSource ?? compositionRef.current;
+        if (source.getAllNotes().length === 0) {
+            audioPlayer.playUIFeedback(400, 300);
+            return;
+        }
+        compositionRef.current = createRound(source, roundOptions);
+        setRoundSource(source);
+        setCompositionState(compositionRef.current.getCompositionInfo());
+        audioPlayer.playUIFeedback(1200, 200);
+    }, [roundOptions, roundSource]);
+
+    const restoreRoundSource = useCallback(() => {
+        compositionRef.current = roundSource;
+        setRoundSource(null);
+        setCompositionState(roundSource.getCompositionInfo());
+        audioPlayer.playUIFeedback(1000);
+    }, [roundSource]);
+
     const handleSignDetection = useCallback((recognition) => {
         const currentSign = recognition?.sign;
         const confidence = recognition?.confidence || 0;
@@ -267,7 +575,7 @@ function NotationComposer() {
         }
 
         // Initialize and automatically start voice commands
-        voiceManagerRef.current = new VoiceCommandManager(handleVoiceCommand);
+        voiceManagerRef.current = new VoiceCommandManager((command, transcript) => voiceCommandRef.current?.(command, transcript));
         const voiceStatus = voiceManagerRef.current.getStatus();
         setVoiceState(prev => ({ ...prev, isSupported: voiceStatus.isSupported }));
         
@@ -290,12 +598,29 @@ function NotationComposer() {
             if (voiceManagerRef.current) {
                 voiceManagerRef.current.stopListening();
             }
-            if (playbackTimeoutRef.current) {
-                clearTimeout(playbackTimeoutRef.current);
-            }
             audioPlayer.stopNote();
         };
-    }, [onResults, handleVoiceCommand]);
+    }, [onResults]);
+
+    // Playback and the click stop when the composer closes, not when the camera or recognizer restarts
+    useEffect(() => () => {
+        transportRef.current?.stop();
+        audioPlayer.metronome.stop();
+        // Other composers play through the player's own effects again
+        audioPlayer.applyCompositionEffects(null).catch(error => console.warn('Failed to restore effects:', error));
+    }, []);
+
+    // Accompaniment chords follow the active part
+    const chords = harmony ? harmonize(compositionRef.current, harmony) : null;
+    // The preset the composition's effect chain came from, while it still matches one
+    const effectPreset = compositionState.effects === null ? '' : (Object.keys(EFFECT_PRESETS).find(name => (
+        JSON.stringify(EFFECT_PRESETS[name].effects) === JSON.stringify(compositionState.effects)
+    )) ?? 'custom');
+
+    // Clashes between the parts, re-checked on every edit while the round panel is open
+    const dissonances = roundOptions !== null && compositionState.parts.length > 1
+        ? findDissonances(compositionRef.current)
+        : null;
 
     return (
         <div className="notation-composer">
@@ -347,29 +672,266 @@ function NotationComposer() {
                         </div>
                     )}
                     
-                    {isPlaying && (
-                        <div className="playback-indicator">
-                            ▶️ Playing
+                    {playback.state !== TRANSPORT_STATES.STOPPED && (
+                        <div className={`playback-indicator ${playback.state}`}>
+                            {playback.state === TRANSPORT_STATES.PLAYING ? '▶️ Playing' : '⏸️ Paused'}
                         </div>
                     )}
                 </div>
             </div>
 
+            <div className="parts-bar">
+                <span>Parts:</span>
+                {compositionState.parts.map((part, partIndex) => (
+                    <button
+                        key={partIndex}
+                        className={partIndex === compositionState.activePart ? 'active' : ''}
+                        onClick={() => handleSelectPart(partIndex)}
+                        title="Hand signs are added to the selected part"
+                    >
+                        {part.name} ({part.noteCount})
+                    </button>
+                ))}
+                <button onClick={handleAddPart}>➕ Add Part</button>
+                <input
+                    type="text"
+                    value={partNameDraft ?? compositionState.parts[compositionState.activePart].name}
+                    onChange={(event) => setPartNameDraft(event.target.value)}
+                    onBlur={handleRenamePart}
+                    onKeyDown={handlePartNameKeyDown}
+                    aria-label="Part name"
+                />
+                <label className="key-select">
+                    Sound
+                    <select
+                        value={compositionState.parts[compositionState.activePart].timbre || ''}
+                        onChange={handlePartTimbreChange}
+                    >
+                        <option value="">Default</option>
+                        {audioPlayer.getAvailableTimbres().map(timbre => (
+                            <option key={timbre} value={timbre}>{timbre}</option>
+                        ))}
+                    </select>
+                </label>
+                {compositionState.parts.length > 1 && (
+                    <button onClick={handleRemovePart}>🗑️ Remove Part</button>
+                )}
+            </div>
+
+            {harmony && (
+                <div className="harmony-bar">
+                    <span>Chords:</span>
+                    <label className="key-select">
+                        Accompaniment
+                        <select
+                            value={harmony.style}
+                            onChange={(event) => setHarmony({ ...harmony, style: event.target.value })}
+                        >
+                            <option value={ACCOMPANIMENT_STYLES.BLOCK}>Block chords</option>
+                            <option value={ACCOMPANIMENT_STYLES.ARPEGGIO}>Arpeggio</option>
+                        </select>
+                    </label>
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={harmony.secondary}
+                            onChange={(event) => setHarmony({ ...harmony, secondary: event.target.checked })}
+                        />
+                        Use ii and vi
+                    </label>
+                    <span className="harmony-numerals">
+                        {chords.map(chord => chord ? chord.numeral : '-').join(' | ')}
+                    </span>
+                </div>
+            )}
+
             <SheetMusic 
                 composition={compositionRef.current} 
                 currentNoteDuration={compositionState.currentNoteDuration}
+                chords={chords}
+                chordPart={compositionState.activePart}
             />
 
+            {showStickNotation && <StickNotation composition={compositionRef.current} />}
+
+            <div className="transport-controls">
+                {playback.state === TRANSPORT_STATES.PLAYING ? (
+                    <button onClick={pausePlayback}>⏸️ Pause</button>
+                ) : (
+                    <button onClick={playComposition}>▶️ Play</button>
+                )}
+                <button onClick={stopPlayback} disabled={playback.state === TRANSPORT_STATES.STOPPED}>
+                    ⏹️ Stop
+                </button>
+                <input
+                    type="range"
+                    min={0}
+                    max={playback.duration}
+                    step={0.01}
+                    value={Math.min(playback.position, playback.duration)}
+                    onChange={seekPlayback}
+                    disabled={playback.state === TRANSPORT_STATES.STOPPED}
+                />
+                <span className="transport-time">
+                    {playback.position.toFixed(1)}s / {playback.duration.toFixed(1)}s
+                </span>
+                <label>
+                    <input type="checkbox" checked={loopPlayback} onChange={toggleLoop} />
+                    🔁 Loop
+                </label>
+            </div>
+
             <div className="controls-footer">
+                <label className="key-select">
+                    Do =
+                    <select value={compositionState.key} onChange={handleKeyChange}>
+                        {getTonicsForMode(compositionState.mode).map(tonic => (
+                            <option key={tonic} value={tonic}>{getTonicDisplayName(tonic)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="key-select">
+                    Mode
+                    <select value={compositionState.mode} onChange={handleModeChange}>
+                        {Object.entries(MODE_LABELS).map(([mode, label]) => (
+                            <option key={mode} value={mode}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="key-select">
+                    Time
+                    <select value={formatTimeSignature(compositionState.timeSignature)} onChange={handleTimeSignatureChange}>
+                        {TIME_SIGNATURES.map(timeSignature => (
+                            <option key={formatTimeSignature(timeSignature)} value={formatTimeSignature(timeSignature)}>
+                                {formatTimeSignature(timeSignature)}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="key-select">
+                    Effects
+                    <select value={effectPreset} onChange={handleEffectPresetChange}>
+                        <option value="">Player</option>
+                        {Object.entries(EFFECT_PRESETS).map(([name, preset]) => (
+                            <option key={name} value={name}>{preset.name}</option>
+                        ))}
+                        {effectPreset === 'custom' && <option value="custom" disabled>Saved chain</option>}
+                    </select>
+                </label>
                 <button onClick={() => setShowReference(!showReference)}>
                     {showReference ? 'Hide' : 'Show'} Reference Guide
                 </button>
+                <button onClick={saveComposition}>
+                    💾 Save
+                </button>
+                <button onClick={() => compositionInputRef.current?.click()}>
+                    📂 Open
+                </button>
+                <button onClick={exportToMusicXML}>
+                    💾 Export MusicXML
+                </button>
+                <button onClick={exportToMidi}>
+                    🎹 Export MIDI
+                </button>
+                <button onClick={exportToWav}>
+                    🔊 Export WAV
+                </button>
+                <button onClick={() => midiInputRef.current?.click()}>
+                    📂 Import MIDI
+                </button>
+                <button onClick={() => setShowStickNotation(!showStickNotation)}>
+                    🥁 {showStickNotation ? 'Hide' : 'Show'} Stick Notation
+                </button>
+                <button onClick={toggleABCPanel}>
+                    🎻 {abcText === null ? 'ABC Notation' : 'Hide ABC'}
+                </button>
+                <button onClick={() => setHarmony(harmony ? null : { style: ACCOMPANIMENT_STYLES.BLOCK, secondary: false })}>
+                    🎼 {harmony ? 'Hide Chords' : 'Add Chords'}
+                </button>
+                <button onClick={toggleRoundPanel}>
+                    🔄 {roundOptions === null ? 'Make a Round' : 'Hide Round'}
+                </button>
+                <input
+                    ref={midiInputRef}
+                    type="file"
+                    accept=".mid,.midi,audio/midi"
+                    style={{ display: 'none' }}
+                    onChange={handleMidiImport}
+                />
+                <input
+                    ref={compositionInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    style={{ display: 'none' }}
+                    onChange={handleCompositionOpen}
+                />
                 
                 <div className="quick-actions">
-                    <span>Voice commands: "Add" | "Add rest" | "Octave up" | "Play" | "Undo" | "Clear"</span>
+                    <span>Voice commands: "Add" | "Add rest" | "Ta" / "Ti ti" / "Ta a" | "Dotted quarter" | "Tie" | "Next part" | "Octave up" | "Play" | "Undo" | "Clear" | "Metronome"</span>
                 </div>
             </div>
 
+            {abcText !== null && (
+                <div className="abc-panel">
+                    <p>Copy this tune into a songbook, or paste an ABC tune here and load it to practise signing it.</p>
+                    <textarea
+                        value={abcText}
+                        onChange={(event) => setAbcText(event.target.value)}
+                        rows={10}
+                        spellCheck={false}
+                    />
+                    <button onClick={loadABC}>Load ABC Tune</button>
+                </div>
+            )}
+
+            {roundOptions !== null && (
+                <div className="round-panel">
+                    <p>Turn the selected part into a round: each voice sings it, entering a few bars after the one before.</p>
+                    <div className="round-options">
+                        <label className="key-select">
+                            Voices
+                            <select
+                                value={roundOptions.voices}
+                                onChange={(event) => setRoundOptions({ ...roundOptions, voices: Number(event.target.value) })}
+                            >
+                                {Array.from({ length: MAX_ROUND_VOICES - MIN_ROUND_VOICES + 1 }, (_, index) => MIN_ROUND_VOICES + index).map(voices => (
+                                    <option key={voices} value={voices}>{voices}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="key-select">
+                            Entries every
+                            <select
+                                value={roundOptions.entryMeasures}
+                                onChange={(event) => setRoundOptions({ ...roundOptions, entryMeasures: Number(event.target.value) })}
+                            >
+                                {[1, 2, 3, 4].map(measures => (
+                                    <option key={measures} value={measures}>{measures} {measures === 1 ? 'bar' : 'bars'}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <button onClick={makeRound}>Make Round</button>
+                        {roundSource && (
+                            <button onClick={restoreRoundSource}>↩️ Restore Original</button>
+                        )}
+                    </div>
+                    {dissonances && dissonances.length === 0 && (
+                        <p className="round-consonant">✅ No clashing intervals on the beats</p>
+                    )}
+                    {dissonances && dissonances.length > 0 && (
+                        <ul className="round-dissonances">
+                            {dissonances.map(({ measure, beat, clashes }) => (
+                                <li key={`${measure}-${beat}`}>
+                                    ⚠️ Bar {measure}, beat {beat}: {clashes.map(({ parts, interval }) => (
+                                        `${parts.map(partIndex => compositionState.parts[partIndex].name).join(' / ')} (${interval})`
+                                    )).join(', ')}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
             {showReference && <KodalyReference />}
         </div>
     );
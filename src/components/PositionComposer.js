@@ -157,13 +157,12 @@ function PositionComposer() {
             return;
         }
 
-        composition.notes.forEach((noteItem, index) => {
-            setTimeout(() => {
-                const accidental = noteItem.accidental;
-                audioPlayer.playNote(noteItem.note, noteItem.octave, accidental);
-                setTimeout(() => audioPlayer.stopNote(), 450);
-            }, index * 500);
-        });
+        audioPlayer.playTimedSequence(composition.notes.map((noteItem, index) => ({
+            note: noteItem.note,
+            octave: noteItem.octave,
+            startTime: index * 500,
+            duration: 450
+        })));
     };
 
     const exportComposition = () => {
@@ -1,27 +1,34 @@
 import React from 'react';
+import { solfegeToPitch, isTiedToNext } from '../utils/musicNotation';
+import { STEPS, MODES, getKeySignature, getKeySignatureSymbols, getModeTonic, isDiatonic, getTonicDisplayName } from '../utils/keySignatures';
+import { formatTimeSignature, getBeatGroupStarts } from '../utils/timeSignatures';
 import './SheetMusic.css';
 
 const STAFF_LINES = 5;
 const LINE_SPACING = 12; // pixels between staff lines
 
-// Calculate note position on staff
-const getNotePosition = (note, octave) => {
-    const basePositions = {
-        'do': 0,   // C
-        're': 0.5, // D  
-        'mi': 1,   // E
-        'fa': 1.5, // F
-        'sol': 2, // G
-        'la': 2.5, // A
-        'ti': 3   // B
-    };
+const ACCIDENTAL_SIGNS = { '-2': '𝄫', '-1': '♭', '0': '♮', '1': '♯', '2': '𝄪' };
+
+// Calculate note position on staff (C4 = 0, each letter step moves half a line space)
+const getNotePosition = (note, octave, tonic = 'C', accidental = null) => {
+    const pitch = solfegeToPitch(note, octave, accidental, tonic);
+    if (!pitch) return 0;
 
-    const basePosition = basePositions[note] || 0;
-    const octaveOffset = (octave - 4) * 3.5; // Each octave moves 3.5 line spaces
+    const basePosition = STEPS.indexOf(pitch.step) * 0.5;
+    const octaveOffset = (pitch.octave - 4) * 3.5; // Each octave moves 3.5 line spaces
     
     return basePosition + octaveOffset;
 };
 
+// Accidental to print beside a note when it departs from the key signature
+const getNoteAccidental = (item, tonic, mode) => {
+    const pitch = solfegeToPitch(item.note, item.octave, item.accidental, tonic);
+    if (!pitch) return '';
+
+    const keyAlter = getKeySignature(tonic, mode).alterations[pitch.step] || 0;
+    return pitch.alter !== keyAlter ? ACCIDENTAL_SIGNS[pitch.alter] || '' : '';
+};
+
 // Determine if note needs ledger lines
 const needsLedgerLines = (position) => {
     return position < -1 || position > 4;
@@ -48,28 +55,48 @@ const getLedgerLines = (position) => {
     return lines;
 };
 
-function SheetMusic({ composition, currentNoteDuration }) {
+function SheetMusic({ composition, currentNoteDuration, chords = null, chordPart = 0 }) {
     if (!composition) return null;
 
-    const allItems = composition.getAllNotes();
-    const measures = composition.measures;
+    const tonic = composition.key || 'C';
+    const mode = composition.mode || MODES.MAJOR;
+    const keyName = mode === MODES.MAJOR
+        ? getTonicDisplayName(tonic)
+        : `${getTonicDisplayName(getModeTonic(tonic, mode))} minor`;
+
+    // Notes that hold into the next one, across barlines too
+    const tiedIds = new Set(composition.parts.flatMap((part, partIndex) => {
+        const partItems = composition.getPartNotes(partIndex);
+        return partItems
+            .filter((item, index) => isTiedToNext(item, partItems[index + 1]))
+            .map(item => item.id);
+    }));
+    const showPartNames = composition.parts.length > 1;
 
-    const renderNote = (item, index) => {
+    const keySymbols = getKeySignatureSymbols(tonic, mode);
+    const openingMeter = composition.getTimeSignature(0);
+    const meterChanges = new Map(composition.getTimeSignatureChanges()
+        .map(({ measureIndex, timeSignature }) => [measureIndex, timeSignature]));
+
+    // Space before each beat group after the first, so 6/8 reads as two groups of three
+    const renderNote = (item, groupStart) => {
+        const groupClass = groupStart ? ' beat-group-start' : '';
         if (item.type === 'rest') {
             return (
-                <div key={item.id} className="music-rest">
+                <div key={item.id} className={`music-rest${groupClass}`}>
                     <span className="rest-symbol">{item.duration.symbol}</span>
                     <span className="duration-label">{item.duration.name}</span>
                 </div>
             );
         }
 
-        const position = getNotePosition(item.note, item.octave);
+        const position = getNotePosition(item.note, item.octave, tonic, item.accidental);
+        const accidental = getNoteAccidental(item, tonic, mode);
         const needsLedger = needsLedgerLines(position);
         const ledgerLines = needsLedger ? getLedgerLines(position) : [];
 
         return (
-            <div key={item.id} className="music-note" style={{
+            <div key={item.id} className={`music-note${groupClass}`} style={{
                 '--note-position': position
             }}>
                 {ledgerLines.map(linePos => (
@@ -79,56 +106,97 @@ function SheetMusic({ composition, currentNoteDuration }) {
                         style={{ '--line-position': linePos }}
                     />
                 ))}
-                <div className="note-head">{item.duration.symbol}</div>
-                <div className="note-label">
+                <div className="note-head">
+                    {accidental && <span className="note-accidental">{accidental}</span>}
+                    {item.duration.symbol}
+                    {tiedIds.has(item.id) && <span className="note-tie" title="Tied to the next note" />}
+                </div>
+                <div className={`note-label${isDiatonic(item.note, mode) ? '' : ' chromatic'}`}>
                     {item.note.toUpperCase()}{item.octave}
                 </div>
             </div>
         );
     };
 
-    const renderMeasure = (measure, measureIndex) => (
-        <div key={measureIndex} className="measure">
-            <div className="measure-number">{measureIndex + 1}</div>
-            <div className="measure-content">
-                {measure.map((item, itemIndex) => renderNote(item, itemIndex))}
-                {measure.length === 0 && (
-                    <div className="empty-measure">
-                        <span>Empty</span>
-                    </div>
-                )}
+    // Chord symbols sit above the staff of the part they were worked out from
+    const renderMeasure = (measure, measureIndex, partIndex) => {
+        const chord = partIndex === chordPart && chords ? chords[measureIndex] : null;
+        const groupStarts = getBeatGroupStarts(composition.getTimeSignature(measureIndex));
+        const meterChange = measureIndex > 0 ? meterChanges.get(measureIndex) : null;
+        let position = 0;
+
+        return (
+            <div key={measureIndex} className="measure">
+                {chord && <div className="chord-symbol" title={`${chord.numeral}: ${chord.tones.join(' ')}`}>{chord.symbol}</div>}
+                <div className="measure-number">
+                    {measureIndex + 1}
+                    {meterChange && <span className="measure-meter">{formatTimeSignature(meterChange)}</span>}
+                </div>
+                <div className="measure-content">
+                    {measure.map(item => {
+                        const groupStart = position > 0 && groupStarts.some(start => Math.abs(start - position) < 1e-6);
+                        position += item.duration.beats;
+                        return renderNote(item, groupStart);
+                    })}
+                    {measure.length === 0 && (
+                        <div className="empty-measure">
+                            <span>Empty</span>
+                        </div>
+                    )}
+                </div>
             </div>
-        </div>
-    );
+        );
+    };
 
     return (
         <div className="sheet-music">
             <div className="sheet-header">
                 <h3>Composition</h3>
                 <div className="composition-info">
-                    <span>Time: {composition.timeSignature.beats}/{composition.timeSignature.noteValue}</span>
+                    <span>Key: {keyName} (do = {getTonicDisplayName(tonic)})</span>
+                    <span>Time: {formatTimeSignature(composition.getTimeSignature())}</span>
                     <span>Tempo: {composition.tempo} BPM</span>
                     <span>Notes: {composition.getTotalNotes()}</span>
                 </div>
             </div>
             
-            <div className="staff-container">
-                <div className="staff">
-                    {/* Staff lines */}
-                    {Array.from({ length: STAFF_LINES }, (_, i) => (
-                        <div key={i} className="staff-line" style={{
-                            top: `${i * LINE_SPACING}px`
-                        }} />
-                    ))}
+            {/* One staff per part; hand signs are written into the active one */}
+            {composition.parts.map((part, partIndex) => (
+                <div
+                    key={part.id}
+                    className={`staff-container${showPartNames && partIndex === composition.activePart ? ' active-part' : ''}`}
+                >
+                    {showPartNames && <div className="part-name">{part.name}</div>}
+                    <div className="staff">
+                        {/* Staff lines */}
+                        {Array.from({ length: STAFF_LINES }, (_, i) => (
+                            <div key={i} className="staff-line" style={{
+                                top: `${i * LINE_SPACING}px`
+                            }} />
+                        ))}
                     
-                    {/* Treble clef */}
-                    <div className="clef">𝄞</div>
-                </div>
+                        {/* Treble clef */}
+                        <div className="clef">𝄞</div>
+
+                        {/* Key signature */}
+                        <div className="key-signature">
+                            {keySymbols.map(({ step, symbol }) => (
+                                <span key={step} title={`${step}${symbol}`}>{symbol}</span>
+                            ))}
+                        </div>
+
+                        {/* Opening time signature, after the key signature */}
+                        <div className="time-signature" style={{ '--key-symbols': keySymbols.length }}>
+                            <span>{openingMeter.beats}</span>
+                            <span>{openingMeter.noteValue}</span>
+                        </div>
+                    </div>
                 
-                <div className="measures-container">
-                    {measures.map((measure, index) => renderMeasure(measure, index))}
+                    <div className="measures-container">
+                        {part.measures.map((measure, index) => renderMeasure(measure, index, partIndex))}
+                    </div>
                 </div>
-            </div>
+            ))}
 
             <div className="notation-controls">
                 <div className="current-settings">
@@ -152,6 +220,9 @@ function SheetMusic({ composition, currentNoteDuration }) {
                         <span>"Quarter note" - Set duration</span>
                         <span>"Half note" - Set duration</span>
                         <span>"Whole note" - Set duration</span>
+                        <span>"Dotted quarter" - Dotted duration</span>
+                        <span>"Ta" / "Ti ti" / "Tika tika" - Rhythm syllables</span>
+                        <span>"Tie" - Tie last note to the next</span>
                         <span>"Undo" - Remove last</span>
                     </div>
                 </div>
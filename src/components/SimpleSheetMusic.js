@@ -1,25 +1,64 @@
 import React from 'react';
+import { solfegeToPitch } from '../utils/musicNotation';
+import { STEPS } from '../utils/keySignatures';
+import { getBeatGroupStarts, isSameTimeSignature } from '../utils/timeSignatures';
 import './SimpleSheetMusic.css';
 
-// Note positions on treble clef staff (line 0 = bottom line)
-const getStaffPosition = (note, octave) => {
-    const notePositions = {
-        'do': 0,   // C
-        're': 0.5, // D
-        'mi': 1,   // E  
-        'fa': 1.5, // F
-        'sol': 2,  // G
-        'la': 2.5, // A
-        'ti': 3    // B
-    };
+// Note positions on treble clef staff (line 0 = bottom line), following the tonic for movable do
+const getStaffPosition = (note, octave, tonic = 'C') => {
+    const pitch = solfegeToPitch(note, octave, null, tonic);
+    if (!pitch) return 0;
     
-    const basePosition = notePositions[note] || 0;
-    const octaveOffset = (octave - 4) * 3.5; // Each octave is 7 semitones = 3.5 staff positions
+    const basePosition = STEPS.indexOf(pitch.step) * 0.5;
+    const octaveOffset = (pitch.octave - 4) * 3.5; // Each octave is 7 letter steps = 3.5 staff positions
     
     return basePosition + octaveOffset;
 };
 
-function SimpleSheetMusic({ notes = [] }) {
+const NOTE_SPACING = 40;
+const GROUP_GAP = 10;  // Extra space before each beat group after the first
+const METER_WIDTH = 30;
+
+/**
+ * Horizontal layout for notes grouped into measures (EnhancedCompositionManager.getMeasures())
+ * @returns {{notes: Array, barlines: number[], meters: Array<{left, timeSignature}>}} lefts in px
+ */
+const layoutMeasures = (measures) => {
+    const layout = { notes: [], barlines: [], meters: [] };
+    let left = 60;
+    let previous = null;
+
+    measures.forEach((measure, measureIndex) => {
+        if (!isSameTimeSignature(previous, measure.timeSignature)) {
+            layout.meters.push({ left, timeSignature: measure.timeSignature });
+            left += METER_WIDTH;
+        }
+        previous = measure.timeSignature;
+
+        const groupStarts = getBeatGroupStarts(measure.timeSignature);
+        measure.notes.forEach((note, noteIndex) => {
+            if (noteIndex > 0 && groupStarts.some(start => Math.abs(start - note.position) < 1e-6)) {
+                left += GROUP_GAP;
+            }
+            layout.notes.push({ ...note, left });
+            left += NOTE_SPACING;
+        });
+
+        // No closing barline after a bar still being filled
+        if (measureIndex < measures.length - 1 || measure.notes.length >= measure.timeSignature.beats) {
+            layout.barlines.push(left - 8);
+            left += GROUP_GAP;
+        }
+    });
+
+    return layout;
+};
+
+function SimpleSheetMusic({ notes = [], measures = null, tonic = 'C' }) {
+    const layout = measures
+        ? layoutMeasures(measures)
+        : { notes: notes.map((note, index) => ({ ...note, left: 60 + (index * NOTE_SPACING) })), barlines: [], meters: [] };
+
     return (
         <div className="simple-sheet-music">
             <div className="sheet-header">
@@ -41,8 +80,17 @@ function SimpleSheetMusic({ notes = [] }) {
                 
                 {/* Notes */}
                 <div className="notes-container">
-                    {notes.map((noteItem, index) => {
-                        const position = getStaffPosition(noteItem.note, noteItem.octave);
+                    {layout.meters.map(({ left, timeSignature }) => (
+                        <div key={`meter-${left}`} className="time-signature" style={{ left: `${left}px` }}>
+                            <span>{timeSignature.beats}</span>
+                            <span>{timeSignature.noteValue}</span>
+                        </div>
+                    ))}
+                    {layout.barlines.map(left => (
+                        <div key={`bar-${left}`} className="barline" style={{ left: `${left}px` }}></div>
+                    ))}
+                    {layout.notes.map((noteItem, index) => {
+                        const position = getStaffPosition(noteItem.note, noteItem.octave, tonic);
                         const needsLedgerLine = position < 0 || position > 4;
                         
                         return (
@@ -50,7 +98,7 @@ function SimpleSheetMusic({ notes = [] }) {
                                 key={index} 
                                 className="note-on-staff"
                                 style={{
-                                    left: `${60 + (index * 40)}px`,
+                                    left: `${noteItem.left}px`,
                                     bottom: `${position * 15}px`
                                 }}
                             >
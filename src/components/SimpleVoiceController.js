@@ -76,12 +76,12 @@ function SimpleVoiceController({ currentNote }) {
             return;
         }
 
-        composition.notes.forEach((noteItem, index) => {
-            setTimeout(() => {
-                audioPlayer.playNote(noteItem.note, noteItem.octave);
-                setTimeout(() => audioPlayer.stopNote(), 450);
-            }, index * 500);
-        });
+        audioPlayer.playTimedSequence(composition.notes.map((noteItem, index) => ({
+            note: noteItem.note,
+            octave: noteItem.octave,
+            startTime: index * 500,
+            duration: 450
+        })));
     };
 
     const setupVoiceRecognition = () => {
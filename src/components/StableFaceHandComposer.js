@@ -6,7 +6,10 @@ import { drawConnectors, drawLandmarks } from '@mediapipe/drawing_utils';
 import { recognizeKodalySign } from '../utils/kodalySignsDB';
 import { EnhancedCompositionManager } from '../utils/enhancedComposition';
 import { audioPlayer } from '../utils/audioUtils';
+import { exportMidi, MIDI_MIME_TYPE } from '../utils/midiFile';
+import { downloadFile } from '../utils/fileDownload';
 import SimpleSheetMusic from './SimpleSheetMusic';
+import CompositionSettings from './CompositionSettings';
 import './HeadHandComposer.css';
 
 const CONFIDENCE_THRESHOLD = 0.85;
@@ -330,12 +333,7 @@ function StableFaceHandComposer() {
             return;
         }
 
-        sequence.forEach(({ note, octave, accidental, startTime, duration }) => {
-            setTimeout(() => {
-                audioPlayer.playNote(note, octave, accidental);
-                setTimeout(() => audioPlayer.stopNote(), duration);
-            }, startTime);
-        });
+        audioPlayer.playTimedSequence(sequence);
     };
 
     return (
@@ -431,6 +429,11 @@ function StableFaceHandComposer() {
                     
                     <div className="manual-controls">
                         <h3>🎮 Quick Actions</h3>
+                        <CompositionSettings
+                            manager={compositionManagerRef.current}
+                            compositionState={compositionState}
+                            onChange={setCompositionState}
+                        />
                         <button onClick={playComposition} className="play-btn">
                             ▶️ Play Composition
                         </button>
@@ -446,7 +449,7 @@ function StableFaceHandComposer() {
                             🗑️ Clear All
                         </button>
                         <button onClick={() => {
-                            const exportData = compositionManagerRef.current.exportComposition();
+                            const exportData = compositionManagerRef.current.exportComposition(audioPlayer.getSound());
                             const blob = new Blob([exportData], { type: 'application/json' });
                             const url = URL.createObjectURL(blob);
                             const a = document.createElement('a');
@@ -456,14 +459,22 @@ function StableFaceHandComposer() {
                         }} className="export-btn">
                             💾 Export
                         </button>
+                        <button onClick={() => {
+                            const midi = exportMidi(compositionManagerRef.current);
+                            downloadFile(midi, `sol-fa-composition-${Date.now()}.mid`, MIDI_MIME_TYPE);
+                        }} className="export-btn">
+                            🎹 Export MIDI
+                        </button>
                     </div>
                 </div>
             </div>
             
             <SimpleSheetMusic 
                 notes={compositionState.notes} 
+                measures={compositionState.measures}
                 currentOctave={compositionState.currentOctave}
                 tempo={compositionState.tempo}
+                tonic={compositionState.key}
             />
             
             {compositionState.noteCount > 0 && (
@@ -0,0 +1,96 @@
+import React from 'react';
+import { isTiedToNext } from '../utils/musicNotation';
+import { formatTimeSignature } from '../utils/timeSignatures';
+import { getStickMeasure } from '../utils/rhythmSyllables';
+import './StickNotation.css';
+
+// Notes of two beats or more keep a note head in stick notation (ta-a is a hollow head)
+const HEAD_SYMBOLS = { 'half': '𝅗𝅥', 'dotted half': '𝅗𝅥', 'whole': '𝅝' };
+
+function StickNotation({ composition }) {
+    if (!composition) return null;
+
+    const parts = composition.parts.map(part => ({
+        part,
+        measures: part.measures
+            .map((measure, measureIndex) => ({ measure, measureIndex }))
+            .filter(({ measure }) => measure.length > 0)
+    }));
+    const isEmpty = parts.every(({ measures }) => measures.length === 0);
+
+    // Tied continuations are held, not said again
+    const tiedIds = new Set(composition.parts.flatMap((part, partIndex) => {
+        const partItems = composition.getPartNotes(partIndex);
+        return partItems
+            .filter((item, index) => index > 0 && isTiedToNext(partItems[index - 1], item))
+            .map(item => item.id);
+    }));
+
+    const renderStick = ({ item, beams }, beamed) => {
+        if (item.type === 'rest') {
+            return <span className="stick-rest">{item.duration.symbol}</span>;
+        }
+        if (HEAD_SYMBOLS[item.duration.name]) {
+            return <span className="stick-head">{HEAD_SYMBOLS[item.duration.name]}</span>;
+        }
+        return (
+            <span className={`stick${!beamed && beams > 0 ? ' flagged' : ''}`}>
+                {beamed && beams > 1 && <span className="stick-beam secondary" />}
+            </span>
+        );
+    };
+
+    const renderMeasure = ({ measure, measureIndex }) => {
+        const timeSignature = composition.getTimeSignature(measureIndex);
+        const meterChange = measureIndex === 0 || composition.timeSignatureChanges[measureIndex];
+
+        return (
+            <div key={measureIndex} className="stick-measure">
+                {meterChange && <div className="stick-meter">{formatTimeSignature(timeSignature)}</div>}
+                {getStickMeasure(measure, timeSignature).map(group => (
+                    <div key={group.start} className={`stick-beat${group.beamed ? ' beamed' : ''}`}>
+                        {group.items.map(entry => (
+                            <div
+                                key={entry.item.id}
+                                className={`stick-item${tiedIds.has(entry.item.id) ? ' tied' : ''}`}
+                                title={entry.item.duration.name}
+                            >
+                                <div className="stick-symbol">
+                                    {renderStick(entry, group.beamed)}
+                                    {entry.item.duration.dots > 0 && <span className="stick-dot">.</span>}
+                                </div>
+                                <div className="stick-syllable">{tiedIds.has(entry.item.id) ? '-' : entry.syllable}</div>
+                                <div className="stick-letter">{entry.letter}</div>
+                            </div>
+                        ))}
+                    </div>
+                ))}
+            </div>
+        );
+    };
+
+    return (
+        <div className="stick-notation">
+            <div className="stick-header">
+                <h3>Stick Notation</h3>
+                <span className="stick-hint">Say the rhythm names: "ta", "ti ti", "tika tika", "ta a"</span>
+            </div>
+
+            {!isEmpty && parts.map(({ part, measures }) => (
+                <div key={part.id} className="stick-part">
+                    {parts.length > 1 && <div className="stick-part-name">{part.name}</div>}
+                    <div className="stick-measures">
+                        {measures.map(renderMeasure)}
+                    </div>
+                </div>
+            ))}
+            {isEmpty && (
+                <div className="stick-empty">
+                    <span>Add notes to see their rhythm syllables</span>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default StickNotation;
@@ -6,6 +6,9 @@ import { drawConnectors, drawLandmarks } from '@mediapipe/drawing_utils';
 import { analyzeBothHands, LEFT_HAND_GESTURES } from '../utils/twoHandDetection';
 import { audioPlayer } from '../utils/audioUtils';
 import { CompositionManager } from '../utils/compositionManager';
+import { MAX_COUNT_IN_BARS } from '../utils/metronome';
+import { QUANTIZE_GRIDS, DEFAULT_GRID } from '../utils/rhythmQuantizer';
+import SheetMusic from './SheetMusic';
 import './TwoHandComposer.css';
 
 const CONFIDENCE_THRESHOLD = 0.85;
@@ -29,8 +32,14 @@ function TwoHandComposer() {
         isRecording: false,
         isPlaying: false,
         currentOctave: 4,
-        noteCount: 0
+        noteCount: 0,
+        metronomeOn: false,
+        countInBars: compositionManagerRef.current.countInBars,
+        isCountingIn: false
     });
+    const [metronomeBeat, setMetronomeBeat] = useState(null);
+    const [quantizeGrid, setQuantizeGrid] = useState(DEFAULT_GRID.name);
+    const [quantized, setQuantized] = useState(null);
 
     const lastNoteRef = useRef(null);
     const lastGestureRef = useRef(null);
@@ -103,19 +112,57 @@ function TwoHandComposer() {
                 audioPlayer.playUIFeedback(manager.isRecording ? 1200 : 800);
                 break;
             case LEFT_HAND_GESTURES.PLAY_TOGGLE:
-                manager.togglePlayback(audioPlayer);
+                manager.togglePlayback(audioPlayer, () => setCompositionState(manager.getStatus()));
                 audioPlayer.playUIFeedback(1400);
                 break;
             case LEFT_HAND_GESTURES.CLEAR:
                 manager.clearComposition();
                 audioPlayer.playUIFeedback(400);
                 break;
+            case LEFT_HAND_GESTURES.METRONOME_TOGGLE:
+                // The clicks themselves confirm switching on
+                if (!manager.toggleMetronome(audioPlayer)) {
+                    audioPlayer.playUIFeedback(500);
+                }
+                break;
         }
         
         // Update composition state
         setCompositionState(manager.getStatus());
     }, []);
 
+    const handleCountInChange = useCallback((event) => {
+        const manager = compositionManagerRef.current;
+        manager.setCountInBars(Number(event.target.value));
+        setCompositionState(manager.getStatus());
+    }, []);
+
+    const handleQuantize = useCallback(() => {
+        const manager = compositionManagerRef.current;
+        setQuantized(manager.getComposition().length > 0 ? manager.quantize({ grid: quantizeGrid }) : null);
+    }, [quantizeGrid]);
+
+    // Show each metronome beat when its click sounds (beats are scheduled slightly ahead)
+    useEffect(() => {
+        const metronome = audioPlayer.metronome;
+        const timers = new Set();
+
+        metronome.onBeat = ({ beat, countIn, time }) => {
+            const delay = Math.max(0, (time - metronome.getCurrentTime()) * 1000);
+            const timer = setTimeout(() => {
+                timers.delete(timer);
+                setMetronomeBeat({ beat, countIn });
+                setCompositionState(compositionManagerRef.current.getStatus());
+            }, delay);
+            timers.add(timer);
+        };
+
+        return () => {
+            metronome.onBeat = null;
+            timers.forEach(timer => clearTimeout(timer));
+        };
+    }, []);
+
     const onResults = useCallback((results) => {
         const canvas = canvasRef.current;
         if (!canvas) return;
@@ -206,6 +253,9 @@ function TwoHandComposer() {
             }
             audioPlayer.stopNote();
             compositionManagerRef.current.stopPlayback();
+            if (compositionManagerRef.current.metronome) {
+                compositionManagerRef.current.toggleMetronome(audioPlayer);
+            }
         };
     }, [onResults]);
 
@@ -264,6 +314,39 @@ function TwoHandComposer() {
                             <span>Notes:</span>
                             <span className="value">{compositionState.noteCount}</span>
                         </div>
+                        <div className="status-item">
+                            <span>Metronome:</span>
+                            <span className={`value ${compositionState.metronomeOn ? 'active' : ''}`}>
+                                {compositionState.metronomeOn
+                                    ? `${compositionState.isCountingIn ? 'COUNT-IN ' : ''}${metronomeBeat ? metronomeBeat.beat + 1 : '–'}`
+                                    : 'OFF'}
+                            </span>
+                        </div>
+                        <div className="status-item">
+                            <span>Count-in:</span>
+                            <select value={compositionState.countInBars} onChange={handleCountInChange}>
+                                {Array.from({ length: MAX_COUNT_IN_BARS + 1 }, (_, bars) => (
+                                    <option key={bars} value={bars}>
+                                        {bars === 0 ? 'None' : `${bars} bar${bars > 1 ? 's' : ''}`}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="status-item">
+                            <span>Quantize to:</span>
+                            <select value={quantizeGrid} onChange={(event) => setQuantizeGrid(event.target.value)}>
+                                {Object.values(QUANTIZE_GRIDS).map(grid => (
+                                    <option key={grid.name} value={grid.name}>{grid.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <button
+                            className="quantize-button"
+                            onClick={handleQuantize}
+                            disabled={compositionState.noteCount === 0}
+                        >
+                            Quantize recording
+                        </button>
                     </div>
                     
                     <div className="hand-guides">
@@ -285,6 +368,7 @@ function TwoHandComposer() {
                                 <li>☝️ Index finger: Toggle recording</li>
                                 <li>✌️ Peace sign: Toggle playback</li>
                                 <li>✋ Open hand: Clear composition</li>
+                                <li>🤘 Index + pinky: Toggle metronome</li>
                             </ul>
                             <div className="current-detection">
                                 {handStates.leftHandGesture 
@@ -295,6 +379,15 @@ function TwoHandComposer() {
                     </div>
                 </div>
             </div>
+
+            {quantized && (
+                <div className="quantized-notation">
+                    <SheetMusic
+                        composition={quantized}
+                        currentNoteDuration={quantized.currentNoteDuration}
+                    />
+                </div>
+            )}
         </div>
     );
 }
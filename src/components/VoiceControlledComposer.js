@@ -72,7 +72,7 @@ function VoiceControlledComposer() {
                 }
                 break;
             case 'PLAY':
-                manager.togglePlayback(audioPlayer);
+                manager.togglePlayback(audioPlayer, () => setCompositionState(manager.getStatus()));
                 audioPlayer.playUIFeedback(1400);
                 break;
             case 'PAUSE':
@@ -93,6 +93,11 @@ function VoiceControlledComposer() {
                 // TODO: Implement tempo controls
                 audioPlayer.playUIFeedback(500);
                 break;
+            case 'TOGGLE_METRONOME':
+                if (!manager.toggleMetronome(audioPlayer)) {
+                    audioPlayer.playUIFeedback(500);
+                }
+                break;
         }
         
         // Update states
@@ -231,6 +236,9 @@ function VoiceControlledComposer() {
             }
             audioPlayer.stopNote();
             compositionManagerRef.current.stopPlayback();
+            if (compositionManagerRef.current.metronome) {
+                compositionManagerRef.current.toggleMetronome(audioPlayer);
+            }
         };
     }, [onResults, handleVoiceCommand]);
 
@@ -318,6 +326,12 @@ function VoiceControlledComposer() {
                                 <span>Notes:</span>
                                 <span className="value">{compositionState.noteCount}</span>
                             </div>
+                            <div className="status-item">
+                                <span>Metronome:</span>
+                                <span className={`value ${compositionState.metronomeOn ? 'active' : ''}`}>
+                                    {compositionState.metronomeOn ? 'ON' : 'OFF'}
+                                </span>
+                            </div>
                         </div>
                     </div>
 
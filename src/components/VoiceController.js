@@ -82,12 +82,12 @@ function VoiceController({ currentNote, onCompositionUpdate }) {
             return;
         }
 
-        composition.notes.forEach((noteItem, index) => {
-            setTimeout(() => {
-                audioPlayer.playNote(noteItem.note, noteItem.octave);
-                setTimeout(() => audioPlayer.stopNote(), 400);
-            }, index * 500);
-        });
+        audioPlayer.playTimedSequence(composition.notes.map((noteItem, index) => ({
+            note: noteItem.note,
+            octave: noteItem.octave,
+            startTime: index * 500,
+            duration: 400
+        })));
     };
 
     useEffect(() => {
@@ -0,0 +1,582 @@
+/**
+ * ABC Notation
+ * Serializes a MusicComposition to ABC (2.1) and parses ABC tunes back into
+ * MusicComposition measures, so folk-song collections can be pasted in and practised
+ */
+
+import {
+    MusicComposition,
+    NOTE_DURATIONS,
+    REST_DURATIONS,
+    TRIPLET_DURATIONS,
+    TRIPLET_REST_DURATIONS,
+    solfegeToPitch,
+    pitchToSolfege,
+    getDurationForBeats,
+    splitBeats,
+    isTiedToNext
+} from './musicNotation.js';
+import { MODES, getKeySignature, getTonicForFifths, getModeTonic } from './keySignatures.js';
+import { getBarBeats, formatTimeSignature } from './timeSignatures.js';
+
+const NOTE_LETTERS = 'ABCDEFGabcdefg';
+
+// Position of each natural letter on the circle of fifths, relative to C
+const LETTER_FIFTHS = { 'F': -1, 'C': 0, 'G': 1, 'D': 2, 'A': 3, 'E': 4, 'B': 5 };
+
+// Mode offsets from the major key on the same tonic, in fifths
+const MODE_FIFTHS = {
+    '': 0, 'maj': 0, 'ion': 0,
+    'm': -3, 'min': -3, 'aeo': -3,
+    'dor': -2, 'phr': -4, 'lyd': 1, 'mix': -1, 'loc': -5
+};
+
+const ACCIDENTAL_SYMBOLS = { '-2': '__', '-1': '_', '0': '=', '1': '^', '2': '^^' };
+
+// === KEY AND HEADER HELPERS ===
+
+const parseFraction = (text) => {
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(text);
+    return match ? Number(match[1]) / Number(match[2]) : null;
+};
+
+// Parse a K: field into a circle-of-fifths position
+const parseKey = (value) => {
+    const match = /^\s*([A-G])([#b]?)\s*([A-Za-z]*)/.exec(value || '');
+    if (!match) return { fifths: 0, mode: '' };
+
+    const modeText = match[3].toLowerCase();
+    const mode = modeText === 'm' ? 'm' : modeText.slice(0, 3);
+    const accidentalFifths = match[2] === '#' ? 7 : match[2] === 'b' ? -7 : 0;
+
+    return { fifths: LETTER_FIFTHS[match[1]] + accidentalFifths + (MODE_FIFTHS[mode] ?? 0), mode };
+};
+
+// K: field for a composition: minor keys are named after their home note
+const formatKey = (composition) => {
+    const mode = composition.mode || MODES.MAJOR;
+    const tonic = getModeTonic(composition.key, mode);
+    return mode === MODES.MAJOR ? tonic : `${tonic}m`;
+};
+
+const parseMeter = (value) => {
+    const trimmed = value.trim();
+    if (trimmed === 'C') return { beats: 4, noteValue: 4 };
+    if (trimmed === 'C|') return { beats: 2, noteValue: 2 };
+    const match = /^(\d+)\s*\/\s*(\d+)/.exec(trimmed);
+    return match ? { beats: Number(match[1]), noteValue: Number(match[2]) } : null;
+};
+
+// Q: field as quarter notes per minute
+const parseTempo = (value, unitLength) => {
+    const withBeat = /(\d+\s*\/\s*\d+)\s*=\s*(\d+)/.exec(value);
+    if (withBeat) {
+        return Math.round(Number(withBeat[2]) * parseFraction(withBeat[1]) * 4);
+    }
+    const bare = /^\s*(\d+)\s*$/.exec(value);
+    return bare ? Math.round(Number(bare[1]) * unitLength * 4) : null;
+};
+
+// === SERIALIZING ===
+
+const formatLength = (beats, unitBeats) => {
+    const multiplier = beats / unitBeats;
+    if (Math.abs(multiplier - 1) < 1e-6) return '';
+    if (Number.isInteger(multiplier)) return String(multiplier);
+    for (let denominator = 2; denominator <= 16; denominator *= 2) {
+        const numerator = multiplier * denominator;
+        if (Math.abs(numerator - Math.round(numerator)) < 1e-6) {
+            return Math.round(numerator) === 1 ? `/${denominator}` : `${Math.round(numerator)}/${denominator}`;
+        }
+    }
+    return String(multiplier);
+};
+
+const formatPitch = (pitch) => {
+    if (pitch.octave >= 5) {
+        return pitch.step.toLowerCase() + "'".repeat(pitch.octave - 5);
+    }
+    return pitch.step + ','.repeat(Math.max(0, 4 - pitch.octave));
+};
+
+// Tuplet notes are written at their nominal length and squeezed by a (p:q:r prefix
+const getWrittenBeats = (duration) => duration.tuplet
+    ? duration.beats * duration.tuplet.actual / duration.tuplet.normal
+    : duration.beats;
+
+// Prefix for each run of tuplet notes that fills whole beats, keyed by the index of its first note
+const getTupletPrefixes = (measure) => {
+    const prefixes = {};
+    let groupStart = null;
+    let groupBeats = 0;
+
+    measure.forEach((item, index) => {
+        const { tuplet } = item.duration;
+        if (!tuplet) {
+            groupStart = null;
+            return;
+        }
+        if (groupStart === null) {
+            groupStart = index;
+            groupBeats = 0;
+        }
+        groupBeats += item.duration.beats;
+
+        const notes = index - groupStart + 1;
+        prefixes[groupStart] = notes === tuplet.actual
+            ? `(${tuplet.actual}`
+            : `(${tuplet.actual}:${tuplet.normal}:${notes}`;
+        if (Math.abs(groupBeats - Math.round(groupBeats)) < 1e-6) groupStart = null;
+    });
+
+    return prefixes;
+};
+
+// Pick L: so the shortest duration in the piece is written without a fraction
+const getUnitBeats = (items) => {
+    const shortest = Math.min(0.5, ...items.map(item => getWrittenBeats(item.duration)));
+    return shortest < 0.5 ? 0.25 : 0.5;
+};
+
+const formatUnitLength = (unitBeats) => `1/${Math.round(4 / unitBeats)}`;
+
+// Bars of one part, with inline [M:] fields where the meter changes
+const renderBars = (composition, measures, unitBeats) => {
+    const { alterations: keyAlterations } = getKeySignature(composition.key, composition.mode);
+
+    const items = measures.flat();
+    let itemIndex = 0;
+
+    return measures.map((measure, measureIndex) => {
+        const meterChange = measureIndex > 0 && composition.timeSignatureChanges[measureIndex];
+        const meterField = meterChange ? `[M:${formatTimeSignature(meterChange)}] ` : '';
+        if (measure.length === 0) {
+            // Padding for a part that ends before the others
+            return `${meterField}z${formatLength(composition.getBarBeats(measureIndex), unitBeats)}`;
+        }
+
+        const activeAlterations = {};
+        const tupletPrefixes = getTupletPrefixes(measure);
+        return meterField + measure.map((item, index) => {
+            const next = items[++itemIndex];
+            const prefix = tupletPrefixes[index] || '';
+            const length = formatLength(getWrittenBeats(item.duration), unitBeats);
+            if (item.type === 'rest') return `${prefix}z${length}`;
+
+            const pitch = solfegeToPitch(item.note, item.octave, item.accidental, composition.key);
+            if (!pitch) return `${prefix}z${length}`;
+
+            const pitchKey = `${pitch.step}${pitch.octave}`;
+            const showAccidental = pitch.alter !== (activeAlterations[pitchKey] ?? keyAlterations[pitch.step] ?? 0);
+            activeAlterations[pitchKey] = pitch.alter;
+
+            const tie = isTiedToNext(item, next) ? '-' : '';
+            return `${prefix}${showAccidental ? ACCIDENTAL_SYMBOLS[pitch.alter] : ''}${formatPitch(pitch)}${length}${tie}`;
+        }).join(' ');
+    });
+};
+
+// Four bars per line keeps tunes readable when pasted into a songbook
+const formatLines = (bars) => {
+    const lines = [];
+    for (let i = 0; i < bars.length; i += 4) {
+        const isLastLine = i + 4 >= bars.length;
+        lines.push(bars.slice(i, i + 4).join(' | ') + (isLastLine ? ' |]' : ' |'));
+    }
+    return lines;
+};
+
+/**
+ * Convert a MusicComposition to an ABC tune
+ * Compositions with several parts are written as voices (V:1, V:2, ...) named after the parts.
+ * @param {MusicComposition} composition
+ * @param {Object} options - { title, referenceNumber }
+ * @returns {string}
+ */
+export const exportABC = (composition, options = {}) => {
+    const partMeasures = composition.parts.map(part => part.measures.filter(measure => measure.length > 0));
+    const unitBeats = getUnitBeats(partMeasures.flat(2));
+
+    const header = [
+        `X:${options.referenceNumber || 1}`,
+        `T:${options.title || 'Sol-fa Composition'}`,
+        `M:${formatTimeSignature(composition.getTimeSignature(0))}`,
+        `L:${formatUnitLength(unitBeats)}`,
+        `Q:1/4=${composition.tempo}`,
+        `K:${formatKey(composition)}`
+    ];
+
+    const measureCount = composition.getMeasureCount();
+    if (measureCount === 0) {
+        return [...header, `z${formatLength(composition.getBarBeats(0), unitBeats)} |]`].join('\n') + '\n';
+    }
+
+    if (composition.parts.length === 1) {
+        return [...header, ...formatLines(renderBars(composition, partMeasures[0], unitBeats))].join('\n') + '\n';
+    }
+
+    const voices = partMeasures.flatMap((measures, partIndex) => {
+        const padded = [...measures, ...Array.from({ length: measureCount - measures.length }, () => [])];
+        const name = composition.parts[partIndex].name.replace(/"/g, "'");
+        return [`V:${partIndex + 1} name="${name}"`, ...formatLines(renderBars(composition, padded, unitBeats))];
+    });
+
+    return [...header, ...voices].join('\n') + '\n';
+};
+
+// === PARSING ===
+
+const parseLengthMultiplier = (text, index) => {
+    const match = /^(\d*)(\/*)(\d*)/.exec(text.slice(index));
+    const [whole, numeratorText, slashes, denominatorText] = match;
+    const numerator = numeratorText ? Number(numeratorText) : 1;
+    let multiplier = numerator;
+
+    if (slashes.length > 0) {
+        multiplier = denominatorText
+            ? numerator / Number(denominatorText)
+            : numerator / Math.pow(2, slashes.length);
+    }
+
+    return { multiplier, length: whole.length };
+};
+
+// Read one note (accidentals, letter, octave marks) starting at index
+const parseNoteAt = (text, index) => {
+    const match = /^(\^\^|\^|__|_|=)?([A-Ga-g])([,']*)/.exec(text.slice(index));
+    if (!match) return null;
+
+    const [whole, accidental, letter, octaveMarks] = match;
+    let octave = letter === letter.toLowerCase() ? 5 : 4;
+    for (const mark of octaveMarks) {
+        octave += mark === "'" ? 1 : -1;
+    }
+
+    const explicitAlter = accidental === undefined
+        ? null
+        : { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 }[accidental];
+
+    return {
+        step: letter.toUpperCase(),
+        octave,
+        explicitAlter,
+        length: whole.length
+    };
+};
+
+const skipPast = (text, index, closingChar) => {
+    const end = text.indexOf(closingChar, index + 1);
+    return end === -1 ? text.length : end + 1;
+};
+
+// Parsed events of one voice as MusicComposition measures
+const buildMeasures = (rawMeasures, composition) => rawMeasures
+    .filter(measure => measure.length > 0)
+    .map(measure => {
+        const items = [];
+        for (const event of measure) {
+            if (event.type === 'rest') {
+                splitBeats(event.beats, event.tuplet ? { ...REST_DURATIONS, ...TRIPLET_REST_DURATIONS } : REST_DURATIONS).forEach(duration => {
+                    items.push({ type: 'rest', duration, id: Date.now() + Math.random() });
+                });
+                continue;
+            }
+
+            const values = event.tuplet ? { ...NOTE_DURATIONS, ...TRIPLET_DURATIONS } : NOTE_DURATIONS;
+            const exact = getDurationForBeats(event.beats, values);
+            const pieces = exact ? [exact] : splitBeats(event.beats, values);
+            const { note, octave } = pitchToSolfege(event.pitch, composition.key, composition.mode);
+
+            // Lengths without a single note value are written as tied notes
+            pieces.forEach((duration, index) => {
+                const tied = index < pieces.length - 1 || event.tied;
+                items.push({ type: 'note', note, octave, duration, ...(tied && { tied }), id: Date.now() + Math.random() });
+            });
+        }
+        return items;
+    });
+
+const buildComposition = (tune) => {
+    const composition = new MusicComposition();
+    composition.timeSignature = tune.timeSignature;
+    composition.timeSignatureChanges = { ...tune.meterChanges };
+    composition.tempo = tune.tempo;
+    composition.setMode(tune.mode);
+    composition.setKey(tune.tonic);
+
+    // Each voice becomes a part
+    tune.voices.forEach((voice, voiceIndex) => {
+        if (voiceIndex > 0) composition.addPart(voice.name);
+        else if (voice.name) composition.renamePart(0, voice.name);
+        composition.setActivePart(voiceIndex);
+
+        const measures = buildMeasures(voice.measures, composition);
+        if (measures.length > 0) {
+            composition.measures = measures;
+            composition.currentMeasure = measures.length - 1;
+            if (composition.isMeasureFull(composition.currentMeasure)) {
+                composition.startNewMeasure();
+            }
+        }
+    });
+    composition.setActivePart(0);
+
+    return composition;
+};
+
+/**
+ * Parse the first tune in an ABC string into a MusicComposition
+ * Supports notes, rests, octave marks, accidentals (with key signature and
+ * bar-scoped carry), ties, broken rhythms, tuplets, and the M/L/Q/K fields
+ * (an M: in the body changes meter from the bar it starts). Voices (V:) become parts.
+ * Chords are reduced to their first note.
+ * @param {string} text
+ * @returns {MusicComposition}
+ */
+export const parseABC = (text) => {
+    const tune = {
+        timeSignature: { beats: 4, noteValue: 4 },
+        unitLength: null,
+        tempo: 120,
+        keyAlterations: {},
+        tonic: 'C',
+        mode: MODES.MAJOR,
+        voices: [{ id: null, name: null, measures: [[]] }],
+        meterChanges: {} // Measure index -> meter, for M: fields in the body
+    };
+    tune.measures = tune.voices[0].measures; // Measures of the voice being read
+
+    let inBody = false;
+    let barAlterations = {};
+    let tuplet = null;
+    let brokenFactor = null;
+    let lastEvent = null;
+
+    const unitBeats = () => (tune.unitLength ?? 1 / 8) * 4;
+
+    // Meter of the bar being read
+    const currentMeter = () => {
+        const changes = Object.keys(tune.meterChanges).map(Number);
+        return changes.length > 0 ? tune.meterChanges[Math.max(...changes)] : tune.timeSignature;
+    };
+
+    const applyField = (field, value) => {
+        switch (field) {
+            case 'M': {
+                const meter = parseMeter(value);
+                if (meter && inBody) {
+                    // A change mid-bar starts with the next bar
+                    const current = tune.measures.length - 1;
+                    tune.meterChanges[tune.measures[current].length > 0 ? current + 1 : current] = meter;
+                } else if (meter) {
+                    tune.timeSignature = meter;
+                    // ABC defaults L: from the meter when the tune does not set it
+                    if (tune.unitLength === null) {
+                        tune.unitLength = meter.beats / meter.noteValue < 0.75 ? 1 / 16 : 1 / 8;
+                    }
+                }
+                break;
+            }
+            case 'L': {
+                const unit = parseFraction(value);
+                if (unit) tune.unitLength = unit;
+                break;
+            }
+            case 'Q': {
+                const tempo = parseTempo(value, tune.unitLength ?? 1 / 8);
+                if (tempo) tune.tempo = tempo;
+                break;
+            }
+            case 'V': {
+                const id = value.trim().split(/\s+/)[0] || '1';
+                const nameMatch = /(?:name|nm)\s*=\s*"([^"]*)"/.exec(value);
+                let voice = tune.voices.find(candidate => candidate.id === id);
+                if (!voice && tune.voices[0].id === null) {
+                    // Music before the first V: belongs to that voice
+                    voice = tune.voices[0];
+                    voice.id = id;
+                } else if (!voice) {
+                    voice = { id, name: null, measures: [[]] };
+                    tune.voices.push(voice);
+                }
+                if (nameMatch) voice.name = nameMatch[1];
+
+                tune.measures = voice.measures;
+                barAlterations = {};
+                tuplet = null;
+                brokenFactor = null;
+                lastEvent = null;
+                break;
+            }
+            case 'K': {
+                // Do sits on the major key sharing this signature; minor tunes are read as la-based
+                const key = parseKey(value);
+                const keySignature = getKeySignature(getTonicForFifths(key.fifths));
+                tune.keyAlterations = keySignature.alterations;
+                if (!inBody) {
+                    tune.tonic = keySignature.tonic;
+                    tune.mode = ['m', 'min', 'aeo'].includes(key.mode) ? MODES.LA_MINOR : MODES.MAJOR;
+                    // Voices declared in the header; the body starts with the first
+                    tune.measures = tune.voices[0].measures;
+                }
+                inBody = true;
+                break;
+            }
+            default:
+                break;
+        }
+    };
+
+    const addEvent = (event, multiplier) => {
+        let factor = multiplier;
+        if (brokenFactor !== null) {
+            factor *= brokenFactor;
+            brokenFactor = null;
+        }
+        if (tuplet) {
+            factor *= tuplet.factor;
+            event.tuplet = true;
+            tuplet.remaining--;
+            if (tuplet.remaining <= 0) tuplet = null;
+        }
+
+        event.beats = factor * unitBeats();
+        tune.measures[tune.measures.length - 1].push(event);
+        lastEvent = event;
+    };
+
+    const resolvePitch = (parsed) => {
+        const pitchKey = `${parsed.step}${parsed.octave}`;
+        if (parsed.explicitAlter !== null) {
+            barAlterations[pitchKey] = parsed.explicitAlter;
+        }
+        const alter = barAlterations[pitchKey] ?? tune.keyAlterations[parsed.step] ?? 0;
+        return { step: parsed.step, alter, octave: parsed.octave };
+    };
+
+    const endBar = () => {
+        if (tune.measures[tune.measures.length - 1].length > 0) {
+            tune.measures.push([]);
+        }
+        barAlterations = {};
+    };
+
+    const parseBodyLine = (line) => {
+        let i = 0;
+        while (i < line.length) {
+            const char = line[i];
+
+            if (/\s/.test(char) || char === '\\' || char === '`' || char === 'y') {
+                i++;
+            } else if (char === '"') {
+                i = skipPast(line, i, '"');
+            } else if (char === '!' || char === '+') {
+                i = skipPast(line, i, char);
+            } else if (char === '{') {
+                i = skipPast(line, i, '}');
+            } else if (char === '[' && /^\[[A-Za-z]:/.test(line.slice(i))) {
+                const end = skipPast(line, i, ']');
+                const inline = line.slice(i + 1, end - 1);
+                applyField(inline[0], inline.slice(2));
+                i = end;
+            } else if (char === '[' && /^\[\d/.test(line.slice(i))) {
+                i += /^\[\d+/.exec(line.slice(i))[0].length; // Variant ending
+            } else if (char === '[' && line[i + 1] !== '|') {
+                // Chord: keep the first note, length taken from inside or after the bracket
+                const end = skipPast(line, i, ']');
+                const inner = line.slice(i + 1, end - 1);
+                const noteStart = inner.search(/[\^_=]*[A-Ga-g]/);
+                const parsed = noteStart === -1 ? null : parseNoteAt(inner, noteStart);
+                const after = parseLengthMultiplier(line, end);
+                if (parsed) {
+                    const innerLength = parseLengthMultiplier(inner, noteStart + parsed.length);
+                    addEvent({ type: 'note', pitch: resolvePitch(parsed) }, innerLength.multiplier * after.multiplier);
+                }
+                i = end + after.length;
+            } else if (char === '|' || char === ':' || char === '[' || char === ']') {
+                const bar = /^[|:[\]]+\d*/.exec(line.slice(i))[0];
+                endBar();
+                i += bar.length;
+            } else if (char === '(') {
+                const tupletMatch = /^\((\d)(?::(\d)?)?(?::(\d))?/.exec(line.slice(i));
+                if (tupletMatch) {
+                    const p = Number(tupletMatch[1]);
+                    const q = tupletMatch[2] ? Number(tupletMatch[2]) : ({ 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 }[p] || 2);
+                    const r = tupletMatch[3] ? Number(tupletMatch[3]) : p;
+                    tuplet = { factor: q / p, remaining: r };
+                    i += tupletMatch[0].length;
+                } else {
+                    i++; // Slur start
+                }
+            } else if (char === '>' || char === '<') {
+                const count = /^[<>]+/.exec(line.slice(i))[0].length;
+                const shortFactor = Math.pow(0.5, count);
+                const longFactor = 2 - shortFactor;
+                if (lastEvent) {
+                    lastEvent.beats *= char === '>' ? longFactor : shortFactor;
+                }
+                brokenFactor = char === '>' ? shortFactor : longFactor;
+                i += count;
+            } else if (char === 'z' || char === 'x') {
+                const length = parseLengthMultiplier(line, i + 1);
+                addEvent({ type: 'rest' }, length.multiplier);
+                i += 1 + length.length;
+            } else if (char === 'Z' || char === 'X') {
+                const count = /^\d*/.exec(line.slice(i + 1))[0];
+                const barBeats = getBarBeats(currentMeter());
+                for (let bar = 0; bar < (count ? Number(count) : 1); bar++) {
+                    if (bar > 0) endBar();
+                    tune.measures[tune.measures.length - 1].push({ type: 'rest', beats: barBeats });
+                }
+                i += 1 + count.length;
+            } else if (/[\^_=]/.test(char) || NOTE_LETTERS.includes(char)) {
+                const parsed = parseNoteAt(line, i);
+                if (!parsed) {
+                    i++;
+                    continue;
+                }
+                const length = parseLengthMultiplier(line, i + parsed.length);
+                addEvent({ type: 'note', pitch: resolvePitch(parsed) }, length.multiplier);
+                i += parsed.length + length.length;
+            } else if (char === '-') {
+                if (lastEvent && lastEvent.type === 'note') lastEvent.tied = true;
+                i++;
+            } else {
+                i++; // Slur ends, decorations and anything else without pitch or length
+            }
+        }
+    };
+
+    const lines = String(text).split(/\r?\n/);
+    let started = false;
+
+    for (const rawLine of lines) {
+        const line = rawLine.replace(/(^|[^\\])%.*$/, '$1');
+        const fieldMatch = /^([A-Za-z]):(.*)$/.exec(line);
+
+        if (fieldMatch && fieldMatch[1] === 'X') {
+            if (started) break; // Only the first tune
+            started = true;
+            continue;
+        }
+
+        if (line.trim() === '') {
+            if (inBody) break; // A blank line ends the tune
+            continue;
+        }
+
+        // Inside the tune body a note letter followed by ':' is music, not a field
+        if (fieldMatch && !(inBody && NOTE_LETTERS.includes(fieldMatch[1]))) {
+            applyField(fieldMatch[1], fieldMatch[2]);
+            continue;
+        }
+
+        if (inBody) {
+            parseBodyLine(line);
+        }
+    }
+
+    return buildComposition(tune);
+};
+
+export const ABC_MIME_TYPE = 'text/vnd.abc';
@@ -0,0 +1,205 @@
+/**
+ * Tests for ABC notation serializing and parsing
+ */
+
+import { MusicComposition, NOTE_DURATIONS, REST_DURATIONS, TRIPLET_DURATIONS } from './musicNotation.js';
+import { exportABC, parseABC } from './abcNotation.js';
+import { MODES } from './keySignatures.js';
+
+const describeItems = (composition) => composition.getAllNotes().map(item =>
+  item.type === 'rest' ? `z:${item.duration.beats}` : `${item.note}${item.octave}:${item.duration.beats}`
+);
+
+describe('exportABC', () => {
+  test('writes header fields for meter, unit length, tempo and key', () => {
+    const composition = new MusicComposition();
+    composition.tempo = 96;
+    composition.addNote('do');
+
+    const abc = exportABC(composition, { title: 'Lesson Tune' });
+
+    expect(abc).toContain('X:1');
+    expect(abc).toContain('T:Lesson Tune');
+    expect(abc).toContain('M:4/4');
+    expect(abc).toContain('L:1/8');
+    expect(abc).toContain('Q:1/4=96');
+    expect(abc).toContain('K:C');
+  });
+
+  test('writes octave marks, lengths, rests and bar lines', () => {
+    const composition = new MusicComposition();
+    composition.addNote('do', 4, NOTE_DURATIONS.QUARTER);
+    composition.addNote('re', 5, NOTE_DURATIONS.EIGHTH);
+    composition.addNote('mi', 6, NOTE_DURATIONS.EIGHTH);
+    composition.addNote('sol', 3, NOTE_DURATIONS.QUARTER);
+    composition.addRest(REST_DURATIONS.QUARTER_REST);
+    composition.addNote('la', 2, NOTE_DURATIONS.WHOLE);
+
+    const body = exportABC(composition).split('\n').slice(6).join('\n');
+
+    expect(body.trim()).toBe("C2 d e' G,2 z2 | A,,8 |]");
+  });
+
+  test('writes the key of do and spells syllables in that key', () => {
+    const composition = new MusicComposition();
+    composition.setKey('Eb');
+    ['do', 'mi', 'sol', 'fi'].forEach(note => composition.addNote(note));
+
+    const abc = exportABC(composition);
+
+    expect(abc).toContain('K:Eb');
+    expect(abc.trim().split('\n').pop()).toBe('E2 G2 B2 =A2 |]');
+  });
+
+  test('names minor keys after their home note', () => {
+    const composition = new MusicComposition();
+    composition.setMode(MODES.DO_MINOR);
+    composition.setKey('A');
+    ['do', 'me', 'le', 'mi'].forEach(note => composition.addNote(note));
+
+    const abc = exportABC(composition);
+
+    expect(abc).toContain('K:Am');
+    expect(abc.trim().split('\n').pop()).toBe('A2 c2 f2 ^c2 |]');
+  });
+
+  test('writes accidentals once per bar', () => {
+    const composition = new MusicComposition();
+    ['fi', 'fi', 'fa', 'te'].forEach(note => composition.addNote(note));
+
+    const body = exportABC(composition).split('\n').slice(6).join('\n');
+
+    expect(body.trim()).toBe('^F2 F2 =F2 _B2 |]');
+  });
+
+  test('writes triplets at their nominal length with a tuplet prefix', () => {
+    const composition = new MusicComposition();
+    ['do', 're', 'mi'].forEach(note => composition.addNote(note, 4, TRIPLET_DURATIONS.TRIPLET_EIGHTH));
+    composition.addNote('fa', 4, TRIPLET_DURATIONS.TRIPLET_QUARTER);
+    composition.addNote('sol', 4, TRIPLET_DURATIONS.TRIPLET_EIGHTH);
+    composition.addNote('la', 4, NOTE_DURATIONS.HALF);
+
+    const body = exportABC(composition).split('\n').slice(6).join('\n');
+
+    expect(body.trim()).toBe('(3C D E (3:2:2F2 G A4 |]');
+  });
+
+  test('writes dotted notes, sixteenths and ties across the barline', () => {
+    const composition = new MusicComposition();
+    composition.addNote('do', 4, NOTE_DURATIONS.DOTTED_QUARTER);
+    composition.addNote('re', 4, NOTE_DURATIONS.SIXTEENTH);
+    composition.addNote('re', 4, NOTE_DURATIONS.SIXTEENTH);
+    composition.addNote('mi', 4, NOTE_DURATIONS.WHOLE);
+
+    const body = exportABC(composition).split('\n').slice(6).join('\n');
+
+    expect(exportABC(composition)).toContain('L:1/16');
+    expect(body.trim()).toBe('C6 D D E8- | E8 |]');
+  });
+});
+
+describe('parseABC', () => {
+  test('reads header fields', () => {
+    const composition = parseABC('X:1\nT:Test\nM:3/4\nL:1/4\nQ:1/4=90\nK:C\nC D E |\n');
+
+    expect(composition.timeSignature).toEqual({ beats: 3, noteValue: 4 });
+    expect(composition.tempo).toBe(90);
+    expect(describeItems(composition)).toEqual(['do4:1', 're4:1', 'mi4:1']);
+  });
+
+  test('reads octave marks, lengths and rests into measures', () => {
+    const composition = parseABC("X:1\nM:4/4\nL:1/8\nK:C\nC2 d e' G,2 z2 | A,,8 |]\n");
+
+    expect(describeItems(composition)).toEqual(['do4:1', 're5:0.5', "mi6:0.5", 'sol3:1', 'z:1', 'la2:4']);
+    expect(composition.measures.filter(measure => measure.length > 0)).toHaveLength(2);
+  });
+
+  test('applies key signatures and carries accidentals to the end of the bar', () => {
+    const composition = parseABC('X:1\nL:1/4\nK:G\nF ^c c =F | c F |\n');
+
+    // Do moves to G, so F sharp is ti below do and C is fa
+    expect(composition.key).toBe('G');
+    expect(describeItems(composition)).toEqual(['ti3:1', 'fi4:1', 'fi4:1', 'te3:1', 'fa4:1', 'ti3:1']);
+  });
+
+  test('places do on the relative major for minor keys', () => {
+    const composition = parseABC('X:1\nL:1/4\nK:Em\nE F G B |\n');
+
+    expect(composition.key).toBe('G');
+    expect(composition.mode).toBe(MODES.LA_MINOR);
+    expect(describeItems(composition)).toEqual(['la3:1', 'ti3:1', 'do4:1', 'mi4:1']);
+  });
+
+  test('reads broken rhythms and legacy Q: tempo in unit lengths', () => {
+    const composition = parseABC('X:1\nL:1/4\nQ:60\nK:C\nC>D E<F |\n');
+
+    expect(composition.tempo).toBe(60);
+    expect(describeItems(composition)).toEqual(['do4:1.5', 're4:0.5', 'mi4:0.5', 'fa4:1.5']);
+  });
+
+  test('ignores chord symbols, decorations and comments', () => {
+    const composition = parseABC('X:1\nL:1/4\nK:C % key of C\n"C" !trill! C "G7" .D ~E [CEG] |\n');
+
+    expect(describeItems(composition)).toEqual(['do4:1', 're4:1', 'mi4:1', 'do4:1']);
+  });
+
+  test('reads ties and writes lengths without a single value as tied notes', () => {
+    const composition = parseABC('X:1\nL:1/4\nK:C\nC3/4 D5/2- | D E2 z |\n');
+    const items = composition.getAllNotes();
+
+    expect(describeItems(composition)).toEqual(['do4:0.75', 're4:2', 're4:0.5', 're4:1', 'mi4:2', 'z:1']);
+    expect(items.map(item => Boolean(item.tied))).toEqual([false, true, true, false, false, false]);
+    expect(composition.getPlaybackSequence()[1].duration).toBe(1750);
+  });
+
+  test('reads and writes meter changes between bars', () => {
+    const composition = parseABC('X:1\nM:2/4\nL:1/8\nK:C\nC2 D2 | [M:6/8] E3 F3 |\nM:3/4\nG6 |]\n');
+
+    expect(composition.getTimeSignatureChanges()).toEqual([
+      { measureIndex: 1, timeSignature: { beats: 6, noteValue: 8 } },
+      { measureIndex: 2, timeSignature: { beats: 3, noteValue: 4 } }
+    ]);
+    expect(composition.measures.filter(measure => measure.length > 0)).toHaveLength(3);
+
+    const abc = exportABC(composition);
+    expect(abc).toContain('M:2/4');
+    expect(abc).toContain('C2 D2 | [M:6/8] E3 F3 | [M:3/4] G6 |]');
+  });
+
+  test('writes parts as named voices and reads voices back as parts', () => {
+    const composition = new MusicComposition();
+    ['do', 're', 'mi', 'fa'].forEach(note => composition.addNote(note));
+    composition.setActivePart(composition.addPart('Ostinato'));
+    composition.addNote('do', 4, NOTE_DURATIONS.HALF);
+
+    const abc = exportABC(composition);
+    expect(abc).toContain('V:1 name="Melody"\nC2 D2 E2 F2 |]');
+    expect(abc).toContain('V:2 name="Ostinato"\nC4 |]');
+
+    const parsed = parseABC(abc);
+    expect(parsed.parts.map(part => part.name)).toEqual(['Melody', 'Ostinato']);
+    expect(parsed.getPartNotes(1).map(item => `${item.type === 'rest' ? 'z' : item.note}:${item.duration.beats}`))
+      .toEqual(['do:2']);
+    expect(parsed.activePart).toBe(0);
+  });
+
+  test('reads voices declared in the header', () => {
+    const parsed = parseABC('X:1\nL:1/4\nV:S name="Soprano"\nV:A name="Alto"\nK:C\n[V:S] E F G2 |\n[V:A] C D E2 |\n');
+
+    expect(parsed.parts.map(part => part.name)).toEqual(['Soprano', 'Alto']);
+    expect(parsed.getPartNotes(1).map(item => item.note)).toEqual(['do', 're', 'mi']);
+  });
+
+  test('round-trips a composition', () => {
+    const composition = new MusicComposition();
+    composition.tempo = 100;
+    ['do', 're', 'mi', 'fa', 'sol', 'la', 'ti'].forEach(note => composition.addNote(note));
+    composition.addRest(REST_DURATIONS.QUARTER_REST);
+    composition.addNote('me', 5, NOTE_DURATIONS.HALF);
+
+    const parsed = parseABC(exportABC(composition));
+
+    expect(parsed.tempo).toBe(100);
+    expect(describeItems(parsed)).toEqual(describeItems(composition));
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Chord Symbols
+ * Chord types as scale degrees, enharmonically correct spelling from a root (the third of
+ * F# is A#, the fifth of Cb is Gb), inversions and slash basses, and a parser for
+ * chord-symbol strings such as "F#m7b5/A", "Bbmaj9" or "G13".
+ */
+
+import { STEPS, STEP_SEMITONES } from './keySignatures.js';
+
+// Semitones above the root of each unaltered degree (the major scale, then its compound degrees)
+const DEGREE_SEMITONES = { 1: 0, 2: 2, 3: 4, 4: 5, 5: 7, 6: 9, 7: 11, 9: 14, 11: 17, 13: 21 };
+
+/**
+ * Chord types: the degrees stacked on the root and the symbols that name them
+ * The first symbol is the one written out; the others are accepted when parsing.
+ */
+export const CHORD_TYPES = {
+    'major': { degrees: ['1', '3', '5'], symbols: ['', 'M', 'maj'] },
+    'minor': { degrees: ['1', 'b3', '5'], symbols: ['m', 'min', '-'] },
+    'diminished': { degrees: ['1', 'b3', 'b5'], symbols: ['dim', '°', 'o'] },
+    'augmented': { degrees: ['1', '3', '#5'], symbols: ['aug', '+'] },
+    'sus2': { degrees: ['1', '2', '5'], symbols: ['sus2'] },
+    'sus4': { degrees: ['1', '4', '5'], symbols: ['sus4', 'sus'] },
+    'major6': { degrees: ['1', '3', '5', '6'], symbols: ['6'] },
+    'minor6': { degrees: ['1', 'b3', '5', '6'], symbols: ['m6', 'min6', '-6'] },
+    'major7': { degrees: ['1', '3', '5', '7'], symbols: ['maj7', 'M7', 'Δ7', 'Δ'] },
+    'minor7': { degrees: ['1', 'b3', '5', 'b7'], symbols: ['m7', 'min7', '-7'] },
+    'dom7': { degrees: ['1', '3', '5', 'b7'], symbols: ['7'] },
+    'minorMajor7': { degrees: ['1', 'b3', '5', '7'], symbols: ['mMaj7', 'mM7', 'm(maj7)', '-Δ7'] },
+    'halfDiminished7': { degrees: ['1', 'b3', 'b5', 'b7'], symbols: ['m7b5', 'ø7', 'ø', '-7b5'] },
+    'diminished7': { degrees: ['1', 'b3', 'b5', 'bb7'], symbols: ['dim7', '°7', 'o7'] },
+    'augmented7': { degrees: ['1', '3', '#5', 'b7'], symbols: ['aug7', '+7', '7#5'] },
+    'dom7sus4': { degrees: ['1', '4', '5', 'b7'], symbols: ['7sus4', '7sus'] },
+    'add9': { degrees: ['1', '3', '5', '9'], symbols: ['add9', 'add2'] },
+    'dom9': { degrees: ['1', '3', '5', 'b7', '9'], symbols: ['9'] },
+    'major9': { degrees: ['1', '3', '5', '7', '9'], symbols: ['maj9', 'M9', 'Δ9'] },
+    'minor9': { degrees: ['1', 'b3', '5', 'b7', '9'], symbols: ['m9', 'min9', '-9'] },
+    'dom7b9': { degrees: ['1', '3', '5', 'b7', 'b9'], symbols: ['7b9'] },
+    'dom7sharp9': { degrees: ['1', '3', '5', 'b7', '#9'], symbols: ['7#9'] },
+    'dom11': { degrees: ['1', '3', '5', 'b7', '9', '11'], symbols: ['11'] },
+    'minor11': { degrees: ['1', 'b3', '5', 'b7', '9', '11'], symbols: ['m11', 'min11', '-11'] },
+    'major7sharp11': { degrees: ['1', '3', '5', '7', '9', '#11'], symbols: ['maj7#11', 'M7#11', 'Δ7#11'] },
+    'dom13': { degrees: ['1', '3', '5', 'b7', '9', '13'], symbols: ['13'] }, // The 11th clashes with the 3rd
+    'minor13': { degrees: ['1', 'b3', '5', 'b7', '9', '11', '13'], symbols: ['m13', 'min13', '-13'] },
+    'major13': { degrees: ['1', '3', '5', '7', '9', '13'], symbols: ['maj13', 'M13', 'Δ13'] }
+};
+
+export const DEFAULT_CHORD_TYPE = 'major';
+
+// Written form of an alteration: 1 -> '#', -2 -> 'bb'
+const formatAlter = (alter) => (alter > 0 ? '#'.repeat(alter) : 'b'.repeat(-alter));
+
+/**
+ * Split a note name such as 'F#', 'Bb', 'Cbb' or 'E♯' into step and alteration
+ * @returns {{step, alter}|null}
+ */
+export const parseNoteName = (name) => {
+    const match = /^([A-Ga-g])(#{1,2}|x|b{1,2}|♯|♭|𝄪|𝄫)?$/.exec(String(name).trim());
+    if (!match) return null;
+    const sign = match[2] || '';
+    const alter = { '#': 1, '##': 2, 'x': 2, '♯': 1, '𝄪': 2, 'b': -1, 'bb': -2, '♭': -1, '𝄫': -2 }[sign] || 0;
+    return { step: match[1].toUpperCase(), alter };
+};
+
+export const formatNoteName = ({ step, alter = 0 }) => `${step}${formatAlter(alter)}`;
+
+// MIDI number of a spelled note; the octave follows the letter, so Cb4 sounds as B3
+export const noteNameToMidi = (name, octave = 4) => {
+    const pitch = parseNoteName(name);
+    if (!pitch) return null;
+    return (octave + 1) * 12 + STEP_SEMITONES[pitch.step] + pitch.alter;
+};
+
+/**
+ * Spell one degree above a root
+ * @param {string} root - note name, e.g. 'Eb'
+ * @param {string} degree - e.g. '3', 'b7', '#11'
+ * @returns {{note, step, alter, semitones, octaves}} octaves: how many octaves above the root's octave it is written
+ */
+export const spellDegree = (root, degree) => {
+    const rootPitch = parseNoteName(root);
+    const match = /^(b{1,2}|#{1,2})?(\d+)$/.exec(degree);
+    if (!rootPitch || !match || DEGREE_SEMITONES[match[2]] === undefined) return null;
+
+    const number = Number(match[2]);
+    const shift = match[1] ? (match[1][0] === '#' ? 1 : -1) * match[1].length : 0;
+    const stepIndex = STEPS.indexOf(rootPitch.step) + number - 1;
+    const step = STEPS[stepIndex % 7];
+    const octaves = Math.floor(stepIndex / 7);
+    const semitones = DEGREE_SEMITONES[number] + shift;
+    const alter = STEP_SEMITONES[rootPitch.step] + rootPitch.alter + semitones - (STEP_SEMITONES[step] + 12 * octaves);
+
+    return { note: formatNoteName({ step, alter }), step, alter, semitones, octaves };
+};
+
+/**
+ * Spell and voice a chord
+ * @param {string} root - note name of the root
+ * @param {string} type - key of CHORD_TYPES
+ * @param {number} octave - octave of the root
+ * @param {Object} options
+ * @param {number} options.inversion - how many of the lowest notes move up an octave (1 = first inversion)
+ * @param {string} options.bass - slash bass; a chord tone is inverted to the bottom, any other note is added below
+ * @returns {Array<{note, octave, degree, semitones}>|null} lowest first; semitones above the root as written
+ */
+export const spellChord = (root, type = DEFAULT_CHORD_TYPE, octave = 4, options = {}) => {
+    const chordType = CHORD_TYPES[type];
+    if (!chordType || !parseNoteName(root)) return null;
+
+    let notes = chordType.degrees.map(degree => {
+        const spelled = spellDegree(root, degree);
+        return { note: spelled.note, octave: octave + spelled.octaves, degree, semitones: spelled.semitones };
+    });
+
+    const raise = (note) => ({ ...note, octave: note.octave + 1, semitones: note.semitones + 12 });
+    const invert = (count) => {
+        for (let i = 0; i < count; i++) {
+            notes = [...notes.slice(1), raise(notes[0])];
+        }
+    };
+
+    const bass = options.bass ? parseNoteName(options.bass) : null;
+    if (bass) {
+        const bassName = formatNoteName(bass);
+        const bassIndex = notes.findIndex(note => note.note === bassName);
+        if (bassIndex >= 0) {
+            invert(bassIndex);
+        } else {
+            // Within the octave below the root
+            const rootMidi = noteNameToMidi(root, octave);
+            const semitones = -((rootMidi - STEP_SEMITONES[bass.step] - bass.alter + 120) % 12 || 12);
+            const bassOctave = (rootMidi + semitones - STEP_SEMITONES[bass.step] - bass.alter) / 12 - 1;
+            notes = [{ note: bassName, octave: bassOctave, degree: 'bass', semitones }, ...notes];
+        }
+    } else if (options.inversion > 0) {
+        invert(Math.min(options.inversion, notes.length - 1));
+    }
+
+    return notes;
+};
+
+// Chord type for every accepted symbol
+const SYMBOL_TYPES = new Map(Object.entries(CHORD_TYPES)
+    .flatMap(([type, { symbols }]) => symbols.map(symbol => [symbol, type])));
+
+/**
+ * Parse a chord symbol such as "C", "Ebm7", "F#m7b5/A", "G7/B" or "Bbmaj9"
+ * @returns {{root, type, bass, symbol}|null} null when the symbol is not understood
+ */
+export const parseChordSymbol = (text) => {
+    const match = /^\s*([A-G](?:#{1,2}|b{1,2}|♯|♭)?)(.*?)(?:\/([A-G](?:#{1,2}|b{1,2}|♯|♭)?))?\s*$/.exec(String(text));
+    if (!match) return null;
+
+    // Parenthesised alterations read the same without brackets: C7(b9) is C7b9
+    const type = SYMBOL_TYPES.get(match[2]) || SYMBOL_TYPES.get(match[2].replace(/[()]/g, ''));
+    if (!type) return null;
+
+    const root = formatNoteName(parseNoteName(match[1]));
+    const bass = match[3] ? formatNoteName(parseNoteName(match[3])) : null;
+    return { root, type, bass, symbol: formatChordSymbol(root, type, bass) };
+};
+
+// Written symbol for a chord, e.g. ('F#', 'halfDiminished7', 'A') -> 'F#m7b5/A'
+export const formatChordSymbol = (root, type = DEFAULT_CHORD_TYPE, bass = null) => {
+    const chordType = CHORD_TYPES[type] || CHORD_TYPES[DEFAULT_CHORD_TYPE];
+    return `${root}${chordType.symbols[0]}${bass ? `/${bass}` : ''}`;
+};
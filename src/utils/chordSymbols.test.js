@@ -0,0 +1,107 @@
+/**
+ * Tests for chord spelling, voicing and chord-symbol parsing
+ */
+
+import {
+  spellChord,
+  spellDegree,
+  parseChordSymbol,
+  formatChordSymbol,
+  parseNoteName,
+  noteNameToMidi
+} from './chordSymbols.js';
+import { Chord } from './enhancedAudioEngine.js';
+
+const names = (notes) => notes.map(({ note, octave }) => `${note}${octave}`);
+
+describe('spellChord', () => {
+  test('spells every degree from its own letter', () => {
+    expect(names(spellChord('F#', 'major'))).toEqual(['F#4', 'A#4', 'C#5']);
+    expect(names(spellChord('Db', 'minor'))).toEqual(['Db4', 'Fb4', 'Ab4']);
+    expect(names(spellChord('C', 'diminished7'))).toEqual(['C4', 'Eb4', 'Gb4', 'Bbb4']);
+    expect(names(spellChord('G#', 'augmented'))).toEqual(['G#4', 'B#4', 'D##5']);
+  });
+
+  test('stacks ninths, elevenths and thirteenths above the octave', () => {
+    expect(names(spellChord('D', 'dom9'))).toEqual(['D4', 'F#4', 'A4', 'C5', 'E5']);
+    expect(names(spellChord('A', 'minor11', 3))).toEqual(['A3', 'C4', 'E4', 'G4', 'B4', 'D5']);
+    expect(names(spellChord('Bb', 'dom13'))).toEqual(['Bb4', 'D5', 'F5', 'Ab5', 'C6', 'G6']);
+    expect(spellChord('Bb', 'dom13').map(note => note.semitones)).toEqual([0, 4, 7, 10, 14, 21]);
+  });
+
+  test('inverts and puts slash basses at the bottom', () => {
+    expect(names(spellChord('C', 'major', 4, { inversion: 1 }))).toEqual(['E4', 'G4', 'C5']);
+    expect(names(spellChord('C', 'major', 4, { inversion: 2 }))).toEqual(['G4', 'C5', 'E5']);
+    expect(names(spellChord('G', 'dom7', 3, { bass: 'F' }))).toEqual(['F4', 'G4', 'B4', 'D5']);
+
+    // A bass outside the chord sounds in the octave below the root
+    const slash = spellChord('C', 'major', 4, { bass: 'Bb' });
+    expect(names(slash)).toEqual(['Bb3', 'C4', 'E4', 'G4']);
+    expect(slash[0]).toMatchObject({ degree: 'bass', semitones: -2 });
+  });
+
+  test('rejects unknown roots and types', () => {
+    expect(spellChord('H', 'major')).toBeNull();
+    expect(spellChord('C', 'mystery')).toBeNull();
+    expect(spellDegree('C', '8')).toBeNull();
+  });
+});
+
+describe('parseChordSymbol', () => {
+  test('reads root, quality and slash bass', () => {
+    expect(parseChordSymbol('F#m7b5/A')).toEqual({ root: 'F#', type: 'halfDiminished7', bass: 'A', symbol: 'F#m7b5/A' });
+    expect(parseChordSymbol('Bbmaj9')).toMatchObject({ root: 'Bb', type: 'major9', bass: null });
+    expect(parseChordSymbol('G13')).toMatchObject({ type: 'dom13' });
+    expect(parseChordSymbol('Eb')).toMatchObject({ root: 'Eb', type: 'major' });
+  });
+
+  test('accepts common alternative spellings', () => {
+    expect(parseChordSymbol('C-7').type).toBe('minor7');
+    expect(parseChordSymbol('CΔ7').symbol).toBe('Cmaj7');
+    expect(parseChordSymbol('Bø').symbol).toBe('Bm7b5');
+    expect(parseChordSymbol('A7(b9)').type).toBe('dom7b9');
+    expect(parseChordSymbol('D♭m(maj7)')).toMatchObject({ root: 'Db', type: 'minorMajor7' });
+  });
+
+  test('returns null for anything else', () => {
+    expect(parseChordSymbol('')).toBeNull();
+    expect(parseChordSymbol('Hm7')).toBeNull();
+    expect(parseChordSymbol('Cmaj8')).toBeNull();
+  });
+
+  test('writes symbols back out', () => {
+    expect(formatChordSymbol('Ab', 'minor9')).toBe('Abm9');
+    expect(formatChordSymbol('C', 'major', 'E')).toBe('C/E');
+  });
+});
+
+describe('note names', () => {
+  test('parse accidentals and keep the octave with the letter', () => {
+    expect(parseNoteName('E♯')).toEqual({ step: 'E', alter: 1 });
+    expect(parseNoteName('Cbb')).toEqual({ step: 'C', alter: -2 });
+    expect(noteNameToMidi('A', 4)).toBe(69);
+    expect(noteNameToMidi('Cb', 4)).toBe(59);
+    expect(noteNameToMidi('B#', 3)).toBe(60);
+  });
+});
+
+describe('Chord', () => {
+  test('names its notes and gives their frequencies', () => {
+    const chord = new Chord('A', 'major');
+
+    expect(chord.notes.map(note => note.note)).toEqual(['A', 'C#', 'E']);
+    expect(chord.notes.map(note => note.octave)).toEqual([4, 5, 5]);
+    expect(chord.notes[0].frequency).toBeCloseTo(440);
+    expect(chord.notes[2].frequency).toBeCloseTo(659.26, 1);
+    expect(chord.getNoteName(4)).toBe('C#');
+    expect(chord.getChordIntervals()).toEqual([0, 4, 7]);
+  });
+
+  test('builds from a chord symbol', () => {
+    const chord = Chord.fromSymbol('F#m7b5/A', 3);
+
+    expect(chord.notes.map(note => note.note)).toEqual(['A', 'C', 'E', 'F#']);
+    expect(chord.getSymbol()).toBe('F#m7b5/A');
+    expect(Chord.fromSymbol('not a chord')).toBeNull();
+  });
+});
@@ -1,3 +1,6 @@
+import { DEFAULT_COUNT_IN_BARS } from './metronome.js';
+import { quantizePerformance } from './rhythmQuantizer.js';
+
 // Composition recording and playback manager
 export class CompositionManager {
     constructor() {
@@ -7,13 +10,35 @@ export class CompositionManager {
         this.currentOctave = 4; // Default octave
         this.tempo = 120; // BPM
         this.playbackIndex = 0;
-        this.playbackInterval = null;
+        this.transport = null;
+        this.metronome = null; // Metronome while it is switched on
+        this.countInBars = DEFAULT_COUNT_IN_BARS;
+        this.recordingStart = null; // Audio time of the first counted downbeat when recording to the metronome
+        this.timedToMetronome = false; // Whether the current take is timed from the metronome's downbeat
+        this.clockOffset = 0; // Milliseconds taken off Date.now() so a take carries on after the metronome stops
     }
 
     // Recording functions
     startRecording() {
         this.isRecording = true;
         this.composition = [];
+        this.recordingStart = null;
+        this.clockOffset = 0;
+        this.timedToMetronome = this.metronome !== null;
+
+        // Count in, then time notes from the first downbeat
+        if (this.metronome) {
+            const metronome = this.metronome;
+            metronome.start({ countIn: this.countInBars }).then(downbeat => {
+                if (this.isRecording && this.metronome === metronome && downbeat !== null) {
+                    this.recordingStart = downbeat;
+                }
+            }).catch(error => {
+                // Record in free time rather than waiting for a downbeat that never comes
+                console.warn('Failed to start metronome count-in:', error);
+                if (this.metronome === metronome) this.timedToMetronome = false;
+            });
+        }
         console.log('Recording started');
     }
 
@@ -33,6 +58,19 @@ export class CompositionManager {
 
     addNote(note, timestamp = Date.now()) {
         if (this.isRecording && note) {
+            let beat;
+            if (this.timedToMetronome) {
+                // Signs made during the count-in are not recorded
+                if (this.recordingStart === null || this.metronome.isCountingIn()) return;
+
+                // Milliseconds and beats since the first downbeat, on the audio clock
+                const elapsed = this.metronome.getCurrentTime() - this.recordingStart;
+                timestamp = elapsed * 1000;
+                beat = this.metronome.getBeatPosition();
+            } else {
+                timestamp -= this.clockOffset;
+            }
+
             const duration = this.composition.length > 0 ? 
                 timestamp - this.composition[this.composition.length - 1].timestamp : 0;
             
@@ -40,11 +78,37 @@ export class CompositionManager {
                 note,
                 octave: this.currentOctave,
                 timestamp,
-                duration
+                duration,
+                ...(beat !== undefined && { beat })
             });
         }
     }
 
+    // Metronome controls
+    // Switching on mid-take only adds the clicks; switching off carries the take's timeline on in free time
+    toggleMetronome(audioPlayer) {
+        if (this.metronome) {
+            if (this.isRecording && this.timedToMetronome) {
+                if (this.recordingStart !== null) {
+                    const elapsed = (this.metronome.getCurrentTime() - this.recordingStart) * 1000;
+                    this.clockOffset = Date.now() - elapsed;
+                }
+                this.timedToMetronome = false;
+            }
+            this.metronome.stop();
+            this.metronome = null;
+        } else {
+            this.metronome = audioPlayer.metronome;
+            this.metronome.setTempo(this.tempo);
+            this.metronome.start().catch(error => console.warn('Failed to start metronome:', error));
+        }
+        return this.metronome !== null;
+    }
+
+    setCountInBars(bars) {
+        this.countInBars = Math.max(0, bars);
+    }
+
     // Octave controls
     octaveUp() {
         this.currentOctave = Math.min(this.currentOctave + 1, 7);
@@ -58,46 +122,78 @@ export class CompositionManager {
         return this.currentOctave;
     }
 
-    // Playback functions
-    startPlayback(audioPlayer) {
+    // Playback sequence in milliseconds; each note is held for the gap recorded with it (500 ms when none)
+    getPlaybackSequence() {
+        let startTime = 0;
+        return this.composition.map(note => {
+            const duration = note.duration > 0 ? note.duration : 500;
+            const item = { note: note.note, octave: note.octave, startTime, duration };
+            startTime += duration;
+            return item;
+        });
+    }
+
+    /**
+     * Quantize the recorded signs into notated measures
+     * @param {Object} options - quantizePerformance options, e.g. { grid }
+     * @returns {MusicComposition}
+     */
+    quantize(options = {}) {
+        // Notes recorded to the metronome are already timed from the first downbeat
+        const timedToMetronome = this.composition.some(note => note.beat !== undefined);
+        return quantizePerformance(this.composition, {
+            tempo: this.tempo,
+            timeSignature: this.metronome ? this.metronome.timeSignature : undefined,
+            origin: timedToMetronome ? 0 : undefined,
+            ...options
+        });
+    }
+
+    // Playback functions; onEnd is called once playback finishes or fails to start
+    startPlayback(audioPlayer, onEnd = null) {
         if (this.composition.length === 0) return;
         
         this.isPlaying = true;
         this.playbackIndex = 0;
-        
-        const playNext = () => {
-            if (this.playbackIndex >= this.composition.length || !this.isPlaying) {
+
+        const sequence = this.getPlaybackSequence();
+        audioPlayer.playTimedSequence(sequence, {
+            gate: 0.9,
+            onPosition: (position) => {
+                this.playbackIndex = sequence.filter(item => item.startTime <= position * 1000).length;
+            },
+            onEnd: () => {
                 this.stopPlayback();
+                onEnd?.();
+            }
+        }).then(transport => {
+            // Stopped while the audio context was starting up
+            if (!this.isPlaying) {
+                transport.stop();
                 return;
             }
-
-            const note = this.composition[this.playbackIndex];
-            audioPlayer.playNoteInOctave(note.note, note.octave);
-            
-            this.playbackIndex++;
-            
-            // Schedule next note based on duration or default timing
-            const nextDelay = note.duration > 0 ? note.duration : 500;
-            this.playbackInterval = setTimeout(playNext, nextDelay);
-        };
-
-        playNext();
+            this.transport = transport;
+        }).catch(error => {
+            console.error('Failed to start playback:', error);
+            this.stopPlayback();
+            onEnd?.();
+        });
     }
 
     stopPlayback() {
         this.isPlaying = false;
-        if (this.playbackInterval) {
-            clearTimeout(this.playbackInterval);
-            this.playbackInterval = null;
+        if (this.transport) {
+            this.transport.stop();
+            this.transport = null;
         }
         console.log('Playback stopped');
     }
 
-    togglePlayback(audioPlayer) {
+    togglePlayback(audioPlayer, onEnd = null) {
         if (this.isPlaying) {
             this.stopPlayback();
         } else {
-            this.startPlayback(audioPlayer);
+            this.startPlayback(audioPlayer, onEnd);
         }
         return this.isPlaying;
     }
@@ -105,6 +201,7 @@ export class CompositionManager {
     // Utility functions
     clearComposition() {
         this.composition = [];
+        this.recordingStart = null;
         this.stopPlayback();
         this.stopRecording();
         console.log('Composition cleared');
@@ -120,7 +217,11 @@ export class CompositionManager {
             isPlaying: this.isPlaying,
             currentOctave: this.currentOctave,
             tempo: this.tempo,
-            noteCount: this.composition.length
+            noteCount: this.composition.length,
+            metronomeOn: this.metronome !== null,
+            countInBars: this.countInBars,
+            isCountingIn: this.isRecording && this.timedToMetronome &&
+                (this.recordingStart === null || this.metronome.isCountingIn())
         };
     }
 }
@@ -1,3 +1,5 @@
+import { LandmarkRecorder } from './landmarkRecording.js';
+
 // Dual MediaPipe manager to avoid conflicts between Hands and Face Mesh
 export class DualMediaPipeManager {
     constructor(onHandResults, onFaceResults) {
@@ -10,6 +12,7 @@ export class DualMediaPipeManager {
         this.currentFrame = null;
         this.processingHands = false;
         this.processingFace = false;
+        this.recorder = null;
     }
 
     async initialize(videoElement) {
@@ -33,6 +36,7 @@ export class DualMediaPipeManager {
 
             this.hands.onResults((results) => {
                 this.processingHands = false;
+                this.recorder?.recordHandResults(results);
                 this.onHandResults(results);
             });
 
@@ -50,6 +54,7 @@ export class DualMediaPipeManager {
 
             this.faceMesh.onResults((results) => {
                 this.processingFace = false;
+                this.recorder?.recordFaceResults(results);
                 this.onFaceResults(results);
             });
 
@@ -94,6 +99,18 @@ export class DualMediaPipeManager {
         }
     }
 
+    // Record landmark results for offline replay (see landmarkRecording.js)
+    startRecording() {
+        this.recorder = new LandmarkRecorder();
+        this.recorder.start();
+    }
+
+    stopRecording() {
+        const recording = this.recorder ? this.recorder.stop() : null;
+        this.recorder = null;
+        return recording;
+    }
+
     stop() {
         if (this.camera) {
             this.camera.stop();
@@ -1,10 +1,28 @@
 /**
  * Enhanced Audio Engine
  * Supports: Sharp/flat notes, multiple timbres, tempo/volume control, 
- * audio effects, smooth transitions, and chord support
+ * audio effects, smooth transitions, chord support, movable do, sampled instruments
+ * and sung solfege
  */
 
-// Note frequencies with full chromatic support including sharps and flats
+import { SOLFEGE_PITCHES, DEFAULT_TONIC, MODES, isValidTonic, transposeFromC, STEP_SEMITONES } from './keySignatures.js';
+import { Transport } from './transport.js';
+import { Metronome } from './metronome.js';
+import {
+    CHORD_TYPES,
+    DEFAULT_CHORD_TYPE,
+    spellChord,
+    spellDegree,
+    parseChordSymbol,
+    formatChordSymbol,
+    noteNameToMidi
+} from './chordSymbols.js';
+import { SampledOscillator, loadSampledInstrument } from './sampledInstruments.js';
+import { SungVoiceOscillator } from './sungVoice.js';
+import { getFrequency, parseScala, TUNING_SYSTEMS, DEFAULT_REFERENCE_PITCH, DEFAULT_TUNING } from './tuning.js';
+
+// Equal-tempered octave-4 frequencies at A4 = 440 Hz, kept for reference;
+// playback tunes every note through tuning.js instead
 const NOTE_FREQUENCIES = {
     // Natural notes (C4 octave)
     'C': 261.63,
@@ -22,7 +40,8 @@ const NOTE_FREQUENCIES = {
     'A#': 466.16, 'Bb': 466.16
 };
 
-// Solfege to note mapping with accidentals
+// Solfege to note mapping with accidentals when do = C
+// (playback transposes these to the engine's tonic)
 const SOLFEGE_TO_NOTE = {
     // Natural solfege
     'do': 'C',
@@ -41,9 +60,9 @@ const SOLFEGE_TO_NOTE = {
     // Flat solfege (lowered)
     'ra': 'Db',    // lowered re
     'me': 'Eb',    // lowered mi
-    'se': 'Ab',    // lowered sol
-    'le': 'Bb',    // lowered la
-    'te': 'Bb'     // lowered ti (alternative)
+    'se': 'Gb',    // lowered sol
+    'le': 'Ab',    // lowered la
+    'te': 'Bb'     // lowered ti
 };
 
 // Oscillator types for different timbres
@@ -56,7 +75,9 @@ const TIMBRES = {
     organ: 'organ',
     flute: 'flute',
     strings: 'strings',
-    piano: 'piano'
+    piano: 'piano',
+    // Sung solfege: each syllable's vowel and consonant (see sungVoice.js)
+    voice: 'voice'
 };
 
 // Audio effects types
@@ -70,14 +91,98 @@ const EFFECT_TYPES = {
     bandpass: 'bandpass'
 };
 
+// Parameters of each effect type, used for any that are not given
+const EFFECT_DEFAULTS = {
+    [EFFECT_TYPES.reverb]: { wetness: 0.3, duration: 2, seed: 1 },
+    [EFFECT_TYPES.delay]: { delayTime: 0.3, feedback: 0.4, wetness: 0.5, maxDelay: 1 },
+    [EFFECT_TYPES.chorus]: { rate: 0.5, depth: 0.01, wetness: 0.5 },
+    [EFFECT_TYPES.distortion]: { amount: 50 },
+    [EFFECT_TYPES.lowpass]: { frequency: 1000, Q: 1 },
+    [EFFECT_TYPES.highpass]: { frequency: 1000, Q: 1 },
+    [EFFECT_TYPES.bandpass]: { frequency: 1000, Q: 1 }
+};
+
+// Named effect chains, in signal order and in the { type, params } form a chain is saved in
+const EFFECT_PRESETS = {
+    dry: { name: 'Dry', effects: [] },
+    room: {
+        name: 'Small room',
+        effects: [{ type: EFFECT_TYPES.reverb, params: { duration: 0.8, wetness: 0.2 } }]
+    },
+    hall: {
+        name: 'Concert hall',
+        effects: [{ type: EFFECT_TYPES.reverb, params: { duration: 3, wetness: 0.35 } }]
+    },
+    cathedral: {
+        name: 'Cathedral',
+        effects: [{ type: EFFECT_TYPES.reverb, params: { duration: 6, wetness: 0.5 } }]
+    },
+    slapback: {
+        name: 'Slapback echo',
+        effects: [{ type: EFFECT_TYPES.delay, params: { delayTime: 0.12, feedback: 0.15, wetness: 0.3 } }]
+    },
+    echo: {
+        name: 'Echo',
+        effects: [
+            { type: EFFECT_TYPES.delay, params: { delayTime: 0.375, feedback: 0.45, wetness: 0.3 } },
+            { type: EFFECT_TYPES.reverb, params: { duration: 2, wetness: 0.25 } }
+        ]
+    },
+    ensemble: {
+        name: 'Ensemble',
+        effects: [
+            { type: EFFECT_TYPES.chorus, params: { rate: 0.8, depth: 0.004, wetness: 0.5 } },
+            { type: EFFECT_TYPES.reverb, params: { duration: 1.5, wetness: 0.2 } }
+        ]
+    },
+    warm: {
+        name: 'Warm',
+        effects: [
+            { type: EFFECT_TYPES.lowpass, params: { frequency: 1800, Q: 0.7 } },
+            { type: EFFECT_TYPES.reverb, params: { duration: 1.2, wetness: 0.2 } }
+        ]
+    },
+    radio: {
+        name: 'Old radio',
+        effects: [
+            { type: EFFECT_TYPES.highpass, params: { frequency: 400, Q: 0.7 } },
+            { type: EFFECT_TYPES.lowpass, params: { frequency: 3000, Q: 0.7 } },
+            { type: EFFECT_TYPES.distortion, params: { amount: 10 } }
+        ]
+    }
+};
+
+// Repeatable noise (-1 to 1), so a reverb and any offline render through it sound the same every time
+const createNoise = (seed = 1) => {
+    let state = (seed >>> 0) || 1;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 2147483648 - 1;
+    };
+};
+
+// Glide an AudioParam from where it is now to a new value; a jump would click
+const rampParam = (param, value, when, rampTime) => {
+    param.cancelScheduledValues(when);
+    if (rampTime > 0) {
+        param.setValueAtTime(param.value, when);
+        param.linearRampToValueAtTime(value, when + rampTime);
+    } else {
+        param.setValueAtTime(value, when);
+    }
+};
+
 class AudioEffect {
     constructor(context, type, params = {}) {
         this.context = context;
         this.type = type;
-        this.params = params;
+        this.params = { ...EFFECT_DEFAULTS[type], ...params };
         this.input = null;
         this.output = null;
         this.nodes = [];
+        // Param name -> function applying a new value, returning [AudioParam, target] pairs to glide
+        // (none when the value reshapes a buffer or curve instead)
+        this.controls = {};
         
         this.createEffect();
     }
@@ -104,27 +209,41 @@ class AudioEffect {
         }
     }
     
-    createReverb() {
-        const convolver = this.context.createConvolver();
-        const wetGain = this.context.createGain();
-        const dryGain = this.context.createGain();
-        const output = this.context.createGain();
-        
-        // Create impulse response for reverb
-        const impulseLength = this.context.sampleRate * (this.params.duration || 2);
+    // Dry and wet levels that always add up to one
+    getMixControl(wetGain, dryGain) {
+        wetGain.gain.value = this.params.wetness;
+        dryGain.gain.value = 1 - this.params.wetness;
+        return (value) => [[wetGain.gain, value], [dryGain.gain, 1 - value]];
+    }
+    
+    // Decaying noise as long as the reverb's duration
+    createImpulse() {
+        const impulseLength = Math.max(1, Math.round(this.context.sampleRate * this.params.duration));
         const impulse = this.context.createBuffer(2, impulseLength, this.context.sampleRate);
         
+        const noise = createNoise(this.params.seed);
         for (let channel = 0; channel < 2; channel++) {
             const channelData = impulse.getChannelData(channel);
             for (let i = 0; i < impulseLength; i++) {
-                channelData[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / impulseLength, 2);
+                channelData[i] = noise() * Math.pow(1 - i / impulseLength, 2);
             }
         }
+        return impulse;
+    }
+    
+    createReverb() {
+        const convolver = this.context.createConvolver();
+        const wetGain = this.context.createGain();
+        const dryGain = this.context.createGain();
+        const output = this.context.createGain();
         
-        convolver.buffer = impulse;
+        convolver.buffer = this.createImpulse();
         
-        wetGain.gain.value = this.params.wetness || 0.3;
-        dryGain.gain.value = 1 - (this.params.wetness || 0.3);
+        const reshape = () => {
+            convolver.buffer = this.createImpulse();
+            return [];
+        };
+        this.controls = { wetness: this.getMixControl(wetGain, dryGain), duration: reshape, seed: reshape };
         
         this.input = this.context.createGain();
         this.input.connect(dryGain);
@@ -139,16 +258,20 @@ class AudioEffect {
     }
     
     createDelay() {
-        const delay = this.context.createDelay(this.params.maxDelay || 1);
+        const delay = this.context.createDelay(this.params.maxDelay);
         const feedback = this.context.createGain();
         const wetGain = this.context.createGain();
         const dryGain = this.context.createGain();
         const output = this.context.createGain();
         
-        delay.delayTime.value = this.params.delayTime || 0.3;
-        feedback.gain.value = this.params.feedback || 0.4;
-        wetGain.gain.value = this.params.wetness || 0.5;
-        dryGain.gain.value = 1 - (this.params.wetness || 0.5);
+        delay.delayTime.value = this.params.delayTime;
+        feedback.gain.value = this.params.feedback;
+        this.controls = {
+            // The delay line cannot grow past the maximum it was made with
+            delayTime: (value) => [[delay.delayTime, Math.min(value, this.params.maxDelay)]],
+            feedback: (value) => [[feedback.gain, value]],
+            wetness: this.getMixControl(wetGain, dryGain)
+        };
         
         this.input = this.context.createGain();
         this.input.connect(dryGain);
@@ -172,11 +295,14 @@ class AudioEffect {
         const dryGain = this.context.createGain();
         const output = this.context.createGain();
         
-        lfo.frequency.value = this.params.rate || 0.5;
-        lfoGain.gain.value = this.params.depth || 0.01;
+        lfo.frequency.value = this.params.rate;
+        lfoGain.gain.value = this.params.depth;
         delayNode.delayTime.value = 0.01;
-        wetGain.gain.value = this.params.wetness || 0.5;
-        dryGain.gain.value = 1 - (this.params.wetness || 0.5);
+        this.controls = {
+            rate: (value) => [[lfo.frequency, value]],
+            depth: (value) => [[lfoGain.gain, value]],
+            wetness: this.getMixControl(wetGain, dryGain)
+        };
         
         lfo.connect(lfoGain);
         lfoGain.connect(delayNode.delayTime);
@@ -195,9 +321,8 @@ class AudioEffect {
         this.nodes = [delayNode, lfo, lfoGain, wetGain, dryGain, output, this.input];
     }
     
-    createDistortion() {
-        const waveshaper = this.context.createWaveShaper();
-        const amount = this.params.amount || 50;
+    createCurve() {
+        const amount = this.params.amount;
         const samples = 44100;
         const curve = new Float32Array(samples);
         
@@ -205,9 +330,19 @@ class AudioEffect {
             const x = (i * 2) / samples - 1;
             curve[i] = ((3 + amount) * x * 20 * Math.PI / 180) / (Math.PI + amount * Math.abs(x));
         }
-        
-        waveshaper.curve = curve;
+        return curve;
+    }
+    
+    createDistortion() {
+        const waveshaper = this.context.createWaveShaper();
+        waveshaper.curve = this.createCurve();
         waveshaper.oversample = '4x';
+        this.controls = {
+            amount: () => {
+                waveshaper.curve = this.createCurve();
+                return [];
+            }
+        };
         
         this.input = waveshaper;
         this.output = waveshaper;
@@ -217,14 +352,42 @@ class AudioEffect {
     createFilter() {
         const filter = this.context.createBiquadFilter();
         filter.type = this.type;
-        filter.frequency.value = this.params.frequency || 1000;
-        filter.Q.value = this.params.Q || 1;
+        filter.frequency.value = this.params.frequency;
+        filter.Q.value = this.params.Q;
+        this.controls = {
+            frequency: (value) => [[filter.frequency, value]],
+            Q: (value) => [[filter.Q, value]]
+        };
         
         this.input = filter;
         this.output = filter;
         this.nodes = [filter];
     }
     
+    /**
+     * Change parameters while the effect is running
+     * @param {Object} params - new values for any of this effect's params; others are ignored
+     * @param {number} rampTime - seconds to glide levels, times and frequencies to their new values;
+     *                            reverb duration and distortion amount change at once
+     * @returns {Object} all of the effect's params
+     */
+    setParams(params, rampTime = 0) {
+        const now = this.context.currentTime;
+        Object.entries(params).forEach(([name, value]) => {
+            if (!(name in this.params) || !Number.isFinite(value)) return;
+            
+            this.params[name] = value;
+            const targets = this.controls[name] ? this.controls[name](value) : [];
+            targets.forEach(([param, target]) => rampParam(param, target, now, rampTime));
+        });
+        return { ...this.params };
+    }
+    
+    // The effect as it is saved with a composition
+    toJSON() {
+        return { type: this.type, params: { ...this.params } };
+    }
+    
     connect(destination) {
         if (this.output) {
             this.output.connect(destination);
@@ -418,53 +581,65 @@ class EnhancedOscillator {
     }
 }
 
+/**
+ * A spelled, voiced chord: notes carry real names (the third of F# is A#) and octaves
+ * @param {string} rootNote - note name, e.g. 'Eb'
+ * @param {string} type - key of CHORD_TYPES (unknown types fall back to major)
+ * @param {number} octave - octave of the root
+ * @param {Object} options - { inversion, bass } as for spellChord, and the tuning for the
+ *                           note frequencies (see tuning.js; equal temperament by default)
+ */
 class Chord {
-    constructor(rootNote, type = 'major', octave = 4) {
+    constructor(rootNote, type = DEFAULT_CHORD_TYPE, octave = 4, options = {}) {
         this.rootNote = rootNote;
-        this.type = type;
+        this.type = CHORD_TYPES[type] ? type : DEFAULT_CHORD_TYPE;
         this.octave = octave;
+        this.inversion = options.inversion || 0;
+        this.bass = options.bass || null;
+        this.tuning = options.tuning || DEFAULT_TUNING;
         this.notes = this.calculateChordNotes();
     }
-    
+
+    // Chord from a symbol such as "F#m7b5/A"; null when the symbol is not understood
+    static fromSymbol(symbol, octave = 4, options = {}) {
+        const parsed = parseChordSymbol(symbol);
+        if (!parsed) return null;
+        return new Chord(parsed.root, parsed.type, octave, { ...options, bass: parsed.bass || options.bass });
+    }
+
     calculateChordNotes() {
-        const intervals = this.getChordIntervals();
-        const rootFreq = this.getNoteFrequency(this.rootNote, this.octave);
-        
-        return intervals.map(interval => ({
-            note: this.getNoteName(interval),
-            frequency: rootFreq * Math.pow(2, interval / 12),
-            interval
+        const voicing = spellChord(this.rootNote, this.type, this.octave, { inversion: this.inversion, bass: this.bass });
+        if (!voicing) return [];
+
+        return voicing.map(({ note, octave, degree, semitones }) => ({
+            note,
+            octave,
+            degree,
+            frequency: this.getNoteFrequency(note, octave),
+            interval: semitones // Semitones above the root
         }));
     }
-    
+
+    // Semitones above the root in root position
     getChordIntervals() {
-        const chordTypes = {
-            'major': [0, 4, 7],
-            'minor': [0, 3, 7],
-            'diminished': [0, 3, 6],
-            'augmented': [0, 4, 8],
-            'major7': [0, 4, 7, 11],
-            'minor7': [0, 3, 7, 10],
-            'dom7': [0, 4, 7, 10],
-            'sus2': [0, 2, 7],
-            'sus4': [0, 5, 7]
-        };
-        
-        return chordTypes[this.type] || chordTypes['major'];
+        return CHORD_TYPES[this.type].degrees.map(degree => spellDegree(this.rootNote, degree)?.semitones ?? null);
     }
-    
+
     getNoteFrequency(note, octave) {
-        const freq = NOTE_FREQUENCIES[note];
-        if (!freq) return null;
-        
-        const octaveMultiplier = Math.pow(2, octave - 4);
-        return freq * octaveMultiplier;
+        const midi = noteNameToMidi(note, octave);
+        if (midi === null) return null;
+        return getFrequency(midi, this.tuning);
     }
-    
+
+    // Spelled name of the note the given number of semitones above the root
     getNoteName(interval) {
-        // This is a simplified version - a full implementation would 
-        // properly calculate note names based on the interval
-        return this.rootNote;
+        const match = this.notes.find(chordNote => chordNote.interval === interval) ||
+            this.notes.find(chordNote => (chordNote.interval - interval) % 12 === 0);
+        return match ? match.note : null;
+    }
+
+    getSymbol() {
+        return formatChordSymbol(this.rootNote, this.type, this.bass);
     }
 }
 
@@ -474,13 +649,21 @@ export class EnhancedAudioEngine {
         this.masterGain = null;
         this.effectsChain = [];
         this.currentNotes = new Map(); // Map of note IDs to note data
+        this.noteCounter = 0;
+        this.metronome = new Metronome(this);
+        this.instruments = new Map(); // Sampled instruments by name, played like timbres
+        this.noiseBuffers = new WeakMap(); // Audio context -> noise for sung consonants
         this.settings = {
             masterVolume: 0.7,
             timbre: TIMBRES.sine,
             tempo: 120, // BPM
             transitionTime: 0.05, // seconds
-            noteLength: 0.5 // seconds (default note duration)
+            noteLength: 0.5, // seconds (default note duration)
+            tonic: DEFAULT_TONIC, // pitch of do
+            referencePitch: DEFAULT_REFERENCE_PITCH, // A4 in Hz
+            tuningSystem: TUNING_SYSTEMS.EQUAL
         };
+        this.scalaScale = null; // Parsed .scl file for the Scala tuning system
         this.initialized = false;
     }
     
@@ -513,20 +696,35 @@ export class EnhancedAudioEngine {
         return SOLFEGE_TO_NOTE[solfege.toLowerCase()] || solfege.toUpperCase();
     }
     
-    // Calculate frequency for any note with octave
-    getNoteFrequency(note, octave = 4) {
-        // Convert solfege if needed
-        const noteName = this.solfegeToNote(note);
-        const baseFreq = NOTE_FREQUENCIES[noteName];
+    // Calculate frequency for any note with octave, in the current tuning
+    // Solfege syllables follow the tonic (movable do); letter names are absolute.
+    // The tonic is also the do that just and Pythagorean tuning are relative to.
+    getNoteFrequency(note, octave = 4, tonic = this.settings.tonic) {
+        let midi;
+        const syllable = SOLFEGE_PITCHES[note.toLowerCase()];
+        if (syllable) {
+            const pitch = transposeFromC({ ...syllable, octave }, tonic);
+            midi = (pitch.octave + 1) * 12 + STEP_SEMITONES[pitch.step] + pitch.alter;
+        } else {
+            // Any spelled letter name (Bb, E#, Cbb); the octave follows the letter, so Cb4 sounds as B3
+            midi = noteNameToMidi(note, octave);
+        }
         
-        if (!baseFreq) {
+        if (midi === null) {
             console.warn(`Unknown note: ${note}`);
             return null;
         }
-        
-        // Calculate frequency for the given octave
-        const octaveMultiplier = Math.pow(2, octave - 4);
-        return baseFreq * octaveMultiplier;
+        return getFrequency(midi, this.getTuning(tonic));
+    }
+    
+    // Everything tuning.js needs to tune a note for the given do
+    getTuning(tonic = this.settings.tonic) {
+        return {
+            referencePitch: this.settings.referencePitch,
+            system: this.settings.tuningSystem,
+            tonic,
+            scale: this.scalaScale
+        };
     }
     
     // Add an audio effect to the chain
@@ -563,7 +761,43 @@ export class EnhancedAudioEngine {
         this.effectsChain = [];
         this.rewireEffectsChain();
     }
-    
+
+    // Glide a running effect's params to new values (see AudioEffect.setParams)
+    setEffectParams(effect, params, rampTime = this.settings.transitionTime) {
+        if (!this.effectsChain.includes(effect)) return null;
+        return effect.setParams(params, rampTime);
+    }
+
+    // The effect chain as JSON-ready { type, params } entries, in signal order
+    getEffectChain() {
+        return this.effectsChain.map(effect => effect.toJSON());
+    }
+
+    // Replace the effect chain with saved { type, params } entries; unknown types are skipped
+    async setEffectChain(chain = []) {
+        await this.initialize();
+        this.clearEffects();
+
+        chain.forEach(({ type, params }) => {
+            if (!Object.values(EFFECT_TYPES).includes(type)) {
+                console.warn(`Unknown effect: ${type}`);
+                return;
+            }
+            this.addEffect(type, params || {});
+        });
+        return this.effectsChain;
+    }
+
+    // Replace the effect chain with one of EFFECT_PRESETS
+    async applyEffectPreset(name) {
+        const preset = EFFECT_PRESETS[name];
+        if (!preset) {
+            console.warn(`Unknown effect preset: ${name}`);
+            return null;
+        }
+        return this.setEffectChain(preset.effects);
+    }
+
     // Rewire the effects chain
     rewireEffectsChain() {
         // This will be called when notes are played to set up the signal chain
@@ -600,10 +834,11 @@ export class EnhancedAudioEngine {
     async playNote(note, octave = 4, options = {}) {
         await this.initialize();
         
-        const frequency = this.getNoteFrequency(note, octave);
+        const frequency = this.getNoteFrequency(note, octave, options.tonic);
         if (!frequency) return null;
         
-        const noteId = options.id || `${note}-${octave}-${Date.now()}`;
+        // The counter keeps IDs unique when a transport schedules repeated notes in one tick
+        const noteId = options.id || `${note}-${octave}-${Date.now()}-${this.noteCounter++}`;
         const duration = options.duration || this.settings.noteLength;
         const timbre = options.timbre || this.settings.timbre;
         const volume = options.volume ?? 1.0;
@@ -612,58 +847,33 @@ export class EnhancedAudioEngine {
         this.stopNote(noteId);
         
         try {
-            // Create enhanced oscillator
-            const oscillator = new EnhancedOscillator(this.audioContext, timbre);
-            
-            // Create note gain with envelope
-            const noteGain = this.audioContext.createGain();
-            noteGain.gain.value = 0;
-            
-            // Connect oscillator -> gain -> effects -> master
-            oscillator.connect(noteGain);
-            this.setupEffectsChain(noteGain);
-            
-            // Set frequency
-            oscillator.setFrequency(frequency);
-            
-            // Start oscillator
-            const now = this.audioContext.currentTime;
-            oscillator.start(now);
-            
-            // Apply ADSR envelope
-            const attackTime = options.attack || 0.01;
-            const decayTime = options.decay || 0.1;
-            const sustainLevel = options.sustain || 0.7;
-            const releaseTime = options.release || this.settings.transitionTime;
-            
-            // Attack
-            noteGain.gain.linearRampToValueAtTime(volume, now + attackTime);
-            
-            // Decay to sustain
-            noteGain.gain.linearRampToValueAtTime(
-                volume * sustainLevel, 
-                now + attackTime + decayTime
-            );
+            // Oscillator -> envelope gain -> effects -> master
+            // (started at options.startTime when scheduled ahead by a Transport)
+            const voice = this.createVoice(this.audioContext, frequency, {
+                ...options,
+                syllable: note,
+                timbre,
+                volume,
+                duration
+            });
+            this.setupEffectsChain(voice.gainNode);
             
             // Store note data
             const noteData = {
                 id: noteId,
-                oscillator,
-                gainNode: noteGain,
+                oscillator: voice.oscillator,
+                gainNode: voice.gainNode,
                 frequency,
                 note,
                 octave,
-                startTime: now,
+                startTime: voice.startTime,
                 duration: duration
             };
             
             this.currentNotes.set(noteId, noteData);
             
-            // Auto-stop after duration if specified
-            if (duration > 0) {
-                setTimeout(() => {
-                    this.stopNote(noteId, releaseTime);
-                }, duration * 1000);
+            if (voice.endTime !== null) {
+                this.scheduleCleanup(noteData, voice.endTime);
             }
             
             return noteId;
@@ -673,6 +883,126 @@ export class EnhancedAudioEngine {
         }
     }
     
+    /**
+     * Build one note on any audio context: the timbre's oscillators through an ADSR envelope
+     * Live playback and offline rendering share it; the caller connects the returned gain.
+     * @param {BaseAudioContext} context
+     * @param {number} frequency
+     * @param {Object} options - { timbre, volume, duration, startTime, attack, decay, sustain, release, velocity, syllable };
+     *                            velocity (0-127) picks between a sampled instrument's velocity layers,
+     *                            syllable is what the voice timbre sings
+     * @returns {{oscillator, gainNode, startTime, endTime}} endTime is null for a note held until stopped
+     */
+    createVoice(context, frequency, options = {}) {
+        const oscillator = this.createOscillator(context, options.timbre || this.settings.timbre, options);
+        const noteGain = context.createGain();
+        noteGain.gain.value = 0;
+        oscillator.connect(noteGain);
+        oscillator.setFrequency(frequency);
+        
+        const now = Math.max(context.currentTime, options.startTime ?? 0);
+        oscillator.start(now);
+        
+        // Apply ADSR envelope
+        const volume = options.volume ?? 1.0;
+        const attackTime = options.attack || 0.01;
+        const decayTime = options.decay || 0.1;
+        const sustainLevel = options.sustain || 0.7;
+        const releaseTime = options.release || this.settings.transitionTime;
+        
+        // Attack
+        noteGain.gain.setValueAtTime(0, now);
+        noteGain.gain.linearRampToValueAtTime(volume, now + attackTime);
+        
+        // Decay to sustain
+        noteGain.gain.linearRampToValueAtTime(
+            volume * sustainLevel, 
+            now + attackTime + decayTime
+        );
+        
+        // Schedule the release on the audio clock if a duration is specified
+        let endTime = null;
+        if (options.duration > 0) {
+            const releaseStart = Math.max(now + options.duration, now + attackTime);
+            noteGain.gain.setValueAtTime(volume * sustainLevel, releaseStart);
+            noteGain.gain.linearRampToValueAtTime(0, releaseStart + releaseTime);
+            endTime = releaseStart + releaseTime;
+            oscillator.stop(endTime);
+        }
+        
+        return { oscillator, gainNode: noteGain, startTime: now, endTime };
+    }
+    
+    // A loaded sampled instrument, the sung voice, or a synthesized timbre (unknown names,
+    // such as an instrument that is no longer loaded, fall back to sine)
+    createOscillator(context, timbre, options = {}) {
+        const instrument = this.instruments.get(timbre);
+        if (instrument) {
+            return new SampledOscillator(context, instrument, options.velocity);
+        }
+        if (timbre === TIMBRES.voice) {
+            return new SungVoiceOscillator(context, options.syllable, this.getNoiseBuffer(context));
+        }
+        return new EnhancedOscillator(context, Object.values(TIMBRES).includes(timbre) ? timbre : TIMBRES.sine);
+    }
+    
+    // A second of repeatable noise per audio context, shared by every sung consonant
+    getNoiseBuffer(context) {
+        if (!this.noiseBuffers.has(context)) {
+            const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+            const noise = createNoise();
+            const data = buffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = noise();
+            }
+            this.noiseBuffers.set(context, buffer);
+        }
+        return this.noiseBuffers.get(context);
+    }
+    
+    /**
+     * Render notes offline, through the current timbre, effects and master volume
+     * Nothing is heard; the result can be encoded as a WAV file.
+     * @param {Array} notes - { note, octave, time, duration, ...options } with time and duration in seconds;
+     *                        options are those of playNote (tonic, timbre, volume, attack, release...)
+     * @param {Object} options - { sampleRate, channels, tail, createContext }; tail is extra seconds
+     *                           for releases and reverb; createContext(channels, length, sampleRate)
+     *                           replaces OfflineAudioContext
+     * @returns {Promise<AudioBuffer>}
+     */
+    async renderSequence(notes, options = {}) {
+        const { sampleRate = 44100, channels = 2, tail = 2 } = options;
+        const end = notes.reduce((latest, item) => Math.max(latest, item.time + item.duration), 0);
+        const length = Math.ceil((end + tail) * sampleRate);
+        const createContext = options.createContext || ((channelCount, frames, rate) => (
+            new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(channelCount, frames, rate)
+        ));
+        const context = createContext(channels, length, sampleRate);
+        
+        const masterGain = context.createGain();
+        masterGain.gain.value = this.settings.masterVolume;
+        masterGain.connect(context.destination);
+        
+        // The live effects, rebuilt in the same order on the offline context
+        const effects = this.effectsChain.map(effect => new AudioEffect(context, effect.type, effect.params));
+        effects.forEach((effect, index) => effect.connect(index + 1 < effects.length ? effects[index + 1].input : masterGain));
+        const destination = effects.length > 0 ? effects[0].input : masterGain;
+        
+        notes.forEach(({ note, octave = 4, time, duration, ...noteOptions }) => {
+            const frequency = this.getNoteFrequency(note, octave, noteOptions.tonic);
+            if (!frequency) return;
+            const voice = this.createVoice(context, frequency, {
+                ...noteOptions,
+                syllable: note,
+                duration: duration || this.settings.noteLength,
+                startTime: time
+            });
+            voice.gainNode.connect(destination);
+        });
+        
+        return context.startRendering();
+    }
+    
     // Stop a specific note
     stopNote(noteId, releaseTime = null) {
         const noteData = this.currentNotes.get(noteId);
@@ -689,12 +1019,21 @@ export class EnhancedAudioEngine {
         // Stop oscillator
         noteData.oscillator.stop(now + release);
         
-        // Clean up
-        setTimeout(() => {
+        this.scheduleCleanup(noteData, now + release);
+    }
+    
+    // Disconnect a note's nodes once the audio clock has passed its end
+    scheduleCleanup(noteData, endTime) {
+        clearTimeout(noteData.cleanupTimer);
+        const delay = (endTime - this.audioContext.currentTime + 0.1) * 1000;
+        noteData.cleanupTimer = setTimeout(() => {
             noteData.oscillator.disconnect();
             noteData.gainNode.disconnect();
-            this.currentNotes.delete(noteId);
-        }, (release + 0.1) * 1000);
+            // A newer note may have taken over the same ID
+            if (this.currentNotes.get(noteData.id) === noteData) {
+                this.currentNotes.delete(noteData.id);
+            }
+        }, Math.max(0, delay));
     }
     
     // Stop all currently playing notes
@@ -703,9 +1042,24 @@ export class EnhancedAudioEngine {
         noteIds.forEach(id => this.stopNote(id, releaseTime));
     }
     
-    // Play a chord
+    // Play a chord; options.inversion and options.bass voice it as in spellChord
     async playChord(rootNote, chordType = 'major', octave = 4, options = {}) {
-        const chord = new Chord(rootNote, chordType, octave);
+        const chord = new Chord(rootNote, chordType, octave, { ...options, tuning: this.getTuning(options.tonic) });
+        return this.playChordNotes(chord, options);
+    }
+
+    // Play a chord symbol such as "G7/B"; resolves to null when the symbol is not understood
+    async playChordSymbol(symbol, octave = 4, options = {}) {
+        const chord = Chord.fromSymbol(symbol, octave, { ...options, tuning: this.getTuning(options.tonic) });
+        if (!chord) {
+            console.warn(`Unknown chord symbol: ${symbol}`);
+            return null;
+        }
+        return this.playChordNotes(chord, options);
+    }
+
+    async playChordNotes(chord, options = {}) {
+        const { rootNote, type: chordType, octave } = chord;
         const chordId = options.id || `chord-${rootNote}-${chordType}-${octave}-${Date.now()}`;
         const noteIds = [];
         
@@ -719,49 +1073,67 @@ export class EnhancedAudioEngine {
             
             const noteId = await this.playNote(
                 chord.notes[i].note, 
-                octave, 
+                chord.notes[i].octave, 
                 noteOptions
             );
             
             if (noteId) noteIds.push(noteId);
         }
         
-        return { chordId, noteIds };
+        return { chordId, noteIds, notes: chord.notes.map(({ note, octave: noteOctave }) => `${note}${noteOctave}`) };
     }
     
-    // Play a sequence of notes
+    // Play a sequence of notes on a Transport; returns the transport so callers can pause or stop it
     async playSequence(sequence, options = {}) {
         const tempo = options.tempo || this.settings.tempo;
         const noteLength = options.noteLength || (60 / tempo); // Quarter note duration
         const gap = options.gap || 0; // Gap between notes
         
-        for (let i = 0; i < sequence.length; i++) {
-            const item = sequence[i];
-            const delay = i * (noteLength + gap) * 1000;
-            
-            setTimeout(async () => {
+        const events = sequence.map((item, i) => ({
+            time: i * (noteLength + gap),
+            duration: (typeof item === 'object' && item.type !== 'chord' && item.duration) || noteLength,
+            item
+        }));
+        
+        const transport = new Transport({
+            engine: this,
+            events,
+            duration: sequence.length * (noteLength + gap),
+            onPosition: options.onPosition,
+            onEnd: options.onEnd,
+            onEvent: ({ item, duration }, when) => {
                 if (typeof item === 'string') {
                     // Simple note
-                    await this.playNote(item, options.octave || 4, {
+                    return this.playNote(item, options.octave ?? 4, {
                         duration: noteLength,
-                        ...options
+                        ...options,
+                        startTime: when
                     });
                 } else if (item.type === 'chord') {
-                    // Chord
-                    await this.playChord(item.root, item.chordType, item.octave || 4, {
-                        duration: noteLength,
-                        ...options
-                    });
-                } else {
-                    // Complex note object
-                    await this.playNote(item.note, item.octave || 4, {
-                        duration: item.duration || noteLength,
-                        ...item,
-                        ...options
-                    });
+                    // Chord, given by root and type or by a symbol such as "Am/C"
+                    const chordOptions = { duration: noteLength, ...options, startTime: when };
+                    const played = item.symbol
+                        ? this.playChordSymbol(item.symbol, item.octave ?? 4, chordOptions)
+                        : this.playChord(item.root, item.chordType, item.octave ?? 4, {
+                            inversion: item.inversion,
+                            bass: item.bass,
+                            ...chordOptions
+                        });
+                    return played.then(result => (result ? result.noteIds : []));
                 }
-            }, delay);
-        }
+                // Complex note object
+                return this.playNote(item.note, item.octave ?? 4, {
+                    tonic: item.key,
+                    ...item,
+                    ...options,
+                    duration,
+                    startTime: when
+                });
+            }
+        });
+        
+        await transport.play();
+        return transport;
     }
     
     // Settings management
@@ -780,11 +1152,63 @@ export class EnhancedAudioEngine {
     }
     
     setTimbre(timbre) {
-        if (Object.values(TIMBRES).includes(timbre)) {
+        if (Object.values(TIMBRES).includes(timbre) || this.instruments.has(timbre)) {
             this.settings.timbre = timbre;
         }
     }
     
+    // Make a SampledInstrument playable by name wherever a timbre is accepted;
+    // a name taken by a built-in timbre gets a suffix. Returns the name used.
+    addInstrument(instrument) {
+        if (Object.values(TIMBRES).includes(instrument.name)) {
+            instrument.name = `${instrument.name} (sampled)`;
+        }
+        this.instruments.set(instrument.name, instrument);
+        return instrument.name;
+    }
+    
+    // Load an SF2, an SFZ with its samples, or a folder of WAVs (see loadSampledInstrument)
+    async loadInstrument(files, options = {}) {
+        const instrument = await loadSampledInstrument(files, options);
+        this.addInstrument(instrument);
+        return instrument;
+    }
+    
+    removeInstrument(name) {
+        this.instruments.delete(name);
+        if (this.settings.timbre === name) {
+            this.settings.timbre = TIMBRES.sine;
+        }
+    }
+    
+    // Set the pitch of do for solfege playback (movable do)
+    // Pitch of do in any mode, so do-minor keys such as G# are accepted too
+    setTonic(tonic) {
+        if (Object.values(MODES).some(mode => isValidTonic(tonic, mode))) {
+            this.settings.tonic = tonic;
+        }
+    }
+    
+    // A4 in Hz; 415, 432, 440 and 442 are the usual choices (REFERENCE_PITCHES)
+    setReferencePitch(pitch) {
+        this.settings.referencePitch = Math.max(380, Math.min(480, pitch));
+    }
+    
+    // Scala tuning needs a scale loaded with loadScala first
+    setTuningSystem(system) {
+        if (system === TUNING_SYSTEMS.SCALA && !this.scalaScale) return;
+        if (Object.values(TUNING_SYSTEMS).includes(system)) {
+            this.settings.tuningSystem = system;
+        }
+    }
+    
+    // Tune to the scale in a .scl file; throws if the file cannot be read
+    loadScala(text) {
+        this.scalaScale = parseScala(text);
+        this.settings.tuningSystem = TUNING_SYSTEMS.SCALA;
+        return this.scalaScale;
+    }
+    
     setTransitionTime(time) {
         this.settings.transitionTime = Math.max(0.001, Math.min(1, time));
     }
@@ -794,9 +1218,9 @@ export class EnhancedAudioEngine {
         return { ...this.settings };
     }
     
-    // Get available timbres
+    // Get available timbres, loaded sampled instruments last
     getAvailableTimbres() {
-        return Object.values(TIMBRES);
+        return [...Object.values(TIMBRES), ...this.instruments.keys()];
     }
     
     // Get available effects
@@ -842,13 +1266,14 @@ export class EnhancedAudioEngine {
             oscillator.connect(noteGain);
             this.setupEffectsChain(noteGain);
             
-            const now = this.audioContext.currentTime;
+            const now = Math.max(this.audioContext.currentTime, options.startTime ?? 0);
             const attackTime = options.attack || 0.01;
             const releaseTime = options.release || 0.05;
             
             oscillator.start(now);
             
             // Envelope
+            noteGain.gain.setValueAtTime(0, now);
             noteGain.gain.linearRampToValueAtTime(volume, now + attackTime);
             noteGain.gain.linearRampToValueAtTime(0, now + duration);
             
@@ -863,6 +1288,7 @@ export class EnhancedAudioEngine {
     
     // Clean up resources
     destroy() {
+        this.metronome.stop();
         this.stopAllNotes(0);
         this.clearEffects();
         
@@ -878,6 +1304,8 @@ export class EnhancedAudioEngine {
 export {
     TIMBRES,
     EFFECT_TYPES,
+    EFFECT_DEFAULTS,
+    EFFECT_PRESETS,
     SOLFEGE_TO_NOTE,
     NOTE_FREQUENCIES,
     Chord,
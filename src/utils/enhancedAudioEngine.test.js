@@ -0,0 +1,153 @@
+/**
+ * Tests for audio effects: parameter ramps, presets and saved effect chains
+ */
+
+import { EnhancedAudioEngine, AudioEffect, EFFECT_TYPES, EFFECT_PRESETS, EFFECT_DEFAULTS } from './enhancedAudioEngine.js';
+import { EnhancedAudioPlayer } from './enhancedAudioUtils.js';
+
+// Audio context stand-in with every node an effect can make
+const createFakeContext = () => {
+  const param = (value = 0) => ({
+    value,
+    setValueAtTime: jest.fn(),
+    linearRampToValueAtTime: jest.fn(),
+    cancelScheduledValues: jest.fn()
+  });
+  const node = (extra = {}) => ({ connect: jest.fn(), disconnect: jest.fn(), ...extra });
+
+  return {
+    currentTime: 2,
+    sampleRate: 8000,
+    destination: node(),
+    createGain: () => node({ gain: param(1) }),
+    createDelay: () => node({ delayTime: param() }),
+    createConvolver: () => node({ buffer: null }),
+    createWaveShaper: () => node({ curve: null }),
+    createOscillator: () => node({ frequency: param(440), start: jest.fn(), stop: jest.fn() }),
+    createBiquadFilter: () => node({ type: 'lowpass', frequency: param(350), Q: param(1) }),
+    createBuffer: jest.fn((channels, length) => {
+      const data = new Float32Array(length);
+      return { length, getChannelData: () => data };
+    })
+  };
+};
+
+// An engine that skips creating a real AudioContext
+const createEngine = () => {
+  const engine = new EnhancedAudioEngine();
+  engine.audioContext = createFakeContext();
+  engine.masterGain = engine.audioContext.createGain();
+  engine.initialized = true;
+  return engine;
+};
+
+describe('AudioEffect', () => {
+  test('fills in defaults, and keeps a wetness of zero', () => {
+    const context = createFakeContext();
+    const delay = new AudioEffect(context, EFFECT_TYPES.delay, { wetness: 0 });
+
+    expect(delay.params).toEqual({ ...EFFECT_DEFAULTS.delay, wetness: 0 });
+    expect(delay.toJSON()).toEqual({ type: 'delay', params: { delayTime: 0.3, feedback: 0.4, wetness: 0, maxDelay: 1 } });
+  });
+
+  test('glides filter and mix params from where they are now', () => {
+    const context = createFakeContext();
+    const filter = new AudioEffect(context, EFFECT_TYPES.lowpass);
+    const [node] = filter.nodes;
+
+    expect(filter.setParams({ frequency: 2000, gain: 5 }, 0.1)).toEqual({ frequency: 2000, Q: 1 });
+    expect(node.frequency.cancelScheduledValues).toHaveBeenCalledWith(2);
+    expect(node.frequency.setValueAtTime).toHaveBeenCalledWith(1000, 2);
+    expect(node.frequency.linearRampToValueAtTime).toHaveBeenCalledWith(2000, 2.1);
+
+    const reverb = new AudioEffect(context, EFFECT_TYPES.reverb);
+    const [, wetGain, dryGain] = reverb.nodes;
+    reverb.setParams({ wetness: 0.8 }, 0);
+    expect(wetGain.gain.setValueAtTime).toHaveBeenCalledWith(0.8, 2);
+    expect(dryGain.gain.setValueAtTime.mock.calls[0][0]).toBeCloseTo(0.2);
+  });
+
+  test('rebuilds the reverb impulse when its length changes', () => {
+    const context = createFakeContext();
+    const reverb = new AudioEffect(context, EFFECT_TYPES.reverb, { duration: 1 });
+    const [convolver] = reverb.nodes;
+    expect(convolver.buffer.length).toBe(8000);
+
+    reverb.setParams({ duration: 0.5 });
+    expect(convolver.buffer.length).toBe(4000);
+    expect(reverb.toJSON().params.duration).toBe(0.5);
+  });
+});
+
+describe('effect chains', () => {
+  test('every preset is a chain of known effect types', () => {
+    Object.values(EFFECT_PRESETS).forEach(preset => {
+      expect(typeof preset.name).toBe('string');
+      preset.effects.forEach(effect => expect(Object.values(EFFECT_TYPES)).toContain(effect.type));
+    });
+  });
+
+  test('a saved chain rebuilds the same effects, skipping unknown ones', async () => {
+    const engine = createEngine();
+    await engine.applyEffectPreset('echo');
+    const saved = JSON.parse(JSON.stringify(engine.getEffectChain()));
+
+    expect(saved.map(effect => effect.type)).toEqual(['delay', 'reverb']);
+    expect(saved[0].params).toMatchObject(EFFECT_PRESETS.echo.effects[0].params);
+
+    const other = createEngine();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await other.setEffectChain([...saved, { type: 'phaser', params: {} }]);
+    expect(other.getEffectChain()).toEqual(saved);
+    expect(console.warn).toHaveBeenCalledWith('Unknown effect: phaser');
+    console.warn.mockRestore();
+  });
+
+  test('the player keeps IDs for a loaded chain and ramps over the transition time', async () => {
+    const player = new EnhancedAudioPlayer();
+    player.engine = createEngine();
+
+    const ids = await player.setEffectChain(EFFECT_PRESETS.warm.effects);
+    expect(new Set(ids).size).toBe(2);
+    expect(player.getEffects().map(effect => effect.type)).toEqual(['lowpass', 'reverb']);
+
+    const [filter] = player.engine.effectsChain[0].nodes;
+    expect(player.setEffectParams(ids[0], { frequency: 900 })).toMatchObject({ frequency: 900 });
+    expect(filter.frequency.linearRampToValueAtTime).toHaveBeenCalledWith(900, 2 + player.engine.settings.transitionTime);
+    expect(player.getSound()).toEqual({ timbre: 'sine', effects: player.getEffectChain() });
+
+    await player.applyEffectPreset('dry');
+    expect(player.getEffects()).toEqual([]);
+  });
+
+  test('a composition\'s chain replaces the player\'s own until a composition without one', async () => {
+    const player = new EnhancedAudioPlayer();
+    player.engine = createEngine();
+    await player.applyEffectPreset('warm');
+    const own = player.getEffectChain();
+
+    await player.applyCompositionEffects(EFFECT_PRESETS.echo.effects);
+    await player.applyCompositionEffects(EFFECT_PRESETS.dry.effects);
+    expect(player.getEffects()).toEqual([]);
+
+    await player.applyCompositionEffects(null);
+    expect(player.getEffectChain()).toEqual(own);
+
+    // Nothing to restore: the player's chain is left alone
+    await player.applyCompositionEffects(null);
+    expect(player.getEffectChain()).toEqual(own);
+  });
+});
+
+describe('tonic', () => {
+  test('accepts the pitch of do in every mode, and ignores unknown ones', () => {
+    const engine = createEngine();
+
+    engine.setTonic('G#');
+    expect(engine.settings.tonic).toBe('G#');
+    engine.setTonic('Gb');
+    expect(engine.settings.tonic).toBe('Gb');
+    engine.setTonic('H');
+    expect(engine.settings.tonic).toBe('Gb');
+  });
+});
@@ -3,9 +3,13 @@
  * Maintains compatibility with existing audioUtils.js while adding enhanced features
  */
 
-import { enhancedAudioEngine, TIMBRES, EFFECT_TYPES } from './enhancedAudioEngine.js';
+import { enhancedAudioEngine, TIMBRES, EFFECT_TYPES, EFFECT_PRESETS } from './enhancedAudioEngine.js';
+import { Transport } from './transport.js';
+import { ACCENT_GAINS } from './timeSignatures.js';
+import { encodeWav, WAV_MIME_TYPE } from './wavFile.js';
+import { TUNING_SYSTEMS, REFERENCE_PITCHES } from './tuning.js';
 
-// Legacy BASE_NOTES for backward compatibility
+// Legacy BASE_NOTES for backward compatibility (do = C, equal temperament at A4 = 440 Hz)
 const BASE_NOTES = {
     'do': 261.63, // C4
     're': 293.66, // D4
@@ -16,7 +20,15 @@ const BASE_NOTES = {
     'ti': 493.88  // B4
 };
 
-// Legacy function for backward compatibility
+// Octave-4 frequencies of the diatonic syllables for any tonic (movable do)
+const getBaseNotes = (tonic = enhancedAudioEngine.settings.tonic) => {
+    return Object.fromEntries(Object.keys(BASE_NOTES).map(syllable => [
+        syllable,
+        enhancedAudioEngine.getNoteFrequency(syllable, 4, tonic)
+    ]));
+};
+
+// Legacy function for backward compatibility; tuned like everything the engine plays
 const getNoteFrequency = (note, octave = 4) => {
     return enhancedAudioEngine.getNoteFrequency(note, octave);
 };
@@ -36,6 +48,9 @@ class EnhancedAudioPlayer {
         // Enhanced properties
         this.currentNoteId = null;
         this.effects = new Map();
+        this.playback = null; // Transport of the sequence started by playTimedSequence
+        this.metronome = this.engine.metronome;
+        this.ownEffects = null; // The player's own effect chain while a composition's chain replaces it
     }
 
     // Legacy initialize method
@@ -117,6 +132,11 @@ class EnhancedAudioPlayer {
         return this.engine.playChord(rootNote, chordType, octave, options);
     }
 
+    // Play a chord symbol, e.g. playChordSymbol('F#m7b5/A')
+    playChordSymbol(symbol, octave = 4, options = {}) {
+        return this.engine.playChordSymbol(symbol, octave, options);
+    }
+
     // Play a sequence of notes
     playSequence(sequence, options = {}) {
         return this.engine.playSequence(sequence, options);
@@ -146,6 +166,33 @@ class EnhancedAudioPlayer {
         return this.engine.getAvailableTimbres();
     }
 
+    // Sampled instruments (SF2, SFZ or a folder of WAVs) become timbres named after them
+    loadInstrument(files, options = {}) {
+        return this.engine.loadInstrument(files, options);
+    }
+
+    removeInstrument(name) {
+        this.engine.removeInstrument(name);
+    }
+
+    // === TUNING ===
+
+    setReferencePitch(pitch) {
+        this.engine.setReferencePitch(pitch);
+    }
+
+    setTuningSystem(system) {
+        this.engine.setTuningSystem(system);
+    }
+
+    loadScala(text) {
+        return this.engine.loadScala(text);
+    }
+
+    getTuning() {
+        return this.engine.getTuning();
+    }
+
     // === VOLUME CONTROL ===
 
     setMasterVolume(volume) {
@@ -170,12 +217,14 @@ class EnhancedAudioPlayer {
 
     addEffect(type, params = {}) {
         const effect = this.engine.addEffect(type, params);
-        if (effect) {
-            const effectId = `effect-${type}-${Date.now()}`;
-            this.effects.set(effectId, effect);
-            return effectId;
-        }
-        return null;
+        return effect ? this.registerEffect(effect) : null;
+    }
+
+    // IDs stay unique when a whole chain is added within one millisecond
+    registerEffect(effect) {
+        const effectId = `effect-${effect.type}-${Date.now()}-${this.effects.size}`;
+        this.effects.set(effectId, effect);
+        return effectId;
     }
 
     removeEffect(effectId) {
@@ -197,6 +246,65 @@ class EnhancedAudioPlayer {
         return this.engine.getAvailableEffects();
     }
 
+    // Active effects in signal order: { id, type, params }
+    getEffects() {
+        return Array.from(this.effects, ([id, effect]) => ({ id, ...effect.toJSON() }));
+    }
+
+    // Glide an effect's params to new values, over the transition time unless rampTime is given
+    setEffectParams(effectId, params, rampTime) {
+        const effect = this.effects.get(effectId);
+        return effect ? this.engine.setEffectParams(effect, params, rampTime) : null;
+    }
+
+    // The effect chain as JSON-ready { type, params } entries
+    getEffectChain() {
+        return this.engine.getEffectChain();
+    }
+
+    // Replace the effect chain with saved entries; returns the new effect IDs
+    async setEffectChain(chain = []) {
+        this.effects.clear();
+        const effects = await this.engine.setEffectChain(chain);
+        return effects.map(effect => this.registerEffect(effect));
+    }
+
+    async applyEffectPreset(name) {
+        const preset = EFFECT_PRESETS[name];
+        return preset ? this.setEffectChain(preset.effects) : null;
+    }
+
+    // What a composition needs to sound as it did when it was written
+    getSound() {
+        return { timbre: this.getTimbre(), effects: this.getEffectChain() };
+    }
+
+    /**
+     * Play through a composition's saved effect chain, or through the player's own chain when it has none.
+     * The player's chain is kept aside the first time a composition's replaces it.
+     * @param {Array|null} effects - saved { type, params } entries
+     */
+    async applyCompositionEffects(effects) {
+        if (effects) {
+            this.ownEffects = this.ownEffects ?? this.getEffectChain();
+            await this.setEffectChain(effects);
+        } else if (this.ownEffects !== null) {
+            const ownEffects = this.ownEffects;
+            this.ownEffects = null;
+            await this.setEffectChain(ownEffects);
+        }
+    }
+
+    // === KEY CONTROL (MOVABLE DO) ===
+
+    setTonic(tonic) {
+        this.engine.setTonic(tonic);
+    }
+
+    getTonic() {
+        return this.engine.settings.tonic;
+    }
+
     // === TRANSITION CONTROL ===
 
     setTransitionTime(time) {
@@ -249,18 +357,103 @@ class EnhancedAudioPlayer {
             const effectId = this.addEffect(effectConfig.type, effectConfig.params);
             if (effectId) tempEffects.push(effectId);
         }
+        const removeTempEffects = () => tempEffects.forEach(effectId => this.removeEffect(effectId));
 
         try {
-            await this.engine.playSequence(sequence, {
+            return await this.engine.playSequence(sequence, {
                 tempo,
                 swing,
                 volume,
                 timbre,
-                ...options
+                ...options,
+                // Keep the effects until the last note has finished
+                onEnd: () => {
+                    removeTempEffects();
+                    options.onEnd?.();
+                }
             });
-        } finally {
-            // Clean up temporary effects
-            tempEffects.forEach(effectId => this.removeEffect(effectId));
+        } catch (error) {
+            removeTempEffects();
+            throw error;
+        }
+    }
+
+    /**
+     * Play a composition's playback sequence on a Transport
+     * @param {Array<{note, octave, startTime, duration, key}>} sequence - times in milliseconds (getPlaybackSequence())
+     * @param {Object} options - { onPosition, onEnd, loop, volume, timbre, gate } - gate is the sounding fraction of each duration
+     * @returns {Promise<Transport>} the running transport, for pause/seek/loop/stop
+     * Starting a new sequence stops the previous one.
+     */
+    async playTimedSequence(sequence, options = {}) {
+        const { onPosition, onEnd, loop = false, gate = 1, ...noteOptions } = options;
+
+        const transport = new Transport({
+            engine: this.engine,
+            events: sequence.map(item => ({
+                ...item,
+                time: item.startTime / 1000,
+                duration: item.duration / 1000
+            })),
+            onPosition,
+            onEnd,
+            onEvent: (event, when) => this.engine.playNote(event.note, event.octave ?? 4, {
+                ...this.getSequenceNoteOptions(event, noteOptions, gate),
+                startTime: when
+            })
+        });
+
+        if (loop) transport.setLoop(0, transport.duration);
+
+        // Only one composition plays at a time
+        this.stopPlayback();
+        this.playback = transport;
+
+        await transport.play();
+        return transport;
+    }
+
+    // playNote options for one sequence event (duration in seconds)
+    getSequenceNoteOptions(event, noteOptions = {}, gate = 1) {
+        return {
+            attack: 0.02,
+            release: 0.1,
+            tonic: event.key,
+            ...noteOptions,
+            // Each part of a composition can carry its own timbre
+            ...(event.timbre && { timbre: event.timbre }),
+            // Downbeats and beat-group starts sound a little louder than the notes between them
+            volume: (noteOptions.volume ?? 0.2) * (ACCENT_GAINS[event.accent] ?? 1),
+            duration: event.duration * gate
+        };
+    }
+
+    /**
+     * Render a playback sequence to a WAV file without playing it
+     * Sounds as playTimedSequence would: same timbres, accents, effects and master volume.
+     * @param {Array} sequence - { note, octave, key, startTime, duration, ... } with times in milliseconds
+     * @param {Object} options - gate and note options as for playTimedSequence, plus the
+     *                           renderSequence options (sampleRate, channels, tail)
+     * @returns {Promise<Blob>}
+     */
+    async exportWav(sequence, options = {}) {
+        const { gate = 1, sampleRate, channels, tail, createContext, ...noteOptions } = options;
+        const notes = sequence.map(event => ({
+            note: event.note,
+            octave: event.octave ?? 4,
+            time: event.startTime / 1000,
+            ...this.getSequenceNoteOptions({ ...event, duration: event.duration / 1000 }, noteOptions, gate)
+        }));
+
+        const audio = await this.engine.renderSequence(notes, { sampleRate, channels, tail, createContext });
+        return new Blob([encodeWav(audio)], { type: WAV_MIME_TYPE });
+    }
+
+    // Stop the sequence started by playTimedSequence
+    stopPlayback() {
+        if (this.playback) {
+            this.playback.stop();
+            this.playback = null;
         }
     }
 
@@ -268,19 +461,31 @@ class EnhancedAudioPlayer {
     async playArpeggio(rootNote, chordType = 'major', octave = 4, options = {}) {
         const { direction = 'up', speed = 200, volume = 0.7 } = options;
         
-        const chord = new (await import('./enhancedAudioEngine.js')).Chord(rootNote, chordType, octave);
+        const chord = new (await import('./enhancedAudioEngine.js')).Chord(rootNote, chordType, octave, {
+            ...options,
+            tuning: this.engine.getTuning(options.tonic)
+        });
         const notes = direction === 'down' ? chord.notes.reverse() : chord.notes;
         
-        for (let i = 0; i < notes.length; i++) {
-            setTimeout(() => {
-                this.playNoteEnhanced(notes[i].note, octave, {
-                    duration: speed / 1000 * 1.5,
-                    volume: volume / notes.length,
-                    attack: 0.01,
-                    release: 0.1
-                });
-            }, i * speed);
-        }
+        const transport = new Transport({
+            engine: this.engine,
+            events: notes.map((chordNote, i) => ({
+                time: i * speed / 1000,
+                duration: speed / 1000 * 1.5,
+                note: chordNote.note,
+                octave: chordNote.octave
+            })),
+            onEvent: (event, when) => this.playNoteEnhanced(event.note, event.octave, {
+                duration: event.duration,
+                volume: volume / notes.length,
+                attack: 0.01,
+                release: 0.1,
+                startTime: when
+            })
+        });
+
+        await transport.play();
+        return transport;
     }
 
     // Play glissando (slide between notes)
@@ -288,25 +493,30 @@ class EnhancedAudioPlayer {
         const startFreq = this.engine.getNoteFrequency(startNote, startOctave);
         const endFreq = this.engine.getNoteFrequency(endNote, endOctave);
         
-        if (!startFreq || !endFreq) return;
+        if (!startFreq || !endFreq) return null;
 
-        await this.engine.initialize();
-        
         const steps = 50;
-        const stepDuration = duration / steps;
+        const stepDuration = duration / steps / 1000;
         const freqStep = (endFreq - startFreq) / steps;
         
-        for (let i = 0; i <= steps; i++) {
-            const freq = startFreq + (freqStep * i);
-            setTimeout(() => {
-                this.engine.playFrequency(freq, {
-                    duration: stepDuration / 1000 * 1.5,
-                    volume: 0.3,
-                    attack: 0.001,
-                    release: 0.001
-                });
-            }, i * stepDuration);
-        }
+        const transport = new Transport({
+            engine: this.engine,
+            events: Array.from({ length: steps + 1 }, (_, i) => ({
+                time: i * stepDuration,
+                duration: stepDuration * 1.5,
+                frequency: startFreq + (freqStep * i)
+            })),
+            onEvent: (event, when) => this.engine.playFrequency(event.frequency, {
+                duration: event.duration,
+                volume: 0.3,
+                attack: 0.001,
+                release: 0.001,
+                startTime: when
+            })
+        });
+
+        await transport.play();
+        return transport;
     }
 
     // Enhanced UI feedback with more options
@@ -328,6 +538,7 @@ class EnhancedAudioPlayer {
 
     // Cleanup method
     destroy() {
+        this.stopPlayback();
         this.stopNote();
         this.clearEffects();
         this.engine.destroy();
@@ -338,10 +549,10 @@ class EnhancedAudioPlayer {
 export const audioPlayer = new EnhancedAudioPlayer();
 
 // Export legacy compatibility
-export { BASE_NOTES, getNoteFrequency };
+export { BASE_NOTES, getBaseNotes, getNoteFrequency };
 
 // Export enhanced features
-export { TIMBRES, EFFECT_TYPES };
+export { TIMBRES, EFFECT_TYPES, EFFECT_PRESETS, TUNING_SYSTEMS, REFERENCE_PITCHES };
 
 // Export enhanced player class for direct instantiation
 export { EnhancedAudioPlayer };
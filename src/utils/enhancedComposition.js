@@ -1,4 +1,14 @@
 // Enhanced composition manager with quality of life features
+import { DEFAULT_TONIC, DEFAULT_MODE, isValidTonic, isValidMode, convertTonicForMode } from './keySignatures.js';
+import {
+    DEFAULT_TIME_SIGNATURE,
+    isValidTimeSignature,
+    isSameTimeSignature,
+    getAccent,
+    getUnitBeats,
+    getUnitName
+} from './timeSignatures.js';
+
 export class EnhancedCompositionManager {
     constructor() {
         this.compositions = this.loadFromStorage() || [];
@@ -8,7 +18,10 @@ export class EnhancedCompositionManager {
             notes: [],
             currentOctave: 4,
             tempo: 120,
-            timeSignature: { beats: 4, noteValue: 4 },
+            timeSignature: { ...DEFAULT_TIME_SIGNATURE }, // Opening meter
+            timeSignatureChanges: {}, // Measure index -> meter from that bar on, as in MusicComposition
+            key: DEFAULT_TONIC, // Pitch of do (movable do)
+            mode: DEFAULT_MODE,
             createdAt: new Date(),
             lastModified: new Date()
         };
@@ -63,7 +76,7 @@ export class EnhancedCompositionManager {
             octave: octave,
             accidental: accidental, // 'sharp', 'flat', or null
             timestamp: Date.now(),
-            duration: 'quarter' // Default duration
+            duration: getUnitName(this.getTimeSignature(this.getMeasures().length)) // One counted unit of the meter
         };
 
         this.currentComposition.notes.push(noteObject);
@@ -137,10 +150,104 @@ export class EnhancedCompositionManager {
         return this.setTempo(this.currentComposition.tempo - 10);
     }
 
+    // Key controls (movable do)
+    setKey(tonic) {
+        if (isValidTonic(tonic, this.getMode())) {
+            this.currentComposition.key = tonic;
+            this.currentComposition.lastModified = new Date();
+            this.saveToStorage();
+        }
+        return this.currentComposition.key;
+    }
+
+    // Mode controls (keeps the home note when switching)
+    getMode() {
+        return this.currentComposition.mode || DEFAULT_MODE;
+    }
+
+    setMode(mode) {
+        const currentMode = this.getMode();
+        if (isValidMode(mode) && mode !== currentMode) {
+            this.currentComposition.key = convertTonicForMode(this.currentComposition.key, currentMode, mode);
+            this.currentComposition.mode = mode;
+            this.currentComposition.lastModified = new Date();
+            this.saveToStorage();
+        }
+        return this.getMode();
+    }
+
+    // Time signature controls: each note fills one counted unit (an eighth in 6/8)
+    getTimeSignature(measureIndex = Infinity) {
+        let timeSignature = this.currentComposition.timeSignature;
+        this.getTimeSignatureChanges().forEach(change => {
+            if (change.measureIndex <= measureIndex) timeSignature = change.timeSignature;
+        });
+        return timeSignature;
+    }
+
+    // Measures that open a new meter, e.g. [{ measureIndex: 4, timeSignature: {beats: 6, noteValue: 8} }]
+    getTimeSignatureChanges() {
+        const changes = this.currentComposition.timeSignatureChanges || {};
+        return Object.keys(changes)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(measureIndex => ({ measureIndex, timeSignature: changes[measureIndex] }));
+    }
+
+    /**
+     * Change meter: from the start of an empty piece, otherwise from the next barline
+     * @returns {number|null} first measure in the new meter, null if the meter is invalid
+     */
+    setTimeSignature(timeSignature) {
+        if (!isValidTimeSignature(timeSignature)) return null;
+
+        const meter = { beats: timeSignature.beats, noteValue: timeSignature.noteValue };
+        const composition = this.currentComposition;
+        let from = 0;
+
+        if (composition.notes.length === 0) {
+            composition.timeSignature = meter;
+            composition.timeSignatureChanges = {};
+        } else {
+            // A part-filled bar keeps its meter; the change starts after it
+            from = this.getMeasures().length;
+            const changes = {};
+            this.getTimeSignatureChanges()
+                .filter(change => change.measureIndex < from)
+                .forEach(change => { changes[change.measureIndex] = change.timeSignature; });
+            composition.timeSignatureChanges = changes;
+            if (!isSameTimeSignature(this.getTimeSignature(from), meter)) {
+                changes[from] = meter;
+            }
+        }
+
+        composition.lastModified = new Date();
+        this.saveToStorage();
+        return from;
+    }
+
+    /**
+     * Group the notes into bars of the meter in force
+     * @returns {Array<{timeSignature, notes: Array<{note, index, position}>}>} position in quarter-note beats
+     */
+    getMeasures() {
+        const measures = [];
+        this.currentComposition.notes.forEach((note, index) => {
+            let measure = measures[measures.length - 1];
+            if (!measure || measure.notes.length >= measure.timeSignature.beats) {
+                measure = { timeSignature: this.getTimeSignature(measures.length), notes: [] };
+                measures.push(measure);
+            }
+            measure.notes.push({ ...note, index, position: measure.notes.length * getUnitBeats(measure.timeSignature) });
+        });
+        return measures;
+    }
+
     // Clear composition
     clear() {
         this.saveToUndoHistory();
         this.currentComposition.notes = [];
+        this.currentComposition.timeSignatureChanges = {};
         this.currentComposition.lastModified = new Date();
         this.redoHistory = [];
         this.saveToStorage();
@@ -151,40 +258,65 @@ export class EnhancedCompositionManager {
         return {
             ...this.currentComposition,
             noteCount: this.currentComposition.notes.length,
+            measures: this.getMeasures(),
+            timeSignature: this.getTimeSignature(),
             canUndo: this.undoHistory.length > 0,
             canRedo: this.redoHistory.length > 0,
             lastNote: this.currentComposition.notes[this.currentComposition.notes.length - 1] || null
         };
     }
 
-    // Export as simple format
-    exportComposition() {
+    /**
+     * Export as simple format
+     * @param {Object} sound - { timbre, effects } the piece is heard with (player.getSound()), written
+     *     into the export so it can be played back the same; the manager itself does not keep it
+     */
+    exportComposition(sound = {}) {
         const exportData = {
             name: this.currentComposition.name,
-            notes: this.currentComposition.notes.map(note => ({
+            notes: this.getMeasures().flatMap((measure, measureIndex) => measure.notes.map(note => ({
                 note: note.note,
                 octave: note.octave,
-                accidental: note.accidental
-            })),
+                accidental: note.accidental,
+                measure: measureIndex,
+                beat: note.position // Quarter-note beats from the barline
+            }))),
             tempo: this.currentComposition.tempo,
             timeSignature: this.currentComposition.timeSignature,
+            timeSignatureChanges: this.currentComposition.timeSignatureChanges || {},
+            key: this.currentComposition.key,
+            mode: this.getMode(),
+            timbre: sound.timbre || null,
+            effects: sound.effects ? sound.effects.map(({ type, params }) => ({ type, params: { ...params } })) : null,
             exportedAt: new Date().toISOString()
         };
 
         return JSON.stringify(exportData, null, 2);
     }
 
-    // Get playback sequence with timing
+    // Get playback sequence with timing, accented by the beat grouping of each bar
     getPlaybackSequence() {
-        const beatDuration = (60 / this.currentComposition.tempo) * 1000; // ms per beat
-        
-        return this.currentComposition.notes.map((note, index) => ({
-            note: note.note,
-            octave: note.octave,
-            accidental: note.accidental,
-            startTime: index * beatDuration,
-            duration: beatDuration * 0.8 // 80% of beat duration
-        }));
+        const beatDuration = (60 / this.currentComposition.tempo) * 1000; // ms per quarter-note beat
+        const sequence = [];
+        let startTime = 0;
+
+        this.getMeasures().forEach(measure => {
+            const unitDuration = beatDuration * getUnitBeats(measure.timeSignature);
+            measure.notes.forEach(note => {
+                sequence.push({
+                    note: note.note,
+                    octave: note.octave,
+                    accidental: note.accidental,
+                    key: this.currentComposition.key,
+                    startTime,
+                    duration: unitDuration * 0.8, // 80% of the counted unit
+                    accent: getAccent(measure.timeSignature, note.position)
+                });
+                startTime += unitDuration;
+            });
+        });
+
+        return sequence;
     }
 
     // Cleanup
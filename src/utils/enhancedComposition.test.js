@@ -0,0 +1,56 @@
+/**
+ * Tests for the hand composers' composition manager
+ */
+
+import { EnhancedCompositionManager } from './enhancedComposition.js';
+import { MusicComposition } from './musicNotation.js';
+
+describe('EnhancedCompositionManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    manager = new EnhancedCompositionManager();
+  });
+
+  afterEach(() => {
+    manager.destroy();
+    localStorage.clear();
+    console.log.mockRestore();
+  });
+
+  test('sets the opening meter of an empty piece', () => {
+    expect(manager.setTimeSignature({ beats: 3, noteValue: 4 })).toBe(0);
+    expect(manager.getTimeSignature(0)).toEqual({ beats: 3, noteValue: 4 });
+    expect(manager.getTimeSignatureChanges()).toEqual([]);
+    expect(manager.setTimeSignature({ beats: 5, noteValue: 3 })).toBeNull();
+  });
+
+  test('keys mid-piece changes by measure, as MusicComposition does', () => {
+    ['do', 're', 'mi', 'fa', 'sol'].forEach(note => manager.addNote(note, 4));
+    expect(manager.setTimeSignature({ beats: 3, noteValue: 4 })).toBe(2);
+
+    const composition = new MusicComposition();
+    composition.timeSignatureChanges = manager.currentComposition.timeSignatureChanges;
+
+    expect(manager.currentComposition.timeSignatureChanges).toEqual({ 2: { beats: 3, noteValue: 4 } });
+    expect(manager.getTimeSignatureChanges()).toEqual(composition.getTimeSignatureChanges());
+    expect(manager.getMeasures().map(measure => measure.notes.length)).toEqual([4, 1]);
+    expect(manager.getTimeSignature(2)).toEqual({ beats: 3, noteValue: 4 });
+
+    // Changing back to the meter already in force removes the change
+    manager.setTimeSignature({ beats: 4, noteValue: 4 });
+    expect(manager.getTimeSignatureChanges()).toEqual([]);
+  });
+
+  test('writes the sound it is given into the export without keeping it', () => {
+    const effects = [{ type: 'reverb', params: { wetness: 0.3 } }];
+    manager.addNote('do', 4);
+
+    const exported = JSON.parse(manager.exportComposition({ timbre: 'flute', effects }));
+
+    expect(exported).toMatchObject({ timbre: 'flute', effects });
+    expect(manager.currentComposition.effects).toBeUndefined();
+    expect(JSON.parse(manager.exportComposition())).toMatchObject({ timbre: null, effects: null });
+  });
+});
@@ -0,0 +1,10 @@
+// Trigger a browser download for generated text or binary data
+export const downloadFile = (data, filename, mimeType = 'application/octet-stream') => {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
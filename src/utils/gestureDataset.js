@@ -0,0 +1,212 @@
+/**
+ * Gesture Datasets and Accuracy Reports
+ * A labelled dataset is a list of raw MediaPipe hand frames, each with the answer expected
+ * from one or more detectors. The runner scores every detector on the frames labelled for it
+ * so threshold changes can be compared by confusion matrix, precision/recall and false triggers.
+ *
+ * Dataset format:
+ * {
+ *   "version": 1,
+ *   "name": "classroom-2024-05",
+ *   "frames": [
+ *     { "landmarks": [{x, y, z} x 21], "handedness": "Right", "labels": { "kodaly": "do", "flatHand": null } }
+ *   ]
+ * }
+ * Landmarks are stored as MediaPipe reports them (not mirrored). A null label means the
+ * detector should not fire on that frame; detectors without a label key skip the frame.
+ */
+
+import { recognizeKodalySign } from './kodalySignsDB.js';
+import { detectFlatHand } from './flatHandDetection.js';
+import { recognizeLeftHandGesture } from './leftHandGestures.js';
+import { analyzeBothHands } from './twoHandDetection.js';
+
+export const DATASET_VERSION = 1;
+export const NONE_LABEL = 'none';
+
+const KODALY_CONFIDENCE_THRESHOLD = 0.85; // Same threshold the composers use before playing a note
+
+const mirror = (landmarks) => landmarks.map(landmark => ({ ...landmark, x: 1 - landmark.x }));
+
+// Each detector maps a frame to the label it would report, or null when it stays quiet
+export const DATASET_DETECTORS = {
+    kodaly: (frame) => {
+        const recognition = recognizeKodalySign(mirror(frame.landmarks));
+        return recognition?.sign && recognition.confidence >= KODALY_CONFIDENCE_THRESHOLD ? recognition.sign : null;
+    },
+    flatHand: (frame) => {
+        return detectFlatHand(frame.landmarks, frame.handedness || 'Right').isFlatHand ? 'FLAT_HAND' : null;
+    },
+    leftHand: (frame) => {
+        return recognizeLeftHandGesture(mirror(frame.landmarks))?.gesture || null;
+    },
+    leftHandControl: (frame) => {
+        return analyzeBothHands({
+            multiHandLandmarks: [frame.landmarks],
+            multiHandedness: [{ label: 'Left' }]
+        }).leftHandGesture;
+    }
+};
+
+/**
+ * Validate a dataset from JSON text or an already-parsed object
+ * @throws {Error} when the data is not a labelled gesture dataset
+ */
+export const parseDataset = (data) => {
+    const dataset = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!dataset || !Array.isArray(dataset.frames)) {
+        throw new Error('Not a gesture dataset');
+    }
+
+    dataset.frames.forEach((frame, index) => {
+        if (!Array.isArray(frame.landmarks) || frame.landmarks.length < 21) {
+            throw new Error(`Frame ${index} does not have 21 hand landmarks`);
+        }
+        if (!frame.labels || typeof frame.labels !== 'object') {
+            throw new Error(`Frame ${index} has no labels`);
+        }
+    });
+
+    return dataset;
+};
+
+/**
+ * Label the hand frames of a landmark recording (see landmarkRecording.js)
+ * @param {Object} recording - result of LandmarkRecorder.stop()
+ * @param {Array<{start, end, labels}>} segments - time ranges in ms with the labels for frames inside them
+ * @param {Object} options - { name }
+ */
+export const datasetFromRecording = (recording, segments, options = {}) => {
+    const frames = [];
+
+    recording.frames
+        .filter(frame => frame.type === 'hands')
+        .forEach(frame => {
+            const segment = segments.find(candidate => frame.time >= candidate.start && frame.time < candidate.end);
+            if (!segment) return;
+
+            frame.results.multiHandLandmarks.forEach((landmarks, index) => {
+                frames.push({
+                    landmarks,
+                    handedness: frame.results.multiHandedness?.[index]?.label || 'Right',
+                    labels: { ...segment.labels },
+                    time: frame.time
+                });
+            });
+        });
+
+    return {
+        version: DATASET_VERSION,
+        name: options.name || 'recording',
+        frames
+    };
+};
+
+const ratio = (numerator, denominator) => denominator > 0 ? numerator / denominator : null;
+
+/**
+ * Score one detector on the frames labelled for it
+ * @returns {{total, accuracy, falseTriggerRate, labels, confusion, perLabel}}
+ */
+export const evaluateDetector = (dataset, name, detect) => {
+    const confusion = {};
+    let total = 0;
+    let correct = 0;
+    let negatives = 0;
+    let falseTriggers = 0;
+
+    dataset.frames.forEach(frame => {
+        if (!Object.prototype.hasOwnProperty.call(frame.labels, name)) return;
+
+        const actual = frame.labels[name] || NONE_LABEL;
+        const predicted = detect(frame) || NONE_LABEL;
+
+        confusion[actual] = confusion[actual] || {};
+        confusion[actual][predicted] = (confusion[actual][predicted] || 0) + 1;
+
+        total++;
+        if (actual === predicted) correct++;
+        if (actual === NONE_LABEL) {
+            negatives++;
+            if (predicted !== NONE_LABEL) falseTriggers++;
+        }
+    });
+
+    const labelSet = new Set(Object.keys(confusion));
+    Object.values(confusion).forEach(row => Object.keys(row).forEach(label => labelSet.add(label)));
+    const labels = [...labelSet].filter(label => label !== NONE_LABEL).sort();
+
+    const perLabel = {};
+    labels.forEach(label => {
+        const truePositives = confusion[label]?.[label] || 0;
+        const support = Object.values(confusion[label] || {}).reduce((sum, count) => sum + count, 0);
+        const predictedCount = Object.values(confusion).reduce((sum, row) => sum + (row[label] || 0), 0);
+
+        perLabel[label] = {
+            support,
+            truePositives,
+            falsePositives: predictedCount - truePositives,
+            falseNegatives: support - truePositives,
+            precision: ratio(truePositives, predictedCount),
+            recall: ratio(truePositives, support)
+        };
+    });
+
+    return {
+        total,
+        accuracy: ratio(correct, total),
+        falseTriggerRate: ratio(falseTriggers, negatives),
+        labels: [...labels, NONE_LABEL],
+        confusion,
+        perLabel
+    };
+};
+
+/**
+ * Run every detector that has labelled frames in the dataset
+ * @param {Object} dataset - parsed or raw dataset
+ * @param {Object<string, Function>} detectors - defaults to DATASET_DETECTORS
+ * @returns {{name, frameCount, detectors: Object<string, Object>}}
+ */
+export const runAccuracyReport = (data, detectors = DATASET_DETECTORS) => {
+    const dataset = parseDataset(data);
+    const reports = {};
+
+    Object.entries(detectors).forEach(([name, detect]) => {
+        const report = evaluateDetector(dataset, name, detect);
+        if (report.total > 0) reports[name] = report;
+    });
+
+    return {
+        name: dataset.name || 'dataset',
+        frameCount: dataset.frames.length,
+        detectors: reports
+    };
+};
+
+const percent = (value) => value === null ? '  n/a' : `${(value * 100).toFixed(1).padStart(5)}%`;
+
+// Plain-text report for the console
+export const formatReport = (result) => {
+    const lines = [`Gesture accuracy report: ${result.name} (${result.frameCount} frames)`];
+
+    Object.entries(result.detectors).forEach(([name, report]) => {
+        lines.push('');
+        lines.push(`== ${name} == ${report.total} frames, accuracy ${percent(report.accuracy)}, false triggers ${percent(report.falseTriggerRate)}`);
+
+        const width = Math.max(8, ...report.labels.map(label => label.length)) + 1;
+        lines.push(['actual \\ predicted'.padEnd(width + 10), ...report.labels.map(label => label.padStart(width))].join(''));
+        report.labels.forEach(actual => {
+            const row = report.labels.map(predicted => String(report.confusion[actual]?.[predicted] || 0).padStart(width));
+            lines.push([actual.padEnd(width + 10), ...row].join(''));
+        });
+
+        lines.push('');
+        report.labels.filter(label => label !== NONE_LABEL).forEach(label => {
+            const stats = report.perLabel[label];
+            lines.push(`${label.padEnd(width)} precision ${percent(stats.precision)}  recall ${percent(stats.recall)}  support ${stats.support}`);
+        });
+    });
+
+    return lines.join('\n');
+};
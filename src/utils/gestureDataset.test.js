@@ -0,0 +1,113 @@
+/**
+ * Tests for labelled gesture datasets and the accuracy report
+ */
+
+import {
+  NONE_LABEL,
+  parseDataset,
+  evaluateDetector,
+  runAccuracyReport,
+  datasetFromRecording,
+  formatReport
+} from './gestureDataset.js';
+
+// Open hand pointing down (the la sign), as MediaPipe reports it before mirroring
+const createHand = () => {
+  const landmarks = [{ x: 0.5, y: 0.4, z: 0 }];
+  [[0.53, 0.43], [0.55, 0.46], [0.57, 0.49], [0.59, 0.52]]
+    .forEach(([x, y]) => landmarks.push({ x, y, z: 0 }));
+  [0.54, 0.51, 0.48, 0.45].forEach(x => {
+    for (let joint = 0; joint < 4; joint++) {
+      landmarks.push({ x, y: 0.5 + joint * 0.03, z: 0 });
+    }
+  });
+  return landmarks;
+};
+
+// Every landmark at one point: no detector should fire
+const createBlank = () => Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+
+const frame = (id, labels) => ({ id, landmarks: createBlank(), labels });
+
+describe('evaluateDetector', () => {
+  // Predictions keyed by frame id
+  const predictions = { 1: 'do', 2: 'do', 3: 're', 4: null, 5: 'do', 6: null, 7: 're' };
+  const detect = (item) => predictions[item.id];
+  const dataset = {
+    frames: [
+      frame(1, { kodaly: 'do' }),
+      frame(2, { kodaly: 'do' }),
+      frame(3, { kodaly: 'do' }),
+      frame(4, { kodaly: 're' }),
+      frame(5, { kodaly: null }),
+      frame(6, { kodaly: null }),
+      frame(7, { flatHand: null })
+    ]
+  };
+
+  test('builds a confusion matrix over the frames labelled for the detector', () => {
+    const report = evaluateDetector(dataset, 'kodaly', detect);
+
+    expect(report.total).toBe(6);
+    expect(report.confusion).toEqual({
+      do: { do: 2, re: 1 },
+      re: { [NONE_LABEL]: 1 },
+      [NONE_LABEL]: { do: 1, [NONE_LABEL]: 1 }
+    });
+    expect(report.labels).toEqual(['do', 're', NONE_LABEL]);
+  });
+
+  test('computes precision, recall, accuracy and false-trigger rate', () => {
+    const report = evaluateDetector(dataset, 'kodaly', detect);
+
+    expect(report.perLabel.do).toMatchObject({ support: 3, truePositives: 2, falsePositives: 1, falseNegatives: 1 });
+    expect(report.perLabel.do.precision).toBeCloseTo(2 / 3);
+    expect(report.perLabel.do.recall).toBeCloseTo(2 / 3);
+    expect(report.perLabel.re.precision).toBe(0);
+    expect(report.perLabel.re.recall).toBe(0);
+    expect(report.accuracy).toBeCloseTo(3 / 6);
+    expect(report.falseTriggerRate).toBe(0.5);
+  });
+});
+
+describe('runAccuracyReport', () => {
+  test('scores the real detectors on raw MediaPipe frames', () => {
+    const result = runAccuracyReport({
+      name: 'synthetic',
+      frames: [
+        { landmarks: createHand(), labels: { kodaly: 'la', leftHand: 'OPEN_PALM' } },
+        { landmarks: createBlank(), labels: { kodaly: null } }
+      ]
+    });
+
+    expect(Object.keys(result.detectors)).toEqual(['kodaly', 'leftHand']);
+    expect(result.detectors.kodaly.confusion.la).toEqual({ la: 1 });
+    expect(result.detectors.kodaly.falseTriggerRate).toBe(0);
+    expect(formatReport(result)).toContain('== kodaly == 2 frames, accuracy 100.0%');
+  });
+
+  test('rejects malformed datasets', () => {
+    expect(() => parseDataset('{}')).toThrow('Not a gesture dataset');
+    expect(() => parseDataset({ frames: [{ landmarks: [], labels: {} }] })).toThrow('Frame 0 does not have 21 hand landmarks');
+  });
+});
+
+describe('datasetFromRecording', () => {
+  test('labels recorded hand frames by time range', () => {
+    const results = { multiHandLandmarks: [createHand()], multiHandedness: [{ label: 'Left' }] };
+    const recording = {
+      frames: [
+        { time: 0, type: 'hands', results },
+        { time: 40, type: 'face', results: { multiFaceLandmarks: [] } },
+        { time: 80, type: 'hands', results },
+        { time: 500, type: 'hands', results }
+      ]
+    };
+
+    const dataset = datasetFromRecording(recording, [{ start: 0, end: 100, labels: { kodaly: 'la' } }]);
+
+    expect(dataset.frames).toHaveLength(2);
+    expect(dataset.frames[0]).toMatchObject({ handedness: 'Left', labels: { kodaly: 'la' }, time: 0 });
+    expect(() => parseDataset(dataset)).not.toThrow();
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Gesture accuracy report runner
+ * Scores the detectors on labelled datasets (see gestureDataset.js) without a camera:
+ *   GESTURE_DATASET=datasets/classroom.json npm run gesture-report
+ * Several datasets can be given as a comma-separated list. Skipped when none is set.
+ */
+
+import fs from 'fs';
+import { runAccuracyReport, formatReport } from './gestureDataset.js';
+
+const datasetPaths = (process.env.GESTURE_DATASET || '').split(',').map(path => path.trim()).filter(Boolean);
+const describeWithDatasets = datasetPaths.length > 0 ? describe : describe.skip;
+
+describeWithDatasets('gesture accuracy report', () => {
+  // A skipped suite still needs one test, or Jest reports it as empty
+  (datasetPaths.length > 0 ? datasetPaths : ['no dataset']).forEach(path => {
+    test(`report for ${path}`, () => {
+      const result = runAccuracyReport(fs.readFileSync(path, 'utf8'));
+      process.stdout.write(`\n${formatReport(result)}\n`);
+
+      expect(Object.keys(result.detectors).length).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Hand-Sign Calibration
+ * Turns analyzeHand() samples recorded while a user holds each sign into per-sign
+ * centroids, stored in localStorage so recognizeKodalySign can match that user's hands
+ */
+
+export const CALIBRATION_STORAGE_KEY = 'sol-fa-hand-calibration';
+
+export const CALIBRATION_SIGNS = ['do', 're', 'mi', 'fa', 'sol', 'la', 'ti'];
+
+export const MIN_SAMPLES = 5;              // Samples needed before a sign is calibrated
+export const MAX_MATCH_DISTANCE = 3;       // RMS spread units a hand may sit from a centroid
+
+const MIN_SPREAD = 0.05; // Keeps very steady samples from making a sign impossible to hit
+
+// Features compared against the centroids, all scaled to roughly -1..1
+export const getFeatureVector = (analysis) => ({
+    thumb: analysis.fingers.thumb,
+    index: analysis.fingers.index,
+    middle: analysis.fingers.middle,
+    ring: analysis.fingers.ring,
+    pinky: analysis.fingers.pinky,
+    verticalAngle: analysis.handDirection.verticalAngle / 90,
+    palmX: analysis.palmDirection.normal.x,
+    palmY: analysis.palmDirection.normal.y,
+    palmZ: analysis.palmDirection.normal.z,
+    thumbAngle: analysis.thumbDirection.angle / 90
+});
+
+export const FEATURE_NAMES = [
+    'thumb', 'index', 'middle', 'ring', 'pinky',
+    'verticalAngle', 'palmX', 'palmY', 'palmZ', 'thumbAngle'
+];
+
+const summarize = (samples) => {
+    const centroid = {};
+    const spread = {};
+
+    FEATURE_NAMES.forEach(name => {
+        const values = samples.map(sample => sample[name]);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+        centroid[name] = mean;
+        spread[name] = Math.max(MIN_SPREAD, Math.sqrt(variance));
+    });
+
+    return { centroid, spread, samples: samples.length };
+};
+
+/**
+ * Build a calibration from recorded feature vectors
+ * @param {Object<string, Array>} samplesBySign - getFeatureVector() results keyed by sign
+ * @returns {{version, createdAt, signs: Object<string, {centroid, spread, samples}>}}
+ */
+export const buildCalibration = (samplesBySign) => {
+    const signs = {};
+
+    Object.entries(samplesBySign).forEach(([sign, samples]) => {
+        if (samples && samples.length >= MIN_SAMPLES) {
+            signs[sign] = summarize(samples);
+        }
+    });
+
+    return {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        signs
+    };
+};
+
+// RMS distance in spread units between a feature vector and a calibrated sign
+const distanceToSign = (features, { centroid, spread }) => {
+    const total = FEATURE_NAMES.reduce((sum, name) => {
+        return sum + Math.pow((features[name] - centroid[name]) / spread[name], 2);
+    }, 0);
+    return Math.sqrt(total / FEATURE_NAMES.length);
+};
+
+/**
+ * Nearest calibrated sign for a feature vector
+ * @returns {{sign: string|null, distance: number}} sign is null when nothing is close enough
+ */
+export const matchCalibratedSign = (features, calibration) => {
+    let best = { sign: null, distance: Infinity };
+
+    Object.entries(calibration?.signs || {}).forEach(([sign, entry]) => {
+        const distance = distanceToSign(features, entry);
+        if (distance < best.distance) {
+            best = { sign, distance };
+        }
+    });
+
+    return best.distance <= MAX_MATCH_DISTANCE ? best : { sign: null, distance: best.distance };
+};
+
+export const saveCalibration = (calibration) => {
+    try {
+        localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibration));
+        console.log('💾 Saved hand calibration');
+    } catch (error) {
+        console.warn('Failed to save hand calibration:', error);
+    }
+};
+
+export const loadCalibration = () => {
+    try {
+        const data = localStorage.getItem(CALIBRATION_STORAGE_KEY);
+        if (data) {
+            const parsed = JSON.parse(data);
+            if (parsed && parsed.signs && Object.keys(parsed.signs).length > 0) {
+                return parsed;
+            }
+        }
+    } catch (error) {
+        console.warn('Failed to load hand calibration:', error);
+    }
+    return null;
+};
+
+export const clearCalibration = () => {
+    try {
+        localStorage.removeItem(CALIBRATION_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Failed to clear hand calibration:', error);
+    }
+};
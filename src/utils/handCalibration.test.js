@@ -0,0 +1,79 @@
+/**
+ * Tests for per-user hand-sign calibration
+ */
+
+import {
+  CALIBRATION_STORAGE_KEY,
+  MIN_SAMPLES,
+  buildCalibration,
+  matchCalibratedSign,
+  saveCalibration,
+  loadCalibration,
+  clearCalibration
+} from './handCalibration.js';
+
+const makeFeatures = (overrides = {}) => ({
+  thumb: 0.95,
+  index: 0.6,
+  middle: 0.6,
+  ring: 0.55,
+  pinky: 0.55,
+  verticalAngle: 0,
+  palmX: 0,
+  palmY: 0.8,
+  palmZ: 0.6,
+  thumbAngle: 0.2,
+  ...overrides
+});
+
+const repeat = (features, count = MIN_SAMPLES) => Array.from({ length: count }, () => features);
+
+describe('buildCalibration', () => {
+  test('averages samples per sign and skips signs with too few samples', () => {
+    const calibration = buildCalibration({
+      do: [makeFeatures({ index: 0.5 }), ...repeat(makeFeatures({ index: 0.7 }), MIN_SAMPLES - 1)],
+      re: repeat(makeFeatures(), MIN_SAMPLES - 1)
+    });
+
+    expect(Object.keys(calibration.signs)).toEqual(['do']);
+    expect(calibration.signs.do.samples).toBe(MIN_SAMPLES);
+    expect(calibration.signs.do.centroid.index).toBeCloseTo((0.5 + 0.7 * (MIN_SAMPLES - 1)) / MIN_SAMPLES);
+  });
+});
+
+describe('matchCalibratedSign', () => {
+  const calibration = buildCalibration({
+    do: repeat(makeFeatures()),
+    mi: repeat(makeFeatures({ thumb: 0.6, index: 1, middle: 1, ring: 1, pinky: 1 }))
+  });
+
+  test('picks the nearest calibrated sign', () => {
+    expect(matchCalibratedSign(makeFeatures({ index: 0.65 }), calibration).sign).toBe('do');
+    expect(matchCalibratedSign(makeFeatures({ thumb: 0.65, index: 0.98, middle: 0.97, ring: 1, pinky: 0.96 }), calibration).sign).toBe('mi');
+  });
+
+  test('rejects hands far from every sign', () => {
+    const result = matchCalibratedSign(makeFeatures({ verticalAngle: -1, palmY: -0.8, thumbAngle: -1 }), calibration);
+
+    expect(result.sign).toBeNull();
+    expect(result.distance).toBeGreaterThan(3);
+  });
+});
+
+describe('calibration storage', () => {
+  afterEach(() => clearCalibration());
+
+  test('saves and loads a calibration from localStorage', () => {
+    const calibration = buildCalibration({ la: repeat(makeFeatures()) });
+    saveCalibration(calibration);
+
+    expect(localStorage.getItem(CALIBRATION_STORAGE_KEY)).not.toBeNull();
+    expect(loadCalibration()).toEqual(calibration);
+  });
+
+  test('returns null when nothing usable is stored', () => {
+    expect(loadCalibration()).toBeNull();
+    saveCalibration(buildCalibration({}));
+    expect(loadCalibration()).toBeNull();
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Harmonizer
+ * Picks a chord for every measure of a melody from the primary triads of its mode (I, IV, V
+ * in major, i, iv, V in minor, plus optional secondary chords), and turns the chords into a
+ * block or arpeggiated accompaniment to play under the melody.
+ */
+
+import { solfegeToPitch, SOLFEGE_PITCHES } from './musicNotation.js';
+import { STEP_SEMITONES, MODES } from './keySignatures.js';
+import { getAccent, getUnitBeats, ACCENTS } from './timeSignatures.js';
+import { TIMBRES } from './enhancedAudioEngine.js';
+import { formatNoteName, formatChordSymbol, spellChord } from './chordSymbols.js';
+
+// Triads built on the scale of do; notes run root, third, fifth
+export const HARMONY_CHORDS = {
+    I: { numeral: 'I', quality: 'major', notes: ['do', 'mi', 'sol'] },
+    ii: { numeral: 'ii', quality: 'minor', notes: ['re', 'fa', 'la'] },
+    IV: { numeral: 'IV', quality: 'major', notes: ['fa', 'la', 'do'] },
+    V: { numeral: 'V', quality: 'major', notes: ['sol', 'ti', 're'] },
+    vi: { numeral: 'vi', quality: 'minor', notes: ['la', 'do', 'mi'] }
+};
+
+// Earlier chords win ties, so the harmony leans on the tonic and dominant
+export const PRIMARY_CHORDS = ['I', 'V', 'IV'];
+export const SECONDARY_CHORDS = ['vi', 'ii'];
+
+// Minor triads in each minor mode's own syllables; V takes the raised leading note of harmonic minor
+export const MINOR_HARMONY_CHORDS = {
+    [MODES.DO_MINOR]: {
+        i: { numeral: 'i', quality: 'minor', notes: ['do', 'me', 'sol'] },
+        III: { numeral: 'III', quality: 'major', notes: ['me', 'sol', 'te'] },
+        iv: { numeral: 'iv', quality: 'minor', notes: ['fa', 'le', 'do'] },
+        V: { numeral: 'V', quality: 'major', notes: ['sol', 'ti', 're'] },
+        VI: { numeral: 'VI', quality: 'major', notes: ['le', 'do', 'me'] }
+    },
+    [MODES.LA_MINOR]: {
+        i: { numeral: 'i', quality: 'minor', notes: ['la', 'do', 'mi'] },
+        III: { numeral: 'III', quality: 'major', notes: ['do', 'mi', 'sol'] },
+        iv: { numeral: 'iv', quality: 'minor', notes: ['re', 'fa', 'la'] },
+        V: { numeral: 'V', quality: 'major', notes: ['mi', 'si', 'ti'] },
+        VI: { numeral: 'VI', quality: 'major', notes: ['fa', 'la', 'do'] }
+    }
+};
+
+export const MINOR_PRIMARY_CHORDS = ['i', 'V', 'iv'];
+export const MINOR_SECONDARY_CHORDS = ['VI', 'III'];
+
+// Chord table, candidates and closing chord for a mode
+const getModeHarmony = (mode) => (MINOR_HARMONY_CHORDS[mode]
+    ? { chords: MINOR_HARMONY_CHORDS[mode], primary: MINOR_PRIMARY_CHORDS, secondary: MINOR_SECONDARY_CHORDS, tonic: 'i' }
+    : { chords: HARMONY_CHORDS, primary: PRIMARY_CHORDS, secondary: SECONDARY_CHORDS, tonic: 'I' });
+
+export const ACCOMPANIMENT_STYLES = {
+    BLOCK: 'block',
+    ARPEGGIO: 'arpeggio'
+};
+
+// Melody notes weigh more on the downbeat and on other beats than between them
+const ACCENT_WEIGHTS = {
+    [ACCENTS.STRONG]: 2,
+    [ACCENTS.MEDIUM]: 1.5,
+    [ACCENTS.WEAK]: 1
+};
+
+// Secondary chords only replace a primary one that fits clearly worse
+const SECONDARY_WEIGHT = 0.9;
+
+// Root, third, fifth, third
+const ARPEGGIO_PATTERN = [0, 1, 2, 1];
+
+// Pitch class above do, chromatic syllables and accidentals included
+const getPitchClass = (note, accidental = null) => {
+    const base = SOLFEGE_PITCHES[note?.toLowerCase()];
+    if (!base) return null;
+    const alter = base.alter + (accidental === 'sharp' ? 1 : accidental === 'flat' ? -1 : 0);
+    return (STEP_SEMITONES[base.step] + alter + 12) % 12;
+};
+
+// Letter name of a chord's root in the composition's key, e.g. IV with do = D is "G"
+const getChordRoot = (chord, key) => formatNoteName(solfegeToPitch(chord.notes[0], 4, null, key));
+
+// Chord symbol in the composition's key, e.g. IV with do = D is "G", vi is "Bm"; iv in do-minor on C is "Fm"
+export const getChordSymbol = (numeral, key, mode = MODES.MAJOR) => {
+    const chord = getModeHarmony(mode).chords[numeral];
+    if (!chord) return null;
+    return formatChordSymbol(getChordRoot(chord, key), chord.quality);
+};
+
+// How well a chord fits weighted melody notes: the weight of the notes it contains
+const scoreChord = (chord, notes) => {
+    const chordClasses = chord.notes.map(note => getPitchClass(note));
+    return notes.reduce((score, { pitchClass, weight }) => (
+        chordClasses.includes(pitchClass) ? score + weight : score
+    ), 0);
+};
+
+/**
+ * Choose a chord for each measure of one part, from the triads of the composition's mode
+ * Bars of rests get no chord; the final bar closes on the tonic chord whenever it holds the last note.
+ * @param {MusicComposition} composition
+ * @param {Object} options
+ * @param {boolean} options.secondary - also use ii and vi (VI and III in minor)
+ * @param {number} options.part - index of the melody part (defaults to the active part)
+ * @returns {Array<{measureIndex, numeral, symbol, quality, notes, tones, startBeat, beats}|null>} one entry per
+ *          measure; notes are solfege syllables, tones the spelled letter names
+ */
+export const harmonize = (composition, options = {}) => {
+    const part = composition.parts[options.part ?? composition.activePart];
+    const harmony = getModeHarmony(composition.mode);
+    const candidates = options.secondary ? [...harmony.primary, ...harmony.secondary] : harmony.primary;
+    const measureCount = composition.getMeasureCount();
+    const chords = [];
+    let startBeat = 0;
+
+    for (let measureIndex = 0; measureIndex < measureCount; measureIndex++) {
+        const timeSignature = composition.getTimeSignature(measureIndex);
+        const measure = (part && part.measures[measureIndex]) || [];
+        const notes = [];
+        let position = 0;
+
+        measure.forEach(item => {
+            if (item.type === 'note') {
+                notes.push({
+                    pitchClass: getPitchClass(item.note, item.accidental),
+                    weight: item.duration.beats * ACCENT_WEIGHTS[getAccent(timeSignature, position)]
+                });
+            }
+            position += item.duration.beats;
+        });
+
+        // An unfinished last bar is only accompanied as far as the music goes
+        const beats = measureIndex === measureCount - 1
+            ? Math.max(...composition.parts.map(({ measures }) => (measures[measureIndex] || [])
+                .reduce((total, item) => total + item.duration.beats, 0)))
+            : composition.getBarBeats(measureIndex);
+
+        if (notes.length === 0) {
+            chords.push(null);
+        } else {
+            let best = null;
+            candidates.forEach(numeral => {
+                const weight = harmony.secondary.includes(numeral) ? SECONDARY_WEIGHT : 1;
+                const score = scoreChord(harmony.chords[numeral], notes) * weight;
+                if (!best || score > best.score + 1e-6) best = { numeral, score };
+            });
+
+            const lastNote = notes[notes.length - 1];
+            const tonicChord = harmony.chords[harmony.tonic];
+            const numeral = measureIndex === measureCount - 1 && scoreChord(tonicChord, [{ ...lastNote, weight: 1 }]) > 0
+                ? harmony.tonic
+                : best.numeral;
+
+            const chord = harmony.chords[numeral];
+            const { quality, notes: chordNotes } = chord;
+            const root = getChordRoot(chord, composition.key);
+            chords.push({
+                measureIndex,
+                numeral,
+                symbol: formatChordSymbol(root, quality),
+                quality,
+                notes: chordNotes,
+                tones: spellChord(root, quality).map(({ note }) => note),
+                startBeat,
+                beats
+            });
+        }
+
+        startBeat += beats;
+    }
+
+    return chords;
+};
+
+// Close position from the root upwards: notes below the root move up an octave
+const voiceChord = (notes, octave) => {
+    const rootClass = getPitchClass(notes[0]);
+    return notes.map(note => ({ note, octave: octave + (getPitchClass(note) < rootClass ? 1 : 0) }));
+};
+
+/**
+ * Playback events for an accompaniment, in the shape of MusicComposition.getPlaybackSequence()
+ * Block chords hold for the whole bar; arpeggios play root-third-fifth-third on each counted
+ * unit (quarters in 4/4, eighths in 6/8). Events are weak-accented so the melody stays on top.
+ * @param {MusicComposition} composition
+ * @param {Array} chords - from harmonize()
+ * @param {Object} options - { style, octave, timbre }
+ */
+export const getAccompanimentSequence = (composition, chords, options = {}) => {
+    const { style = ACCOMPANIMENT_STYLES.BLOCK, octave = 3, timbre = TIMBRES.piano } = options;
+    const beatDuration = 60000 / composition.tempo; // milliseconds per beat
+    const sequence = [];
+
+    chords.forEach(chord => {
+        if (!chord) return;
+        const voicing = voiceChord(chord.notes, octave);
+        const event = (voice, startBeat, beats) => ({
+            note: voice.note,
+            octave: voice.octave,
+            key: composition.key,
+            startTime: startBeat * beatDuration,
+            duration: beats * beatDuration,
+            accent: ACCENTS.WEAK,
+            timbre,
+            accompaniment: true
+        });
+
+        if (style === ACCOMPANIMENT_STYLES.ARPEGGIO) {
+            const unit = getUnitBeats(composition.getTimeSignature(chord.measureIndex));
+            for (let step = 0; step * unit < chord.beats - 1e-6; step++) {
+                const voice = voicing[ARPEGGIO_PATTERN[step % ARPEGGIO_PATTERN.length]];
+                sequence.push(event(voice, chord.startBeat + step * unit, Math.min(unit, chord.beats - step * unit)));
+            }
+        } else {
+            voicing.forEach(voice => sequence.push(event(voice, chord.startBeat, chord.beats)));
+        }
+    });
+
+    return sequence;
+};
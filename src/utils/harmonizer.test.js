@@ -0,0 +1,141 @@
+/**
+ * Tests for the I/IV/V harmonizer and its accompaniment tracks
+ */
+
+import { MusicComposition, NOTE_DURATIONS, REST_DURATIONS } from './musicNotation.js';
+import { MODES } from './keySignatures.js';
+import { harmonize, getAccompanimentSequence, getChordSymbol, ACCOMPANIMENT_STYLES } from './harmonizer.js';
+
+const buildMelody = (bars) => {
+  const composition = new MusicComposition();
+  bars.forEach(bar => bar.forEach(note => composition.addNote(note)));
+  return composition;
+};
+
+const numerals = (chords) => chords.map(chord => (chord ? chord.numeral : null));
+
+describe('harmonize', () => {
+  test('picks I, IV and V from the melody of each bar', () => {
+    const melody = buildMelody([
+      ['do', 'mi', 'sol', 'mi'],
+      ['fa', 'la', 'do', 'la'],
+      ['sol', 'ti', 're', 'ti'],
+      ['do', 're', 'mi', 'do']
+    ]);
+
+    const chords = harmonize(melody);
+
+    expect(numerals(chords)).toEqual(['I', 'IV', 'V', 'I']);
+    expect(chords.map(chord => chord.symbol)).toEqual(['C', 'F', 'G', 'C']);
+    expect(chords[1]).toMatchObject({ measureIndex: 1, startBeat: 4, beats: 4, notes: ['fa', 'la', 'do'] });
+  });
+
+  test('weighs notes on the beat above passing notes', () => {
+    // re on the downbeat, held for two beats, outweighs the passing mi and do
+    const melody = new MusicComposition();
+    melody.addNote('re', 4, NOTE_DURATIONS.HALF);
+    melody.addNote('mi');
+    melody.addNote('do');
+    melody.addNote('do', 4, NOTE_DURATIONS.WHOLE);
+
+    expect(numerals(harmonize(melody))).toEqual(['V', 'I']);
+  });
+
+  test('uses ii and vi only when asked', () => {
+    const melody = buildMelody([['la', 'do', 'mi', 'la'], ['re', 'fa', 'la', 'fa'], ['do', 'do', 'do', 'do']]);
+
+    expect(numerals(harmonize(melody))).toEqual(['IV', 'IV', 'I']);
+    expect(numerals(harmonize(melody, { secondary: true }))).toEqual(['vi', 'ii', 'I']);
+  });
+
+  test('closes on I, names chords in the key and skips bars of rests', () => {
+    const melody = new MusicComposition();
+    melody.setKey('D');
+    ['sol', 'ti', 're', 'sol'].forEach(note => melody.addNote(note));
+    melody.addRest(REST_DURATIONS.WHOLE_REST);
+    ['re', 'ti', 'sol', 'sol'].forEach(note => melody.addNote(note));
+    ['ti', 'la', 're'].forEach(note => melody.addNote(note));
+
+    const chords = harmonize(melody);
+
+    expect(numerals(chords)).toEqual(['V', null, 'V', 'V']);
+    expect(chords[0].symbol).toBe('A');
+    expect(chords[0].tones).toEqual(['A', 'C#', 'E']);
+    // An unfinished bar is accompanied for as long as it lasts
+    expect(chords[3].beats).toBe(3);
+
+    melody.addNote('do');
+    expect(numerals(harmonize(melody))).toEqual(['V', null, 'V', 'I']);
+  });
+
+  test('uses i, iv and V in do-based minor', () => {
+    const melody = new MusicComposition();
+    melody.setMode(MODES.DO_MINOR);
+    [
+      ['do', 'me', 'sol', 'me'],
+      ['fa', 'le', 'do', 'le'],
+      ['sol', 'ti', 're', 'ti'],
+      ['do', 're', 'me', 'do']
+    ].forEach(bar => bar.forEach(note => melody.addNote(note)));
+
+    const chords = harmonize(melody);
+
+    expect(numerals(chords)).toEqual(['i', 'iv', 'V', 'i']);
+    expect(chords.map(chord => chord.symbol)).toEqual(['Cm', 'Fm', 'G', 'Cm']);
+    expect(chords[1].tones).toEqual(['F', 'Ab', 'C']);
+    expect(numerals(harmonize(melody, { secondary: true }))).toEqual(['i', 'iv', 'V', 'i']);
+
+    const sequence = getAccompanimentSequence(melody, chords);
+    expect(sequence.slice(3, 6).map(event => `${event.note}${event.octave}`)).toEqual(['fa3', 'le3', 'do4']);
+  });
+
+  test('builds minor chords on la in la-based minor', () => {
+    const melody = new MusicComposition();
+    melody.setMode(MODES.LA_MINOR);
+    melody.setKey('C'); // do = C, so la is A
+    [['la', 'do', 'mi', 'do'], ['mi', 'si', 'ti', 'mi'], ['la', 'ti', 'do', 'la']]
+      .forEach(bar => bar.forEach(note => melody.addNote(note)));
+
+    const chords = harmonize(melody);
+
+    expect(numerals(chords)).toEqual(['i', 'V', 'i']);
+    expect(chords.map(chord => chord.symbol)).toEqual(['Am', 'E', 'Am']);
+  });
+
+  test('spells chord symbols for flat keys and minor chords', () => {
+    expect(getChordSymbol('IV', 'Bb')).toBe('Eb');
+    expect(getChordSymbol('vi', 'F')).toBe('Dm');
+    expect(getChordSymbol('V', 'F#')).toBe('C#');
+    expect(getChordSymbol('X', 'C')).toBeNull();
+    expect(getChordSymbol('VI', 'C', MODES.DO_MINOR)).toBe('Ab');
+    expect(getChordSymbol('I', 'C', MODES.DO_MINOR)).toBeNull();
+  });
+});
+
+describe('getAccompanimentSequence', () => {
+  const melody = buildMelody([['fa', 'la', 'do', 'la'], ['do', 'mi', 'sol', 'do']]);
+
+  test('holds block chords for the bar in close position', () => {
+    const sequence = getAccompanimentSequence(melody, harmonize(melody));
+
+    expect(sequence).toHaveLength(6);
+    expect(sequence.slice(0, 3).map(event => `${event.note}${event.octave}`)).toEqual(['fa3', 'la3', 'do4']);
+    expect(sequence[3]).toMatchObject({ note: 'do', octave: 3, startTime: 2000, duration: 2000, accompaniment: true });
+  });
+
+  test('arpeggiates on each counted unit', () => {
+    const sequence = getAccompanimentSequence(melody, harmonize(melody), { style: ACCOMPANIMENT_STYLES.ARPEGGIO, timbre: 'organ' });
+
+    expect(sequence.map(event => event.note)).toEqual(['fa', 'la', 'do', 'la', 'do', 'mi', 'sol', 'mi']);
+    expect(sequence.map(event => event.startTime)).toEqual([0, 500, 1000, 1500, 2000, 2500, 3000, 3500]);
+    expect(sequence.every(event => event.timbre === 'organ')).toBe(true);
+
+    const compound = new MusicComposition();
+    compound.setTimeSignature({ beats: 6, noteValue: 8 });
+    ['do', 'mi', 'sol', 'do', 'mi', 'sol'].forEach(note => compound.addNote(note, 4, NOTE_DURATIONS.EIGHTH));
+    const eighths = getAccompanimentSequence(compound, harmonize(compound), { style: ACCOMPANIMENT_STYLES.ARPEGGIO });
+
+    expect(eighths.map(event => event.note)).toEqual(['do', 'mi', 'sol', 'mi', 'do', 'mi']);
+    expect(eighths[1].duration).toBe(250);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Key Signatures and Movable Do
+ * Maps solfege syllables to written pitches for any tonic, so do can be G or E♭
+ * and playback, staff placement and exports all follow the chosen key
+ */
+
+export const STEPS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+
+export const STEP_SEMITONES = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+
+// Letter name and chromatic alteration for each solfege syllable when do = C
+export const SOLFEGE_PITCHES = {
+    'do': { step: 'C', alter: 0 },
+    'di': { step: 'C', alter: 1 },
+    'ra': { step: 'D', alter: -1 },
+    're': { step: 'D', alter: 0 },
+    'ri': { step: 'D', alter: 1 },
+    'me': { step: 'E', alter: -1 },
+    'mi': { step: 'E', alter: 0 },
+    'fa': { step: 'F', alter: 0 },
+    'fi': { step: 'F', alter: 1 },
+    'se': { step: 'G', alter: -1 },
+    'sol': { step: 'G', alter: 0 },
+    'si': { step: 'G', alter: 1 },
+    'le': { step: 'A', alter: -1 },
+    'la': { step: 'A', alter: 0 },
+    'li': { step: 'A', alter: 1 },
+    'te': { step: 'B', alter: -1 },
+    'ti': { step: 'B', alter: 0 }
+};
+
+// Major keys by tonic (the pitch of do), as positions on the circle of fifths
+export const KEY_SIGNATURES = {
+    'Cb': -7,
+    'Gb': -6,
+    'Db': -5,
+    'Ab': -4,
+    'Eb': -3,
+    'Bb': -2,
+    'F': -1,
+    'C': 0,
+    'G': 1,
+    'D': 2,
+    'A': 3,
+    'E': 4,
+    'B': 5,
+    'F#': 6,
+    'C#': 7
+};
+
+// Minor keys by their home note (la in la-based minor, do in do-based minor)
+export const MINOR_KEY_SIGNATURES = {
+    'Ab': -7,
+    'Eb': -6,
+    'Bb': -5,
+    'F': -4,
+    'C': -3,
+    'G': -2,
+    'D': -1,
+    'A': 0,
+    'E': 1,
+    'B': 2,
+    'F#': 3,
+    'C#': 4,
+    'G#': 5,
+    'D#': 6,
+    'A#': 7
+};
+
+export const MODES = {
+    MAJOR: 'major',
+    LA_MINOR: 'la-minor',
+    DO_MINOR: 'do-minor'
+};
+
+export const MODE_LABELS = {
+    [MODES.MAJOR]: 'Major',
+    [MODES.LA_MINOR]: 'Minor (la-based)',
+    [MODES.DO_MINOR]: 'Minor (do-based)'
+};
+
+// Diatonic syllables of each mode, starting from its home note
+export const MODE_SCALES = {
+    [MODES.MAJOR]: ['do', 're', 'mi', 'fa', 'sol', 'la', 'ti'],
+    [MODES.LA_MINOR]: ['la', 'ti', 'do', 're', 'mi', 'fa', 'sol'],
+    [MODES.DO_MINOR]: ['do', 're', 'me', 'fa', 'sol', 'le', 'te']
+};
+
+export const DEFAULT_TONIC = 'C';
+export const DEFAULT_MODE = MODES.MAJOR;
+
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+// Chromatic syllables chosen for each pitch class above do when only a pitch number is known
+const CHROMATIC_SOLFEGE = ['do', 'di', 're', 'me', 'mi', 'fa', 'fi', 'sol', 'si', 'la', 'te', 'ti'];
+
+export const isValidMode = (mode) => Object.values(MODES).includes(mode);
+
+// In do-based minor do is the minor home note, so the minor key table applies
+const getSignatureTable = (mode) => mode === MODES.DO_MINOR ? MINOR_KEY_SIGNATURES : KEY_SIGNATURES;
+
+export const isValidTonic = (tonic, mode = DEFAULT_MODE) =>
+    Object.prototype.hasOwnProperty.call(getSignatureTable(mode), tonic);
+
+// Tonics offered for do in a mode
+export const getTonicsForMode = (mode = DEFAULT_MODE) => Object.keys(getSignatureTable(mode));
+
+const parseTonic = (tonic) => {
+    const name = /^[A-G][#b]?$/.test(tonic) ? tonic : DEFAULT_TONIC;
+    return {
+        step: name[0],
+        alter: name[1] === '#' ? 1 : name[1] === 'b' ? -1 : 0
+    };
+};
+
+// Whether a syllable belongs to the scale of a mode (me, le and te only in do-based minor)
+export const isDiatonic = (note, mode = DEFAULT_MODE) =>
+    (MODE_SCALES[mode] || MODE_SCALES[DEFAULT_MODE]).includes(note?.toLowerCase());
+
+// Display name with proper sharp/flat signs, e.g. 'Eb' -> 'E♭'
+export const getTonicDisplayName = (tonic) => tonic.replace('#', '♯').replace('b', '♭');
+
+// Tonic with the given number of sharps (positive) or flats (negative)
+export const getTonicForFifths = (fifths, mode = DEFAULT_MODE) => {
+    const match = Object.entries(getSignatureTable(mode)).find(([, value]) => value === fifths);
+    return match ? match[0] : DEFAULT_TONIC;
+};
+
+// Home note of the piece: la for la-based minor, otherwise do itself
+export const getModeTonic = (tonic = DEFAULT_TONIC, mode = DEFAULT_MODE) => {
+    if (mode !== MODES.LA_MINOR || !isValidTonic(tonic)) return tonic;
+    return Object.keys(MINOR_KEY_SIGNATURES).find(name => MINOR_KEY_SIGNATURES[name] === KEY_SIGNATURES[tonic]);
+};
+
+// Pitch of do for a piece whose home note is modeTonic, or null if that key has no signature
+export const getDoForModeTonic = (modeTonic, mode = DEFAULT_MODE) => {
+    if (mode !== MODES.LA_MINOR) {
+        return isValidTonic(modeTonic, mode) ? modeTonic : null;
+    }
+    if (!isValidTonic(modeTonic, MODES.DO_MINOR)) return null;
+    return getTonicForFifths(MINOR_KEY_SIGNATURES[modeTonic]);
+};
+
+/**
+ * Pitch of do after switching a piece to another mode
+ * The home note is kept (C major becomes C minor); when that key does not exist the
+ * key signature is kept instead.
+ */
+export const convertTonicForMode = (tonic, fromMode, toMode) => {
+    const converted = getDoForModeTonic(getModeTonic(tonic, fromMode), toMode);
+    if (converted) return converted;
+    return getTonicForFifths(getKeySignature(tonic, fromMode).fifths, toMode);
+};
+
+/**
+ * Key signature for a tonic
+ * @param {string} tonic - pitch of do, e.g. 'G', 'Eb'
+ * @param {string} mode - one of MODES
+ * @returns {{tonic, mode, fifths, alterations: Object<string, number>}}
+ */
+export const getKeySignature = (tonic = DEFAULT_TONIC, mode = DEFAULT_MODE) => {
+    const keyMode = isValidMode(mode) ? mode : DEFAULT_MODE;
+    const name = isValidTonic(tonic, keyMode) ? tonic : DEFAULT_TONIC;
+    const fifths = getSignatureTable(keyMode)[name];
+    const alterations = {};
+
+    SHARP_ORDER.slice(0, Math.max(0, fifths)).forEach(step => { alterations[step] = 1; });
+    FLAT_ORDER.slice(0, Math.max(0, -fifths)).forEach(step => { alterations[step] = -1; });
+
+    return { tonic: name, mode: keyMode, fifths, alterations };
+};
+
+// Accidental signs in the order they appear after the clef
+export const getKeySignatureSymbols = (tonic = DEFAULT_TONIC, mode = DEFAULT_MODE) => {
+    const { fifths } = getKeySignature(tonic, mode);
+    if (fifths > 0) return SHARP_ORDER.slice(0, fifths).map(step => ({ step, symbol: '♯' }));
+    return FLAT_ORDER.slice(0, -fifths).map(step => ({ step, symbol: '♭' }));
+};
+
+/**
+ * Written pitch of a do = C pitch once do is moved to another tonic
+ * The octave stays relative to do: do4 is always the tonic in octave 4.
+ */
+export const transposeFromC = ({ step, alter = 0, octave }, tonic = DEFAULT_TONIC) => {
+    const tonicPitch = parseTonic(tonic);
+    const index = STEPS.indexOf(tonicPitch.step) + STEPS.indexOf(step);
+    const octaveShift = Math.floor(index / 7);
+    const newStep = STEPS[index % 7];
+
+    const targetSemitones = STEP_SEMITONES[tonicPitch.step] + tonicPitch.alter + STEP_SEMITONES[step] + alter;
+    const naturalSemitones = STEP_SEMITONES[newStep] + 12 * octaveShift;
+
+    return {
+        step: newStep,
+        alter: targetSemitones - naturalSemitones,
+        octave: octave + octaveShift
+    };
+};
+
+// Inverse of transposeFromC: the do = C spelling of a written pitch in a key
+export const transposeToC = ({ step, alter = 0, octave }, tonic = DEFAULT_TONIC) => {
+    const tonicPitch = parseTonic(tonic);
+    const stepIndex = STEPS.indexOf(step);
+    const tonicIndex = STEPS.indexOf(tonicPitch.step);
+    const octaveShift = stepIndex < tonicIndex ? 1 : 0;
+    const newStep = STEPS[(stepIndex - tonicIndex + 7) % 7];
+
+    const semitonesAboveDo = STEP_SEMITONES[step] + 12 * octaveShift + alter
+        - (STEP_SEMITONES[tonicPitch.step] + tonicPitch.alter);
+
+    return {
+        step: newStep,
+        alter: semitonesAboveDo - STEP_SEMITONES[newStep],
+        octave: octave - octaveShift
+    };
+};
+
+// Pitch class of do (0 = C) for a tonic
+export const getTonicPitchClass = (tonic = DEFAULT_TONIC) => {
+    const { step, alter } = parseTonic(tonic);
+    return (STEP_SEMITONES[step] + alter + 12) % 12;
+};
+
+// Chromatic syllables with the mode's own scale degrees taking precedence (le over si in do-based minor)
+const getChromaticSolfege = (mode) => CHROMATIC_SOLFEGE.map(note => {
+    const pitchClass = STEP_SEMITONES[SOLFEGE_PITCHES[note].step] + SOLFEGE_PITCHES[note].alter;
+    const diatonic = (MODE_SCALES[mode] || []).find(syllable =>
+        STEP_SEMITONES[SOLFEGE_PITCHES[syllable].step] + SOLFEGE_PITCHES[syllable].alter === pitchClass
+    );
+    return diatonic || note;
+});
+
+// Solfege syllable and do-relative octave for a MIDI note number
+export const midiToSolfegeInKey = (midiNumber, tonic = DEFAULT_TONIC, mode = DEFAULT_MODE) => {
+    const relative = midiNumber - getTonicPitchClass(tonic);
+    return {
+        note: getChromaticSolfege(mode)[((relative % 12) + 12) % 12],
+        octave: Math.floor(relative / 12) - 1
+    };
+};
@@ -0,0 +1,114 @@
+/**
+ * Tests for movable-do key handling
+ */
+
+import {
+  MODES,
+  getKeySignature,
+  getModeTonic,
+  convertTonicForMode,
+  isDiatonic,
+  transposeFromC,
+  transposeToC,
+  midiToSolfegeInKey
+} from './keySignatures.js';
+import { MusicComposition, solfegeToPitch, pitchToSolfege, pitchToMidi } from './musicNotation.js';
+
+describe('getKeySignature', () => {
+  test('lists sharps and flats in key signature order', () => {
+    expect(getKeySignature('D').alterations).toEqual({ F: 1, C: 1 });
+    expect(getKeySignature('Eb').alterations).toEqual({ B: -1, E: -1, A: -1 });
+    expect(getKeySignature('C').fifths).toBe(0);
+  });
+
+  test('falls back to C for unknown tonics', () => {
+    expect(getKeySignature('H').tonic).toBe('C');
+  });
+});
+
+describe('movable do', () => {
+  test('places do on the tonic and spells the scale in that key', () => {
+    const scale = ['do', 're', 'mi', 'fa', 'sol', 'la', 'ti'];
+
+    expect(scale.map(note => solfegeToPitch(note, 4, null, 'G')))
+      .toEqual([
+        { step: 'G', alter: 0, octave: 4 },
+        { step: 'A', alter: 0, octave: 4 },
+        { step: 'B', alter: 0, octave: 4 },
+        { step: 'C', alter: 0, octave: 5 },
+        { step: 'D', alter: 0, octave: 5 },
+        { step: 'E', alter: 0, octave: 5 },
+        { step: 'F', alter: 1, octave: 5 }
+      ]);
+    expect(solfegeToPitch('fa', 4, null, 'Eb')).toEqual({ step: 'A', alter: -1, octave: 4 });
+    expect(solfegeToPitch('fi', 4, null, 'F')).toEqual({ step: 'B', alter: 0, octave: 4 });
+  });
+
+  test('reads written pitches back to the same syllables', () => {
+    ['C', 'G', 'Eb', 'F#', 'Db'].forEach(tonic => {
+      ['do', 'ra', 'mi', 'fi', 'sol', 'le', 'te', 'ti'].forEach(note => {
+        const pitch = solfegeToPitch(note, 4, null, tonic);
+        expect(pitchToSolfege(pitch, tonic)).toEqual({ note, octave: 4 });
+        expect(transposeFromC(transposeToC(pitch, tonic), tonic)).toEqual(pitch);
+      });
+    });
+  });
+
+  test('maps MIDI numbers to syllables relative to do', () => {
+    expect(midiToSolfegeInKey(67, 'G')).toEqual({ note: 'do', octave: 4 });
+    expect(midiToSolfegeInKey(62, 'G')).toEqual({ note: 'sol', octave: 3 });
+    expect(midiToSolfegeInKey(pitchToMidi({ step: 'G', alter: 0, octave: 4 }), 'Eb')).toEqual({ note: 'mi', octave: 4 });
+  });
+});
+
+describe('minor modes', () => {
+  test('uses the relative major signature for la-based minor and the minor signature for do-based minor', () => {
+    expect(getKeySignature('C', MODES.LA_MINOR).fifths).toBe(0);
+    expect(getModeTonic('C', MODES.LA_MINOR)).toBe('A');
+    expect(getKeySignature('A', MODES.DO_MINOR).fifths).toBe(0);
+    expect(getKeySignature('C', MODES.DO_MINOR).alterations).toEqual({ B: -1, E: -1, A: -1 });
+    expect(getKeySignature('G#', MODES.DO_MINOR).fifths).toBe(5);
+  });
+
+  test('treats me, le and te as diatonic only in do-based minor', () => {
+    ['me', 'le', 'te'].forEach(note => {
+      expect(isDiatonic(note, MODES.DO_MINOR)).toBe(true);
+      expect(isDiatonic(note, MODES.LA_MINOR)).toBe(false);
+      expect(isDiatonic(note, MODES.MAJOR)).toBe(false);
+    });
+    expect(isDiatonic('mi', MODES.DO_MINOR)).toBe(false);
+    expect(isDiatonic('la', MODES.LA_MINOR)).toBe(true);
+  });
+
+  test('keeps the home note when switching modes', () => {
+    expect(convertTonicForMode('C', MODES.MAJOR, MODES.LA_MINOR)).toBe('Eb');
+    expect(convertTonicForMode('C', MODES.MAJOR, MODES.DO_MINOR)).toBe('C');
+    expect(convertTonicForMode('C', MODES.LA_MINOR, MODES.DO_MINOR)).toBe('A');
+    // There is no C flat minor signature, so the key signature is kept instead
+    expect(convertTonicForMode('Cb', MODES.MAJOR, MODES.DO_MINOR)).toBe('Ab');
+  });
+
+  test('maps syllables to the same pitches for the same home note in either minor', () => {
+    const laBased = ['la', 'ti', 'do', 're', 'mi', 'fa', 'sol'].map(note => solfegeToPitch(note, 4, null, 'C'));
+    const doBased = ['do', 're', 'me', 'fa', 'sol', 'le', 'te'].map(note => solfegeToPitch(note, 4, null, 'A'));
+
+    expect(doBased.map(pitch => `${pitch.step}${pitch.alter}`))
+      .toEqual(laBased.map(pitch => `${pitch.step}${pitch.alter}`));
+  });
+
+  test('names chromatic MIDI pitches with the mode\'s own syllables', () => {
+    expect(midiToSolfegeInKey(68, 'C', MODES.MAJOR).note).toBe('si');
+    expect(midiToSolfegeInKey(68, 'C', MODES.DO_MINOR).note).toBe('le');
+  });
+
+  test('switches a composition to minor around its home note', () => {
+    const composition = new MusicComposition();
+    composition.setKey('D');
+
+    composition.setMode(MODES.DO_MINOR);
+    expect(composition.getCompositionInfo()).toMatchObject({ key: 'D', mode: MODES.DO_MINOR, tonic: 'D' });
+
+    composition.setMode(MODES.LA_MINOR);
+    expect(composition.getCompositionInfo()).toMatchObject({ key: 'F', mode: MODES.LA_MINOR, tonic: 'D' });
+  });
+});
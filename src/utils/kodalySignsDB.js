@@ -1,3 +1,5 @@
+import { getFeatureVector, matchCalibratedSign, loadCalibration } from './handCalibration.js';
+
 // Constants for finger joints
 const FINGERS = {
     THUMB: [1, 2, 3, 4],
@@ -7,6 +9,57 @@ const FINGERS = {
     PINKY: [17, 18, 19, 20]
 };
 
+// Chromatic signs: the diatonic sign tilted sideways raises or lowers it by a semitone
+const CHROMATIC_SIGNS = {
+    'do': { raised: 'di' },
+    're': { raised: 'ri', lowered: 'ra' },
+    'mi': { lowered: 'me' },
+    'fa': { raised: 'fi' },
+    'sol': { raised: 'si', lowered: 'se' },
+    'la': { raised: 'li', lowered: 'le' },
+    'ti': { lowered: 'te' }
+};
+
+const TILT_THRESHOLD = 25; // Degrees a hand leans away from its sign's direction before it counts as chromatic
+const MAX_LEAN = 45;       // Further than this the hand is making a different sign, not leaning this one
+const MIN_VISIBLE_LENGTH = 0.5; // Share of the hand's length that must lie in the image plane to read a lean
+
+// In-plane direction each sign is made in: wrist to middle fingertip (the line the rules' verticalAngle
+// follows), in degrees counter-clockwise from
+// pointing right, with the mirrored direction for the other hand. re and ti are told apart from the
+// other signs by this angle, so a lean is always measured from the sign's own direction.
+const SIGN_DIRECTIONS = {
+    'do': [0, 180],
+    're': [45, 135],
+    'mi': [0, 180],
+    'fa': [0, 180],
+    'sol': [0, 180],
+    'la': [-90],
+    'ti': [35, 145]
+};
+
+// Per-user centroids from the calibration wizard, used in place of the built-in thresholds
+let activeCalibration = loadCalibration();
+
+export function setCalibration(calibration) {
+    activeCalibration = calibration;
+}
+
+export function getCalibration() {
+    return activeCalibration;
+}
+
+// Trained classifier from signClassifier.js; while set it replaces the rules and calibration
+let activeClassifier = null;
+
+export function setSignClassifier(classifier) {
+    activeClassifier = classifier;
+}
+
+export function getSignClassifier() {
+    return activeClassifier;
+}
+
 // Basic helper functions
 function distance(p1, p2) {
     return Math.sqrt(
@@ -136,9 +189,52 @@ function getThumbDirection(landmarks) {
     };
 }
 
-export function recognizeKodalySign(landmarks) {
-    if (!landmarks || landmarks.length < 21) return null;
+// In-plane direction of the hand (degrees, counter-clockwise from pointing right);
+// null when the hand points too far toward or away from the camera for its lean to show
+function getHandRoll(landmarks) {
+    const wrist = landmarks[0];
+    const middleTip = landmarks[12];
+    const dx = middleTip.x - wrist.x;
+    const dy = wrist.y - middleTip.y;
+    const length = distance(wrist, middleTip);
+
+    if (length === 0 || Math.sqrt(dx * dx + dy * dy) < length * MIN_VISIBLE_LENGTH) return null;
+    return Math.atan2(dy, dx) * (180 / Math.PI);
+}
+
+// Signed lean of a hand from a sign's nearest direction; counter-clockwise is positive
+function getSignLean(sign, roll) {
+    if (roll === null || !SIGN_DIRECTIONS[sign]) return 0;
+
+    return SIGN_DIRECTIONS[sign]
+        .map(direction => ((roll - direction + 540) % 360) - 180)
+        .reduce((nearest, lean) => Math.abs(lean) < Math.abs(nearest) ? lean : nearest);
+}
 
+const getLeanModifier = (lean) => (
+    lean >= TILT_THRESHOLD ? 'raised' : lean <= -TILT_THRESHOLD ? 'lowered' : null
+);
+
+// Rotate landmarks around the wrist in the image plane (degrees, counter-clockwise)
+function rotateLandmarks(landmarks, degrees) {
+    const wrist = landmarks[0];
+    const radians = degrees * (Math.PI / 180);
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+
+    return landmarks.map(point => {
+        const dx = point.x - wrist.x;
+        const dy = wrist.y - point.y;
+        return {
+            ...point,
+            x: wrist.x + dx * cos - dy * sin,
+            y: wrist.y - (dx * sin + dy * cos)
+        };
+    });
+}
+
+// Diatonic sign of a hand as it is held: trained classifier, else calibration, else built-in rules
+function readSign(landmarks) {
     const fingers = analyzeFingers(landmarks);
     const handDir = getHandDirection(landmarks);
     const palmDir = getPalmDirection(landmarks);
@@ -165,11 +261,35 @@ export function recognizeKodalySign(landmarks) {
         }
     };
 
+    // The classifier and calibration see the same features the calibration wizard records
+    const features = getSignFeatures(landmarks);
+    const prediction = activeClassifier?.isTrained()
+        ? activeClassifier.predict(features)
+        : null;
+    debug.probabilities = prediction ? prediction.probabilities : null;
+
+    const calibrated = activeCalibration && !prediction
+        ? matchCalibratedSign(features, activeCalibration)
+        : null;
+    debug.calibration = calibrated;
+
     let sign = null;
     let confidence = 0;
 
+    // Trained model: the most probable sign and its probability, or no sign for an unknown hand
+    if (prediction) {
+        sign = prediction.label;
+        confidence = prediction.confidence;
+    }
+
+    // Calibrated signs match against the user's own recorded hand shapes
+    else if (calibrated?.sign) {
+        sign = calibrated.sign;
+        confidence = 0.9;
+    }
+
     // DO - Based on your screenshot values
-    if (fingers.values.thumb > 0.9 &&        // Thumb extended (100%)
+    else if (fingers.values.thumb > 0.9 &&        // Thumb extended (100%)
         fingers.values.index > 0.55 &&       // Index around 64%
         fingers.values.index < 0.75 &&
         fingers.values.middle > 0.55 &&      // Middle around 60%
@@ -252,6 +372,62 @@ export function recognizeKodalySign(landmarks) {
         confidence = 0.9;
     }
 
+    // Built-in thresholds only cover signs the user has not calibrated
+    if (!prediction && !calibrated?.sign && sign && activeCalibration?.signs[sign]) {
+        sign = null;
+        confidence = 0;
+    }
+
+    return {
+        sign,
+        confidence,
+        // Signs matched against the user's own recordings are read at the angle they were recorded at
+        source: prediction ? 'classifier' : calibrated?.sign ? 'calibration' : 'rules',
+        debug
+    };
+}
+
+// Base signs a hand that matched nothing as held could be leaning: each sign's lean, nearest first
+function getLeanCandidates(roll) {
+    if (roll === null) return [];
+
+    return Object.keys(SIGN_DIRECTIONS)
+        .map(sign => ({ sign, lean: getSignLean(sign, roll) }))
+        .filter(({ lean }) => Math.abs(lean) >= TILT_THRESHOLD && Math.abs(lean) <= MAX_LEAN)
+        .sort((a, b) => Math.abs(a.lean) - Math.abs(b.lean));
+}
+
+export function recognizeKodalySign(landmarks) {
+    if (!landmarks || landmarks.length < 21) return null;
+
+    const roll = getHandRoll(landmarks);
+    let reading = readSign(landmarks);
+    let lean = reading.sign && reading.source === 'rules' ? getSignLean(reading.sign, roll) : 0;
+
+    // Nothing as held: try each sign the hand may be leaning, turned back to that sign's own
+    // direction, and keep the first that reads as the sign it was turned for
+    if (!reading.sign) {
+        const candidate = getLeanCandidates(roll).find(({ sign, lean: candidateLean }) => (
+            readSign(rotateLandmarks(landmarks, -candidateLean)).sign === sign
+        ));
+        if (candidate) {
+            reading = readSign(rotateLandmarks(landmarks, -candidate.lean));
+            lean = candidate.lean;
+        }
+    }
+
+    const modifier = reading.sign ? getLeanModifier(lean) : null;
+    const { debug } = reading;
+    debug.tilt = { angle: lean, modifier, baseSign: reading.sign };
+
+    // Chromatic modifier (leans with no matching syllable, like mi raised, keep the base sign)
+    let { sign, confidence } = reading;
+    const chromaticSign = sign && modifier ? CHROMATIC_SIGNS[sign][modifier] : null;
+    if (chromaticSign) {
+        sign = chromaticSign;
+        confidence = reading.source === 'classifier' ? confidence : 0.85;
+    }
+
     return {
         sign,
         confidence,
@@ -274,3 +450,10 @@ export function analyzeHand(landmarks) {
         thumbDirection: thumbDir
     };
 }
+
+// Features for calibration and the trained classifier, read from the hand as it is held
+export function getSignFeatures(landmarks) {
+    if (!landmarks || landmarks.length < 21) return null;
+
+    return getFeatureVector(analyzeHand(landmarks));
+}
@@ -0,0 +1,145 @@
+/**
+ * Tests for Kodály hand-sign recognition, including chromatic tilt modifiers
+ */
+
+import { recognizeKodalySign, getSignFeatures, setCalibration } from './kodalySignsDB.js';
+import { buildCalibration, MIN_SAMPLES } from './handCalibration.js';
+
+// Open hand pointing down with the palm toward the camera (the la sign)
+const createLaLandmarks = () => {
+  const landmarks = [{ x: 0.5, y: 0.4, z: 0 }];
+
+  // Thumb, straight and angled out to the side
+  [[0.47, 0.43], [0.45, 0.46], [0.43, 0.49], [0.41, 0.52]]
+    .forEach(([x, y]) => landmarks.push({ x, y, z: 0 }));
+
+  // Index, middle, ring and pinky, each straight down from its knuckle
+  [0.46, 0.49, 0.52, 0.55].forEach(x => {
+    for (let joint = 0; joint < 4; joint++) {
+      landmarks.push({ x, y: 0.5 + joint * 0.03, z: 0 });
+    }
+  });
+
+  return landmarks;
+};
+
+// Index pointing up and to the right, the other fingers half curled, palm to the side (the ti sign)
+const createTiLandmarks = (degrees = 55) => {
+  const radians = degrees * (Math.PI / 180);
+  const along = { x: Math.cos(radians), y: -Math.sin(radians), z: 0 };
+  const curl = { x: Math.sin(radians), y: Math.cos(radians), z: 0 };
+  const step = (point, direction, length) => ({
+    x: point.x + direction.x * length,
+    y: point.y + direction.y * length,
+    z: point.z + direction.z * length
+  });
+  const bend = (angle) => ({
+    x: along.x * Math.cos(angle) + curl.x * Math.sin(angle),
+    y: along.y * Math.cos(angle) + curl.y * Math.sin(angle),
+    z: 0
+  });
+  const wrist = { x: 0.5, y: 0.6, z: 0 };
+  const landmarks = [wrist];
+
+  // Thumb, straight and pointing back out of the screen
+  for (let joint = 1; joint <= 4; joint++) {
+    landmarks.push(step(step(wrist, along, 0.03 * joint), { x: 0, y: 0, z: 1 }, -0.02 * joint));
+  }
+
+  // Knuckles spread into the screen; the index is straight, the others bend at each joint
+  [-0.015, -0.005, 0.005, 0.015].forEach((depth, finger) => {
+    let point = step(step(wrist, along, 0.1), { x: 0, y: 0, z: 1 }, depth);
+    landmarks.push(point);
+    [0, 1, 2].forEach(joint => {
+      point = step(point, finger === 0 ? along : bend(joint), 0.03);
+      landmarks.push(point);
+    });
+  });
+
+  return landmarks;
+};
+
+// Rotate around the wrist, counter-clockwise as seen on screen
+const tilt = (landmarks, degrees) => {
+  const wrist = landmarks[0];
+  const radians = degrees * (Math.PI / 180);
+  return landmarks.map(point => {
+    const dx = point.x - wrist.x;
+    const dy = wrist.y - point.y;
+    return {
+      x: wrist.x + dx * Math.cos(radians) - dy * Math.sin(radians),
+      y: wrist.y - (dx * Math.sin(radians) + dy * Math.cos(radians)),
+      z: point.z
+    };
+  });
+};
+
+describe('recognizeKodalySign', () => {
+  test('recognizes an upright diatonic sign', () => {
+    const result = recognizeKodalySign(createLaLandmarks());
+
+    expect(result.sign).toBe('la');
+    expect(result.debug.tilt.modifier).toBeNull();
+  });
+
+  test('reads a sign tilted counter-clockwise as raised', () => {
+    const result = recognizeKodalySign(tilt(createLaLandmarks(), 35));
+
+    expect(result.sign).toBe('li');
+    expect(result.debug.tilt).toMatchObject({ modifier: 'raised', baseSign: 'la' });
+  });
+
+  test('reads a sign tilted clockwise as lowered', () => {
+    const result = recognizeKodalySign(tilt(createLaLandmarks(), -35));
+
+    expect(result.sign).toBe('le');
+    expect(result.confidence).toBeGreaterThan(0);
+  });
+
+  test('ignores small tilts', () => {
+    expect(recognizeKodalySign(tilt(createLaLandmarks(), 10)).sign).toBe('la');
+  });
+
+  test('reads an open hand angled upward as re, not a leaning mi', () => {
+    [120, 135, 150].forEach(degrees => {
+      const result = recognizeKodalySign(tilt(createLaLandmarks(), degrees));
+
+      expect(result.sign).toBe('re');
+      expect(result.debug.tilt.modifier).toBeNull();
+    });
+  });
+
+  test('reads ti at its own angle, and leaning back from it as te', () => {
+    expect(recognizeKodalySign(createTiLandmarks()).sign).toBe('ti');
+    expect(recognizeKodalySign(createTiLandmarks(45)).sign).toBe('ti');
+
+    const lowered = recognizeKodalySign(createTiLandmarks(25));
+    expect(lowered.sign).toBe('te');
+    expect(lowered.debug.tilt).toMatchObject({ modifier: 'lowered', baseSign: 'ti' });
+  });
+
+  test('returns null without a full set of landmarks', () => {
+    expect(recognizeKodalySign([])).toBeNull();
+  });
+
+  describe('with a calibration', () => {
+    afterEach(() => setCalibration(null));
+
+    test('matches the user\'s recorded centroids in place of the built-in thresholds', () => {
+      const features = getSignFeatures(createLaLandmarks());
+      setCalibration(buildCalibration({ do: Array(MIN_SAMPLES).fill(features) }));
+
+      const result = recognizeKodalySign(createLaLandmarks());
+
+      expect(result.sign).toBe('do');
+      expect(result.debug.calibration.sign).toBe('do');
+    });
+
+    test('does not fall back to thresholds for a calibrated sign', () => {
+      const features = getSignFeatures(createLaLandmarks());
+      setCalibration(buildCalibration({ la: Array(MIN_SAMPLES).fill({ ...features, palmZ: -features.palmZ }) }));
+
+      expect(recognizeKodalySign(createLaLandmarks()).sign).toBeNull();
+    });
+  });
+});
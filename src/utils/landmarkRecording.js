@@ -0,0 +1,180 @@
+/**
+ * Landmark Recording and Replay
+ * Records MediaPipe hand and face results with timestamps to JSON, and replays them
+ * into the same onHandResults/onFaceResults callbacks DualMediaPipeManager drives,
+ * so detectors can be exercised without a camera (including in Jest)
+ */
+
+export const RECORDING_VERSION = 1;
+export const RECORDING_MIME_TYPE = 'application/json';
+
+// Six decimals keeps recordings small while staying well below landmark noise
+const roundCoordinate = (value) => Math.round(value * 1e6) / 1e6;
+
+const copyLandmarks = (landmarks) => landmarks.map(point => {
+    const copy = { x: roundCoordinate(point.x), y: roundCoordinate(point.y), z: roundCoordinate(point.z || 0) };
+    if (point.visibility !== undefined) copy.visibility = roundCoordinate(point.visibility);
+    return copy;
+});
+
+// Strip the camera image and keep only what the detectors read
+const copyHandResults = (results) => ({
+    multiHandLandmarks: (results.multiHandLandmarks || []).map(copyLandmarks),
+    multiHandedness: (results.multiHandedness || []).map(({ label, score, index }) => ({ label, score, index }))
+});
+
+const copyFaceResults = (results) => ({
+    multiFaceLandmarks: (results.multiFaceLandmarks || []).map(copyLandmarks)
+});
+
+export class LandmarkRecorder {
+    constructor(now = () => Date.now()) {
+        this.now = now;
+        this.frames = [];
+        this.startTime = null;
+        this.isRecording = false;
+    }
+
+    start() {
+        this.frames = [];
+        this.startTime = this.now();
+        this.isRecording = true;
+    }
+
+    recordHandResults(results) {
+        if (!this.isRecording) return;
+        this.frames.push({ time: this.now() - this.startTime, type: 'hands', results: copyHandResults(results) });
+    }
+
+    recordFaceResults(results) {
+        if (!this.isRecording) return;
+        this.frames.push({ time: this.now() - this.startTime, type: 'face', results: copyFaceResults(results) });
+    }
+
+    // Wrap result callbacks so every frame is recorded before being passed on
+    wrapCallbacks(onHandResults, onFaceResults) {
+        return {
+            onHandResults: (results) => {
+                this.recordHandResults(results);
+                onHandResults?.(results);
+            },
+            onFaceResults: (results) => {
+                this.recordFaceResults(results);
+                onFaceResults?.(results);
+            }
+        };
+    }
+
+    /**
+     * Stop recording
+     * @returns {{version, recordedAt, duration, frames: Array<{time, type, results}>}}
+     */
+    stop() {
+        this.isRecording = false;
+        return this.getRecording();
+    }
+
+    getRecording() {
+        const last = this.frames[this.frames.length - 1];
+        return {
+            version: RECORDING_VERSION,
+            recordedAt: new Date(this.startTime ?? this.now()).toISOString(),
+            duration: last ? last.time : 0,
+            frames: this.frames
+        };
+    }
+
+    toJSON() {
+        return JSON.stringify(this.getRecording());
+    }
+}
+
+/**
+ * Parse a recording from JSON text or an already-parsed object
+ * @throws {Error} when the data is not a landmark recording
+ */
+export const parseRecording = (data) => {
+    const recording = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!recording || !Array.isArray(recording.frames)) {
+        throw new Error('Not a landmark recording');
+    }
+    if (recording.version > RECORDING_VERSION) {
+        throw new Error(`Unsupported landmark recording version ${recording.version}`);
+    }
+    return recording;
+};
+
+// Drop-in stand-in for DualMediaPipeManager that plays a recording instead of the camera
+export class LandmarkReplaySource {
+    constructor(onHandResults, onFaceResults, recording, options = {}) {
+        this.onHandResults = onHandResults;
+        this.onFaceResults = onFaceResults;
+        this.recording = parseRecording(recording);
+        this.speed = options.speed || 1;
+        this.loop = options.loop || false;
+        this.onEnd = options.onEnd || null;
+        this.position = 0;
+        this.timer = null;
+        this.isInitialized = false;
+    }
+
+    // Deliver one frame to its callback; returns false once the recording is exhausted
+    step() {
+        const frame = this.recording.frames[this.position];
+        if (!frame) return false;
+
+        this.position++;
+        if (frame.type === 'hands') {
+            this.onHandResults?.(frame.results);
+        } else if (frame.type === 'face') {
+            this.onFaceResults?.(frame.results);
+        }
+        return true;
+    }
+
+    // Deliver every remaining frame synchronously (for tests)
+    replayAll() {
+        while (this.step()) {
+            // Keep stepping until the recording runs out
+        }
+    }
+
+    // Same signature as DualMediaPipeManager.initialize; the video element is ignored
+    async initialize() {
+        this.isInitialized = true;
+        this.position = 0;
+        this.scheduleNext();
+    }
+
+    scheduleNext() {
+        if (!this.isInitialized) return;
+
+        const frame = this.recording.frames[this.position];
+        if (!frame) {
+            if (this.loop && this.recording.frames.length > 0) {
+                this.position = 0;
+                this.scheduleNext();
+            } else {
+                this.isInitialized = false;
+                this.onEnd?.();
+            }
+            return;
+        }
+
+        const previous = this.recording.frames[this.position - 1];
+        const delay = previous ? (frame.time - previous.time) / this.speed : 0;
+
+        this.timer = setTimeout(() => {
+            this.step();
+            this.scheduleNext();
+        }, Math.max(0, delay));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.isInitialized = false;
+    }
+}
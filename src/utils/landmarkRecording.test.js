@@ -0,0 +1,121 @@
+/**
+ * Tests for landmark recording and camera-free replay
+ */
+
+import { LandmarkRecorder, LandmarkReplaySource, parseRecording } from './landmarkRecording.js';
+import { recognizeKodalySign } from './kodalySignsDB.js';
+import { detectFlatHand } from './flatHandDetection.js';
+import { recognizeLeftHandGesture } from './leftHandGestures.js';
+import { HeadTracker } from './headTracking.js';
+
+// Open hand pointing down (the la sign), shifted sideways per frame
+const createHand = (offset = 0) => {
+  const landmarks = [{ x: 0.5 + offset, y: 0.4, z: 0 }];
+  [[0.47, 0.43], [0.45, 0.46], [0.43, 0.49], [0.41, 0.52]]
+    .forEach(([x, y]) => landmarks.push({ x: x + offset, y, z: 0 }));
+  [0.46, 0.49, 0.52, 0.55].forEach(x => {
+    for (let joint = 0; joint < 4; joint++) {
+      landmarks.push({ x: x + offset, y: 0.5 + joint * 0.03, z: 0 });
+    }
+  });
+  return landmarks;
+};
+
+// Face mesh with the nose bobbing up and down
+const createFace = (frame) => Array.from({ length: 468 }, (_, i) => ({
+  x: 0.3 + (i % 20) * 0.02,
+  y: 0.3 + Math.floor(i / 20) * 0.01 + (i === 1 ? Math.sin(frame) * 0.05 : 0),
+  z: 0
+}));
+
+// Run every detector the composers use, collecting their outputs
+const createDetectors = () => {
+  const headTracker = new HeadTracker();
+  const outputs = [];
+  return {
+    outputs,
+    onHandResults: (results) => {
+      const landmarks = results.multiHandLandmarks[0];
+      outputs.push({
+        sign: recognizeKodalySign(landmarks)?.sign ?? null,
+        flat: detectFlatHand(landmarks)?.isFlatHand ?? null,
+        left: recognizeLeftHandGesture(landmarks)?.gesture ?? null
+      });
+    },
+    onFaceResults: (results) => {
+      outputs.push({ head: headTracker.analyzeGestures(results.multiFaceLandmarks[0])?.gesture ?? null });
+    }
+  };
+};
+
+const record = (callbacks) => {
+  let clock = 1000;
+  const recorder = new LandmarkRecorder(() => clock);
+  const { onHandResults, onFaceResults } = recorder.wrapCallbacks(callbacks.onHandResults, callbacks.onFaceResults);
+
+  recorder.start();
+  for (let frame = 0; frame < 12; frame++) {
+    clock += 33;
+    onHandResults({ image: 'camera frame', multiHandLandmarks: [createHand(frame * 0.001)], multiHandedness: [{ label: 'Right', score: 0.9, index: 0 }] });
+    clock += 33;
+    onFaceResults({ image: 'camera frame', multiFaceLandmarks: [createFace(frame)] });
+  }
+  return recorder.stop();
+};
+
+describe('LandmarkRecorder', () => {
+  test('records timestamped frames without camera images', () => {
+    const recording = record({});
+
+    expect(recording.frames).toHaveLength(24);
+    expect(recording.frames[0]).toMatchObject({ time: 33, type: 'hands' });
+    expect(recording.frames[1]).toMatchObject({ time: 66, type: 'face' });
+    expect(recording.duration).toBe(24 * 33);
+    expect(recording.frames[0].results.image).toBeUndefined();
+    expect(recording.frames[0].results.multiHandedness[0].label).toBe('Right');
+  });
+
+  test('rejects data that is not a recording', () => {
+    expect(() => parseRecording('{"frames": null}')).toThrow('Not a landmark recording');
+  });
+});
+
+describe('LandmarkReplaySource', () => {
+  test('reproduces the live detector outputs from a saved recording', () => {
+    const live = createDetectors();
+    const json = JSON.stringify(record(live));
+
+    const replayed = createDetectors();
+    new LandmarkReplaySource(replayed.onHandResults, replayed.onFaceResults, json).replayAll();
+
+    expect(replayed.outputs).toEqual(live.outputs);
+    expect(replayed.outputs[0].sign).toBe('la');
+  });
+
+  test('plays frames on the recorded schedule', async () => {
+    jest.useFakeTimers();
+    const received = [];
+    const onEnd = jest.fn();
+    const source = new LandmarkReplaySource(
+      () => received.push('hands'),
+      () => received.push('face'),
+      record({}),
+      { speed: 2, onEnd }
+    );
+
+    await source.initialize();
+    jest.advanceTimersByTime(0);
+    expect(received).toEqual(['hands']);
+
+    // Frames are 33 ms apart in the recording, so 16.5 ms apart at double speed
+    jest.advanceTimersByTime(17);
+    expect(received).toEqual(['hands', 'face']);
+
+    jest.advanceTimersByTime(1000);
+    expect(received).toHaveLength(24);
+    expect(onEnd).toHaveBeenCalled();
+
+    source.stop();
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Metronome
+ * Clicks on every counted unit of the time signature (each eighth in 6/8) with an accented
+ * downbeat and lighter accents on the other beat groups, scheduled on the audio clock
+ * through a looping Transport bar. An optional count-in plays whole bars before the first
+ * counted bar so recording can start on a downbeat.
+ */
+
+import { Transport } from './transport.js';
+import { ACCENTS, DEFAULT_TIME_SIGNATURE, getAccent, getBarBeats, getUnitBeats } from './timeSignatures.js';
+
+export const DEFAULT_COUNT_IN_BARS = 1;
+export const MAX_COUNT_IN_BARS = 4;
+
+const CLICK_FREQUENCIES = {
+    [ACCENTS.STRONG]: 1760, // Downbeat
+    [ACCENTS.MEDIUM]: 1320, // Other beat groups
+    [ACCENTS.WEAK]: 1100,   // Units inside a compound or irregular beat
+    countIn: 990            // Count-in clicks after the first
+};
+const CLICK_VOLUMES = {
+    [ACCENTS.STRONG]: 1,
+    [ACCENTS.MEDIUM]: 0.6,
+    [ACCENTS.WEAK]: 0.4
+};
+const CLICK_DURATION = 0.04; // seconds
+
+export class Metronome {
+    /**
+     * @param {Object} engine - EnhancedAudioEngine that plays the clicks
+     * @param {Object} options - { tempo, timeSignature: {beats, noteValue}, volume, onBeat }
+     */
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.tempo = options.tempo || 120;
+        this.timeSignature = options.timeSignature || { ...DEFAULT_TIME_SIGNATURE };
+        this.volume = options.volume ?? 0.4;
+        this.onBeat = options.onBeat || null;
+
+        this.transport = null;
+        this.downbeatTime = null; // Audio time of the first bar after the count-in
+    }
+
+    // Tempo counts quarter notes, as it does for playback and export
+    getBeatDuration() {
+        return 60 / this.tempo;
+    }
+
+    // One click: a unit of the time signature's bottom number
+    getUnitDuration() {
+        return this.getBeatDuration() * getUnitBeats(this.timeSignature);
+    }
+
+    getBarDuration() {
+        return this.getBeatDuration() * getBarBeats(this.timeSignature);
+    }
+
+    getCurrentTime() {
+        return this.engine.audioContext ? this.engine.audioContext.currentTime : 0;
+    }
+
+    isRunning() {
+        return this.transport !== null;
+    }
+
+    // Still in the count-in bars of the current start()
+    isCountingIn() {
+        return this.isRunning() && (this.downbeatTime === null || this.getCurrentTime() < this.downbeatTime);
+    }
+
+    /**
+     * Quarter-note beats elapsed since the downbeat after the count-in (negative during the count-in)
+     * @param {number} time - audio time, defaults to now
+     */
+    getBeatPosition(time = this.getCurrentTime()) {
+        if (this.downbeatTime === null) return null;
+        return (time - this.downbeatTime) / this.getBeatDuration();
+    }
+
+    setTempo(bpm) {
+        this.tempo = Math.max(30, Math.min(300, bpm));
+        if (this.isRunning()) this.start();
+    }
+
+    setTimeSignature(timeSignature) {
+        this.timeSignature = { ...timeSignature };
+        if (this.isRunning()) this.start();
+    }
+
+    /**
+     * Start clicking, restarting if already running
+     * @param {Object} options - { countIn: bars to count in before the first counted bar }
+     * @returns {Promise<number>} audio time of the first downbeat after the count-in
+     */
+    async start(options = {}) {
+        this.stop();
+
+        const countIn = Math.max(0, Math.min(MAX_COUNT_IN_BARS, options.countIn ?? 0));
+        const units = this.timeSignature.beats;
+        const unitDuration = this.getUnitDuration();
+        const unitBeats = getUnitBeats(this.timeSignature);
+        const countInDuration = countIn * this.getBarDuration();
+
+        const events = [];
+        for (let bar = 0; bar <= countIn; bar++) {
+            for (let beat = 0; beat < units; beat++) {
+                events.push({
+                    time: (bar * units + beat) * unitDuration,
+                    duration: CLICK_DURATION,
+                    beat,
+                    accent: getAccent(this.timeSignature, beat * unitBeats),
+                    countIn: bar < countIn
+                });
+            }
+        }
+
+        const transport = new Transport({
+            engine: this.engine,
+            events,
+            duration: countInDuration + this.getBarDuration(),
+            onEvent: (event, when) => this.click(event, when)
+        });
+        // Count in once, then repeat the last bar until stopped
+        transport.setLoop(countInDuration, countInDuration + this.getBarDuration());
+
+        this.transport = transport;
+        await transport.play();
+
+        // Stopped or restarted while the audio context was starting
+        if (this.transport !== transport) return null;
+
+        this.downbeatTime = transport.startTime + countInDuration;
+        return this.downbeatTime;
+    }
+
+    stop() {
+        if (this.transport) {
+            this.transport.stop();
+            this.transport = null;
+        }
+        this.downbeatTime = null;
+    }
+
+    click(event, when) {
+        let frequency = CLICK_FREQUENCIES[event.accent];
+        if (event.countIn && event.accent !== ACCENTS.STRONG) frequency = CLICK_FREQUENCIES.countIn;
+
+        this.engine.playFrequency(frequency, {
+            duration: CLICK_DURATION,
+            volume: this.volume * CLICK_VOLUMES[event.accent],
+            attack: 0.001,
+            startTime: when
+        });
+        this.onBeat?.({ beat: event.beat, accent: event.accent, countIn: event.countIn, time: when });
+    }
+}
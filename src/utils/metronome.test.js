@@ -0,0 +1,199 @@
+/**
+ * Tests for the metronome and metronome-timed recording
+ */
+
+import { Metronome } from './metronome.js';
+import { CompositionManager } from './compositionManager.js';
+
+const createEngine = () => ({
+  audioContext: { currentTime: 0 },
+  initialize: jest.fn(() => Promise.resolve()),
+  stopNote: jest.fn(),
+  playFrequency: jest.fn()
+});
+
+// Move the audio clock and the scheduler timer forward together
+const advance = (engine, seconds) => {
+  const steps = Math.round(seconds * 1000 / 25);
+  for (let i = 0; i < steps; i++) {
+    engine.audioContext.currentTime += 0.025;
+    jest.advanceTimersByTime(25);
+  }
+};
+
+// Let the metronome's start() promise chain settle
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+const clicks = (engine) => engine.playFrequency.mock.calls.map(([frequency, options]) => ({
+  frequency,
+  time: options.startTime
+}));
+
+describe('Metronome', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('accents the first beat of each bar of the time signature', async () => {
+    const engine = createEngine();
+    const metronome = new Metronome(engine, { tempo: 120, timeSignature: { beats: 3, noteValue: 4 } });
+
+    await metronome.start();
+    advance(engine, 3);
+    metronome.stop();
+
+    const played = clicks(engine);
+    expect(played.length).toBeGreaterThanOrEqual(6);
+    expect(played.slice(0, 6).map(click => click.frequency === played[0].frequency))
+      .toEqual([true, false, false, true, false, false]);
+    expect(played[1].time - played[0].time).toBeCloseTo(0.5);
+    expect(played[3].time - played[0].time).toBeCloseTo(1.5);
+  });
+
+  test('clicks every eighth of 6/8 with the second dotted beat lightly accented', async () => {
+    const engine = createEngine();
+    const beats = [];
+    const metronome = new Metronome(engine, {
+      tempo: 120,
+      timeSignature: { beats: 6, noteValue: 8 },
+      onBeat: beat => beats.push(beat)
+    });
+
+    await metronome.start();
+    advance(engine, 1.6);
+    metronome.stop();
+
+    const played = clicks(engine);
+    expect(played[1].time - played[0].time).toBeCloseTo(0.25);
+    expect(metronome.getBarDuration()).toBeCloseTo(1.5);
+    expect(beats.slice(0, 6).map(beat => beat.accent)).toEqual(['strong', 'weak', 'weak', 'medium', 'weak', 'weak']);
+  });
+
+  test('counts in whole bars before the first downbeat', async () => {
+    const engine = createEngine();
+    const beats = [];
+    const metronome = new Metronome(engine, { tempo: 120, onBeat: beat => beats.push(beat) });
+
+    const downbeat = await metronome.start({ countIn: 1 });
+    const firstClick = clicks(engine)[0].time;
+    expect(downbeat - firstClick).toBeCloseTo(2);
+    expect(metronome.isCountingIn()).toBe(true);
+
+    advance(engine, 2.2);
+    expect(metronome.isCountingIn()).toBe(false);
+    expect(beats.slice(0, 5).map(beat => beat.countIn)).toEqual([true, true, true, true, false]);
+    expect(metronome.getBeatPosition(downbeat + 1)).toBeCloseTo(2);
+
+    metronome.stop();
+    expect(metronome.isRunning()).toBe(false);
+  });
+});
+
+describe('CompositionManager with metronome', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('ignores the count-in and times notes from the first downbeat', async () => {
+    const engine = createEngine();
+    const audioPlayer = { metronome: new Metronome(engine) };
+    const manager = new CompositionManager();
+
+    manager.toggleMetronome(audioPlayer);
+    manager.startRecording();
+    await flushPromises();
+    expect(manager.getStatus()).toMatchObject({ metronomeOn: true, isCountingIn: true });
+
+    advance(engine, 1);
+    manager.addNote('do');
+    expect(manager.getComposition()).toHaveLength(0);
+
+    // One 4/4 bar at 120 BPM counts in, so the downbeat is 2 s after the clicks start
+    advance(engine, 1.55);
+    manager.addNote('re');
+    advance(engine, 0.5);
+    manager.addNote('mi');
+
+    const [re, mi] = manager.getComposition();
+    expect(re.timestamp).toBeGreaterThanOrEqual(0);
+    expect(re.beat).toBeCloseTo(re.timestamp / 500);
+    expect(mi.duration).toBeCloseTo(500);
+    expect(mi.beat - re.beat).toBeCloseTo(1);
+    expect(manager.getStatus().isCountingIn).toBe(false);
+
+    manager.toggleMetronome(audioPlayer);
+    expect(audioPlayer.metronome.isRunning()).toBe(false);
+  });
+
+  test('carries the take on in free time when the metronome is switched off mid-take', async () => {
+    const engine = createEngine();
+    const audioPlayer = { metronome: new Metronome(engine) };
+    const manager = new CompositionManager();
+
+    manager.toggleMetronome(audioPlayer);
+    manager.startRecording();
+    await flushPromises();
+    advance(engine, 3);
+    manager.addNote('do');
+
+    manager.toggleMetronome(audioPlayer);
+    manager.addNote('re');
+
+    const [doNote, re] = manager.getComposition();
+    expect(re.beat).toBeUndefined();
+    expect(re.timestamp).toBeGreaterThanOrEqual(doNote.timestamp);
+    expect(re.timestamp - doNote.timestamp).toBeLessThan(100);
+  });
+
+  test('keeps recording in free time when the metronome is switched on mid-take', async () => {
+    const engine = createEngine();
+    const audioPlayer = { metronome: new Metronome(engine) };
+    const manager = new CompositionManager();
+
+    manager.startRecording();
+    manager.addNote('do', 1000);
+    manager.toggleMetronome(audioPlayer);
+    await flushPromises();
+    manager.addNote('re', 1400);
+
+    expect(manager.getStatus()).toMatchObject({ metronomeOn: true, isCountingIn: false });
+    expect(manager.getComposition().map(note => note.duration)).toEqual([0, 400]);
+  });
+
+  test('records in free time when the count-in fails to start', async () => {
+    const engine = createEngine();
+    engine.initialize.mockImplementation(() => Promise.reject(new Error('no audio')));
+    const audioPlayer = { metronome: new Metronome(engine) };
+    const manager = new CompositionManager();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    manager.toggleMetronome(audioPlayer);
+    manager.startRecording();
+    await flushPromises();
+    manager.addNote('do', 1000);
+
+    expect(console.warn).toHaveBeenCalledWith('Failed to start metronome count-in:', expect.any(Error));
+    expect(manager.getComposition()).toHaveLength(1);
+    console.warn.mockRestore();
+  });
+
+  test('stops playing and reports the end when playback fails to start', async () => {
+    const audioPlayer = { playTimedSequence: jest.fn(() => Promise.reject(new Error('no audio'))) };
+    const manager = new CompositionManager();
+    const onEnd = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    manager.startRecording();
+    manager.addNote('do', 1000);
+    manager.stopRecording();
+    expect(manager.togglePlayback(audioPlayer, onEnd)).toBe(true);
+    await flushPromises();
+
+    expect(manager.isPlaying).toBe(false);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalledWith('Failed to start playback:', expect.any(Error));
+    console.error.mockRestore();
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,454 @@
+/**
+ * Standard MIDI File support
+ * Writes SMF type 1 files (conductor track + one track per voice) from playback
+ * sequences, and reads .mid files back into MusicComposition measures
+ */
+
+import {
+    MusicComposition,
+    NOTE_DURATIONS,
+    REST_DURATIONS,
+    solfegeToPitch,
+    pitchToMidi,
+    midiToSolfege,
+    splitBeats
+} from './musicNotation.js';
+import { MODES, getKeySignature, getTonicForFifths } from './keySignatures.js';
+import { isSameTimeSignature, getBarBeats } from './timeSignatures.js';
+
+export const MIDI_MIME_TYPE = 'audio/midi';
+
+const DEFAULT_PPQ = 480;
+const DEFAULT_VELOCITY = 90;
+const MICROSECONDS_PER_MINUTE = 60000000;
+
+// General MIDI programs closest to the player's timbres; parts without a timbre use piano
+const TIMBRE_PROGRAMS = {
+    sine: 79,       // Ocarina
+    square: 80,     // Square lead
+    sawtooth: 81,   // Sawtooth lead
+    triangle: 74,   // Recorder
+    organ: 19,      // Church organ
+    flute: 73,
+    strings: 48,    // String ensemble
+    piano: 0,
+    voice: 52       // Choir aahs
+};
+
+// === WRITING ===
+
+// Meta event text is written as plain ASCII so every sequencer can display it
+const textBytes = (text) => Array.from(String(text), char => {
+    const code = char.charCodeAt(0);
+    return code < 0x80 ? code : 0x3f;
+});
+
+const bytesToText = (bytes) => String.fromCharCode(...bytes);
+
+// Variable-length quantity used for delta times and meta lengths
+const encodeVarLen = (value) => {
+    const bytes = [value & 0x7f];
+    let remaining = value >>> 7;
+    while (remaining > 0) {
+        bytes.unshift((remaining & 0x7f) | 0x80);
+        remaining >>>= 7;
+    }
+    return bytes;
+};
+
+const uint32 = (value) => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+const uint16 = (value) => [(value >>> 8) & 0xff, value & 0xff];
+
+const metaEvent = (type, data) => [0xff, type, ...encodeVarLen(data.length), ...data];
+
+// Turn absolute-tick events into an MTrk chunk
+const buildTrackChunk = (events) => {
+    const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order);
+    const bytes = [];
+    let lastTick = 0;
+
+    for (const event of sorted) {
+        bytes.push(...encodeVarLen(event.tick - lastTick), ...event.data);
+        lastTick = event.tick;
+    }
+    bytes.push(0x00, ...metaEvent(0x2f, []));
+
+    return [...textBytes('MTrk'), ...uint32(bytes.length), ...bytes];
+};
+
+const timeSignatureEvent = ({ beats, noteValue }) => metaEvent(0x58, [beats, Math.round(Math.log2(noteValue)), 24, 8]);
+
+// Tick at which each meter change starts, counting whole bars of the meters before it
+const getTimeSignatureChangeTicks = (timeSignature, changes, ppq) => {
+    let tick = 0;
+    let measureIndex = 0;
+    let meter = timeSignature;
+
+    return changes.map(change => {
+        tick += (change.measureIndex - measureIndex) * getBarBeats(meter) * ppq;
+        measureIndex = change.measureIndex;
+        meter = change.timeSignature;
+        return { tick: Math.round(tick), timeSignature: meter };
+    });
+};
+
+const buildConductorTrack = (tempo, timeSignature, timeSignatureChanges, ppq, title, key, mode = MODES.MAJOR) => {
+    const usPerQuarter = Math.round(MICROSECONDS_PER_MINUTE / tempo);
+    const { fifths } = getKeySignature(key, mode);
+    const minor = mode === MODES.MAJOR ? 0 : 1;
+
+    return buildTrackChunk([
+        { tick: 0, order: 0, data: metaEvent(0x03, textBytes(title)) },
+        { tick: 0, order: 1, data: timeSignatureEvent(timeSignature) },
+        { tick: 0, order: 2, data: metaEvent(0x59, [fifths & 0xff, minor]) },
+        { tick: 0, order: 3, data: metaEvent(0x51, [(usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff]) },
+        ...getTimeSignatureChangeTicks(timeSignature, timeSignatureChanges, ppq).map(change => (
+            { tick: change.tick, order: 1, data: timeSignatureEvent(change.timeSignature) }
+        ))
+    ]);
+};
+
+const getSequenceItemMidi = (item) => {
+    if (typeof item.midi === 'number') return item.midi;
+    const pitch = solfegeToPitch(item.note, item.octave ?? 4, item.accidental, item.key);
+    return pitch ? pitchToMidi(pitch) : null;
+};
+
+const buildVoiceTrack = (track, channel, msToTicks) => {
+    const events = [
+        { tick: 0, order: 0, data: metaEvent(0x03, textBytes(track.name || `Voice ${channel + 1}`)) },
+        { tick: 0, order: 1, data: [0xc0 | channel, (track.program || 0) & 0x7f] }
+    ];
+
+    for (const item of track.sequence) {
+        const midi = getSequenceItemMidi(item);
+        if (midi === null || midi < 0 || midi > 127) continue;
+
+        const startTick = msToTicks(item.startTime);
+        const endTick = Math.max(startTick + 1, msToTicks(item.startTime + item.duration));
+        const velocity = item.volume !== undefined
+            ? Math.max(1, Math.min(127, Math.round(item.volume * 127)))
+            : DEFAULT_VELOCITY;
+
+        // Note-offs sort before note-ons on the same tick so repeated pitches retrigger
+        events.push({ tick: startTick, order: 3, data: [0x90 | channel, midi, velocity] });
+        events.push({ tick: endTick, order: 2, data: [0x80 | channel, midi, 0] });
+    }
+
+    return buildTrackChunk(events);
+};
+
+/**
+ * Write a type 1 Standard MIDI File
+ * @param {Array<{name, sequence, program}>} tracks - playback sequences (times in ms)
+ * @param {Object} options - { tempo, timeSignature, timeSignatureChanges, title, key, mode, ppq };
+ *   timeSignatureChanges lists { measureIndex, timeSignature } for meters that start mid-piece
+ * @returns {Uint8Array}
+ */
+export const writeMidiFile = (tracks, options = {}) => {
+    const tempo = options.tempo || 120;
+    const timeSignature = options.timeSignature || { beats: 4, noteValue: 4 };
+    const ppq = options.ppq || DEFAULT_PPQ;
+    const msPerBeat = 60000 / tempo;
+    const msToTicks = (ms) => Math.round((ms / msPerBeat) * ppq);
+
+    const chunks = [
+        buildConductorTrack(tempo, timeSignature, options.timeSignatureChanges || [], ppq, options.title || 'Sol-fa Composition', options.key, options.mode),
+        ...tracks.map((track, index) => buildVoiceTrack(track, index % 16, msToTicks))
+    ];
+
+    const header = [...textBytes('MThd'), ...uint32(6), ...uint16(1), ...uint16(chunks.length), ...uint16(ppq)];
+    return new Uint8Array([...header, ...chunks.flat()]);
+};
+
+// Collect tempo, meter and voice tracks from a MusicComposition or EnhancedCompositionManager
+const getCompositionTracks = (composition) => {
+    if (composition.currentComposition) {
+        const { name, tempo, timeSignature, key, mode } = composition.currentComposition;
+        return {
+            title: name,
+            tempo,
+            timeSignature,
+            timeSignatureChanges: composition.getTimeSignatureChanges(),
+            key,
+            mode,
+            tracks: [{ name: 'Voice', sequence: composition.getPlaybackSequence() }]
+        };
+    }
+
+    return {
+        title: 'Sol-fa Composition',
+        tempo: composition.tempo,
+        timeSignature: composition.timeSignature,
+        timeSignatureChanges: composition.getTimeSignatureChanges(),
+        key: composition.key,
+        mode: composition.mode,
+        // One track per part, on its own channel
+        tracks: composition.parts.map((part, partIndex) => ({
+            name: part.name,
+            sequence: composition.getPartSequence(partIndex),
+            program: TIMBRE_PROGRAMS[part.timbre] || 0
+        }))
+    };
+};
+
+// Export a MusicComposition or EnhancedCompositionManager as a .mid file
+export const exportMidi = (composition, options = {}) => {
+    const { tracks, ...settings } = getCompositionTracks(composition);
+    return writeMidiFile(tracks, { ...settings, ...options });
+};
+
+// === READING ===
+
+class MidiReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.position = 0;
+    }
+
+    get remaining() {
+        return this.bytes.length - this.position;
+    }
+
+    readUint8() {
+        return this.bytes[this.position++];
+    }
+
+    readUint16() {
+        return (this.readUint8() << 8) | this.readUint8();
+    }
+
+    readUint32() {
+        return ((this.readUint16() << 16) | this.readUint16()) >>> 0;
+    }
+
+    readVarLen() {
+        let value = 0;
+        let byte;
+        do {
+            byte = this.readUint8();
+            value = (value << 7) | (byte & 0x7f);
+        } while (byte & 0x80);
+        return value;
+    }
+
+    readString(length) {
+        const slice = this.bytes.subarray(this.position, this.position + length);
+        this.position += length;
+        return bytesToText(slice);
+    }
+
+    readBytes(length) {
+        const slice = this.bytes.subarray(this.position, this.position + length);
+        this.position += length;
+        return slice;
+    }
+}
+
+const toUint8Array = (data) => {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return Uint8Array.from(data);
+};
+
+const parseTrack = (reader, end, song) => {
+    const track = { name: null, notes: [] };
+    const openNotes = new Map(); // "channel:key" -> stack of note starts
+    let tick = 0;
+    let runningStatus = null;
+
+    const closeNote = (channel, key) => {
+        const stack = openNotes.get(`${channel}:${key}`);
+        if (!stack || stack.length === 0) return;
+        const started = stack.shift();
+        track.notes.push({
+            midi: key,
+            channel,
+            velocity: started.velocity,
+            startTick: started.tick,
+            durationTicks: tick - started.tick
+        });
+    };
+
+    while (reader.position < end) {
+        tick += reader.readVarLen();
+        let status = reader.readUint8();
+
+        if (status === 0xff) {
+            const type = reader.readUint8();
+            const length = reader.readVarLen();
+            const data = reader.readBytes(length);
+
+            if (type === 0x03 && track.name === null) {
+                track.name = bytesToText(data);
+            } else if (type === 0x51 && song.tempo === null) {
+                song.tempo = MICROSECONDS_PER_MINUTE / ((data[0] << 16) | (data[1] << 8) | data[2]);
+            } else if (type === 0x58) {
+                const timeSignature = { beats: data[0], noteValue: Math.pow(2, data[1]) };
+                if (song.timeSignature === null) {
+                    song.timeSignature = timeSignature;
+                } else if (tick > 0) {
+                    song.timeSignatureChanges.push({ tick, timeSignature });
+                }
+            } else if (type === 0x59 && song.key === null) {
+                // Signed sharps/flats count; minor keys are read as la-based, sharing do with their relative major
+                song.key = getTonicForFifths(data[0] > 127 ? data[0] - 256 : data[0]);
+                song.mode = data[1] === 1 ? MODES.LA_MINOR : MODES.MAJOR;
+            } else if (type === 0x2f) {
+                break;
+            }
+            continue;
+        }
+
+        if (status === 0xf0 || status === 0xf7) {
+            reader.readBytes(reader.readVarLen());
+            continue;
+        }
+
+        let firstData;
+        if (status < 0x80) {
+            if (runningStatus === null) {
+                throw new Error('Invalid MIDI data: running status without a previous status byte');
+            }
+            firstData = status;
+            status = runningStatus;
+        } else {
+            runningStatus = status;
+            firstData = reader.readUint8();
+        }
+
+        const type = status & 0xf0;
+        const channel = status & 0x0f;
+        const hasSecondByte = type !== 0xc0 && type !== 0xd0;
+        const secondData = hasSecondByte ? reader.readUint8() : null;
+
+        if (type === 0x90 && secondData > 0) {
+            const noteKey = `${channel}:${firstData}`;
+            if (!openNotes.has(noteKey)) openNotes.set(noteKey, []);
+            openNotes.get(noteKey).push({ tick, velocity: secondData });
+        } else if (type === 0x80 || type === 0x90) {
+            closeNote(channel, firstData);
+        }
+    }
+
+    reader.position = end;
+    track.notes.sort((a, b) => a.startTick - b.startTick || b.midi - a.midi);
+    return track;
+};
+
+/**
+ * Parse a Standard MIDI File (type 0 or 1)
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {{format, ppq, tempo, timeSignature, timeSignatureChanges: Array<{tick, timeSignature}>, key, tracks: Array<{name, notes}>}}
+ */
+export const parseMidiFile = (data) => {
+    const reader = new MidiReader(toUint8Array(data));
+
+    if (reader.remaining < 14 || reader.readString(4) !== 'MThd') {
+        throw new Error('Not a Standard MIDI File');
+    }
+
+    const headerLength = reader.readUint32();
+    const headerEnd = reader.position + headerLength;
+    const format = reader.readUint16();
+    const trackCount = reader.readUint16();
+    const division = reader.readUint16();
+    reader.position = headerEnd;
+
+    if (division & 0x8000) {
+        throw new Error('SMPTE time division is not supported');
+    }
+
+    const song = { format, ppq: division, tempo: null, timeSignature: null, timeSignatureChanges: [], key: null, mode: null, tracks: [] };
+
+    while (song.tracks.length < trackCount && reader.remaining >= 8) {
+        const chunkType = reader.readString(4);
+        const chunkLength = reader.readUint32();
+        const chunkEnd = Math.min(reader.position + chunkLength, reader.bytes.length);
+
+        if (chunkType === 'MTrk') {
+            song.tracks.push(parseTrack(reader, chunkEnd, song));
+        } else {
+            reader.position = chunkEnd;
+        }
+    }
+
+    song.tempo = song.tempo || 120;
+    song.timeSignature = song.timeSignature || { beats: 4, noteValue: 4 };
+    song.key = song.key || 'C';
+    song.mode = song.mode || MODES.MAJOR;
+    song.timeSignatureChanges.sort((a, b) => a.tick - b.tick);
+    return song;
+};
+
+// === QUANTIZED IMPORT ===
+
+const GRID_BEATS = Math.min(...Object.values(NOTE_DURATIONS).map(duration => duration.beats));
+
+const snapToGrid = (beats) => Math.round(beats / GRID_BEATS) * GRID_BEATS;
+
+// Key meter changes by the measure they open, counting whole bars of the meters before them
+const applyTimeSignatureChanges = (composition, changes, ppq) => {
+    let tick = 0;
+    let measureIndex = 0;
+
+    changes.forEach(change => {
+        const meter = composition.getTimeSignature(measureIndex);
+        measureIndex += Math.round((change.tick - tick) / (getBarBeats(meter) * ppq));
+        tick = change.tick;
+        if (!isSameTimeSignature(composition.getTimeSignature(measureIndex), change.timeSignature)) {
+            composition.timeSignatureChanges[measureIndex] = { ...change.timeSignature };
+        }
+    });
+};
+
+const addRests = (composition, beats) => {
+    splitBeats(beats, REST_DURATIONS).forEach(rest => composition.addRest(rest));
+};
+
+/**
+ * Read a .mid file into a MusicComposition, quantized to the NOTE_DURATIONS grid
+ * Chords are reduced to their top note so the result is a single melodic line.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @param {Object} options - { trackIndex } picks a track (defaults to the first one with notes)
+ * @returns {MusicComposition}
+ */
+export const importMidi = (data, options = {}) => {
+    const song = parseMidiFile(data);
+    const track = options.trackIndex !== undefined
+        ? song.tracks[options.trackIndex]
+        : song.tracks.find(candidate => candidate.notes.length > 0);
+
+    const composition = new MusicComposition();
+    composition.tempo = Math.round(song.tempo);
+    composition.timeSignature = { ...song.timeSignature };
+    applyTimeSignatureChanges(composition, song.timeSignatureChanges, song.ppq);
+    composition.setMode(song.mode);
+    composition.setKey(song.key);
+
+    if (!track) return composition;
+
+    const toBeats = (ticks) => ticks / song.ppq;
+    let cursor = 0;
+
+    track.notes.forEach((midiNote, index) => {
+        const start = snapToGrid(toBeats(midiNote.startTick));
+        if (start < cursor) return; // Overlaps a note we already placed
+
+        const next = track.notes.slice(index + 1).find(candidate => snapToGrid(toBeats(candidate.startTick)) > start);
+        let length = Math.max(GRID_BEATS, snapToGrid(toBeats(midiNote.durationTicks)));
+        if (next) {
+            length = Math.min(length, snapToGrid(toBeats(next.startTick)) - start);
+        }
+
+        const { note, octave } = midiToSolfege(midiNote.midi, composition.key, composition.mode);
+
+        addRests(composition, start - cursor);
+        // Lengths without a single note value become tied notes
+        composition.addHeldNote(note, octave, length);
+        cursor = start + length;
+    });
+
+    return composition;
+};
@@ -0,0 +1,152 @@
+/**
+ * Tests for Standard MIDI File export and quantized import
+ */
+
+import { MusicComposition, NOTE_DURATIONS, REST_DURATIONS } from './musicNotation.js';
+import { writeMidiFile, exportMidi, parseMidiFile, importMidi } from './midiFile.js';
+import { MODES } from './keySignatures.js';
+
+const asText = (bytes, start, length) => String.fromCharCode(...bytes.slice(start, start + length));
+
+describe('writeMidiFile', () => {
+  test('writes a type 1 header with a conductor track plus one track per voice', () => {
+    const bytes = writeMidiFile([
+      { name: 'Melody', sequence: [{ note: 'do', octave: 4, startTime: 0, duration: 500 }] },
+      { name: 'Ostinato', sequence: [{ note: 'sol', octave: 3, startTime: 0, duration: 500 }] }
+    ], { tempo: 120, ppq: 480 });
+
+    expect(asText(bytes, 0, 4)).toBe('MThd');
+    expect(bytes[9]).toBe(1); // format 1
+    expect(bytes[11]).toBe(3); // conductor + 2 voices
+    expect((bytes[12] << 8) | bytes[13]).toBe(480);
+  });
+
+  test('round-trips tempo, time signature and pitches', () => {
+    const bytes = writeMidiFile([
+      {
+        name: 'Melody',
+        sequence: [
+          { note: 'do', octave: 4, startTime: 0, duration: 600 },
+          { note: 'fi', octave: 5, startTime: 600, duration: 300 },
+          { note: 're', octave: 4, accidental: 'flat', startTime: 900, duration: 300 }
+        ]
+      }
+    ], { tempo: 100, timeSignature: { beats: 3, noteValue: 4 } });
+
+    const song = parseMidiFile(bytes);
+
+    expect(song.format).toBe(1);
+    expect(song.tempo).toBeCloseTo(100, 3);
+    expect(song.timeSignature).toEqual({ beats: 3, noteValue: 4 });
+    expect(song.tracks[1].name).toBe('Melody');
+    expect(song.tracks[1].notes.map(note => note.midi)).toEqual([60, 78, 61]);
+    expect(song.tracks[1].notes[0].durationTicks).toBe(480);
+  });
+
+  test('writes minor keys with the minor flag and reads them back as la-based minor', () => {
+    const bytes = writeMidiFile([], { key: 'A', mode: MODES.DO_MINOR });
+    const song = parseMidiFile(bytes);
+
+    expect(song.key).toBe('C');
+    expect(song.mode).toBe(MODES.LA_MINOR);
+  });
+});
+
+describe('exportMidi', () => {
+  test('exports a MusicComposition using its tempo', () => {
+    const composition = new MusicComposition();
+    composition.tempo = 90;
+    composition.addNote('la', 3);
+
+    const song = parseMidiFile(exportMidi(composition));
+
+    expect(Math.round(song.tempo)).toBe(90);
+    expect(song.tracks[1].notes[0].midi).toBe(57);
+  });
+
+  test('exports an EnhancedCompositionManager-style sequence with accidentals', () => {
+    const manager = {
+      currentComposition: { name: 'Song', tempo: 120, timeSignature: { beats: 4, noteValue: 4 } },
+      getPlaybackSequence: () => [{ note: 'mi', octave: 4, accidental: 'sharp', startTime: 0, duration: 400 }],
+      getTimeSignatureChanges: () => []
+    };
+
+    const song = parseMidiFile(exportMidi(manager));
+
+    expect(song.tracks[1].notes[0].midi).toBe(65);
+  });
+
+  test('writes one named track per part', () => {
+    const composition = new MusicComposition();
+    composition.addNote('do');
+    composition.setActivePart(composition.addPart('Ostinato', { timbre: 'strings', octave: 3 }));
+    composition.addNote('sol');
+
+    const song = parseMidiFile(exportMidi(composition));
+
+    expect(song.tracks.slice(1).map(track => track.name)).toEqual(['Melody', 'Ostinato']);
+    expect(song.tracks[1].notes[0].midi).toBe(60);
+    expect(song.tracks[2].notes[0].midi).toBe(55);
+  });
+
+  test('writes a time signature event where each meter change starts and reads it back', () => {
+    const composition = new MusicComposition();
+    ['do', 're', 'mi', 'fa'].forEach(note => composition.addNote(note));
+    composition.setTimeSignature({ beats: 3, noteValue: 4 });
+    ['sol', 'la', 'ti'].forEach(note => composition.addNote(note));
+    composition.setTimeSignature({ beats: 6, noteValue: 8 });
+    ['do', 'ti', 'la'].forEach(note => composition.addNote(note));
+
+    const bytes = exportMidi(composition);
+    const song = parseMidiFile(bytes);
+
+    expect(song.timeSignature).toEqual({ beats: 4, noteValue: 4 });
+    expect(song.timeSignatureChanges).toEqual([
+      { tick: 1920, timeSignature: { beats: 3, noteValue: 4 } },
+      { tick: 3360, timeSignature: { beats: 6, noteValue: 8 } }
+    ]);
+
+    const imported = importMidi(bytes);
+
+    expect(imported.getTimeSignatureChanges()).toEqual(composition.getTimeSignatureChanges());
+    expect(imported.measures.map(measure => measure.length)).toEqual(composition.measures.map(measure => measure.length));
+  });
+});
+
+describe('importMidi', () => {
+  test('quantizes notes onto the NOTE_DURATIONS grid and fills gaps with rests', () => {
+    // 120 BPM: 500 ms per quarter
+    const bytes = writeMidiFile([
+      {
+        name: 'Melody',
+        sequence: [
+          { note: 'do', octave: 4, startTime: 10, duration: 480 },
+          { note: 'mi', octave: 4, startTime: 490, duration: 1010 },
+          { note: 'sol', octave: 4, startTime: 2000, duration: 240 }
+        ]
+      }
+    ], { tempo: 120 });
+
+    const composition = importMidi(bytes);
+    const items = composition.getAllNotes();
+
+    expect(composition.tempo).toBe(120);
+    expect(items.map(item => item.type === 'note' ? item.note : 'rest')).toEqual(['do', 'mi', 'rest', 'sol']);
+    expect(items[0].duration).toBe(NOTE_DURATIONS.QUARTER);
+    expect(items[1].duration).toBe(NOTE_DURATIONS.HALF);
+    expect(items[2].duration).toBe(REST_DURATIONS.QUARTER_REST);
+    expect(items[3].duration).toBe(NOTE_DURATIONS.EIGHTH);
+  });
+
+  test('keeps notes in octave 0', () => {
+    const bytes = writeMidiFile([
+      { name: 'Bass', sequence: [{ note: 'do', octave: 0, startTime: 0, duration: 500 }] }
+    ], { tempo: 120 });
+
+    expect(importMidi(bytes).getAllNotes()[0]).toMatchObject({ note: 'do', octave: 0 });
+  });
+
+  test('rejects data that is not a MIDI file', () => {
+    expect(() => importMidi(new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14]))).toThrow('Not a Standard MIDI File');
+  });
+});
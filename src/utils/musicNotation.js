@@ -1,16 +1,58 @@
 // Music notation and composition management
+import {
+    SOLFEGE_PITCHES,
+    STEP_SEMITONES,
+    DEFAULT_TONIC,
+    DEFAULT_MODE,
+    isValidTonic,
+    isValidMode,
+    convertTonicForMode,
+    getModeTonic,
+    transposeFromC,
+    transposeToC,
+    midiToSolfegeInKey
+} from './keySignatures.js';
+import {
+    DEFAULT_TIME_SIGNATURE,
+    isValidTimeSignature,
+    isSameTimeSignature,
+    getBarBeats,
+    getAccent
+} from './timeSignatures.js';
+
+// Dotted values carry dots: 1 and are half again as long as their base value
 export const NOTE_DURATIONS = {
     WHOLE: { name: 'whole', beats: 4, symbol: '𝅝' },
+    DOTTED_HALF: { name: 'dotted half', beats: 3, symbol: '𝅗𝅥.', dots: 1 },
     HALF: { name: 'half', beats: 2, symbol: '𝅗𝅥' },
+    DOTTED_QUARTER: { name: 'dotted quarter', beats: 1.5, symbol: '♩.', dots: 1 },
     QUARTER: { name: 'quarter', beats: 1, symbol: '♩' },
-    EIGHTH: { name: 'eighth', beats: 0.5, symbol: '♪' }
+    DOTTED_EIGHTH: { name: 'dotted eighth', beats: 0.75, symbol: '♪.', dots: 1 },
+    EIGHTH: { name: 'eighth', beats: 0.5, symbol: '♪' },
+    SIXTEENTH: { name: 'sixteenth', beats: 0.25, symbol: '𝅘𝅥𝅯' }
 };
 
 export const REST_DURATIONS = {
     WHOLE_REST: { name: 'whole rest', beats: 4, symbol: '𝄻' },
+    DOTTED_HALF_REST: { name: 'dotted half rest', beats: 3, symbol: '𝄼.', dots: 1 },
     HALF_REST: { name: 'half rest', beats: 2, symbol: '𝄼' },
+    DOTTED_QUARTER_REST: { name: 'dotted quarter rest', beats: 1.5, symbol: '𝄽.', dots: 1 },
     QUARTER_REST: { name: 'quarter rest', beats: 1, symbol: '𝄽' },
-    EIGHTH_REST: { name: 'eighth rest', beats: 0.5, symbol: '𝄾' }
+    DOTTED_EIGHTH_REST: { name: 'dotted eighth rest', beats: 0.75, symbol: '𝄾.', dots: 1 },
+    EIGHTH_REST: { name: 'eighth rest', beats: 0.5, symbol: '𝄾' },
+    SIXTEENTH_REST: { name: 'sixteenth rest', beats: 0.25, symbol: '𝄿' }
+};
+
+// Triplet values: three in the time of two, kept apart from the plain tables so
+// grids built from NOTE_DURATIONS (such as MIDI import) stay binary
+export const TRIPLET_DURATIONS = {
+    TRIPLET_QUARTER: { name: 'quarter triplet', beats: 2 / 3, symbol: '♩³', tuplet: { actual: 3, normal: 2, type: 'quarter' } },
+    TRIPLET_EIGHTH: { name: 'eighth triplet', beats: 1 / 3, symbol: '♪³', tuplet: { actual: 3, normal: 2, type: 'eighth' } }
+};
+
+export const TRIPLET_REST_DURATIONS = {
+    TRIPLET_QUARTER_REST: { name: 'quarter triplet rest', beats: 2 / 3, symbol: '𝄽³', tuplet: { actual: 3, normal: 2, type: 'quarter' } },
+    TRIPLET_EIGHTH_REST: { name: 'eighth triplet rest', beats: 1 / 3, symbol: '𝄾³', tuplet: { actual: 3, normal: 2, type: 'eighth' } }
 };
 
 // Note positions on the staff (C4 = middle C)
@@ -24,55 +66,312 @@ export const STAFF_POSITIONS = {
     'ti': { line: 3, octave4: 3 }   // B
 };
 
+export { SOLFEGE_PITCHES };
+
+// Resolve a solfege syllable (plus optional 'sharp'/'flat' accidental) to a written pitch in the key of do
+export const solfegeToPitch = (note, octave = 4, accidental = null, tonic = DEFAULT_TONIC) => {
+    const base = SOLFEGE_PITCHES[note?.toLowerCase()];
+    if (!base) return null;
+
+    let alter = base.alter;
+    if (accidental === 'sharp') alter += 1;
+    if (accidental === 'flat') alter -= 1;
+
+    return transposeFromC({ step: base.step, alter, octave }, tonic);
+};
+
+// MIDI note number for a written pitch (C4 = 60)
+export const pitchToMidi = ({ step, alter = 0, octave }) => {
+    return (octave + 1) * 12 + STEP_SEMITONES[step] + alter;
+};
+
+// Solfege syllable and octave for a MIDI note number
+export const midiToSolfege = (midiNumber, tonic = DEFAULT_TONIC, mode = DEFAULT_MODE) => {
+    return midiToSolfegeInKey(midiNumber, tonic, mode);
+};
+
+// Solfege syllable and octave for a written pitch, keeping its spelling where a syllable exists
+export const pitchToSolfege = (pitch, tonic = DEFAULT_TONIC, mode = DEFAULT_MODE) => {
+    const relative = transposeToC({ ...pitch, alter: pitch.alter || 0 }, tonic);
+    const match = Object.entries(SOLFEGE_PITCHES).find(([, value]) =>
+        value.step === relative.step && value.alter === relative.alter
+    );
+    if (match) {
+        return { note: match[0], octave: relative.octave };
+    }
+    return midiToSolfege(pitchToMidi(pitch), tonic, mode);
+};
+
+// Find the note or rest duration with exactly the given length in beats
+export const getDurationForBeats = (beats, durations = NOTE_DURATIONS) => {
+    return Object.values(durations).find(duration => Math.abs(duration.beats - beats) < 1e-6) || null;
+};
+
+/**
+ * Split a length in beats into the largest note (or rest) values that fill it
+ * @param {number} beats
+ * @param {Object|Array} durations - a duration table or list of values
+ * @returns {Array} values, longest first; any remainder shorter than the smallest value is dropped
+ */
+export const splitBeats = (beats, durations = NOTE_DURATIONS) => {
+    const values = Object.values(durations).sort((a, b) => b.beats - a.beats);
+    const pieces = [];
+    let remaining = beats;
+
+    for (const duration of values) {
+        while (remaining >= duration.beats - 1e-6) {
+            pieces.push(duration);
+            remaining -= duration.beats;
+        }
+    }
+
+    return pieces;
+};
+
+// A tie joins a note to the next one only when both sound the same pitch
+export const isTiedToNext = (item, next) => Boolean(
+    item && next && item.type === 'note' && next.type === 'note' && item.tied &&
+    item.note === next.note && item.octave === next.octave &&
+    (item.accidental || null) === (next.accidental || null)
+);
+
+export const DEFAULT_PART_NAME = 'Melody';
+
+// Saved compositions (toJSON) carry a version so older files can still be opened
+export const COMPOSITION_VERSION = 1;
+export const COMPOSITION_MIME_TYPE = 'application/json';
+
+/**
+ * One line of a composition (a melody, an ostinato, a canon voice)
+ * @param {string} name
+ * @param {Object} options - { octave, timbre } - a null timbre plays with the player's own
+ */
+export const createPart = (name = DEFAULT_PART_NAME, options = {}) => ({
+    id: Date.now() + Math.random(),
+    name,
+    measures: [[]], // Array of measures, each measure is array of notes/rests
+    currentMeasure: 0,
+    currentOctave: options.octave ?? 4,
+    timbre: options.timbre || null
+});
+
 export class MusicComposition {
     constructor() {
-        this.measures = [[]]; // Array of measures, each measure is array of notes/rests
-        this.currentMeasure = 0;
-        this.timeSignature = { beats: 4, noteValue: 4 }; // 4/4 time
-        this.currentOctave = 4;
+        this.parts = [createPart()];
+        this.activePart = 0; // Part that receives hand-sign input and editing
+        this.timeSignature = { ...DEFAULT_TIME_SIGNATURE }; // Opening meter
+        this.timeSignatureChanges = {}; // Measure index -> meter from that bar on
         this.currentNoteDuration = NOTE_DURATIONS.QUARTER;
         this.tempo = 120; // BPM
+        this.key = DEFAULT_TONIC; // Pitch of do (movable do)
+        this.mode = DEFAULT_MODE; // major, la-based minor or do-based minor
+        this.effects = null; // Effect chain of { type, params }; null plays through the player's own
+    }
+
+    // Measures, write position and octave belong to the active part
+    get measures() {
+        return this.getActivePart().measures;
+    }
+
+    set measures(measures) {
+        this.getActivePart().measures = measures;
+    }
+
+    get currentMeasure() {
+        return this.getActivePart().currentMeasure;
     }
 
-    addNote(note, octave = null, duration = null) {
-        const noteOctave = octave || this.currentOctave;
+    set currentMeasure(measureIndex) {
+        this.getActivePart().currentMeasure = measureIndex;
+    }
+
+    get currentOctave() {
+        return this.getActivePart().currentOctave;
+    }
+
+    set currentOctave(octave) {
+        this.getActivePart().currentOctave = octave;
+    }
+
+    getActivePart() {
+        return this.parts[this.activePart];
+    }
+
+    /**
+     * Add a part after the existing ones
+     * @param {string} name - defaults to "Part n"
+     * @param {Object} options - { octave, timbre }
+     * @returns {number} index of the new part
+     */
+    addPart(name = null, options = {}) {
+        this.parts.push(createPart(name || `Part ${this.parts.length + 1}`, options));
+        return this.parts.length - 1;
+    }
+
+    // The last remaining part cannot be removed
+    removePart(partIndex) {
+        if (this.parts.length <= 1 || !this.parts[partIndex]) return false;
+
+        this.parts.splice(partIndex, 1);
+        if (this.activePart >= partIndex && this.activePart > 0) {
+            this.activePart--;
+        }
+        return true;
+    }
+
+    setActivePart(partIndex) {
+        if (this.parts[partIndex]) {
+            this.activePart = partIndex;
+        }
+        return this.activePart;
+    }
+
+    renamePart(partIndex, name) {
+        const part = this.parts[partIndex];
+        if (part && String(name).trim()) {
+            part.name = String(name).trim();
+        }
+        return part ? part.name : null;
+    }
+
+    setPartTimbre(partIndex, timbre) {
+        const part = this.parts[partIndex];
+        if (part) {
+            part.timbre = timbre || null;
+        }
+        return part ? part.timbre : null;
+    }
+
+    // A copy of an effect chain (player.getEffectChain() or a preset's effects), or null
+    setEffects(effects) {
+        this.effects = effects ? effects.map(({ type, params }) => ({ type, params: { ...params } })) : null;
+        return this.effects;
+    }
+
+    /**
+     * Fill in the player's sound wherever the composition leaves it to the player,
+     * so the piece sounds the same when it is opened again somewhere else
+     * @param {Object} sound - { timbre, effects } (player.getSound())
+     */
+    setDefaultSound({ timbre, effects }) {
+        this.parts.forEach(part => {
+            part.timbre = part.timbre || timbre || null;
+        });
+        if (this.effects === null && effects) {
+            this.setEffects(effects);
+        }
+    }
+
+    getPartNotes(partIndex = this.activePart) {
+        const part = this.parts[partIndex];
+        return part ? part.measures.flat() : [];
+    }
+
+    // Bars reached by the longest part
+    getMeasureCount() {
+        return Math.max(...this.parts.map(part => part.measures.filter(measure => measure.length > 0).length));
+    }
+
+    /**
+     * Add a note at the end of the piece. A note longer than the room left in the bar is
+     * split at the barline into notes tied across it.
+     * @param {string} note - solfege syllable
+     * @param {number} octave - defaults to the current octave
+     * @param {Object} duration - defaults to the current duration
+     * @param {string} accidental - 'sharp', 'flat' or null
+     * @returns {Object} the (first) note written
+     */
+    addNote(note, octave = null, duration = null, accidental = null) {
         const noteDuration = duration || this.currentNoteDuration;
-        
-        const noteObject = {
+        return this.writeNote(note, octave, noteDuration.beats, accidental, noteDuration);
+    }
+
+    /**
+     * Add a note lasting any number of beats, written as the largest values that fit
+     * and tied together (e.g. 2.5 beats becomes a half tied to an eighth)
+     * @param {Object} values - note values to write with (defaults to NOTE_DURATIONS)
+     * @returns {Object} the first note written
+     */
+    addHeldNote(note, octave, beats, accidental = null, values = NOTE_DURATIONS) {
+        return this.writeNote(note, octave, beats, accidental, null, values);
+    }
+
+    writeNote(note, octave, beats, accidental, duration, values = NOTE_DURATIONS) {
+        const noteOctave = octave ?? this.currentOctave;
+        const pieces = this.placeBeats(beats, duration, values, (pieceDuration) => ({
             type: 'note',
             note: note,
             octave: noteOctave,
-            duration: noteDuration,
-            id: Date.now() + Math.random()
-        };
+            duration: pieceDuration,
+            ...(accidental && { accidental })
+        }));
 
-        // Add to current measure
-        this.measures[this.currentMeasure].push(noteObject);
-        
-        // Check if measure is full
-        if (this.getMeasureBeats(this.currentMeasure) >= this.timeSignature.beats) {
-            this.startNewMeasure();
-        }
+        // Pieces of one note are tied together and undone together
+        pieces.slice(0, -1).forEach(piece => {
+            piece.tied = true;
+        });
+        pieces.slice(1).forEach(piece => {
+            piece.splitFrom = pieces[0].id;
+        });
 
-        return noteObject;
+        return pieces[0];
     }
 
+    // Rests crossing a barline are split the same way, without ties
     addRest(duration = null) {
         const restDuration = duration || this.currentNoteDuration;
-        
-        const restObject = {
+
+        const pieces = this.placeBeats(restDuration.beats, restDuration, REST_DURATIONS, (pieceDuration) => ({
             type: 'rest',
-            duration: restDuration,
-            id: Date.now() + Math.random()
-        };
+            duration: pieceDuration
+        }));
+
+        pieces.slice(1).forEach(piece => {
+            piece.splitFrom = pieces[0].id;
+        });
+
+        return pieces[0];
+    }
+
+    // Write a length at the end of the piece, carrying what does not fit into the following bars
+    placeBeats(beats, duration, values, createItem) {
+        const pieces = [];
+        // Tuplet remainders are split from the tuplet values so a bar of thirds still adds up
+        const tupletValues = values === REST_DURATIONS ? TRIPLET_REST_DURATIONS : TRIPLET_DURATIONS;
+        const table = duration && duration.tuplet ? { ...values, ...tupletValues } : values;
+        let remaining = beats;
+
+        while (remaining > 1e-6) {
+            if (this.isMeasureFull(this.currentMeasure)) {
+                this.startNewMeasure();
+            }
+
+            const room = this.getBarBeats(this.currentMeasure) - this.getMeasureBeats(this.currentMeasure);
+            let segment = Math.min(remaining, room);
+            let segmentValues = duration && Math.abs(segment - duration.beats) < 1e-6
+                ? [duration]
+                : splitBeats(segment, table);
+
+            // Room too small for any value: leave the rest in this bar rather than lose it
+            if (segmentValues.length === 0) {
+                segment = remaining;
+                segmentValues = splitBeats(remaining, table);
+                if (segmentValues.length === 0) segmentValues = [duration || Object.values(values).pop()];
+            }
+
+            segmentValues.forEach(pieceDuration => {
+                const item = { ...createItem(pieceDuration), id: Date.now() + Math.random() };
+                this.measures[this.currentMeasure].push(item);
+                pieces.push(item);
+            });
+            remaining -= segment;
+        }
 
-        this.measures[this.currentMeasure].push(restObject);
-        
-        if (this.getMeasureBeats(this.currentMeasure) >= this.timeSignature.beats) {
+        if (this.isMeasureFull(this.currentMeasure)) {
             this.startNewMeasure();
         }
 
-        return restObject;
+        return pieces;
     }
 
     getMeasureBeats(measureIndex) {
@@ -82,23 +381,130 @@ export class MusicComposition {
         }, 0);
     }
 
+    // Allows for rounding when triplet thirds add up to a whole bar
+    isMeasureFull(measureIndex) {
+        return this.getMeasureBeats(measureIndex) >= this.getBarBeats(measureIndex) - 1e-6;
+    }
+
+    // Meter in force at a measure: the latest change at or before it, else the opening meter
+    getTimeSignature(measureIndex = this.currentMeasure) {
+        let timeSignature = this.timeSignature;
+        Object.keys(this.timeSignatureChanges)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .forEach(index => {
+                if (index <= measureIndex) timeSignature = this.timeSignatureChanges[index];
+            });
+        return timeSignature;
+    }
+
+    // Length of a measure in quarter-note beats (a 6/8 bar holds three)
+    getBarBeats(measureIndex = this.currentMeasure) {
+        return getBarBeats(this.getTimeSignature(measureIndex));
+    }
+
+    /**
+     * Change meter. An empty piece takes it as its opening meter; otherwise it applies
+     * from the current bar if nothing is written there yet, or from the next bar.
+     * @param {{beats, noteValue}} timeSignature
+     * @returns {number|null} index of the first measure in the new meter, null if invalid
+     */
+    setTimeSignature(timeSignature) {
+        if (!isValidTimeSignature(timeSignature)) return null;
+
+        const meter = { beats: timeSignature.beats, noteValue: timeSignature.noteValue };
+        if (this.parts.every((part, partIndex) => this.getPartNotes(partIndex).length === 0)) {
+            this.timeSignature = meter;
+            this.timeSignatureChanges = {};
+            return 0;
+        }
+
+        // From the first bar that no part has started writing
+        const from = Math.max(...this.parts.map(part =>
+            part.measures[part.currentMeasure].length === 0 ? part.currentMeasure : part.currentMeasure + 1
+        ));
+        delete this.timeSignatureChanges[from];
+        if (!isSameTimeSignature(this.getTimeSignature(from), meter)) {
+            this.timeSignatureChanges[from] = meter;
+        }
+        return from;
+    }
+
+    // Measures that open a new meter, e.g. [{ measureIndex: 4, timeSignature: {beats: 6, noteValue: 8} }]
+    getTimeSignatureChanges() {
+        return Object.keys(this.timeSignatureChanges)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(measureIndex => ({ measureIndex, timeSignature: this.timeSignatureChanges[measureIndex] }));
+    }
+
     startNewMeasure() {
         this.measures.push([]);
         this.currentMeasure = this.measures.length - 1;
     }
 
+    // Remove the last note or rest, including every piece it was split into at barlines
     undo() {
-        if (this.measures[this.currentMeasure].length > 0) {
-            this.measures[this.currentMeasure].pop();
-        } else if (this.currentMeasure > 0) {
-            this.measures.pop();
-            this.currentMeasure = this.measures.length - 1;
+        const items = this.getAllNotes();
+        const last = items[items.length - 1];
+        if (!last) return;
+
+        const groupId = last.splitFrom || last.id;
+        const remaining = this.measures
+            .map(measure => measure.filter(item => item.id !== groupId && item.splitFrom !== groupId))
+            .filter(measure => measure.length > 0);
+
+        this.measures = remaining.length > 0 ? remaining : [[]];
+        this.currentMeasure = this.measures.length - 1;
+        if (this.isMeasureFull(this.currentMeasure)) {
+            this.startNewMeasure();
         }
+
+        // Meter changes past the bars being written no longer have music to apply to
+        const lastMeasure = Math.max(...this.parts.map(part => part.currentMeasure));
+        Object.keys(this.timeSignatureChanges).map(Number).forEach(index => {
+            if (index > lastMeasure + 1) delete this.timeSignatureChanges[index];
+        });
     }
 
+    // Tie the last note to the next one (or release the tie); only sounds when the next note repeats the pitch
+    toggleTie() {
+        const notes = this.getAllNotes().filter(item => item.type === 'note');
+        const last = notes[notes.length - 1];
+        if (!last) return false;
+
+        last.tied = !last.tied;
+        return last.tied;
+    }
+
+    // Empties every part; the parts themselves stay
     clear() {
-        this.measures = [[]];
-        this.currentMeasure = 0;
+        this.parts.forEach(part => {
+            part.measures = [[]];
+            part.currentMeasure = 0;
+        });
+        this.timeSignatureChanges = {};
+    }
+
+    setKey(tonic) {
+        if (isValidTonic(tonic, this.mode)) {
+            this.key = tonic;
+        }
+        return this.key;
+    }
+
+    // Switch mode while keeping the home note, so C major becomes C minor
+    setMode(mode) {
+        if (isValidMode(mode) && mode !== this.mode) {
+            this.key = convertTonicForMode(this.key, this.mode, mode);
+            this.mode = mode;
+        }
+        return this.mode;
+    }
+
+    // Home note of the piece (la in la-based minor, otherwise do)
+    getTonic() {
+        return getModeTonic(this.key, this.mode);
     }
 
     setNoteDuration(duration) {
@@ -119,12 +525,16 @@ export class MusicComposition {
         return this.currentOctave;
     }
 
+    // Notes and rests of the active part
     getAllNotes() {
-        return this.measures.flat();
+        return this.getPartNotes();
     }
 
+    // Notes across every part
     getTotalNotes() {
-        return this.getAllNotes().filter(item => item.type === 'note').length;
+        return this.parts
+            .flatMap((part, partIndex) => this.getPartNotes(partIndex))
+            .filter(item => item.type === 'note').length;
     }
 
     getCompositionInfo() {
@@ -133,30 +543,124 @@ export class MusicComposition {
             totalNotes: this.getTotalNotes(),
             currentOctave: this.currentOctave,
             currentNoteDuration: this.currentNoteDuration,
+            timeSignature: this.getTimeSignature(Infinity), // Latest meter, including one waiting for the next bar
+            tempo: this.tempo,
+            key: this.key,
+            mode: this.mode,
+            tonic: this.getTonic(),
+            activePart: this.activePart,
+            effects: this.effects,
+            parts: this.parts.map((part, partIndex) => ({
+                name: part.name,
+                timbre: part.timbre,
+                octave: part.currentOctave,
+                noteCount: this.getPartNotes(partIndex).filter(item => item.type === 'note').length
+            }))
+        };
+    }
+
+    // Everything needed to open the piece again, parts' timbres and the effect chain included
+    toJSON() {
+        return {
+            version: COMPOSITION_VERSION,
+            tempo: this.tempo,
+            key: this.key,
+            mode: this.mode,
             timeSignature: this.timeSignature,
-            tempo: this.tempo
+            timeSignatureChanges: this.timeSignatureChanges,
+            parts: this.parts.map(({ name, measures, currentOctave, timbre }) => ({
+                name,
+                measures,
+                octave: currentOctave,
+                timbre
+            })),
+            activePart: this.activePart,
+            effects: this.effects
         };
     }
 
-    // Convert composition to playable sequence
+    /**
+     * Open a saved composition
+     * @param {string|Object} data - JSON text or an already-parsed toJSON() result
+     * @throws {Error} when the data is not a saved composition
+     */
+    static fromJSON(data) {
+        const saved = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!saved || !Array.isArray(saved.parts) || saved.parts.length === 0) {
+            throw new Error('Not a sol-fa composition');
+        }
+        if (saved.version > COMPOSITION_VERSION) {
+            throw new Error(`Unsupported composition version ${saved.version}`);
+        }
+
+        const composition = new MusicComposition();
+        composition.parts = saved.parts.map(({ name, measures, octave, timbre }) => {
+            const part = createPart(name, { octave, timbre });
+            part.measures = measures?.length ? measures : [[]];
+            part.currentMeasure = part.measures.length - 1;
+            return part;
+        });
+        composition.setActivePart(saved.activePart ?? 0);
+        composition.tempo = saved.tempo ?? composition.tempo;
+        composition.timeSignature = saved.timeSignature || composition.timeSignature;
+        composition.timeSignatureChanges = saved.timeSignatureChanges || {};
+        composition.setMode(saved.mode ?? composition.mode);
+        composition.setKey(saved.key ?? composition.key);
+        composition.setEffects(saved.effects);
+        return composition;
+    }
+
+    // Convert composition to playable sequence: every part together, in time order
     getPlaybackSequence() {
+        return this.parts
+            .flatMap((part, partIndex) => this.getPartSequence(partIndex))
+            .sort((a, b) => a.startTime - b.startTime);
+    }
+
+    // Playable sequence of one part; each note carries the accent of its place in the bar
+    getPartSequence(partIndex = this.activePart) {
+        const part = this.parts[partIndex];
         const sequence = [];
+        if (!part) return sequence;
+
         let currentTime = 0;
         const beatDuration = 60000 / this.tempo; // milliseconds per beat
 
-        for (const measure of this.measures) {
-            for (const item of measure) {
-                if (item.type === 'note') {
+        const items = this.getPartNotes(partIndex);
+        let itemIndex = 0;
+        let tiedNote = null; // Sequence entry still sounding through a tie
+
+        part.measures.forEach((measure, measureIndex) => {
+            const timeSignature = this.getTimeSignature(measureIndex);
+            let position = 0; // Beats from the barline
+
+            measure.forEach(item => {
+                const next = items[++itemIndex];
+                const length = item.duration.beats * beatDuration;
+                if (tiedNote) {
+                    // Tied continuation: lengthen the note already sounding
+                    tiedNote.duration += length;
+                } else if (item.type === 'note') {
                     sequence.push({
                         note: item.note,
                         octave: item.octave,
+                        ...(item.accidental && { accidental: item.accidental }),
+                        key: this.key,
                         startTime: currentTime,
-                        duration: item.duration.beats * beatDuration
+                        duration: length,
+                        accent: getAccent(timeSignature, position),
+                        part: partIndex,
+                        ...(part.timbre && { timbre: part.timbre })
                     });
                 }
-                currentTime += item.duration.beats * beatDuration;
-            }
-        }
+
+                if (item.type === 'note') {
+                    tiedNote = isTiedToNext(item, next) ? (tiedNote || sequence[sequence.length - 1]) : null;
+                }
+                currentTime += length;
+                position += item.duration.beats;
+            });
+        });
 
         return sequence;
     }
@@ -0,0 +1,228 @@
+/**
+ * Tests for MusicComposition durations, ties, barline splitting, meter changes and saving
+ */
+
+import { MusicComposition, NOTE_DURATIONS, REST_DURATIONS, splitBeats } from './musicNotation.js';
+
+const describeMeasures = (composition) => composition.measures
+  .filter(measure => measure.length > 0)
+  .map(measure => measure.map(item =>
+    `${item.type === 'rest' ? 'z' : item.note}:${item.duration.beats}${item.tied ? '-' : ''}`
+  ));
+
+describe('splitBeats', () => {
+  test('fills a length with the largest values, dotted ones included', () => {
+    expect(splitBeats(2.5).map(duration => duration.name)).toEqual(['half', 'eighth']);
+    expect(splitBeats(1.75).map(duration => duration.name)).toEqual(['dotted quarter', 'sixteenth']);
+    expect(splitBeats(3, REST_DURATIONS).map(duration => duration.name)).toEqual(['dotted half rest']);
+  });
+});
+
+describe('MusicComposition', () => {
+  test('splits a note that crosses the barline into tied notes', () => {
+    const composition = new MusicComposition();
+    ['do', 're', 'mi'].forEach(note => composition.addNote(note));
+    composition.addNote('fa', 4, NOTE_DURATIONS.HALF);
+
+    expect(describeMeasures(composition)).toEqual([['do:1', 're:1', 'mi:1', 'fa:1-'], ['fa:1']]);
+    expect(composition.getMeasureBeats(0)).toBe(4);
+  });
+
+  test('carries long notes over as many bars as needed', () => {
+    const composition = new MusicComposition();
+    composition.timeSignature = { beats: 3, noteValue: 4 };
+    composition.addNote('do', 4, NOTE_DURATIONS.HALF);
+    composition.addNote('sol', 4, NOTE_DURATIONS.WHOLE);
+
+    expect(describeMeasures(composition)).toEqual([['do:2', 'sol:1-'], ['sol:3']]);
+  });
+
+  test('splits rests at the barline without ties', () => {
+    const composition = new MusicComposition();
+    composition.addNote('do', 4, NOTE_DURATIONS.DOTTED_HALF);
+    composition.addRest(REST_DURATIONS.HALF_REST);
+
+    expect(describeMeasures(composition)).toEqual([['do:3', 'z:1'], ['z:1']]);
+  });
+
+  test('writes held notes of any length as tied values', () => {
+    const composition = new MusicComposition();
+    composition.addHeldNote('la', 3, 2.5);
+
+    expect(describeMeasures(composition)).toEqual([['la:2-', 'la:0.5']]);
+  });
+
+  test('plays tied notes as one sustained note', () => {
+    const composition = new MusicComposition();
+    ['do', 're', 'mi'].forEach(note => composition.addNote(note));
+    composition.addNote('fa', 4, NOTE_DURATIONS.HALF);
+    composition.addNote('sol');
+
+    const sequence = composition.getPlaybackSequence();
+
+    expect(sequence.map(item => item.note)).toEqual(['do', 're', 'mi', 'fa', 'sol']);
+    expect(sequence[3]).toMatchObject({ startTime: 1500, duration: 1000 });
+    expect(sequence[4].startTime).toBe(2500);
+  });
+
+  test('only ties notes of the same pitch', () => {
+    const composition = new MusicComposition();
+    composition.addNote('do');
+    expect(composition.toggleTie()).toBe(true);
+    composition.addNote('re');
+    composition.addNote('re');
+    composition.toggleTie();
+    composition.addNote('re', 4, NOTE_DURATIONS.EIGHTH);
+
+    const sequence = composition.getPlaybackSequence();
+
+    expect(sequence.map(item => [item.note, item.duration])).toEqual([['do', 500], ['re', 500], ['re', 750]]);
+  });
+
+  test('undoes every piece of a split note at once', () => {
+    const composition = new MusicComposition();
+    ['do', 're', 'mi'].forEach(note => composition.addNote(note));
+    composition.addNote('fa', 4, NOTE_DURATIONS.HALF);
+
+    composition.undo();
+    expect(describeMeasures(composition)).toEqual([['do:1', 're:1', 'mi:1']]);
+
+    composition.addNote('sol');
+    composition.undo();
+    composition.undo();
+    expect(describeMeasures(composition)).toEqual([['do:1', 're:1']]);
+    expect(composition.currentMeasure).toBe(0);
+  });
+
+  test('fills 6/8 bars with three quarter-note beats', () => {
+    const composition = new MusicComposition();
+    composition.setTimeSignature({ beats: 6, noteValue: 8 });
+    composition.addNote('do', 4, NOTE_DURATIONS.DOTTED_QUARTER);
+    composition.addNote('re', 4, NOTE_DURATIONS.QUARTER);
+    composition.addNote('mi', 4, NOTE_DURATIONS.QUARTER);
+
+    expect(describeMeasures(composition)).toEqual([['do:1.5', 're:1', 'mi:0.5-'], ['mi:0.5']]);
+  });
+
+  test('changes meter from the next bar and accents the beat groups', () => {
+    const composition = new MusicComposition();
+    composition.addNote('do');
+    expect(composition.setTimeSignature({ beats: 6, noteValue: 8 })).toBe(1);
+    ['re', 'mi', 'fa'].forEach(note => composition.addNote(note));
+    ['sol', 'la', 'ti', 'do', 're', 'mi'].forEach(note => composition.addNote(note, 4, NOTE_DURATIONS.EIGHTH));
+
+    expect(composition.getTimeSignature(0)).toEqual({ beats: 4, noteValue: 4 });
+    expect(composition.getTimeSignature(1)).toEqual({ beats: 6, noteValue: 8 });
+    expect(composition.getMeasureBeats(1)).toBe(3);
+    expect(composition.getCompositionInfo().timeSignature).toEqual({ beats: 6, noteValue: 8 });
+
+    const accents = composition.getPlaybackSequence().map(item => item.accent);
+    expect(accents).toEqual(['strong', 'medium', 'medium', 'medium', 'strong', 'weak', 'weak', 'medium', 'weak', 'weak']);
+  });
+
+  test('drops a meter change when undo takes the piece back before it', () => {
+    const composition = new MusicComposition();
+    ['do', 're', 'mi', 'fa'].forEach(note => composition.addNote(note));
+    composition.setTimeSignature({ beats: 3, noteValue: 4 });
+    composition.addNote('sol');
+    expect(composition.getTimeSignatureChanges()).toEqual([{ measureIndex: 1, timeSignature: { beats: 3, noteValue: 4 } }]);
+
+    composition.undo();
+    composition.undo();
+    expect(composition.getTimeSignatureChanges()).toEqual([{ measureIndex: 1, timeSignature: { beats: 3, noteValue: 4 } }]);
+    composition.clear();
+    expect(composition.getTimeSignatureChanges()).toEqual([]);
+    expect(composition.setTimeSignature({ beats: 5, noteValue: 3 })).toBeNull();
+  });
+});
+
+describe('MusicComposition parts', () => {
+  test('writes into the active part with its own octave', () => {
+    const composition = new MusicComposition();
+    composition.addNote('do');
+    const ostinato = composition.addPart('Ostinato', { octave: 3, timbre: 'strings' });
+    composition.setActivePart(ostinato);
+    composition.addNote('sol', null, NOTE_DURATIONS.HALF);
+
+    expect(composition.getPartNotes(0).map(item => item.note)).toEqual(['do']);
+    expect(composition.getPartNotes(1).map(item => `${item.note}${item.octave}`)).toEqual(['sol3']);
+    expect(composition.getTotalNotes()).toBe(2);
+    expect(composition.getCompositionInfo().parts.map(part => part.name)).toEqual(['Melody', 'Ostinato']);
+  });
+
+  test('plays every part together with its timbre', () => {
+    const composition = new MusicComposition();
+    ['do', 're'].forEach(note => composition.addNote(note));
+    composition.setActivePart(composition.addPart('Drone', { timbre: 'organ' }));
+    composition.addNote('do', 3, NOTE_DURATIONS.HALF);
+
+    const sequence = composition.getPlaybackSequence();
+
+    expect(sequence.map(item => [item.note, item.startTime, item.part])).toEqual([
+      ['do', 0, 0], ['do', 0, 1], ['re', 500, 0]
+    ]);
+    expect(sequence[1].timbre).toBe('organ');
+    expect(sequence[0].timbre).toBeUndefined();
+  });
+
+  test('undo and removal stay within parts; clear empties them all', () => {
+    const composition = new MusicComposition();
+    composition.addNote('do');
+    composition.setActivePart(composition.addPart());
+    composition.addNote('mi');
+    composition.undo();
+
+    expect(composition.getPartNotes(0)).toHaveLength(1);
+    expect(composition.getPartNotes(1)).toHaveLength(0);
+
+    composition.addNote('mi');
+    composition.clear();
+    expect(composition.parts).toHaveLength(2);
+    expect(composition.getTotalNotes()).toBe(0);
+
+    expect(composition.removePart(1)).toBe(true);
+    expect(composition.activePart).toBe(0);
+    expect(composition.removePart(0)).toBe(false);
+  });
+});
+
+describe('saving compositions', () => {
+  test('opens with the same notes, meter, key, timbres and effects', () => {
+    const composition = new MusicComposition();
+    composition.setMode('minor');
+    composition.setKey('D');
+    composition.addNote('la', 4, NOTE_DURATIONS.HALF);
+    composition.setTimeSignature({ beats: 3, noteValue: 4 });
+    composition.addNote('do', 5, NOTE_DURATIONS.WHOLE);
+    composition.setActivePart(composition.addPart('Drone', { octave: 3, timbre: 'organ' }));
+    composition.addNote('la');
+    composition.setEffects([{ type: 'reverb', params: { duration: 3, wetness: 0.35 } }]);
+
+    const opened = MusicComposition.fromJSON(JSON.stringify(composition.toJSON()));
+
+    expect(opened.getPlaybackSequence()).toEqual(composition.getPlaybackSequence());
+    expect(opened.getCompositionInfo()).toEqual(composition.getCompositionInfo());
+    expect(opened.effects).toEqual([{ type: 'reverb', params: { duration: 3, wetness: 0.35 } }]);
+    expect(describeMeasures(opened)).toEqual(describeMeasures(composition));
+  });
+
+  test('fills in the player\'s sound only where the piece leaves it to the player', () => {
+    const composition = new MusicComposition();
+    composition.addPart('Bass', { timbre: 'strings' });
+    const sound = { timbre: 'flute', effects: [{ type: 'delay', params: { delayTime: 0.2 } }] };
+
+    composition.setDefaultSound(sound);
+    expect(composition.parts.map(part => part.timbre)).toEqual(['flute', 'strings']);
+    expect(composition.effects).toEqual(sound.effects);
+    expect(composition.effects[0].params).not.toBe(sound.effects[0].params);
+
+    composition.setEffects([]);
+    composition.setDefaultSound(sound);
+    expect(composition.effects).toEqual([]);
+  });
+
+  test('rejects files that are not compositions', () => {
+    expect(() => MusicComposition.fromJSON('{"notes": []}')).toThrow('Not a sol-fa composition');
+    expect(() => MusicComposition.fromJSON({ version: 99, parts: [{ measures: [[]] }] })).toThrow('version 99');
+  });
+});
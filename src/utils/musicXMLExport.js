@@ -0,0 +1,306 @@
+/**
+ * MusicXML Export
+ * Serializes a MusicComposition to MusicXML 3.1 (partwise) so compositions
+ * open directly in MuseScore, Sibelius, Finale and other notation software
+ */
+
+import { solfegeToPitch, isTiedToNext } from './musicNotation.js';
+import { getKeySignature, MODES } from './keySignatures.js';
+
+const MUSICXML_HEADER = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">'
+].join('\n');
+
+// Note types keyed by length in quarter-note beats
+const NOTE_TYPES = {
+    4: 'whole',
+    2: 'half',
+    1: 'quarter',
+    0.5: 'eighth',
+    0.25: '16th'
+};
+
+// Alterations beyond a triple sharp or flat have no accidental name and are left to the <alter>
+const ACCIDENTAL_NAMES = {
+    '-3': 'triple-flat',
+    '-2': 'flat-flat',
+    '-1': 'flat',
+    '0': 'natural',
+    '1': 'sharp',
+    '2': 'double-sharp',
+    '3': 'triple-sharp'
+};
+
+const escapeXML = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Smallest divisions-per-quarter that expresses every duration as a whole number
+const getDivisions = (items) => {
+    const fitsAll = (divisions) => items.every(item => Number.isInteger(item.duration.beats * divisions));
+    for (let divisions = 1; divisions < 96; divisions++) {
+        if (fitsAll(divisions)) return divisions;
+    }
+    return 96;
+};
+
+// Tuplet values are written with the type they are squeezed from (a triplet eighth is an <type>eighth</type>),
+// dotted values with their undotted type plus <dot/>
+const getNoteType = (duration) => {
+    if (duration.tuplet) return duration.tuplet.type;
+    const baseBeats = duration.dots ? duration.beats / (2 - Math.pow(0.5, duration.dots)) : duration.beats;
+    return NOTE_TYPES[baseBeats] || 'quarter';
+};
+
+const renderDots = (duration, indent) => Array.from({ length: duration.dots || 0 }, () => `${indent}<dot/>`);
+
+const renderTimeModification = (duration, indent) => duration.tuplet ? [
+    `${indent}<time-modification>`,
+    `${indent}  <actual-notes>${duration.tuplet.actual}</actual-notes>`,
+    `${indent}  <normal-notes>${duration.tuplet.normal}</normal-notes>`,
+    `${indent}</time-modification>`
+] : [];
+
+// tieTypes: 'stop'/'start' for <tied>; tuplet: { start, stop } for the tuplet bracket
+const renderNotations = (tieTypes, tuplet, indent) => {
+    const lines = [
+        ...tieTypes.map(type => `${indent}  <tied type="${type}"/>`),
+        ...(tuplet.start ? [`${indent}  <tuplet type="start"/>`] : []),
+        ...(tuplet.stop ? [`${indent}  <tuplet type="stop"/>`] : [])
+    ];
+    return lines.length > 0 ? [`${indent}<notations>`, ...lines, `${indent}</notations>`] : [];
+};
+
+// Drop the empty measure that MusicComposition opens after a full bar; shorter parts are
+// padded with empty (whole-bar rest) measures so every part has the same bar count
+const getExportMeasures = (composition, partIndex) => {
+    const measures = composition.parts[partIndex].measures.filter(measure => measure.length > 0);
+    const count = Math.max(1, composition.getMeasureCount());
+    return [...measures, ...Array.from({ length: count - measures.length }, () => [])];
+};
+
+const renderTime = ({ beats, noteValue }, indent) => [
+    `${indent}<time>`,
+    `${indent}  <beats>${beats}</beats>`,
+    `${indent}  <beat-type>${noteValue}</beat-type>`,
+    `${indent}</time>`
+];
+
+const renderAttributes = (composition, divisions, indent) => {
+    return [
+        `${indent}<attributes>`,
+        `${indent}  <divisions>${divisions}</divisions>`,
+        `${indent}  <key>`,
+        `${indent}    <fifths>${getKeySignature(composition.key, composition.mode).fifths}</fifths>`,
+        `${indent}    <mode>${composition.mode && composition.mode !== MODES.MAJOR ? 'minor' : 'major'}</mode>`,
+        `${indent}  </key>`,
+        ...renderTime(composition.getTimeSignature(0), `${indent}  `),
+        `${indent}  <clef>`,
+        `${indent}    <sign>G</sign>`,
+        `${indent}    <line>2</line>`,
+        `${indent}  </clef>`,
+        `${indent}</attributes>`
+    ];
+};
+
+const renderTempo = (tempo, indent) => [
+    `${indent}<direction placement="above">`,
+    `${indent}  <direction-type>`,
+    `${indent}    <metronome>`,
+    `${indent}      <beat-unit>quarter</beat-unit>`,
+    `${indent}      <per-minute>${tempo}</per-minute>`,
+    `${indent}    </metronome>`,
+    `${indent}  </direction-type>`,
+    `${indent}  <sound tempo="${tempo}"/>`,
+    `${indent}</direction>`
+];
+
+const renderRest = (item, divisions, indent, isMeasureRest, tuplet = {}) => [
+    `${indent}<note>`,
+    isMeasureRest ? `${indent}  <rest measure="yes"/>` : `${indent}  <rest/>`,
+    `${indent}  <duration>${Math.round(item.duration.beats * divisions)}</duration>`,
+    `${indent}  <voice>1</voice>`,
+    ...(isMeasureRest ? [] : [`${indent}  <type>${getNoteType(item.duration)}</type>`]),
+    ...renderDots(item.duration, `${indent}  `),
+    ...renderTimeModification(item.duration, `${indent}  `),
+    ...renderNotations([], tuplet, `${indent}  `),
+    `${indent}</note>`
+];
+
+// ties: { start, stop } - whether this note is tied to the next and/or from the previous
+// tuplet: { start, stop } - whether this note opens and/or closes a tuplet bracket
+const renderNote = (item, pitch, showAccidental, divisions, indent, ties = {}, tuplet = {}) => {
+    const tieTypes = [ties.stop && 'stop', ties.start && 'start'].filter(Boolean);
+    const lines = [
+        `${indent}<note>`,
+        `${indent}  <pitch>`,
+        `${indent}    <step>${pitch.step}</step>`
+    ];
+    if (pitch.alter !== 0) {
+        lines.push(`${indent}    <alter>${pitch.alter}</alter>`);
+    }
+    lines.push(
+        `${indent}    <octave>${pitch.octave}</octave>`,
+        `${indent}  </pitch>`,
+        `${indent}  <duration>${Math.round(item.duration.beats * divisions)}</duration>`,
+        ...tieTypes.map(type => `${indent}  <tie type="${type}"/>`),
+        `${indent}  <voice>1</voice>`,
+        `${indent}  <type>${getNoteType(item.duration)}</type>`,
+        ...renderDots(item.duration, `${indent}  `)
+    );
+    if (showAccidental && ACCIDENTAL_NAMES[pitch.alter]) {
+        lines.push(`${indent}  <accidental>${ACCIDENTAL_NAMES[pitch.alter]}</accidental>`);
+    }
+    lines.push(
+        ...renderTimeModification(item.duration, `${indent}  `),
+        ...renderNotations(tieTypes, tuplet, `${indent}  `),
+        `${indent}  <lyric number="1">`,
+        `${indent}    <syllabic>single</syllabic>`,
+        `${indent}    <text>${escapeXML(item.note)}</text>`,
+        `${indent}  </lyric>`,
+        `${indent}</note>`
+    );
+    return lines;
+};
+
+// Tie starts and stops keyed by item id, following ties across barlines
+const getTies = (items) => {
+    const ties = {};
+    items.forEach((item, index) => {
+        if (!isTiedToNext(item, items[index + 1])) return;
+        ties[item.id] = { ...ties[item.id], start: true };
+        ties[items[index + 1].id] = { ...ties[items[index + 1].id], stop: true };
+    });
+    return ties;
+};
+
+// Tuplet bracket starts and stops keyed by item id. A bracket closes once it holds a full group
+// of its opening value (three triplet eighths make one beat) or when the run of tuplet values ends.
+const getTuplets = (measure) => {
+    const tuplets = {};
+    let group = [];
+    let groupBeats = 0;
+
+    const closeGroup = () => {
+        if (group.length === 0) return;
+        const first = group[0].id;
+        const last = group[group.length - 1].id;
+        tuplets[first] = { ...tuplets[first], start: true };
+        tuplets[last] = { ...tuplets[last], stop: true };
+        group = [];
+        groupBeats = 0;
+    };
+
+    measure.forEach(item => {
+        if (!item.duration.tuplet) {
+            closeGroup();
+            return;
+        }
+        group.push(item);
+        groupBeats += item.duration.beats;
+        const opening = group[0].duration;
+        if (groupBeats >= opening.tuplet.actual * opening.beats - 1e-6) closeGroup();
+    });
+    closeGroup();
+    return tuplets;
+};
+
+const renderMeasure = (composition, measure, index, divisions, ties = {}) => {
+    const indent = '      ';
+    const lines = [`    <measure number="${index + 1}">`];
+
+    if (index === 0) {
+        lines.push(...renderAttributes(composition, divisions, indent));
+        lines.push(...renderTempo(composition.tempo, indent));
+    } else if (composition.timeSignatureChanges[index]) {
+        // Mid-piece meter change
+        lines.push(`${indent}<attributes>`, ...renderTime(composition.timeSignatureChanges[index], `${indent}  `), `${indent}</attributes>`);
+    }
+
+    if (measure.length === 0) {
+        const wholeBar = { duration: { beats: composition.getBarBeats(index) } };
+        lines.push(...renderRest(wholeBar, divisions, indent, true));
+    }
+
+    // Accidentals carry through the rest of the bar, so only print them when the alteration
+    // differs from the key signature or an earlier accidental in the same bar
+    const { alterations: keyAlterations } = getKeySignature(composition.key, composition.mode);
+    const activeAlterations = {};
+    const tuplets = getTuplets(measure);
+
+    for (const item of measure) {
+        if (item.type === 'rest') {
+            lines.push(...renderRest(item, divisions, indent, false, tuplets[item.id]));
+            continue;
+        }
+
+        const pitch = solfegeToPitch(item.note, item.octave, item.accidental, composition.key);
+        if (!pitch) continue;
+
+        const pitchKey = `${pitch.step}${pitch.octave}`;
+        const currentAlter = activeAlterations[pitchKey] ?? keyAlterations[pitch.step] ?? 0;
+        const showAccidental = pitch.alter !== currentAlter;
+        activeAlterations[pitchKey] = pitch.alter;
+
+        lines.push(...renderNote(item, pitch, showAccidental, divisions, indent, ties[item.id], tuplets[item.id]));
+    }
+
+    lines.push('    </measure>');
+    return lines;
+};
+
+/**
+ * Convert a MusicComposition to a MusicXML 3.1 document string, one <part> per composition part
+ * @param {Object} options - { title, partName } - partName labels a single-part composition
+ */
+export const exportMusicXML = (composition, options = {}) => {
+    const title = options.title || 'Sol-fa Composition';
+    const parts = composition.parts.map((part, partIndex) => {
+        const measures = getExportMeasures(composition, partIndex);
+        return {
+            id: `P${partIndex + 1}`,
+            name: composition.parts.length === 1 && options.partName ? options.partName : part.name,
+            measures,
+            ties: getTies(measures.flat())
+        };
+    });
+    const divisions = getDivisions(parts.flatMap(part => part.measures.flat()));
+
+    const lines = [
+        MUSICXML_HEADER,
+        '<score-partwise version="3.1">',
+        '  <work>',
+        `    <work-title>${escapeXML(title)}</work-title>`,
+        '  </work>',
+        '  <identification>',
+        '    <encoding>',
+        '      <software>Sol-fa Hand Composer</software>',
+        `      <encoding-date>${new Date().toISOString().slice(0, 10)}</encoding-date>`,
+        '    </encoding>',
+        '  </identification>',
+        '  <part-list>',
+        ...parts.flatMap(part => [
+            `    <score-part id="${part.id}">`,
+            `      <part-name>${escapeXML(part.name)}</part-name>`,
+            '    </score-part>'
+        ]),
+        '  </part-list>'
+    ];
+
+    parts.forEach(part => {
+        lines.push(`  <part id="${part.id}">`);
+        part.measures.forEach((measure, index) => {
+            lines.push(...renderMeasure(composition, measure, index, divisions, part.ties));
+        });
+        lines.push('  </part>');
+    });
+
+    lines.push('</score-partwise>');
+    return lines.join('\n') + '\n';
+};
+
+export const MUSICXML_MIME_TYPE = 'application/vnd.recordare.musicxml+xml';
@@ -0,0 +1,171 @@
+/**
+ * Tests for MusicXML export of MusicComposition
+ */
+
+import { MusicComposition, NOTE_DURATIONS, REST_DURATIONS, TRIPLET_DURATIONS } from './musicNotation.js';
+import { exportMusicXML } from './musicXMLExport.js';
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+describe('exportMusicXML', () => {
+  test('produces a MusicXML 3.1 partwise document', () => {
+    const composition = new MusicComposition();
+    composition.addNote('do');
+
+    const xml = exportMusicXML(composition, { title: 'Tom & Jerry' });
+
+    expect(xml).toContain('<score-partwise version="3.1">');
+    expect(xml).toContain('Partwise//EN');
+    expect(xml).toContain('<work-title>Tom &amp; Jerry</work-title>');
+    expect(xml).toContain('<per-minute>120</per-minute>');
+    expect(xml).toContain('<sound tempo="120"/>');
+    expect(xml).toContain('<beats>4</beats>');
+    expect(xml).toContain('<beat-type>4</beat-type>');
+  });
+
+  test('writes one measure per filled bar and skips the trailing empty bar', () => {
+    const composition = new MusicComposition();
+    ['do', 're', 'mi', 'fa', 'sol'].forEach(note => composition.addNote(note));
+
+    const xml = exportMusicXML(composition);
+
+    expect(countMatches(xml, /<measure number=/g)).toBe(2);
+    expect(countMatches(xml, /<note>/g)).toBe(5);
+  });
+
+  test('maps solfege, octave and duration to pitch and note type', () => {
+    const composition = new MusicComposition();
+    composition.addNote('sol', 5, NOTE_DURATIONS.HALF);
+    composition.addNote('la', 3, NOTE_DURATIONS.EIGHTH);
+
+    const xml = exportMusicXML(composition);
+
+    expect(xml).toContain('<divisions>2</divisions>');
+    expect(xml).toMatch(/<step>G<\/step>\s*<octave>5<\/octave>[\s\S]*?<duration>4<\/duration>[\s\S]*?<type>half<\/type>/);
+    expect(xml).toMatch(/<step>A<\/step>\s*<octave>3<\/octave>[\s\S]*?<duration>1<\/duration>[\s\S]*?<type>eighth<\/type>/);
+    expect(xml).toContain('<text>sol</text>');
+  });
+
+  test('writes rests with their note type', () => {
+    const composition = new MusicComposition();
+    composition.addRest(REST_DURATIONS.HALF_REST);
+
+    const xml = exportMusicXML(composition);
+
+    expect(xml).toContain('<rest/>');
+    expect(xml).toContain('<type>half</type>');
+  });
+
+  test('prints accidentals only when the alteration changes within a bar', () => {
+    const composition = new MusicComposition();
+    composition.addNote('fi');
+    composition.addNote('fi');
+    composition.addNote('fa');
+    composition.addNote('te');
+
+    const xml = exportMusicXML(composition);
+
+    expect(countMatches(xml, /<alter>1<\/alter>/g)).toBe(2);
+    expect(countMatches(xml, /<accidental>sharp<\/accidental>/g)).toBe(1);
+    expect(countMatches(xml, /<accidental>natural<\/accidental>/g)).toBe(1);
+    expect(countMatches(xml, /<accidental>flat<\/accidental>/g)).toBe(1);
+  });
+
+  test('applies explicit sharp and flat accidentals on notes', () => {
+    const composition = new MusicComposition();
+    const note = composition.addNote('re');
+    note.accidental = 'flat';
+
+    const xml = exportMusicXML(composition);
+
+    expect(xml).toMatch(/<step>D<\/step>\s*<alter>-1<\/alter>/);
+  });
+
+  test('writes triplets with their written type and a time modification', () => {
+    const composition = new MusicComposition();
+    ['do', 're', 'mi'].forEach(note => composition.addNote(note, 4, TRIPLET_DURATIONS.TRIPLET_EIGHTH));
+
+    const xml = exportMusicXML(composition);
+
+    expect(xml).toContain('<divisions>3</divisions>');
+    expect(countMatches(xml, /<duration>1<\/duration>/g)).toBe(3);
+    expect(countMatches(xml, /<type>eighth<\/type>/g)).toBe(3);
+    expect(countMatches(xml, /<actual-notes>3<\/actual-notes>/g)).toBe(3);
+    expect(xml).toContain('<normal-notes>2</normal-notes>');
+  });
+
+  test('brackets each full triplet group and each run of triplets that stops short', () => {
+    const composition = new MusicComposition();
+    ['do', 're', 'mi', 'fa'].forEach(note => composition.addNote(note, 4, TRIPLET_DURATIONS.TRIPLET_EIGHTH));
+    composition.addNote('sol', 4, NOTE_DURATIONS.QUARTER);
+
+    const xml = exportMusicXML(composition);
+
+    expect(countMatches(xml, /<tuplet type="start"\/>/g)).toBe(2);
+    expect(countMatches(xml, /<tuplet type="stop"\/>/g)).toBe(2);
+    expect(xml).toMatch(/<text>do<\/text>[\s\S]*<tuplet type="stop"\/>[\s\S]*<text>mi<\/text>/);
+    expect(xml).toMatch(/<tuplet type="start"\/>\s*<tuplet type="stop"\/>[\s\S]*<text>fa<\/text>/);
+  });
+
+  test('names triple sharps instead of writing an undefined accidental', () => {
+    const composition = new MusicComposition();
+    composition.setKey('C#');
+    composition.addNote('fi').accidental = 'sharp';
+    composition.addNote('fi').accidental = 'flat';
+
+    const xml = exportMusicXML(composition);
+
+    expect(xml).toContain('<alter>3</alter>');
+    expect(xml).toContain('<accidental>triple-sharp</accidental>');
+    expect(xml).not.toContain('undefined');
+  });
+
+  test('writes dots and ties across the barline', () => {
+    const composition = new MusicComposition();
+    composition.addNote('do', 4, NOTE_DURATIONS.DOTTED_HALF);
+    composition.addNote('re', 4, NOTE_DURATIONS.HALF);
+
+    const xml = exportMusicXML(composition);
+
+    expect(xml).toMatch(/<type>half<\/type>\s*<dot\/>/);
+    expect(countMatches(xml, /<tie type="start"\/>/g)).toBe(1);
+    expect(countMatches(xml, /<tie type="stop"\/>/g)).toBe(1);
+    expect(countMatches(xml, /<tied type="(start|stop)"\/>/g)).toBe(2);
+  });
+
+  test('writes a time element in the measure where the meter changes', () => {
+    const composition = new MusicComposition();
+    ['do', 're', 'mi', 'fa'].forEach(note => composition.addNote(note));
+    composition.setTimeSignature({ beats: 6, noteValue: 8 });
+    composition.addNote('sol', 4, NOTE_DURATIONS.DOTTED_HALF);
+
+    const xml = exportMusicXML(composition);
+    const [, second] = xml.split(/<measure number="\d+">/).slice(1);
+
+    expect(countMatches(xml, /<time>/g)).toBe(2);
+    expect(second).toMatch(/<attributes>\s*<time>\s*<beats>6<\/beats>\s*<beat-type>8<\/beat-type>/);
+  });
+
+  test('writes a part for each composition part, padding shorter ones with measure rests', () => {
+    const composition = new MusicComposition();
+    ['do', 're', 'mi', 'fa', 'sol'].forEach(note => composition.addNote(note));
+    composition.setActivePart(composition.addPart('Ostinato'));
+    composition.addNote('do', 3, NOTE_DURATIONS.WHOLE);
+
+    const xml = exportMusicXML(composition);
+    const ostinato = xml.slice(xml.indexOf('<part id="P2">'));
+
+    expect(xml).toContain('<part-name>Melody</part-name>');
+    expect(xml).toContain('<part-name>Ostinato</part-name>');
+    expect(countMatches(xml, /<measure number=/g)).toBe(4);
+    expect(countMatches(ostinato, /<measure number=/g)).toBe(2);
+    expect(ostinato).toContain('<rest measure="yes"/>');
+  });
+
+  test('exports an empty composition as a single measure rest', () => {
+    const xml = exportMusicXML(new MusicComposition());
+
+    expect(countMatches(xml, /<measure number=/g)).toBe(1);
+    expect(xml).toContain('<rest measure="yes"/>');
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Rhythm Quantizer
+ * Turns a timed hand-sign performance (notes with millisecond timestamps, one entry per
+ * recognized frame or per sign) into MusicComposition measures: consecutive frames of the
+ * same sign are merged into one held note, onsets and releases are snapped to a grid at the
+ * composition tempo, and silences between signs become rests.
+ */
+
+import {
+    MusicComposition,
+    splitBeats,
+    NOTE_DURATIONS,
+    REST_DURATIONS,
+    TRIPLET_DURATIONS,
+    TRIPLET_REST_DURATIONS
+} from './musicNotation.js';
+
+export const QUANTIZE_GRIDS = {
+    QUARTER: { name: 'quarter', label: '♩ Quarter notes', beats: 1 },
+    EIGHTH: { name: 'eighth', label: '♪ Eighth notes', beats: 0.5 },
+    SIXTEENTH: { name: 'sixteenth', label: '𝅘𝅥𝅯 Sixteenth notes', beats: 0.25 },
+    TRIPLET: { name: 'triplet', label: '♪³ Eighth triplets', beats: 1 / 3 }
+};
+
+export const DEFAULT_GRID = QUANTIZE_GRIDS.EIGHTH;
+
+const DEFAULT_MERGE_GAP = 150;   // ms between frames of the same sign that still count as one hold
+const DEFAULT_MIN_REST_BEATS = 1; // Shorter silences are the hand moving between signs
+
+const resolveGrid = (grid) => {
+    if (!grid) return DEFAULT_GRID;
+    if (typeof grid === 'string') {
+        return Object.values(QUANTIZE_GRIDS).find(candidate => candidate.name === grid) || DEFAULT_GRID;
+    }
+    return grid;
+};
+
+// Note and rest values that can be written on a grid
+const getDurationTables = (grid) => {
+    const triplet = grid.name === QUANTIZE_GRIDS.TRIPLET.name;
+    return {
+        notes: triplet ? { ...NOTE_DURATIONS, ...TRIPLET_DURATIONS } : NOTE_DURATIONS,
+        rests: triplet ? { ...REST_DURATIONS, ...TRIPLET_REST_DURATIONS } : REST_DURATIONS
+    };
+};
+
+/**
+ * Merge consecutive entries of the same sign into held signs
+ * @param {Array<{note, octave, accidental, timestamp}>} entries - in performance order
+ * @param {number} mergeGap - ms
+ * @returns {Array<{note, octave, accidental, start, end, frames}>} start/end in ms
+ */
+export const groupSigns = (entries, mergeGap = DEFAULT_MERGE_GAP) => {
+    const signs = [];
+
+    entries
+        .filter(entry => entry && entry.note && Number.isFinite(entry.timestamp))
+        .forEach(entry => {
+            const last = signs[signs.length - 1];
+            const sameSign = last &&
+                last.note === entry.note &&
+                last.octave === entry.octave &&
+                (last.accidental || null) === (entry.accidental || null);
+
+            if (sameSign && entry.timestamp - last.end <= mergeGap) {
+                last.end = entry.timestamp;
+                last.frames++;
+            } else {
+                signs.push({
+                    note: entry.note,
+                    octave: entry.octave,
+                    accidental: entry.accidental || null,
+                    start: entry.timestamp,
+                    end: entry.timestamp,
+                    frames: 1
+                });
+            }
+        });
+
+    return signs;
+};
+
+/**
+ * Snap held signs to the grid
+ * @param {Array} signs - from groupSigns()
+ * @param {Object} options - { grid, tempo, origin (ms of step 0), minRestBeats }
+ * @returns {Array<{type: 'note'|'rest', start, length, note, octave, accidental}>} positions in grid steps
+ */
+export const quantizeSigns = (signs, options = {}) => {
+    const grid = resolveGrid(options.grid);
+    const tempo = options.tempo || 120;
+    const minRestBeats = options.minRestBeats ?? DEFAULT_MIN_REST_BEATS;
+    const origin = options.origin ?? (signs[0] ? signs[0].start : 0);
+
+    const msPerStep = (60000 / tempo) * grid.beats;
+    const toSteps = (ms) => Math.round((ms - origin) / msPerStep);
+
+    const events = [];
+    let cursor = 0;
+
+    signs.forEach((sign, index) => {
+        const next = signs[index + 1];
+        const start = Math.max(cursor, toSteps(sign.start));
+        const nextStart = next ? Math.max(start + 1, toSteps(next.start)) : null;
+
+        // Held signs end where the hand let go; a single frame carries no length, so it lasts until the next sign
+        const held = sign.frames > 1;
+        let end = held ? Math.max(start + 1, toSteps(sign.end)) : (nextStart ?? start + Math.max(1, Math.round(1 / grid.beats)));
+
+        if (nextStart !== null) {
+            const silentBeats = (next.start - sign.end) / (60000 / tempo);
+            if (!held || silentBeats < minRestBeats || end >= nextStart) {
+                end = nextStart;
+            }
+        }
+
+        if (start > cursor) {
+            events.push({ type: 'rest', start: cursor, length: start - cursor });
+        }
+        events.push({
+            type: 'note',
+            start,
+            length: end - start,
+            note: sign.note,
+            octave: sign.octave,
+            accidental: sign.accidental
+        });
+        if (nextStart !== null && nextStart > end) {
+            events.push({ type: 'rest', start: end, length: nextStart - end });
+        }
+        cursor = nextStart ?? end;
+    });
+
+    return events;
+};
+
+/**
+ * Quantize a timed performance into a MusicComposition
+ * @param {Array<{note, octave, accidental, timestamp}>} entries - timestamps in ms
+ * @param {Object} options
+ * @param {Object|string} options.grid - a QUANTIZE_GRIDS entry or its name
+ * @param {number} options.tempo - BPM (defaults to the composition's)
+ * @param {number} options.origin - ms of the first downbeat (defaults to the first sign)
+ * @param {number} options.minRestBeats - shortest silence, in beats, written as a rest
+ * @param {number} options.mergeGap - ms between frames of one held sign
+ * @param {MusicComposition} options.composition - supplies tempo, time signature, key and mode
+ * @returns {MusicComposition}
+ */
+export const quantizePerformance = (entries, options = {}) => {
+    const grid = resolveGrid(options.grid);
+    const composition = new MusicComposition();
+    const source = options.composition;
+    if (source) {
+        composition.tempo = source.tempo;
+        composition.timeSignature = { ...source.timeSignature };
+        composition.mode = source.mode;
+        composition.key = source.key;
+    }
+    if (options.tempo) composition.tempo = options.tempo;
+    if (options.timeSignature) composition.timeSignature = { ...options.timeSignature };
+
+    const signs = groupSigns(entries, options.mergeGap);
+    const events = quantizeSigns(signs, {
+        grid,
+        tempo: composition.tempo,
+        origin: options.origin,
+        minRestBeats: options.minRestBeats
+    });
+
+    const { notes, rests } = getDurationTables(grid);
+
+    // Held signs longer than one value become tied notes, split at barlines by the composition
+    events.forEach(event => {
+        const beats = event.length * grid.beats;
+        if (event.type === 'rest') {
+            splitBeats(beats, rests).forEach(rest => composition.addRest(rest));
+        } else {
+            composition.addHeldNote(event.note, event.octave, beats, event.accidental, notes);
+        }
+    });
+
+    return composition;
+};
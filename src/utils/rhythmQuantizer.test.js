@@ -0,0 +1,105 @@
+/**
+ * Tests for quantizing recorded hand-sign performances
+ */
+
+import { groupSigns, quantizePerformance, QUANTIZE_GRIDS } from './rhythmQuantizer.js';
+
+// Items as 'note:beats' / 'z:beats', measure by measure
+const describeMeasures = (composition) => composition.measures
+  .filter(measure => measure.length > 0)
+  .map(measure => measure.map(item =>
+    `${item.type === 'rest' ? 'z' : item.note}:${Math.round(item.duration.beats * 1000) / 1000}`
+  ));
+
+// One entry per recognized frame while a sign is held, 40 ms apart
+const hold = (note, start, end, octave = 4) => {
+  const entries = [];
+  for (let timestamp = start; timestamp <= end; timestamp += 40) {
+    entries.push({ note, octave, timestamp });
+  }
+  return entries;
+};
+
+describe('groupSigns', () => {
+  test('merges consecutive frames of the same sign into one held sign', () => {
+    const signs = groupSigns([...hold('do', 0, 400), ...hold('re', 500, 600), ...hold('re', 1000, 1100)]);
+
+    expect(signs.map(sign => [sign.note, sign.start, sign.end])).toEqual([
+      ['do', 0, 400],
+      ['re', 500, 580],
+      ['re', 1000, 1080]
+    ]);
+  });
+});
+
+describe('quantizePerformance', () => {
+  test('snaps sloppy onsets to the eighth grid at the tempo', () => {
+    // 120 BPM: a beat is 500 ms, an eighth 250 ms
+    const entries = [
+      { note: 'do', octave: 4, timestamp: 1000 },
+      { note: 're', octave: 4, timestamp: 1530 },
+      { note: 'mi', octave: 4, timestamp: 1770 },
+      { note: 'fa', octave: 4, timestamp: 1990 }
+    ];
+
+    const composition = quantizePerformance(entries, { tempo: 120, grid: QUANTIZE_GRIDS.EIGHTH });
+
+    expect(describeMeasures(composition)).toEqual([['do:1', 're:0.5', 'mi:0.5', 'fa:1']]);
+    expect(composition.tempo).toBe(120);
+  });
+
+  test('writes rests for silences between held signs', () => {
+    const entries = [...hold('do', 0, 480), ...hold('sol', 1500, 1980)];
+
+    const composition = quantizePerformance(entries, { tempo: 120, grid: 'quarter' });
+
+    expect(describeMeasures(composition)).toEqual([['do:1', 'z:2', 'sol:1']]);
+  });
+
+  test('keeps short gaps between signs as part of the note', () => {
+    const entries = [...hold('do', 0, 300), ...hold('re', 500, 980)];
+
+    const composition = quantizePerformance(entries, { tempo: 120, grid: 'eighth' });
+
+    expect(describeMeasures(composition)[0].slice(0, 1)).toEqual(['do:1']);
+  });
+
+  test('uses triplet values on the triplet grid', () => {
+    const third = 500 / 3;
+    const entries = ['do', 're', 'mi', 'fa'].map((note, index) => ({ note, octave: 4, timestamp: index * third + 10 }));
+
+    const composition = quantizePerformance(entries, { tempo: 120, grid: 'triplet' });
+
+    expect(describeMeasures(composition)[0]).toEqual(['do:0.333', 're:0.333', 'mi:0.333', 'fa:1']);
+    expect(composition.measures[0][0].duration.tuplet).toMatchObject({ actual: 3, normal: 2 });
+  });
+
+  test('ties notes across barlines and counts from an external downbeat', () => {
+    // Timed from a metronome downbeat at 0: a half-beat rest first, and re tied across the barline
+    const entries = [
+      { note: 'do', octave: 4, timestamp: 240 },
+      { note: 're', octave: 4, timestamp: 1760 },
+      { note: 'mi', octave: 4, timestamp: 2760 }
+    ];
+
+    const composition = quantizePerformance(entries, { tempo: 120, grid: 'eighth', origin: 0 });
+
+    expect(describeMeasures(composition)).toEqual([
+      ['z:0.5', 'do:3', 're:0.5'],
+      ['re:1.5', 'mi:1']
+    ]);
+    expect(composition.measures[0][2].tied).toBe(true);
+    expect(composition.getPlaybackSequence()[1]).toMatchObject({ note: 're', startTime: 1750, duration: 1000 });
+  });
+
+  test('copies key, mode and meter from a composition and keeps accidentals', () => {
+    const source = { tempo: 90, timeSignature: { beats: 3, noteValue: 4 }, key: 'G', mode: 'la-minor' };
+    const entries = [{ note: 'fi', octave: 4, accidental: 'sharp', timestamp: 0 }];
+
+    const composition = quantizePerformance(entries, { composition: source });
+
+    expect(composition).toMatchObject({ tempo: 90, key: 'G', mode: 'la-minor' });
+    expect(composition.timeSignature.beats).toBe(3);
+    expect(composition.measures[0][0]).toMatchObject({ note: 'fi', accidental: 'sharp' });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Rhythm Syllables
+ * Kodály rhythm names (ta, ti-ti, tika-tika, ta-a) and stick-notation layout for
+ * MusicComposition measures, plus the spoken syllables accepted as duration commands.
+ */
+
+import { getBeatGroupStarts, isCompound, DEFAULT_TIME_SIGNATURE } from './timeSignatures.js';
+
+const EPSILON = 1e-6;
+
+// Syllable spoken for a note starting on the beat, by duration name
+const BEAT_SYLLABLES = {
+    'whole': 'ta-a-a-a',
+    'dotted half': 'ta-a-a',
+    'half': 'ta-a',
+    'dotted quarter': 'tai',
+    'quarter': 'ta',
+    'dotted eighth': 'tim',
+    'eighth': 'ti',
+    'sixteenth': 'ti'
+};
+
+// Rests are felt but not said
+export const REST_SYLLABLE = 'sh';
+
+// Solfege letters used under stick notation; chromatic syllables are written out
+const SOLFEGE_LETTERS = { do: 'd', re: 'r', mi: 'm', fa: 'f', sol: 's', la: 'l', ti: 't' };
+
+/**
+ * Spoken rhythm syllables and the voice command each one selects
+ * Longer phrases come first; recognizers often hear "ta" as "tah" and "ti" as "tee".
+ */
+export const SPOKEN_SYLLABLES = [
+    { phrases: ['ta a a a', 'tah ah ah ah'], command: 'SET_WHOLE_NOTE' },
+    { phrases: ['ta a a', 'tah ah ah'], command: 'SET_DOTTED_HALF_NOTE' },
+    { phrases: ['ta a', 'tah ah'], command: 'SET_HALF_NOTE' },
+    { phrases: ['tika tika', 'ti ka ti ka', 'tee ka tee ka', 'tika'], command: 'SET_SIXTEENTH_NOTE' },
+    { phrases: ['tim ka', 'tim'], command: 'SET_DOTTED_EIGHTH_NOTE' },
+    { phrases: ['tai ti', 'tai'], command: 'SET_DOTTED_QUARTER_NOTE' },
+    { phrases: ['ti ti', 'tee tee', 'ti'], command: 'SET_EIGHTH_NOTE' },
+    { phrases: ['ta', 'tah'], command: 'SET_QUARTER_NOTE' }
+];
+
+/**
+ * Find a rhythm syllable said as whole words, so "ta" does not fire inside "start"
+ * @param {string} transcript
+ * @returns {string|null} voice command
+ */
+export const matchRhythmSyllables = (transcript) => {
+    const words = ` ${String(transcript).toLowerCase().replace(/[-.,!?]/g, ' ').replace(/\s+/g, ' ').trim()} `;
+    for (const { phrases, command } of SPOKEN_SYLLABLES) {
+        if (phrases.some(phrase => words.includes(` ${phrase} `))) return command;
+    }
+    return null;
+};
+
+/**
+ * Rhythm syllable for an item at a position inside its beat
+ * Off-beat sixteenths are "ka" and triplet eighths run "tri-o-la"; in compound meters
+ * the dotted quarter fills a whole beat and is "ta".
+ * @param {Object} item - a note or rest from MusicComposition
+ * @param {number} offset - quarter-note beats from the start of the beat group
+ */
+export const getRhythmSyllable = (item, offset = 0, timeSignature = DEFAULT_TIME_SIGNATURE) => {
+    if (item.type === 'rest') return REST_SYLLABLE;
+
+    const name = item.duration.name;
+    if (name === 'eighth triplet') {
+        return ['tri', 'o', 'la'][Math.round(offset * 3) % 3];
+    }
+    if (name === 'sixteenth' && Math.abs(offset * 2 - Math.round(offset * 2)) > EPSILON) {
+        return 'ka';
+    }
+    if (name === 'dotted quarter' && isCompound(timeSignature)) return 'ta';
+    return BEAT_SYLLABLES[name] || 'ta';
+};
+
+// Solfege letter with octave marks: d' above the middle octave, d, below
+export const getSolfegeLetter = (note, octave = 4) => {
+    const letter = SOLFEGE_LETTERS[note] || note;
+    const marks = octave > 4 ? "'".repeat(octave - 4) : ','.repeat(Math.max(0, 4 - octave));
+    return `${letter}${marks}`;
+};
+
+// Beams over a stick: eighths one, sixteenths two; longer values stand alone
+const getBeams = (duration) => {
+    if (duration.beats >= 1 - EPSILON || duration.tuplet?.type === 'quarter') return 0;
+    return duration.beats < 0.5 - EPSILON && !duration.dots && !duration.tuplet ? 2 : 1;
+};
+
+/**
+ * Lay out one measure as stick notation: items grouped by beat with their syllables
+ * @param {Array} measure - items from MusicComposition.measures
+ * @param {{beats, noteValue}} timeSignature
+ * @returns {Array<{start, beamed, items: Array<{item, syllable, letter, beams}>}>}
+ */
+export const getStickMeasure = (measure, timeSignature = DEFAULT_TIME_SIGNATURE) => {
+    const starts = getBeatGroupStarts(timeSignature);
+    const groups = [];
+    let position = 0;
+
+    measure.forEach(item => {
+        // Beat group this item starts in
+        let groupIndex = starts.length - 1;
+        while (groupIndex > 0 && starts[groupIndex] > position + EPSILON) groupIndex--;
+        const groupStart = starts[groupIndex];
+
+        let group = groups[groups.length - 1];
+        if (!group || group.start !== groupStart) {
+            group = { start: groupStart, beamed: false, items: [] };
+            groups.push(group);
+        }
+
+        group.items.push({
+            item,
+            syllable: getRhythmSyllable(item, position - groupStart, timeSignature),
+            letter: item.type === 'rest' ? '' : getSolfegeLetter(item.note, item.octave),
+            beams: item.type === 'rest' ? 0 : getBeams(item.duration)
+        });
+        position += item.duration.beats;
+    });
+
+    // Beam notes that share a beat, as in ti-ti and tika-tika
+    groups.forEach(group => {
+        group.beamed = group.items.filter(entry => entry.beams > 0).length > 1;
+    });
+
+    return groups;
+};
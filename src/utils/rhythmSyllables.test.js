@@ -0,0 +1,73 @@
+/**
+ * Tests for Kodály rhythm syllables and stick-notation layout
+ */
+
+import { MusicComposition, NOTE_DURATIONS, REST_DURATIONS, TRIPLET_DURATIONS } from './musicNotation.js';
+import { matchRhythmSyllables, getStickMeasure, getSolfegeLetter } from './rhythmSyllables.js';
+
+const syllables = (groups) => groups.map(group => group.items.map(entry => entry.syllable).join(' '));
+
+describe('getStickMeasure', () => {
+  test('names each beat and beams the notes that share it', () => {
+    const composition = new MusicComposition();
+    composition.addNote('do');
+    composition.addNote('re', 4, NOTE_DURATIONS.EIGHTH);
+    composition.addNote('mi', 4, NOTE_DURATIONS.EIGHTH);
+    ['fa', 'sol', 'la', 'ti'].forEach(note => composition.addNote(note, 4, NOTE_DURATIONS.SIXTEENTH));
+    composition.addRest(REST_DURATIONS.QUARTER_REST);
+
+    const groups = getStickMeasure(composition.measures[0]);
+
+    expect(syllables(groups)).toEqual(['ta', 'ti ti', 'ti ka ti ka', 'sh']);
+    expect(groups.map(group => group.beamed)).toEqual([false, true, true, false]);
+    expect(groups[2].items.map(entry => entry.beams)).toEqual([2, 2, 2, 2]);
+  });
+
+  test('reads long, dotted and triplet values', () => {
+    const composition = new MusicComposition();
+    composition.addNote('do', 4, NOTE_DURATIONS.HALF);
+    composition.addNote('re', 4, NOTE_DURATIONS.DOTTED_EIGHTH);
+    composition.addNote('mi', 4, NOTE_DURATIONS.SIXTEENTH);
+    [0, 1, 2].forEach(() => composition.addNote('fa', 4, TRIPLET_DURATIONS.TRIPLET_EIGHTH));
+
+    expect(syllables(getStickMeasure(composition.measures[0]))).toEqual(['ta-a', 'tim ka', 'tri o la']);
+  });
+
+  test('groups compound meters by the dotted beat', () => {
+    const composition = new MusicComposition();
+    composition.setTimeSignature({ beats: 6, noteValue: 8 });
+    ['do', 're', 'mi'].forEach(note => composition.addNote(note, 4, NOTE_DURATIONS.EIGHTH));
+    composition.addNote('fa', 4, NOTE_DURATIONS.DOTTED_QUARTER);
+
+    const groups = getStickMeasure(composition.measures[0], composition.getTimeSignature(0));
+
+    expect(syllables(groups)).toEqual(['ti ti ti', 'ta']);
+    expect(groups[0].items.map(entry => entry.letter)).toEqual(['d', 'r', 'm']);
+  });
+});
+
+describe('getSolfegeLetter', () => {
+  test('abbreviates the scale and marks other octaves', () => {
+    expect(getSolfegeLetter('sol', 4)).toBe('s');
+    expect(getSolfegeLetter('do', 5)).toBe("d'");
+    expect(getSolfegeLetter('la', 3)).toBe('l,');
+    expect(getSolfegeLetter('fi', 4)).toBe('fi');
+  });
+});
+
+describe('matchRhythmSyllables', () => {
+  test('maps spoken syllables to duration commands', () => {
+    expect(matchRhythmSyllables('ta')).toBe('SET_QUARTER_NOTE');
+    expect(matchRhythmSyllables('Ti-ti')).toBe('SET_EIGHTH_NOTE');
+    expect(matchRhythmSyllables('tee tee')).toBe('SET_EIGHTH_NOTE');
+    expect(matchRhythmSyllables('ta a')).toBe('SET_HALF_NOTE');
+    expect(matchRhythmSyllables('ta-a-a-a')).toBe('SET_WHOLE_NOTE');
+    expect(matchRhythmSyllables('tika tika')).toBe('SET_SIXTEENTH_NOTE');
+  });
+
+  test('only matches whole words', () => {
+    expect(matchRhythmSyllables('start over')).toBeNull();
+    expect(matchRhythmSyllables('tie')).toBeNull();
+    expect(matchRhythmSyllables('metronome')).toBeNull();
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Round Generator
+ * Builds an N-voice round (canon) from one part of a MusicComposition: every voice sings
+ * the same melody, entering a set number of measures after the one before, each with its
+ * own timbre. findDissonances() lists the beats where the overlapping entries clash.
+ */
+
+import { MusicComposition, solfegeToPitch, pitchToMidi, splitBeats, REST_DURATIONS } from './musicNotation.js';
+import { TIMBRES } from './enhancedAudioEngine.js';
+import { getBeatGroupStarts } from './timeSignatures.js';
+
+export const MIN_ROUND_VOICES = 2;
+export const MAX_ROUND_VOICES = 6;
+export const DEFAULT_ROUND_VOICES = 3;
+export const DEFAULT_ENTRY_MEASURES = 2;
+
+// Voices are easier to follow when each has a clearly different sound
+export const ROUND_TIMBRES = [TIMBRES.sine, TIMBRES.flute, TIMBRES.strings, TIMBRES.organ, TIMBRES.triangle, TIMBRES.piano];
+
+// Vertical intervals (semitones within an octave) heard as clashes in children's part-singing
+export const DISSONANT_INTERVALS = {
+    1: 'minor second',
+    2: 'major second',
+    6: 'tritone',
+    10: 'minor seventh',
+    11: 'major seventh'
+};
+
+const EPSILON = 1e-6;
+
+const resolveTimbre = (timbre, voiceIndex) => (
+    Object.values(TIMBRES).includes(timbre) ? timbre : ROUND_TIMBRES[voiceIndex % ROUND_TIMBRES.length]
+);
+
+/**
+ * Create a round from one part of a composition
+ * The round keeps the opening meter; mid-piece meter changes are not carried over because
+ * the shifted entries would fall across them.
+ * @param {MusicComposition} composition
+ * @param {Object} options
+ * @param {number} options.voices - number of voices (2-6)
+ * @param {number} options.entryMeasures - measures between one entry and the next
+ * @param {string[]} options.timbres - timbre per voice, from TIMBRES (defaults to ROUND_TIMBRES)
+ * @param {number} options.repeats - times each voice sings the melody
+ * @param {number} options.part - index of the part holding the melody (defaults to the active part)
+ * @returns {MusicComposition} one part per voice, named "Voice 1", "Voice 2", ...
+ */
+export const createRound = (composition, options = {}) => {
+    const voices = Math.max(MIN_ROUND_VOICES, Math.min(MAX_ROUND_VOICES, options.voices ?? DEFAULT_ROUND_VOICES));
+    const entryMeasures = Math.max(1, options.entryMeasures ?? DEFAULT_ENTRY_MEASURES);
+    const repeats = Math.max(1, options.repeats ?? 1);
+    const timbres = options.timbres || [];
+    const sourceIndex = options.part ?? composition.activePart;
+    const melody = composition.getPartNotes(sourceIndex);
+    const sourcePart = composition.parts[sourceIndex];
+
+    const round = new MusicComposition();
+    round.tempo = composition.tempo;
+    round.timeSignature = { ...composition.timeSignature };
+    round.setMode(composition.mode);
+    round.setKey(composition.key);
+    round.setEffects(composition.effects);
+
+    for (let voice = 0; voice < voices; voice++) {
+        const partOptions = { octave: sourcePart.currentOctave, timbre: resolveTimbre(timbres[voice], voice) };
+        if (voice === 0) {
+            round.renamePart(0, 'Voice 1');
+            round.setPartTimbre(0, partOptions.timbre);
+            round.currentOctave = partOptions.octave;
+        } else {
+            round.setActivePart(round.addPart(`Voice ${voice + 1}`, partOptions));
+        }
+
+        // Later voices wait in whole-bar rests
+        for (let bar = 0; bar < voice * entryMeasures; bar++) {
+            splitBeats(round.getBarBeats(round.currentMeasure), REST_DURATIONS).forEach(rest => round.addRest(rest));
+        }
+
+        for (let time = 0; time < repeats; time++) {
+            melody.forEach(item => {
+                if (item.type === 'rest') {
+                    round.addRest(item.duration);
+                    return;
+                }
+                round.addNote(item.note, item.octave, item.duration, item.accidental || null);
+                // Re-splitting at barlines ties the pieces; the melody's own tie goes on the last one
+                if (item.tied) {
+                    const written = round.getAllNotes();
+                    written[written.length - 1].tied = true;
+                }
+            });
+        }
+    }
+
+    round.setActivePart(0);
+    return round;
+};
+
+// Midi pitch sounding in a part at a position (quarter-note beats from the start), or null in a rest
+const getSoundingMidi = (composition, partIndex, position) => {
+    let start = 0;
+    for (const item of composition.getPartNotes(partIndex)) {
+        const end = start + item.duration.beats;
+        if (position >= start - EPSILON && position < end - EPSILON) {
+            if (item.type === 'rest') return null;
+            const pitch = solfegeToPitch(item.note, item.octave, item.accidental, composition.key);
+            return pitch ? pitchToMidi(pitch) : null;
+        }
+        start = end;
+    }
+    return null;
+};
+
+/**
+ * Beats where two or more parts sound a dissonant interval together
+ * Checked on the start of every beat group (each quarter in 4/4, each dotted quarter in 6/8).
+ * @param {MusicComposition} composition
+ * @returns {Array<{measure, beat, position, clashes: Array<{parts: number[], interval}>}>}
+ *          measure and beat are 1-based; position is quarter-note beats from the start
+ */
+export const findDissonances = (composition) => {
+    const results = [];
+    let barStart = 0;
+
+    for (let measure = 0; measure < composition.getMeasureCount(); measure++) {
+        const timeSignature = composition.getTimeSignature(measure);
+        const measureStart = barStart;
+
+        getBeatGroupStarts(timeSignature).forEach((groupStart, beatIndex) => {
+            const position = measureStart + groupStart;
+            const sounding = composition.parts
+                .map((part, partIndex) => ({ partIndex, midi: getSoundingMidi(composition, partIndex, position) }))
+                .filter(entry => entry.midi !== null);
+
+            const clashes = [];
+            sounding.forEach((lower, index) => {
+                sounding.slice(index + 1).forEach(upper => {
+                    const interval = DISSONANT_INTERVALS[Math.abs(upper.midi - lower.midi) % 12];
+                    if (interval) clashes.push({ parts: [lower.partIndex, upper.partIndex], interval });
+                });
+            });
+
+            if (clashes.length > 0) {
+                results.push({ measure: measure + 1, beat: beatIndex + 1, position, clashes });
+            }
+        });
+
+        barStart += composition.getBarBeats(measure);
+    }
+
+    return results;
+};
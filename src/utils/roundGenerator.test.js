@@ -0,0 +1,119 @@
+/**
+ * Tests for the round (canon) generator and its dissonance check
+ */
+
+import { MusicComposition, NOTE_DURATIONS } from './musicNotation.js';
+import { TIMBRES } from './enhancedAudioEngine.js';
+import { createRound, findDissonances, ROUND_TIMBRES } from './roundGenerator.js';
+
+const noteNames = (items) => items.map(item => (item.type === 'rest' ? 'r' : item.note));
+
+const buildMelody = (notes) => {
+  const composition = new MusicComposition();
+  notes.forEach(note => composition.addNote(note));
+  return composition;
+};
+
+describe('createRound', () => {
+  test('delays each voice by the entry measures in whole-bar rests', () => {
+    const melody = buildMelody(['do', 're', 'mi', 'do', 'do', 're', 'mi', 'do']);
+    const round = createRound(melody, { voices: 3, entryMeasures: 1 });
+
+    expect(round.parts.map(part => part.name)).toEqual(['Voice 1', 'Voice 2', 'Voice 3']);
+    expect(noteNames(round.getPartNotes(0))).toEqual(['do', 're', 'mi', 'do', 'do', 're', 'mi', 'do']);
+    expect(noteNames(round.getPartNotes(1))).toEqual(['r', 'do', 're', 'mi', 'do', 'do', 're', 'mi', 'do']);
+    expect(round.getPartNotes(1)[0].duration.name).toBe('whole rest');
+    expect(round.parts[2].measures[1][0].type).toBe('rest');
+    expect(round.getMeasureCount()).toBe(4);
+    expect(round.activePart).toBe(0);
+  });
+
+  test('keeps tempo, key, meter and effects and leaves the source untouched', () => {
+    const melody = new MusicComposition();
+    melody.tempo = 96;
+    melody.setKey('D');
+    melody.setEffects([{ type: 'reverb', params: { wetness: 0.4 } }]);
+    melody.setTimeSignature({ beats: 3, noteValue: 4 });
+    ['do', 'mi', 'sol'].forEach(note => melody.addNote(note));
+
+    const round = createRound(melody, { voices: 2, entryMeasures: 1 });
+
+    expect(round.tempo).toBe(96);
+    expect(round.key).toBe('D');
+    expect(round.getTimeSignature(0)).toEqual({ beats: 3, noteValue: 4 });
+    expect(round.getPartNotes(1)[0].duration.name).toBe('dotted half rest');
+    expect(round.effects).toEqual(melody.effects);
+    expect(round.effects).not.toBe(melody.effects);
+    expect(melody.parts).toHaveLength(1);
+  });
+
+  test('gives each voice its own timbre', () => {
+    const melody = buildMelody(['do', 're']);
+
+    const defaults = createRound(melody, { voices: 3 });
+    expect(defaults.parts.map(part => part.timbre)).toEqual(ROUND_TIMBRES.slice(0, 3));
+
+    const chosen = createRound(melody, { voices: 2, timbres: [TIMBRES.piano, 'kazoo'] });
+    expect(chosen.parts.map(part => part.timbre)).toEqual([TIMBRES.piano, ROUND_TIMBRES[1]]);
+  });
+
+  test('repeats the melody, keeps ties and plays every voice', () => {
+    const melody = new MusicComposition();
+    melody.addNote('do', 4, NOTE_DURATIONS.HALF);
+    melody.addNote('re', 4, NOTE_DURATIONS.WHOLE);
+    melody.addNote('re', 4, NOTE_DURATIONS.HALF);
+
+    const round = createRound(melody, { voices: 2, entryMeasures: 1, repeats: 2 });
+    const first = round.getPartNotes(0);
+
+    expect(noteNames(first)).toEqual(['do', 're', 're', 're', 'do', 're', 're', 're']);
+    expect(first.filter(item => item.tied)).toHaveLength(2);
+    expect(new Set(round.getPlaybackSequence().map(event => event.part))).toEqual(new Set([0, 1]));
+  });
+});
+
+describe('findDissonances', () => {
+  test('is empty for a round that moves in consonances', () => {
+    const round = createRound(buildMelody(['do', 'mi', 'sol', 'do', 'mi', 'sol', 'do', 'mi']), {
+      voices: 2,
+      entryMeasures: 1
+    });
+    // Bar 2 sounds mi/sol/do/mi against do/mi/sol/do: thirds and fourths
+    expect(findDissonances(round)).toEqual([]);
+  });
+
+  test('flags the beats where entries clash', () => {
+    const round = createRound(buildMelody(['do', 'do', 'do', 'do', 're', 'do', 'ti', 'do']), {
+      voices: 2,
+      entryMeasures: 1
+    });
+    const dissonances = findDissonances(round);
+
+    // Bar 2: re against do (major second) and ti against do (major seventh)
+    expect(dissonances.map(({ measure, beat }) => [measure, beat])).toEqual([[2, 1], [2, 3]]);
+    expect(dissonances[0].position).toBe(4);
+    expect(dissonances[0].clashes).toEqual([{ parts: [0, 1], interval: 'major second' }]);
+    expect(dissonances[1].clashes[0].interval).toBe('major seventh');
+  });
+
+  test('checks each dotted beat in compound meters', () => {
+    const melody = new MusicComposition();
+    melody.setTimeSignature({ beats: 6, noteValue: 8 });
+    ['do', 'fa', 'do', 'do'].forEach(note => melody.addNote(note, 4, NOTE_DURATIONS.DOTTED_QUARTER));
+
+    const dissonances = findDissonances(createRound(melody, { voices: 2, entryMeasures: 1 }));
+
+    // Bar 2: do against do, then do against fa (a fourth)
+    expect(dissonances).toEqual([]);
+
+    const clashing = new MusicComposition();
+    clashing.setTimeSignature({ beats: 6, noteValue: 8 });
+    ['do', 'fa', 'ti', 'ti'].forEach(note => clashing.addNote(note, 4, NOTE_DURATIONS.DOTTED_QUARTER));
+    const result = findDissonances(createRound(clashing, { voices: 2, entryMeasures: 1 }));
+
+    expect(result.map(({ beat, position, clashes }) => [beat, position, clashes[0].interval])).toEqual([
+      [1, 3, 'major seventh'],
+      [2, 4.5, 'tritone']
+    ]);
+  });
+});
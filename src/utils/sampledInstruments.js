@@ -0,0 +1,334 @@
+/**
+ * Sampled Instruments
+ * Builds playable instruments from local sample banks: an SF2 SoundFont, an SFZ file with its
+ * samples, or a folder of WAV files named after their notes. Each region covers a key and
+ * velocity range and is pitched from its root key, looping between its loop points.
+ */
+
+import { parseSoundFont } from './soundFont.js';
+import { decodeWav } from './wavFile.js';
+import { noteNameToMidi } from './chordSymbols.js';
+
+export const DEFAULT_VELOCITY = 100;
+
+const LOOPING_MODES = ['loop_continuous', 'loop_sustain'];
+
+// Headers in inheritance order; opcodes of a header apply to every region below it
+const SFZ_LEVELS = ['control', 'global', 'master', 'group'];
+
+const midiToFrequency = (midi) => 440 * Math.pow(2, (midi - 69) / 12);
+
+// SFZ keys are MIDI numbers or note names with middle C as c4
+const parseSfzKey = (value) => {
+    if (value === undefined) return null;
+    if (/^\d+$/.test(value)) return Number(value);
+    const match = /^([a-g](?:#|b|♯|♭)?)(-?\d)$/i.exec(value);
+    return match ? noteNameToMidi(match[1], Number(match[2])) : null;
+};
+
+const parseNumber = (value, fallback = null) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+const sfzRegion = (opcodes) => {
+    const key = parseSfzKey(opcodes.key);
+    return {
+        sample: (opcodes.default_path || '') + opcodes.sample,
+        keyRange: [parseSfzKey(opcodes.lokey) ?? key ?? 0, parseSfzKey(opcodes.hikey) ?? key ?? 127],
+        velocityRange: [parseNumber(opcodes.lovel, 0), parseNumber(opcodes.hivel, 127)],
+        rootKey: parseSfzKey(opcodes.pitch_keycenter) ?? key ?? 60,
+        tune: parseNumber(opcodes.tune, 0) + parseNumber(opcodes.transpose, 0) * 100,
+        volume: parseNumber(opcodes.volume, 0),
+        // Left unset, these come from the sample's own loop, as SFZ players do
+        loopMode: opcodes.loop_mode || opcodes.loopmode || null,
+        loopStart: parseNumber(opcodes.loop_start ?? opcodes.loopstart),
+        loopEnd: parseNumber(opcodes.loop_end ?? opcodes.loopend),
+        offset: parseNumber(opcodes.offset, 0)
+    };
+};
+
+// Fill in loop settings a region leaves open from the sample's first loop
+const withSampleLoop = (region, sample) => {
+    const [loop] = sample.loops || [];
+    return {
+        ...region,
+        sample,
+        loopMode: region.loopMode || (loop ? 'loop_continuous' : 'no_loop'),
+        loopStart: region.loopStart ?? (loop ? loop.start : 0),
+        loopEnd: region.loopEnd ?? (loop ? loop.end : 0)
+    };
+};
+
+/**
+ * Parse the regions of an SFZ file
+ * Supports the control/global/master/group/region headers, #define, and the key, velocity,
+ * tuning, volume, loop and offset opcodes; sample paths are left relative to the SFZ file.
+ * @param {string} text
+ * @returns {Array} regions with `sample` as a path
+ */
+export const parseSfz = (text) => {
+    const defines = {};
+    const levels = Object.fromEntries(SFZ_LEVELS.map(level => [level, {}]));
+    const regions = [];
+    let current = null; // Opcodes of the header being read; null before the first header
+
+    const source = text.replace(/\/\*[\s\S]*?\*\//g, '');
+    source.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/(^|\s)\/\/.*$/, '').trim();
+        const define = /^#define\s+(\$\w+)\s+(\S+)/.exec(line);
+        if (define) {
+            defines[define[1]] = define[2];
+            return;
+        }
+
+        // A value runs to the next opcode or header, so sample paths may contain spaces
+        const pattern = /<(\w+)>|([\w$]+)=(.*?)(?=\s+[\w$]+=|\s*<|$)/g;
+        let match;
+        while ((match = pattern.exec(line))) {
+            if (match[1]) {
+                const header = match[1];
+                if (header === 'region') {
+                    current = {};
+                    regions.push({ levels: SFZ_LEVELS.map(level => levels[level]), opcodes: current });
+                } else if (SFZ_LEVELS.includes(header)) {
+                    // A header clears its own opcodes and those of the headers below it
+                    SFZ_LEVELS.slice(SFZ_LEVELS.indexOf(header)).forEach(level => {
+                        levels[level] = {};
+                    });
+                    current = levels[header];
+                } else {
+                    current = {}; // <curve>, <effect> and the like are not used for playback
+                }
+            } else if (current) {
+                current[match[2]] = match[3].trim().replace(/\$\w+/g, name => defines[name] ?? name);
+            }
+        }
+    });
+
+    return regions
+        .map(({ levels: inherited, opcodes }) => Object.assign({}, ...inherited, opcodes))
+        .filter(opcodes => opcodes.sample)
+        .map(sfzRegion);
+};
+
+// A note at the end of a file name: "Piano C#4.wav", "violin_Bb3.wav" or "60.wav"
+const keyFromFileName = (path) => {
+    const name = path.split('/').pop().replace(/\.[^.]*$/, '');
+    const note = /(?:^|[^A-Za-z])([A-Ga-g](?:#|b|♯|♭)?)(-1|\d)$/.exec(name);
+    if (note) return noteNameToMidi(note[1], Number(note[2]));
+    const number = /(?:^|\D)(\d{1,3})$/.exec(name);
+    return number && Number(number[1]) <= 127 ? Number(number[1]) : null;
+};
+
+/**
+ * Spread a folder of samples over the keyboard, each sample covering the keys closest to its root
+ * The root comes from the file name, or else from the WAV's 'smpl' chunk; others are skipped.
+ * @param {Array<{path, sample}>} files - sample is a decoded WAV
+ * @returns {Array} regions
+ */
+export const mapSamplesToKeys = (files) => {
+    const rooted = files
+        .map(({ path, sample }) => ({ sample, rootKey: keyFromFileName(path) ?? sample.rootKey }))
+        .filter(({ rootKey }) => rootKey !== null && rootKey !== undefined)
+        .sort((a, b) => a.rootKey - b.rootKey)
+        .filter((file, index, sorted) => index === 0 || sorted[index - 1].rootKey !== file.rootKey);
+
+    return rooted.map(({ sample, rootKey }, index) => {
+        const previous = rooted[index - 1];
+        const next = rooted[index + 1];
+        return withSampleLoop({
+            sample,
+            keyRange: [
+                previous ? Math.floor((previous.rootKey + rootKey) / 2) + 1 : 0,
+                next ? Math.floor((rootKey + next.rootKey) / 2) : 127
+            ],
+            velocityRange: [0, 127],
+            rootKey,
+            tune: 0,
+            volume: 0,
+            loopMode: null,
+            loopStart: null,
+            loopEnd: null,
+            offset: 0
+        }, sample);
+    });
+};
+
+/**
+ * A playable instrument: regions of samples chosen by key and velocity
+ */
+export class SampledInstrument {
+    constructor(name, regions) {
+        this.name = name;
+        this.regions = regions;
+        this.buffers = new WeakMap(); // Audio context -> Map of samples to AudioBuffers
+    }
+
+    findRegion(key, velocity = DEFAULT_VELOCITY) {
+        return this.regions.find(({ keyRange, velocityRange }) => (
+            key >= keyRange[0] && key <= keyRange[1] &&
+            velocity >= velocityRange[0] && velocity <= velocityRange[1]
+        )) || null;
+    }
+
+    // Each audio context (live, or offline for rendering) needs its own copy of a sample
+    getBuffer(context, sample) {
+        if (!this.buffers.has(context)) {
+            this.buffers.set(context, new Map());
+        }
+        const buffers = this.buffers.get(context);
+        if (!buffers.has(sample)) {
+            const length = Math.max(1, sample.channels[0].length);
+            const buffer = context.createBuffer(sample.channels.length, length, sample.sampleRate);
+            sample.channels.forEach((data, channel) => buffer.getChannelData(channel).set(data));
+            buffers.set(sample, buffer);
+        }
+        return buffers.get(sample);
+    }
+}
+
+/**
+ * Plays an instrument's sample in place of EnhancedOscillator's synthesized timbres,
+ * with the same connect/setFrequency/start/stop interface
+ */
+export class SampledOscillator {
+    constructor(context, instrument, velocity = DEFAULT_VELOCITY) {
+        this.context = context;
+        this.instrument = instrument;
+        this.velocity = velocity;
+        this.region = null;
+        this.source = null;
+        this.masterGain = context.createGain();
+        this.output = this.masterGain;
+    }
+
+    // Choose the region for the nearest key and resample it to the exact frequency
+    setFrequency(frequency) {
+        const key = Math.round(69 + 12 * Math.log2(frequency / 440));
+        const region = this.instrument.findRegion(key, this.velocity);
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        this.region = region;
+        if (!region) return;
+
+        const source = this.context.createBufferSource();
+        source.buffer = this.instrument.getBuffer(this.context, region.sample);
+        source.playbackRate.value = frequency / midiToFrequency(region.rootKey) * Math.pow(2, region.tune / 1200);
+        if (LOOPING_MODES.includes(region.loopMode) && region.loopEnd > region.loopStart) {
+            source.loop = true;
+            source.loopStart = region.loopStart / region.sample.sampleRate;
+            source.loopEnd = (region.loopEnd + 1) / region.sample.sampleRate; // Loop ends are inclusive frames
+        }
+        this.masterGain.gain.value = Math.pow(10, region.volume / 20);
+        source.connect(this.masterGain);
+        this.source = source;
+    }
+
+    start(when = this.context.currentTime) {
+        if (this.source) {
+            this.source.start(when, (this.region.offset || 0) / this.region.sample.sampleRate);
+        }
+    }
+
+    stop(when = this.context.currentTime) {
+        if (!this.source) return;
+        try {
+            this.source.stop(when);
+        } catch (e) {
+            // Source might already be stopped
+        }
+    }
+
+    connect(destination) {
+        this.output.connect(destination);
+    }
+
+    disconnect() {
+        this.output.disconnect();
+    }
+}
+
+// Paths as in an SFZ file or a folder upload: forward slashes, '.' and '..' resolved
+const normalizePath = (path) => path.replace(/\\/g, '/').split('/').reduce((parts, part) => {
+    if (part === '..') {
+        parts.pop();
+    } else if (part && part !== '.') {
+        parts.push(part);
+    }
+    return parts;
+}, []).join('/');
+
+const getFilePath = (file) => normalizePath(file.webkitRelativePath || file.name);
+
+const getBaseName = (path) => path.split('/').pop().replace(/\.[^.]*$/, '');
+
+/**
+ * Load an instrument from files picked by the user (File objects, or anything with
+ * name, arrayBuffer() and text()); a folder upload keeps each file's webkitRelativePath.
+ * An .sf2 file wins over an .sfz file, which wins over loose WAV files. Samples must be WAVs.
+ * @param {FileList|Array} files
+ * @param {Object} options - { name, preset } preset picks an SF2 preset by index or name
+ * @returns {Promise<SampledInstrument>}
+ */
+export const loadSampledInstrument = async (files, options = {}) => {
+    const list = Array.from(files);
+    const withExtension = (extension) => list.filter(file => getFilePath(file).toLowerCase().endsWith(extension));
+
+    const [soundFontFile] = withExtension('.sf2');
+    if (soundFontFile) {
+        const soundFont = parseSoundFont(await soundFontFile.arrayBuffer());
+        const preset = typeof options.preset === 'string'
+            ? soundFont.presets.find(candidate => candidate.name === options.preset)
+            : soundFont.presets[options.preset || 0];
+        if (!preset) {
+            throw new Error(`SoundFont has no preset ${options.preset ?? ''}`.trim());
+        }
+        return new SampledInstrument(options.name || preset.name || getBaseName(getFilePath(soundFontFile)), preset.regions);
+    }
+
+    // Samples shared by several regions are decoded once
+    const decoded = new Map();
+    const decodeFile = (file) => {
+        if (!decoded.has(file)) {
+            decoded.set(file, file.arrayBuffer().then(decodeWav).catch(error => {
+                console.warn(`Skipping sample ${getFilePath(file)}:`, error.message);
+                return null;
+            }));
+        }
+        return decoded.get(file);
+    };
+
+    let regions;
+    let name;
+    const [sfzFile] = withExtension('.sfz');
+    if (sfzFile) {
+        const sfzPath = getFilePath(sfzFile);
+        const folder = sfzPath.split('/').slice(0, -1).join('/');
+        const resolved = await Promise.all(parseSfz(await sfzFile.text()).map(async region => {
+            const path = normalizePath(`${folder}/${region.sample}`).toLowerCase();
+            const file = list.find(candidate => getFilePath(candidate).toLowerCase() === path);
+            if (!file) {
+                console.warn(`Missing sample: ${region.sample}`);
+                return null;
+            }
+            const sample = await decodeFile(file);
+            return sample && withSampleLoop(region, sample);
+        }));
+        regions = resolved.filter(Boolean);
+        name = getBaseName(sfzPath);
+    } else {
+        const wavFiles = withExtension('.wav');
+        const samples = await Promise.all(wavFiles.map(async file => ({ path: getFilePath(file), sample: await decodeFile(file) })));
+        regions = mapSamplesToKeys(samples.filter(({ sample }) => sample));
+        const [firstPath] = wavFiles.map(getFilePath);
+        name = firstPath && firstPath.includes('/') ? firstPath.split('/')[0] : 'Samples';
+    }
+
+    if (regions.length === 0) {
+        throw new Error('No playable samples found (expected an .sf2, an .sfz with WAV samples, or WAV files named by note)');
+    }
+    return new SampledInstrument(options.name || name, regions);
+};
@@ -0,0 +1,216 @@
+/**
+ * Tests for SFZ parsing, WAV folders and sampled instrument playback
+ */
+
+import {
+  parseSfz,
+  mapSamplesToKeys,
+  loadSampledInstrument,
+  SampledInstrument,
+  SampledOscillator
+} from './sampledInstruments.js';
+import { encodeWav } from './wavFile.js';
+import { EnhancedAudioEngine, EnhancedOscillator, TIMBRES } from './enhancedAudioEngine.js';
+
+// A WAV of one channel, with a 'smpl' chunk when a loop or root key is given
+const buildWav = ({ frames = 100, sampleRate = 22050, rootKey = 60, loop = null } = {}) => {
+  const wav = new Uint8Array(encodeWav({ sampleRate, channels: [new Float32Array(frames).fill(0.25)] }));
+  if (!loop && rootKey === 60) return wav.buffer;
+
+  const smpl = new DataView(new ArrayBuffer(8 + 36 + (loop ? 24 : 0)));
+  [...'smpl'].forEach((char, i) => smpl.setUint8(i, char.charCodeAt(0)));
+  smpl.setUint32(4, smpl.byteLength - 8, true);
+  smpl.setUint32(8 + 12, rootKey, true);
+  if (loop) {
+    smpl.setUint32(8 + 28, 1, true);
+    smpl.setUint32(8 + 36 + 8, loop.start, true);
+    smpl.setUint32(8 + 36 + 12, loop.end, true);
+  }
+
+  const file = new Uint8Array(wav.length + smpl.byteLength);
+  file.set(wav);
+  file.set(new Uint8Array(smpl.buffer), wav.length);
+  new DataView(file.buffer).setUint32(4, file.length - 8, true);
+  return file.buffer;
+};
+
+const fakeFile = (path, contents) => ({
+  name: path.split('/').pop(),
+  webkitRelativePath: path.includes('/') ? path : '',
+  arrayBuffer: () => Promise.resolve(contents),
+  text: () => Promise.resolve(contents)
+});
+
+// Audio context stand-in with buffer sources
+const createFakeContext = () => {
+  const node = (extra = {}) => ({ connect: jest.fn(), disconnect: jest.fn(), ...extra });
+  const param = (value) => ({ value, setValueAtTime: jest.fn(), linearRampToValueAtTime: jest.fn() });
+  const context = {
+    currentTime: 0,
+    sources: [],
+    createGain: () => node({ gain: param(1) }),
+    createOscillator: () => node({ type: 'sine', frequency: param(440), start: jest.fn(), stop: jest.fn() }),
+    createBuffer: jest.fn((channels, length, sampleRate) => {
+      const data = Array.from({ length: channels }, () => new Float32Array(length));
+      return { numberOfChannels: channels, length, sampleRate, getChannelData: channel => data[channel] };
+    }),
+    createBufferSource: () => {
+      const source = node({ buffer: null, loop: false, playbackRate: param(1), start: jest.fn(), stop: jest.fn() });
+      context.sources.push(source);
+      return source;
+    }
+  };
+  return context;
+};
+
+describe('parseSfz', () => {
+  test('inherits opcodes down from control, global and group headers', () => {
+    const regions = parseSfz(`
+      // A two-zone instrument
+      #define $LOOP loop_continuous
+      <control> default_path=samples/
+      <global> volume=-6 loop_mode=$LOOP
+      <group> lovel=64 hivel=127
+      <region> sample=Grand C4.wav lokey=c3 hikey=f#4 pitch_keycenter=c4
+      <region> sample=Grand A4.wav key=69 tune=-12 transpose=1 loop_start=100 loop_end=900
+      /* a softer layer */
+      <group> hivel=63 <region> sample=soft\\C4.wav
+    `);
+
+    expect(regions).toHaveLength(3);
+    expect(regions[0]).toMatchObject({
+      sample: 'samples/Grand C4.wav',
+      keyRange: [48, 66],
+      velocityRange: [64, 127],
+      rootKey: 60,
+      volume: -6,
+      loopMode: 'loop_continuous',
+      loopStart: null
+    });
+    expect(regions[1]).toMatchObject({ keyRange: [69, 69], rootKey: 69, tune: 88, loopStart: 100, loopEnd: 900 });
+    // A new group starts from the global opcodes again
+    expect(regions[2]).toMatchObject({ sample: 'samples/soft\\C4.wav', keyRange: [0, 127], velocityRange: [0, 63], volume: -6 });
+  });
+});
+
+describe('mapSamplesToKeys', () => {
+  test('splits the keyboard between samples named by note', () => {
+    const sample = (rootKey = null) => ({ sampleRate: 22050, channels: [new Float32Array(10)], rootKey, loops: [] });
+    const regions = mapSamplesToKeys([
+      { path: 'Piano/piano_G4.wav', sample: sample() },
+      { path: 'Piano/Bb2.wav', sample: sample() },
+      { path: 'Piano/84.wav', sample: sample() },
+      { path: 'Piano/unnamed.wav', sample: sample(60) },
+      { path: 'Piano/noise.wav', sample: sample() }
+    ]);
+
+    expect(regions.map(region => region.rootKey)).toEqual([46, 60, 67, 84]);
+    expect(regions.map(region => region.keyRange)).toEqual([[0, 53], [54, 63], [64, 75], [76, 127]]);
+    expect(regions[0].loopMode).toBe('no_loop');
+  });
+});
+
+describe('loadSampledInstrument', () => {
+  test('resolves SFZ samples relative to the SFZ file and reads their loops', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const instrument = await loadSampledInstrument([
+      fakeFile('Strings/strings.sfz', '<region> sample=../Strings/samples\\C4.wav key=60\n<region> sample=missing.wav key=72'),
+      fakeFile('Strings/samples/C4.wav', buildWav({ loop: { start: 20, end: 79 } }))
+    ]);
+
+    expect(instrument.name).toBe('strings');
+    expect(instrument.regions).toHaveLength(1);
+    expect(instrument.regions[0]).toMatchObject({ loopMode: 'loop_continuous', loopStart: 20, loopEnd: 79 });
+    expect(instrument.regions[0].sample.channels[0][0]).toBeCloseTo(0.25, 3);
+    expect(warn).toHaveBeenCalledWith('Missing sample: missing.wav');
+    warn.mockRestore();
+  });
+
+  test('maps a folder of WAVs and names the instrument after the folder', async () => {
+    const instrument = await loadSampledInstrument([
+      fakeFile('Marimba/C4.wav', buildWav()),
+      fakeFile('Marimba/C5.wav', buildWav()),
+      fakeFile('Marimba/readme.txt', 'not a sample')
+    ]);
+
+    expect(instrument.name).toBe('Marimba');
+    expect(instrument.findRegion(66).rootKey).toBe(60);
+    expect(instrument.findRegion(67).rootKey).toBe(72);
+  });
+
+  test('fails when nothing is playable', async () => {
+    await expect(loadSampledInstrument([fakeFile('notes.txt', '')])).rejects.toThrow('No playable samples');
+  });
+});
+
+describe('sampled playback', () => {
+  const sample = { sampleRate: 22050, channels: [new Float32Array(100)], loops: [] };
+  const instrument = () => new SampledInstrument('Test', [
+    {
+      sample, keyRange: [0, 64], velocityRange: [0, 127], rootKey: 60, tune: 0, volume: -6,
+      loopMode: 'loop_continuous', loopStart: 10, loopEnd: 89, offset: 0
+    },
+    {
+      sample, keyRange: [65, 127], velocityRange: [0, 127], rootKey: 72, tune: 100, volume: 0,
+      loopMode: 'no_loop', loopStart: 0, loopEnd: 0, offset: 0
+    }
+  ]);
+
+  test('resamples the nearest region to the frequency and loops it', () => {
+    const context = createFakeContext();
+    const oscillator = new SampledOscillator(context, instrument());
+    oscillator.setFrequency(330);
+    oscillator.start(1);
+
+    const [source] = context.sources;
+    expect(source.playbackRate.value).toBeCloseTo(330 / 261.626, 3);
+    expect(source.loop).toBe(true);
+    expect(source.loopStart).toBeCloseTo(10 / 22050);
+    expect(source.loopEnd).toBeCloseTo(90 / 22050);
+    expect(oscillator.masterGain.gain.value).toBeCloseTo(0.501, 3);
+    expect(source.start).toHaveBeenCalledWith(1, 0);
+
+    // The high region is tuned a semitone up, so its C5 sample plays a semitone faster still
+    oscillator.setFrequency(880);
+    expect(context.sources[1].playbackRate.value).toBeCloseTo(880 / 523.251 * Math.pow(2, 1 / 12), 3);
+    expect(context.sources[1].loop).toBe(false);
+  });
+
+  test('makes one buffer per sample and audio context', () => {
+    const context = createFakeContext();
+    const piano = instrument();
+    new SampledOscillator(context, piano).setFrequency(261.63);
+    new SampledOscillator(context, piano).setFrequency(1046.5);
+    new SampledOscillator(createFakeContext(), piano).setFrequency(261.63);
+
+    expect(context.createBuffer).toHaveBeenCalledTimes(1);
+    expect(context.createBuffer).toHaveBeenCalledWith(1, 100, 22050);
+  });
+
+  test('plays a loaded instrument by name wherever a timbre is accepted', () => {
+    const engine = new EnhancedAudioEngine();
+    const context = createFakeContext();
+    expect(engine.addInstrument(instrument())).toBe('Test');
+
+    engine.setTimbre('Test');
+    expect(engine.settings.timbre).toBe('Test');
+    expect(engine.getAvailableTimbres()).toEqual([...Object.values(TIMBRES), 'Test']);
+
+    const voice = engine.createVoice(context, 392, { duration: 0.5 });
+    expect(voice.oscillator).toBeInstanceOf(SampledOscillator);
+    expect(context.sources[0].stop).toHaveBeenCalledWith(voice.endTime);
+
+    // Once removed, compositions that still name it play a synthesized timbre
+    engine.removeInstrument('Test');
+    expect(engine.settings.timbre).toBe(TIMBRES.sine);
+    expect(engine.createOscillator(context, 'Test')).toBeInstanceOf(EnhancedOscillator);
+  });
+
+  test('keeps built-in timbre names for the synthesized sounds', () => {
+    const engine = new EnhancedAudioEngine();
+    const name = engine.addInstrument(new SampledInstrument(TIMBRES.piano, []));
+
+    expect(name).toBe('piano (sampled)');
+    expect(engine.createOscillator(createFakeContext(), TIMBRES.piano)).toBeInstanceOf(EnhancedOscillator);
+  });
+});
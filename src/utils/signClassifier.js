@@ -0,0 +1,238 @@
+/**
+ * Trainable Sign Classifier
+ * k-nearest-neighbour or softmax (multinomial logistic) model over the hand features
+ * from getSignFeatures(), trained in the browser from labelled landmark samples.
+ * Hands far from every trained sign are rejected rather than forced into the nearest one.
+ */
+
+import { FEATURE_NAMES } from './handCalibration.js';
+import { getSignFeatures } from './kodalySignsDB.js';
+
+export const CLASSIFIER_STORAGE_KEY = 'sol-fa-sign-classifier';
+
+export const CLASSIFIER_TYPES = {
+    KNN: 'knn',
+    LOGISTIC: 'logistic'
+};
+
+const MIN_STD = 1e-3; // Features that never vary in training are left unscaled
+const MAX_DISTANCE = 3; // Normalized distance from a sign's mean beyond which a hand is not that sign
+
+const toVector = (features) => FEATURE_NAMES.map(name => features[name]);
+
+const euclidean = (a, b) => Math.sqrt(a.reduce((sum, value, i) => sum + Math.pow(value - b[i], 2), 0));
+
+const softmax = (scores) => {
+    const max = Math.max(...scores);
+    const exps = scores.map(score => Math.exp(score - max));
+    const total = exps.reduce((sum, value) => sum + value, 0);
+    return exps.map(value => value / total);
+};
+
+export class SignClassifier {
+    constructor(options = {}) {
+        this.type = options.type || CLASSIFIER_TYPES.KNN;
+        this.k = options.k || 5;
+        this.epochs = options.epochs || 300;
+        this.learningRate = options.learningRate || 0.5;
+        this.regularization = options.regularization ?? 0.001;
+        this.maxDistance = options.maxDistance ?? MAX_DISTANCE;
+
+        this.labels = [];
+        this.mean = [];
+        this.std = [];
+        this.centroids = []; // Normalized mean vector per label, for rejecting unknown hands
+        this.samples = [];   // k-NN: normalized training vectors with labels
+        this.weights = null; // Logistic: one row of feature weights plus bias per label
+    }
+
+    isTrained() {
+        return this.labels.length > 0;
+    }
+
+    /**
+     * Train from labelled samples
+     * @param {Array<{label, landmarks}|{label, features}>} samples - raw landmarks or getSignFeatures() results
+     * @returns {SignClassifier}
+     */
+    train(samples) {
+        const rows = samples
+            .map(sample => ({
+                label: sample.label,
+                features: sample.features || getSignFeatures(sample.landmarks)
+            }))
+            .filter(row => row.label && row.features)
+            .map(row => ({ label: row.label, vector: toVector(row.features) }))
+            .filter(row => row.vector.every(Number.isFinite));
+
+        if (rows.length === 0) {
+            throw new Error('No usable training samples');
+        }
+
+        this.labels = [...new Set(rows.map(row => row.label))];
+        this.fitNormalization(rows.map(row => row.vector));
+
+        const normalized = rows.map(row => ({ label: row.label, vector: this.normalize(row.vector) }));
+        this.centroids = this.labels.map(label => {
+            const vectors = normalized.filter(row => row.label === label).map(row => row.vector);
+            return FEATURE_NAMES.map((_, i) => vectors.reduce((sum, vector) => sum + vector[i], 0) / vectors.length);
+        });
+
+        if (this.type === CLASSIFIER_TYPES.LOGISTIC) {
+            this.trainLogistic(normalized);
+        } else {
+            this.samples = normalized;
+        }
+
+        return this;
+    }
+
+    fitNormalization(vectors) {
+        this.mean = FEATURE_NAMES.map((_, i) => vectors.reduce((sum, vector) => sum + vector[i], 0) / vectors.length);
+        this.std = FEATURE_NAMES.map((_, i) => {
+            const variance = vectors.reduce((sum, vector) => sum + Math.pow(vector[i] - this.mean[i], 2), 0) / vectors.length;
+            return Math.max(MIN_STD, Math.sqrt(variance));
+        });
+    }
+
+    normalize(vector) {
+        return vector.map((value, i) => (value - this.mean[i]) / this.std[i]);
+    }
+
+    // Batch gradient descent on cross-entropy with L2 regularization
+    trainLogistic(rows) {
+        const width = FEATURE_NAMES.length + 1;
+        this.weights = this.labels.map(() => new Array(width).fill(0));
+
+        for (let epoch = 0; epoch < this.epochs; epoch++) {
+            const gradients = this.labels.map(() => new Array(width).fill(0));
+
+            for (const row of rows) {
+                const input = [...row.vector, 1];
+                const probabilities = softmax(this.weights.map(weights => this.score(weights, input)));
+
+                probabilities.forEach((probability, labelIndex) => {
+                    const error = probability - (this.labels[labelIndex] === row.label ? 1 : 0);
+                    input.forEach((value, i) => { gradients[labelIndex][i] += error * value; });
+                });
+            }
+
+            this.weights = this.weights.map((weights, labelIndex) => weights.map((weight, i) => {
+                const penalty = i < width - 1 ? this.regularization * weight : 0;
+                return weight - this.learningRate * (gradients[labelIndex][i] / rows.length + penalty);
+            }));
+        }
+    }
+
+    score(weights, input) {
+        return weights.reduce((sum, weight, i) => sum + weight * input[i], 0);
+    }
+
+    // Distance-weighted vote of the k nearest training samples
+    knnProbabilities(vector) {
+        const neighbours = this.samples
+            .map(sample => ({ label: sample.label, distance: euclidean(sample.vector, vector) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.k);
+
+        const votes = this.labels.map(label => neighbours
+            .filter(neighbour => neighbour.label === label)
+            .reduce((sum, neighbour) => sum + 1 / (neighbour.distance + 1e-6), 0));
+        const total = votes.reduce((sum, vote) => sum + vote, 0);
+
+        return votes.map(vote => vote / total);
+    }
+
+    /**
+     * Classify a getSignFeatures() result
+     * @returns {{label, confidence, probabilities: Object<string, number>, distance}|null}
+     *     label is null, with zero confidence, when the hand is unlike every trained sign
+     */
+    predict(features) {
+        if (!this.isTrained() || !features) return null;
+
+        const vector = toVector(features);
+        if (!vector.every(Number.isFinite)) return null;
+
+        const normalized = this.normalize(vector);
+        const scores = this.type === CLASSIFIER_TYPES.LOGISTIC
+            ? softmax(this.weights.map(weights => this.score(weights, [...normalized, 1])))
+            : this.knnProbabilities(normalized);
+
+        const probabilities = {};
+        this.labels.forEach((label, i) => { probabilities[label] = scores[i]; });
+
+        const distance = this.centroids.length > 0
+            ? Math.min(...this.centroids.map(centroid => euclidean(centroid, normalized)))
+            : 0;
+        if (distance > this.maxDistance) {
+            return { label: null, confidence: 0, probabilities, distance };
+        }
+
+        const best = scores.indexOf(Math.max(...scores));
+        return {
+            label: this.labels[best],
+            confidence: scores[best],
+            probabilities,
+            distance
+        };
+    }
+
+    toJSON() {
+        return {
+            type: this.type,
+            k: this.k,
+            maxDistance: this.maxDistance,
+            labels: this.labels,
+            mean: this.mean,
+            std: this.std,
+            centroids: this.centroids,
+            samples: this.samples,
+            weights: this.weights
+        };
+    }
+
+    static fromJSON(data) {
+        const classifier = new SignClassifier({ type: data.type, k: data.k, maxDistance: data.maxDistance });
+        classifier.labels = data.labels || [];
+        classifier.mean = data.mean || [];
+        classifier.std = data.std || [];
+        classifier.centroids = data.centroids || [];
+        classifier.samples = data.samples || [];
+        classifier.weights = data.weights || null;
+        return classifier;
+    }
+}
+
+// Each classifier type is stored under its own key so both can be trained from one calibration
+const storageKey = (type) => `${CLASSIFIER_STORAGE_KEY}-${type}`;
+
+export const saveSignClassifier = (classifier) => {
+    try {
+        localStorage.setItem(storageKey(classifier.type), JSON.stringify(classifier.toJSON()));
+        console.log('💾 Saved sign classifier');
+    } catch (error) {
+        console.warn('Failed to save sign classifier:', error);
+    }
+};
+
+export const loadSignClassifier = (type = CLASSIFIER_TYPES.KNN) => {
+    try {
+        const data = localStorage.getItem(storageKey(type));
+        if (data) {
+            const classifier = SignClassifier.fromJSON(JSON.parse(data));
+            return classifier.isTrained() ? classifier : null;
+        }
+    } catch (error) {
+        console.warn('Failed to load sign classifier:', error);
+    }
+    return null;
+};
+
+export const clearSignClassifier = () => {
+    try {
+        Object.values(CLASSIFIER_TYPES).forEach(type => localStorage.removeItem(storageKey(type)));
+    } catch (error) {
+        console.warn('Failed to clear sign classifier:', error);
+    }
+};
@@ -0,0 +1,102 @@
+/**
+ * Tests for the trainable sign classifier
+ */
+
+import { SignClassifier, CLASSIFIER_TYPES, saveSignClassifier, loadSignClassifier, clearSignClassifier } from './signClassifier.js';
+import { recognizeKodalySign, getSignFeatures, setSignClassifier } from './kodalySignsDB.js';
+
+// Deterministic jitter so each class forms a small cluster
+const jitter = (seed) => (Math.sin(seed * 12.9898) * 43758.5453 % 1) * 0.02;
+
+const makeFeatures = (base, seed) => ({
+  thumb: base.thumb + jitter(seed),
+  index: base.index + jitter(seed + 1),
+  middle: base.middle + jitter(seed + 2),
+  ring: base.ring + jitter(seed + 3),
+  pinky: base.pinky + jitter(seed + 4),
+  verticalAngle: base.verticalAngle + jitter(seed + 5),
+  palmX: jitter(seed + 6),
+  palmY: base.palmY,
+  palmZ: 0.5,
+  thumbAngle: base.thumbAngle + jitter(seed + 7)
+});
+
+const CLASSES = {
+  do: { thumb: 0.95, index: 0.6, middle: 0.6, ring: 0.55, pinky: 0.55, verticalAngle: 0, palmY: 0.8, thumbAngle: 0.2 },
+  fa: { thumb: 0.9, index: 0.3, middle: 0.3, ring: 0.3, pinky: 0.3, verticalAngle: -0.2, palmY: 0.2, thumbAngle: -0.6 },
+  la: { thumb: 0.95, index: 0.98, middle: 0.98, ring: 0.98, pinky: 0.98, verticalAngle: -0.9, palmY: 0, thumbAngle: -0.5 }
+};
+
+const trainingSamples = () => Object.entries(CLASSES).flatMap(([label, base]) =>
+  Array.from({ length: 10 }, (_, i) => ({ label, features: makeFeatures(base, i * 10 + label.length) }))
+);
+
+describe('SignClassifier', () => {
+  [CLASSIFIER_TYPES.KNN, CLASSIFIER_TYPES.LOGISTIC].forEach(type => {
+    test(`${type} predicts the right sign with per-class probabilities`, () => {
+      const classifier = new SignClassifier({ type }).train(trainingSamples());
+
+      Object.entries(CLASSES).forEach(([label, base]) => {
+        const prediction = classifier.predict(makeFeatures(base, 999));
+        const total = Object.values(prediction.probabilities).reduce((sum, p) => sum + p, 0);
+
+        expect(prediction.label).toBe(label);
+        expect(prediction.confidence).toBeGreaterThan(0.5);
+        expect(total).toBeCloseTo(1);
+      });
+    });
+  });
+
+  [CLASSIFIER_TYPES.KNN, CLASSIFIER_TYPES.LOGISTIC].forEach(type => {
+    test(`${type} rejects a hand unlike every trained sign`, () => {
+      const classifier = new SignClassifier({ type }).train(trainingSamples());
+      const prediction = classifier.predict({ ...makeFeatures(CLASSES.la, 5), verticalAngle: 0.9, palmY: -0.9, thumbAngle: 0.9 });
+
+      expect(prediction.label).toBeNull();
+      expect(prediction.confidence).toBe(0);
+      expect(prediction.distance).toBeGreaterThan(classifier.maxDistance);
+    });
+  });
+
+  test('rejects training data without usable samples', () => {
+    expect(() => new SignClassifier().train([{ label: 'do', features: null }])).toThrow('No usable training samples');
+  });
+
+  test('survives a save and load round trip', () => {
+    const classifier = new SignClassifier({ type: CLASSIFIER_TYPES.LOGISTIC, epochs: 50 }).train(trainingSamples());
+    saveSignClassifier(classifier);
+
+    const loaded = loadSignClassifier(CLASSIFIER_TYPES.LOGISTIC);
+    const features = makeFeatures(CLASSES.fa, 3);
+
+    expect(loaded.predict(features)).toEqual(classifier.predict(features));
+    clearSignClassifier();
+    expect(loadSignClassifier(CLASSIFIER_TYPES.LOGISTIC)).toBeNull();
+  });
+});
+
+describe('recognizeKodalySign with a trained classifier', () => {
+  afterEach(() => setSignClassifier(null));
+
+  test('reports the model\'s sign and probability in place of the rules', () => {
+    const landmarks = [{ x: 0.5, y: 0.4, z: 0 }];
+    [[0.47, 0.43], [0.45, 0.46], [0.43, 0.49], [0.41, 0.52]].forEach(([x, y]) => landmarks.push({ x, y, z: 0 }));
+    [0.46, 0.49, 0.52, 0.55].forEach(x => {
+      for (let joint = 0; joint < 4; joint++) landmarks.push({ x, y: 0.5 + joint * 0.03, z: 0 });
+    });
+
+    // Label the rule-based la shape as ti so the answer can only come from the model
+    const classifier = new SignClassifier({ k: 1 }).train([
+      { label: 'ti', landmarks },
+      ...trainingSamples().filter(sample => sample.label !== 'la')
+    ]);
+    setSignClassifier(classifier);
+
+    const result = recognizeKodalySign(landmarks);
+
+    expect(getSignFeatures(landmarks)).not.toBeNull();
+    expect(result.sign).toBe('ti');
+    expect(result.confidence).toBeCloseTo(1);
+    expect(result.debug.probabilities.ti).toBeCloseTo(1);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * SoundFont 2 support
+ * Reads the presets of an .sf2 bank into sample regions (key and velocity ranges,
+ * root key, tuning, attenuation and loop points) for sampled instruments
+ */
+
+// Generator operators used for playback; the rest (envelopes, filters, modulators) are ignored
+const GENERATORS = {
+    startAddrsOffset: 0,
+    endAddrsOffset: 1,
+    startloopAddrsOffset: 2,
+    endloopAddrsOffset: 3,
+    startAddrsCoarseOffset: 4,
+    endAddrsCoarseOffset: 12,
+    instrument: 41,
+    keyRange: 43,
+    velRange: 44,
+    startloopAddrsCoarseOffset: 45,
+    initialAttenuation: 48,
+    endloopAddrsCoarseOffset: 50,
+    coarseTune: 51,
+    fineTune: 52,
+    sampleID: 53,
+    sampleModes: 54,
+    overridingRootKey: 58
+};
+
+const RANGE_GENERATORS = [GENERATORS.keyRange, GENERATORS.velRange];
+const UNSIGNED_GENERATORS = [GENERATORS.instrument, GENERATORS.sampleID, GENERATORS.sampleModes];
+
+// Preset-level values are added to the instrument's; addresses and sample settings only make sense per instrument
+const PRESET_ADDITIVE_GENERATORS = [
+    GENERATORS.initialAttenuation,
+    GENERATORS.coarseTune,
+    GENERATORS.fineTune
+];
+
+const SAMPLE_MODES = ['no_loop', 'loop_continuous', 'no_loop', 'loop_sustain'];
+
+const LEFT_SAMPLE = 4;
+const RIGHT_SAMPLE = 2;
+const COARSE_OFFSET = 32768;
+
+const readText = (bytes, offset, length) => {
+    const chars = Array.from(bytes.subarray(offset, offset + length));
+    const end = chars.indexOf(0);
+    return String.fromCharCode(...(end === -1 ? chars : chars.slice(0, end))).trim();
+};
+
+// Collect the chunks of a RIFF list body by ID
+const readChunks = (view, bytes, start, end) => {
+    const chunks = {};
+    let offset = start;
+    while (offset + 8 <= end) {
+        const id = readText(bytes, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+        if (id === 'LIST') {
+            chunks[readText(bytes, body, 4)] = readChunks(view, bytes, body + 4, body + size);
+        } else {
+            chunks[id] = { offset: body, size };
+        }
+        offset = body + size + (size % 2);
+    }
+    return chunks;
+};
+
+// Fixed-size records of a pdta sub-chunk, including its terminal record
+const readRecords = (chunk, recordSize, read) => {
+    if (!chunk) return [];
+    const count = Math.floor(chunk.size / recordSize);
+    return Array.from({ length: count }, (_, i) => read(chunk.offset + i * recordSize));
+};
+
+const readGenerator = (view, offset) => {
+    const operator = view.getUint16(offset, true);
+    let amount;
+    if (RANGE_GENERATORS.includes(operator)) {
+        amount = [view.getUint8(offset + 2), view.getUint8(offset + 3)];
+    } else if (UNSIGNED_GENERATORS.includes(operator)) {
+        amount = view.getUint16(offset + 2, true);
+    } else {
+        amount = view.getInt16(offset + 2, true);
+    }
+    return { operator, amount };
+};
+
+/**
+ * Group bags into zones of generators; a first zone without the terminal generator
+ * (instrument or sampleID) is the global zone whose values every other zone starts from
+ */
+const readZones = (bags, generators, firstBag, endBag, terminal) => {
+    const zones = [];
+    for (let bag = firstBag; bag < endBag; bag++) {
+        const end = bags[bag + 1] ? bags[bag + 1].generator : generators.length;
+        const zone = {};
+        generators.slice(bags[bag].generator, end).forEach(({ operator, amount }) => {
+            zone[operator] = amount;
+        });
+        zones.push(zone);
+    }
+
+    const global = zones.length > 0 && zones[0][terminal] === undefined ? zones.shift() : {};
+    return zones
+        .filter(zone => zone[terminal] !== undefined)
+        .map(zone => ({ ...global, ...zone }));
+};
+
+const intersectRanges = (a = [0, 127], b = [0, 127]) => [Math.max(a[0], b[0]), Math.min(a[1], b[1])];
+
+/**
+ * Parse an SF2 file
+ * @param {ArrayBuffer} buffer
+ * @returns {{name, presets: Array<{name, bank, program, regions}>}} regions carry their sample as
+ *          { sampleRate, channels }; linked left/right samples are joined into stereo
+ */
+export const parseSoundFont = (buffer) => {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    if (buffer.byteLength < 12 || readText(bytes, 0, 4) !== 'RIFF' || readText(bytes, 8, 4) !== 'sfbk') {
+        throw new Error('Not a SoundFont file');
+    }
+
+    const chunks = readChunks(view, bytes, 12, Math.min(buffer.byteLength, view.getUint32(4, true) + 8));
+    const pdta = chunks.pdta;
+    const smpl = chunks.sdta && chunks.sdta.smpl;
+    if (!pdta || !smpl) {
+        throw new Error('SoundFont has no presets or samples');
+    }
+
+    const presetHeaders = readRecords(pdta.phdr, 38, offset => ({
+        name: readText(bytes, offset, 20),
+        program: view.getUint16(offset + 20, true),
+        bank: view.getUint16(offset + 22, true),
+        bag: view.getUint16(offset + 24, true)
+    }));
+    const instrumentHeaders = readRecords(pdta.inst, 22, offset => ({
+        name: readText(bytes, offset, 20),
+        bag: view.getUint16(offset + 20, true)
+    }));
+    const readBag = offset => ({ generator: view.getUint16(offset, true) });
+    const presetBags = readRecords(pdta.pbag, 4, readBag);
+    const instrumentBags = readRecords(pdta.ibag, 4, readBag);
+    const presetGenerators = readRecords(pdta.pgen, 4, offset => readGenerator(view, offset));
+    const instrumentGenerators = readRecords(pdta.igen, 4, offset => readGenerator(view, offset));
+    const sampleHeaders = readRecords(pdta.shdr, 46, offset => ({
+        name: readText(bytes, offset, 20),
+        start: view.getUint32(offset + 20, true),
+        end: view.getUint32(offset + 24, true),
+        loopStart: view.getUint32(offset + 28, true),
+        loopEnd: view.getUint32(offset + 32, true),
+        sampleRate: view.getUint32(offset + 36, true),
+        originalPitch: view.getUint8(offset + 40),
+        pitchCorrection: view.getInt8(offset + 41),
+        link: view.getUint16(offset + 42, true),
+        type: view.getUint16(offset + 44, true)
+    }));
+
+    const sampleCount = Math.floor(smpl.size / 2);
+    const readSampleData = (start, end) => {
+        const first = Math.min(start, sampleCount);
+        const data = new Float32Array(Math.max(0, Math.min(end, sampleCount) - first));
+        for (let i = 0; i < data.length; i++) {
+            data[i] = view.getInt16(smpl.offset + (first + i) * 2, true) / 0x8000;
+        }
+        return data;
+    };
+
+    // Zones may move a sample's start and end, so slices are shared per sample and address range
+    const slices = new Map();
+    const getSample = (sampleId, start, end) => {
+        const key = `${sampleId}:${start}:${end}`;
+        if (!slices.has(key)) {
+            const header = sampleHeaders[sampleId];
+            const linked = sampleHeaders[header.link];
+            const data = readSampleData(start, end);
+            let channels = [data];
+            if (linked && (header.type === LEFT_SAMPLE || header.type === RIGHT_SAMPLE)) {
+                const partner = readSampleData(linked.start + start - header.start, linked.start + end - header.start);
+                channels = header.type === LEFT_SAMPLE ? [data, partner] : [partner, data];
+            }
+            slices.set(key, { name: header.name, sampleRate: header.sampleRate, channels });
+        }
+        return slices.get(key);
+    };
+
+    const buildRegion = (zone, presetZone) => {
+        const sampleId = zone[GENERATORS.sampleID];
+        const header = sampleHeaders[sampleId];
+        if (!header) return null;
+        const generator = (operator) => zone[operator] || 0;
+        const presetGenerator = (operator) => (
+            PRESET_ADDITIVE_GENERATORS.includes(operator) ? presetZone[operator] || 0 : 0
+        );
+
+        const start = header.start + generator(GENERATORS.startAddrsOffset)
+            + generator(GENERATORS.startAddrsCoarseOffset) * COARSE_OFFSET;
+        const end = header.end + generator(GENERATORS.endAddrsOffset)
+            + generator(GENERATORS.endAddrsCoarseOffset) * COARSE_OFFSET;
+        const loopStart = header.loopStart + generator(GENERATORS.startloopAddrsOffset)
+            + generator(GENERATORS.startloopAddrsCoarseOffset) * COARSE_OFFSET;
+        const loopEnd = header.loopEnd + generator(GENERATORS.endloopAddrsOffset)
+            + generator(GENERATORS.endloopAddrsCoarseOffset) * COARSE_OFFSET;
+
+        const overridingRootKey = zone[GENERATORS.overridingRootKey];
+        const tuneCents = (generator(GENERATORS.coarseTune) + presetGenerator(GENERATORS.coarseTune)) * 100
+            + generator(GENERATORS.fineTune) + presetGenerator(GENERATORS.fineTune)
+            + header.pitchCorrection;
+        const attenuation = generator(GENERATORS.initialAttenuation) + presetGenerator(GENERATORS.initialAttenuation);
+
+        return {
+            sample: getSample(sampleId, start, end),
+            keyRange: intersectRanges(zone[GENERATORS.keyRange], presetZone[GENERATORS.keyRange]),
+            velocityRange: intersectRanges(zone[GENERATORS.velRange], presetZone[GENERATORS.velRange]),
+            rootKey: overridingRootKey >= 0 ? overridingRootKey : (header.originalPitch <= 127 ? header.originalPitch : 60),
+            tune: tuneCents,
+            volume: attenuation ? -attenuation / 10 : 0, // Attenuation is in centibels
+            loopMode: SAMPLE_MODES[generator(GENERATORS.sampleModes) & 3],
+            loopStart: loopStart - start,
+            loopEnd: loopEnd - start - 1 // SF2 loop ends are exclusive
+        };
+    };
+
+    // The last header of each list only marks where the previous one's bags end
+    const presets = presetHeaders.slice(0, -1).map((preset, index) => {
+        const presetZones = readZones(
+            presetBags, presetGenerators, preset.bag, presetHeaders[index + 1].bag, GENERATORS.instrument
+        );
+        const regions = presetZones.flatMap(presetZone => {
+            const instrumentIndex = presetZone[GENERATORS.instrument];
+            const instrument = instrumentHeaders[instrumentIndex];
+            const next = instrumentHeaders[instrumentIndex + 1];
+            if (!instrument || !next) return [];
+            return readZones(instrumentBags, instrumentGenerators, instrument.bag, next.bag, GENERATORS.sampleID)
+                .map(zone => buildRegion(zone, presetZone))
+                .filter(region => region && region.keyRange[0] <= region.keyRange[1]
+                    && region.velocityRange[0] <= region.velocityRange[1]);
+        });
+        return { name: preset.name, bank: preset.bank, program: preset.program, regions };
+    });
+
+    const info = chunks.INFO && chunks.INFO.INAM;
+    return {
+        name: info ? readText(bytes, info.offset, info.size) : '',
+        presets: presets.sort((a, b) => a.bank - b.bank || a.program - b.program)
+    };
+};
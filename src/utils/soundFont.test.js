@@ -0,0 +1,93 @@
+/**
+ * Tests for reading SF2 presets into sample regions
+ */
+
+import { parseSoundFont } from './soundFont.js';
+
+const ascii = (text, length = text.length) => Array.from({ length }, (_, i) => (i < text.length ? text.charCodeAt(i) : 0));
+const u8 = (value) => [value & 0xff];
+const u16 = (value) => [value & 0xff, (value >> 8) & 0xff];
+const u32 = (value) => [...u16(value & 0xffff), ...u16(value >>> 16)];
+const chunk = (id, body) => [...ascii(id), ...u32(body.length), ...body, ...(body.length % 2 ? [0] : [])];
+const list = (type, chunks) => chunk('LIST', [...ascii(type), ...chunks.flat()]);
+const generator = (operator, amount) => [...u16(operator), ...u16(amount)];
+const range = (operator, low, high) => [...u16(operator), low, high];
+
+const sampleHeader = (name, { start, end, loopStart, loopEnd, pitch, correction = 0, link = 0, type = 1 }) => [
+  ...ascii(name, 20), ...u32(start), ...u32(end), ...u32(loopStart), ...u32(loopEnd),
+  ...u32(22050), ...u8(pitch), ...u8(correction), ...u16(link), ...u16(type)
+];
+
+// One preset limited to keys 40-100, over an instrument with a low and a high sample
+const buildSoundFont = () => {
+  const samples = [];
+  for (let i = 0; i < 200; i++) {
+    samples.push(...u16(i < 100 ? 0x4000 : 0xc000)); // 0.5 for the low sample, -0.5 for the high one
+  }
+
+  const bytes = chunk('RIFF', [
+    ...ascii('sfbk'),
+    ...list('INFO', [chunk('INAM', ascii('Test Bank\0'))]),
+    ...list('sdta', [chunk('smpl', samples)]),
+    ...list('pdta', [
+      chunk('phdr', [
+        ...ascii('Test Preset', 20), ...u16(5), ...u16(0), ...u16(0), ...u32(0), ...u32(0), ...u32(0),
+        ...ascii('EOP', 20), ...u16(0), ...u16(0), ...u16(1), ...u32(0), ...u32(0), ...u32(0)
+      ]),
+      chunk('pbag', [...u16(0), ...u16(0), ...u16(2), ...u16(0)]),
+      chunk('pmod', new Array(10).fill(0)),
+      chunk('pgen', [...range(43, 40, 100), ...generator(41, 0), ...generator(0, 0)]),
+      chunk('inst', [...ascii('Test Instrument', 20), ...u16(0), ...ascii('EOI', 20), ...u16(3)]),
+      chunk('ibag', [...u16(0), ...u16(0), ...u16(1), ...u16(0), ...u16(4), ...u16(0), ...u16(7), ...u16(0)]),
+      chunk('imod', new Array(10).fill(0)),
+      chunk('igen', [
+        // Global zone: every sample loops
+        ...generator(54, 1),
+        ...range(43, 0, 59), ...generator(52, 10), ...generator(53, 0),
+        ...range(43, 60, 127), ...generator(58, 70), ...generator(53, 1),
+        ...generator(0, 0)
+      ]),
+      chunk('shdr', [
+        ...sampleHeader('low', { start: 0, end: 100, loopStart: 10, loopEnd: 90, pitch: 48, correction: -5 }),
+        ...sampleHeader('high', { start: 100, end: 200, loopStart: 120, loopEnd: 180, pitch: 72 }),
+        ...sampleHeader('EOS', { start: 0, end: 0, loopStart: 0, loopEnd: 0, pitch: 0, type: 0 })
+      ])
+    ])
+  ]);
+  return new Uint8Array(bytes).buffer;
+};
+
+describe('parseSoundFont', () => {
+  test('reads presets with their key ranges, roots, tuning and loops', () => {
+    const soundFont = parseSoundFont(buildSoundFont());
+
+    expect(soundFont.name).toBe('Test Bank');
+    expect(soundFont.presets).toHaveLength(1);
+    const [preset] = soundFont.presets;
+    expect(preset).toMatchObject({ name: 'Test Preset', bank: 0, program: 5 });
+
+    const [low, high] = preset.regions;
+    // Preset and instrument key ranges intersect
+    expect(low).toMatchObject({ keyRange: [40, 59], velocityRange: [0, 127], rootKey: 48, tune: 5, volume: 0 });
+    expect(high).toMatchObject({ keyRange: [60, 100], rootKey: 70, tune: 0 });
+
+    // Loop points become relative to the sample with inclusive ends
+    expect(low).toMatchObject({ loopMode: 'loop_continuous', loopStart: 10, loopEnd: 89 });
+    expect(high).toMatchObject({ loopStart: 20, loopEnd: 79 });
+  });
+
+  test('slices each region its own samples', () => {
+    const [low, high] = parseSoundFont(buildSoundFont()).presets[0].regions;
+
+    expect(low.sample).toMatchObject({ name: 'low', sampleRate: 22050 });
+    expect(low.sample.channels).toHaveLength(1);
+    expect(low.sample.channels[0]).toHaveLength(100);
+    expect(low.sample.channels[0][0]).toBeCloseTo(0.5);
+    expect(high.sample.channels[0][99]).toBeCloseTo(-0.5);
+  });
+
+  test('rejects other files', () => {
+    expect(() => parseSoundFont(new ArrayBuffer(4))).toThrow('Not a SoundFont file');
+    expect(() => parseSoundFont(new Uint8Array(chunk('RIFF', ascii('sfbk'))).buffer)).toThrow('no presets');
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Sung Voice
+ * A singing-voice timbre for solfege: a glottal sawtooth shaped by three formant filters
+ * into the syllable's vowel (do -> "o", mi -> "i", la -> "a"), with a consonant onset
+ * and a vibrato that fades in after the attack
+ */
+
+import { SOLFEGE_PITCHES } from './keySignatures.js';
+
+// Soprano formants of sung vowels: centre frequency (Hz), level (dB) and bandwidth (Hz)
+export const VOWEL_FORMANTS = {
+    a: [{ frequency: 800, level: 0, bandwidth: 80 }, { frequency: 1150, level: -6, bandwidth: 90 }, { frequency: 2900, level: -32, bandwidth: 120 }],
+    e: [{ frequency: 350, level: 0, bandwidth: 60 }, { frequency: 2000, level: -20, bandwidth: 100 }, { frequency: 2800, level: -15, bandwidth: 120 }],
+    i: [{ frequency: 270, level: 0, bandwidth: 60 }, { frequency: 2140, level: -12, bandwidth: 90 }, { frequency: 2950, level: -26, bandwidth: 100 }],
+    o: [{ frequency: 450, level: 0, bandwidth: 70 }, { frequency: 800, level: -11, bandwidth: 80 }, { frequency: 2830, level: -22, bandwidth: 100 }],
+    u: [{ frequency: 325, level: 0, bandwidth: 50 }, { frequency: 700, level: -16, bandwidth: 60 }, { frequency: 2700, level: -35, bandwidth: 170 }]
+};
+
+/**
+ * Consonant onsets (times in seconds)
+ * noise: a filtered noise burst (plosives and fricatives), with the vowel starting after voiceDelay
+ * formants: voiced consonants start from their own formants at a lower level and glide into the vowel
+ */
+export const CONSONANTS = {
+    d: { noise: { frequency: 3500, q: 1, gain: 0.3, duration: 0.015 }, voiceDelay: 0.01 },
+    t: { noise: { frequency: 4500, q: 1, gain: 0.5, duration: 0.04 }, voiceDelay: 0.05 },
+    f: { noise: { frequency: 3000, q: 0.5, gain: 0.15, duration: 0.08 }, voiceDelay: 0.08 },
+    s: { noise: { frequency: 6000, q: 1.5, gain: 0.4, duration: 0.1 }, voiceDelay: 0.1 },
+    m: { formants: [250, 1100, 2500], level: 0.3, duration: 0.07 },
+    l: { formants: [360, 1300, 2900], level: 0.6, duration: 0.06 },
+    r: { formants: [400, 1400, 2400], level: 0.2, duration: 0.03 }
+};
+
+const DEFAULT_VOWEL = 'a';
+const VIBRATO_RATE = 5.5; // Hz
+const VIBRATO_DEPTH = 0.012; // Fraction of the pitch, about a fifth of a semitone either way
+const VIBRATO_DELAY = 0.25; // Seconds of straight tone before the vibrato fades in
+const VIBRATO_FADE = 0.2;
+const VOICE_LEVEL = 1.5; // Narrow formant filters let through less than a plain oscillator
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+/**
+ * The consonant and vowel to sing for a note; letter names and unknown notes are sung on "a"
+ * @param {string} note - solfege syllable or note name
+ * @returns {{consonant, vowel}} consonant is '' when the syllable has none
+ */
+export const getSungSyllable = (note) => {
+    const syllable = String(note || '').toLowerCase();
+    if (!SOLFEGE_PITCHES[syllable]) {
+        return { consonant: '', vowel: DEFAULT_VOWEL };
+    }
+    const [, consonant, vowel] = /^([^aeiou]*)([aeiou])/.exec(syllable);
+    return { consonant, vowel };
+};
+
+/**
+ * A sung syllable with the same connect/setFrequency/start/stop interface as EnhancedOscillator
+ * @param {BaseAudioContext} context
+ * @param {string} note - the syllable to sing
+ * @param {AudioBuffer} noiseBuffer - noise for plosive and fricative onsets
+ */
+export class SungVoiceOscillator {
+    constructor(context, note, noiseBuffer = null) {
+        this.context = context;
+        this.noiseBuffer = noiseBuffer;
+        this.syllable = getSungSyllable(note);
+        this.frequency = 440;
+
+        this.masterGain = context.createGain();
+        this.masterGain.gain.value = VOICE_LEVEL;
+        this.output = this.masterGain;
+
+        // Glottal source -> vowel level -> parallel formant filters
+        this.source = context.createOscillator();
+        this.source.type = 'sawtooth';
+        this.voiceGain = context.createGain();
+        this.source.connect(this.voiceGain);
+
+        this.formants = VOWEL_FORMANTS[this.syllable.vowel].map(({ frequency, level, bandwidth }) => {
+            const filter = context.createBiquadFilter();
+            const gain = context.createGain();
+            filter.type = 'bandpass';
+            filter.frequency.value = frequency;
+            filter.Q.value = frequency / bandwidth;
+            gain.gain.value = dbToGain(level);
+            this.voiceGain.connect(filter);
+            filter.connect(gain);
+            gain.connect(this.masterGain);
+            return { filter, frequency };
+        });
+
+        // Vibrato: a slow sine added to the source's frequency
+        this.vibrato = context.createOscillator();
+        this.vibrato.type = 'sine';
+        this.vibrato.frequency.value = VIBRATO_RATE;
+        this.vibratoDepth = context.createGain();
+        this.vibratoDepth.gain.value = 0;
+        this.vibrato.connect(this.vibratoDepth);
+        this.vibratoDepth.connect(this.source.frequency);
+    }
+
+    setFrequency(frequency) {
+        this.frequency = frequency;
+        this.source.frequency.setValueAtTime(frequency, this.context.currentTime);
+    }
+
+    start(when = this.context.currentTime) {
+        this.source.start(when);
+        this.vibrato.start(when);
+
+        const depth = this.vibratoDepth.gain;
+        depth.setValueAtTime(0, when + VIBRATO_DELAY);
+        depth.linearRampToValueAtTime(this.frequency * VIBRATO_DEPTH, when + VIBRATO_DELAY + VIBRATO_FADE);
+
+        this.startConsonant(when);
+    }
+
+    startConsonant(when) {
+        const consonant = CONSONANTS[this.syllable.consonant];
+        const level = this.voiceGain.gain;
+        if (!consonant) {
+            level.setValueAtTime(1, when);
+            return;
+        }
+
+        if (consonant.formants) {
+            // Voiced from the start, gliding from the consonant's shape into the vowel
+            level.setValueAtTime(consonant.level, when);
+            level.linearRampToValueAtTime(1, when + consonant.duration);
+            this.formants.forEach(({ filter, frequency }, index) => {
+                filter.frequency.setValueAtTime(consonant.formants[index], when);
+                filter.frequency.linearRampToValueAtTime(frequency, when + consonant.duration);
+            });
+            return;
+        }
+
+        // Silent until the burst or hiss has passed, then the vowel comes in quickly
+        const voiceStart = when + consonant.voiceDelay;
+        level.setValueAtTime(0, when);
+        level.setValueAtTime(0, voiceStart);
+        level.linearRampToValueAtTime(1, voiceStart + 0.02);
+
+        if (!this.noiseBuffer) return;
+        const { frequency, q, gain, duration } = consonant.noise;
+        const noise = this.context.createBufferSource();
+        const filter = this.context.createBiquadFilter();
+        const envelope = this.context.createGain();
+        noise.buffer = this.noiseBuffer;
+        filter.type = 'bandpass';
+        filter.frequency.value = frequency;
+        filter.Q.value = q;
+        envelope.gain.setValueAtTime(0, when);
+        envelope.gain.linearRampToValueAtTime(gain, when + 0.005);
+        envelope.gain.linearRampToValueAtTime(0, when + duration);
+        noise.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(this.masterGain);
+        // The burst ends by itself; the note's own envelope covers an earlier stop
+        noise.start(when);
+        noise.stop(when + duration);
+    }
+
+    stop(when = this.context.currentTime) {
+        [this.source, this.vibrato].forEach(source => {
+            try {
+                source.stop(when);
+            } catch (e) {
+                // Source might already be stopped
+            }
+        });
+    }
+
+    connect(destination) {
+        this.output.connect(destination);
+    }
+
+    disconnect() {
+        this.output.disconnect();
+    }
+}
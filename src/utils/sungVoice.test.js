@@ -0,0 +1,114 @@
+/**
+ * Tests for the sung solfege timbre
+ */
+
+import { getSungSyllable, SungVoiceOscillator, VOWEL_FORMANTS, CONSONANTS } from './sungVoice.js';
+import { EnhancedAudioEngine, TIMBRES } from './enhancedAudioEngine.js';
+
+// Audio context stand-in that keeps every node it makes
+const createFakeContext = () => {
+  const param = (value = 0) => ({ value, setValueAtTime: jest.fn(), linearRampToValueAtTime: jest.fn() });
+  const context = { currentTime: 0, sampleRate: 8000, nodes: [] };
+  const node = (kind, extra = {}) => {
+    const created = { kind, connect: jest.fn(), disconnect: jest.fn(), ...extra };
+    context.nodes.push(created);
+    return created;
+  };
+  Object.assign(context, {
+    destination: node('destination'),
+    createGain: () => node('gain', { gain: param(1) }),
+    createOscillator: () => node('oscillator', { type: 'sine', frequency: param(440), start: jest.fn(), stop: jest.fn() }),
+    createBiquadFilter: () => node('filter', { type: 'lowpass', frequency: param(350), Q: param(1) }),
+    createBufferSource: () => node('bufferSource', { buffer: null, start: jest.fn(), stop: jest.fn() }),
+    createBuffer: jest.fn((channels, length) => {
+      const data = new Float32Array(length);
+      return { length, getChannelData: () => data };
+    }),
+    startRendering: () => Promise.resolve(null)
+  });
+  return context;
+};
+
+const nodesOf = (context, kind) => context.nodes.filter(node => node.kind === kind);
+
+describe('getSungSyllable', () => {
+  test('sings each syllable on its own vowel after its consonant', () => {
+    expect(getSungSyllable('do')).toEqual({ consonant: 'd', vowel: 'o' });
+    expect(getSungSyllable('mi')).toEqual({ consonant: 'm', vowel: 'i' });
+    expect(getSungSyllable('La')).toEqual({ consonant: 'l', vowel: 'a' });
+    expect(getSungSyllable('sol')).toEqual({ consonant: 's', vowel: 'o' });
+    expect(getSungSyllable('te')).toEqual({ consonant: 't', vowel: 'e' });
+  });
+
+  test('sings letter names on a plain "a"', () => {
+    expect(getSungSyllable('C#')).toEqual({ consonant: '', vowel: 'a' });
+    expect(getSungSyllable('E')).toEqual({ consonant: '', vowel: 'a' });
+  });
+});
+
+describe('SungVoiceOscillator', () => {
+  test('shapes a sawtooth with the vowel formants and fades in vibrato', () => {
+    const context = createFakeContext();
+    const voice = new SungVoiceOscillator(context, 'la');
+    voice.setFrequency(440);
+    voice.start(1);
+
+    const [source, vibrato] = nodesOf(context, 'oscillator');
+    expect(source.type).toBe('sawtooth');
+    expect(source.start).toHaveBeenCalledWith(1);
+    expect(nodesOf(context, 'filter').map(filter => filter.frequency.value))
+      .toEqual(VOWEL_FORMANTS.a.map(formant => formant.frequency));
+
+    expect(vibrato.connect).toHaveBeenCalledWith(voice.vibratoDepth);
+    expect(voice.vibratoDepth.connect).toHaveBeenCalledWith(source.frequency);
+    const [[depth, fullAt]] = voice.vibratoDepth.gain.linearRampToValueAtTime.mock.calls;
+    expect(depth).toBeCloseTo(440 * 0.012);
+    expect(fullAt).toBeGreaterThan(1.25);
+  });
+
+  test('glides from a voiced consonant into the vowel', () => {
+    const context = createFakeContext();
+    new SungVoiceOscillator(context, 'mi').start(0);
+
+    const [first] = nodesOf(context, 'filter');
+    expect(first.frequency.setValueAtTime).toHaveBeenCalledWith(CONSONANTS.m.formants[0], 0);
+    expect(first.frequency.linearRampToValueAtTime).toHaveBeenCalledWith(VOWEL_FORMANTS.i[0].frequency, CONSONANTS.m.duration);
+  });
+
+  test('starts "sol" with a hiss before the vowel', () => {
+    const context = createFakeContext();
+    const noise = { length: 8000 };
+    const voice = new SungVoiceOscillator(context, 'sol', noise);
+    voice.start(2);
+
+    const [hiss] = nodesOf(context, 'bufferSource');
+    expect(hiss.buffer).toBe(noise);
+    expect(hiss.start).toHaveBeenCalledWith(2);
+    expect(hiss.stop).toHaveBeenCalledWith(2 + CONSONANTS.s.noise.duration);
+    // The vowel waits for the hiss
+    expect(voice.voiceGain.gain.setValueAtTime).toHaveBeenCalledWith(0, 2 + CONSONANTS.s.voiceDelay);
+  });
+});
+
+describe('voice timbre', () => {
+  test('sings the syllable of each note it plays', async () => {
+    const engine = new EnhancedAudioEngine();
+    const context = createFakeContext();
+
+    await engine.renderSequence([
+      { note: 'do', octave: 4, time: 0, duration: 0.5, timbre: TIMBRES.voice },
+      { note: 'fa', octave: 4, time: 0.5, duration: 0.5, timbre: TIMBRES.voice }
+    ], { createContext: () => context });
+
+    const formantFrequencies = nodesOf(context, 'filter')
+      .filter(filter => filter.type === 'bandpass' && filter.Q.value > 2)
+      .map(filter => filter.frequency.value);
+    expect(formantFrequencies).toEqual([
+      ...VOWEL_FORMANTS.o.map(formant => formant.frequency),
+      ...VOWEL_FORMANTS.a.map(formant => formant.frequency)
+    ]);
+    // Both consonant bursts share one noise buffer
+    expect(context.createBuffer).toHaveBeenCalledTimes(1);
+    expect(nodesOf(context, 'bufferSource')).toHaveLength(2);
+  });
+});
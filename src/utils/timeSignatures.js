@@ -0,0 +1,110 @@
+/**
+ * Time Signatures
+ * Bar lengths, beat grouping and accents for simple (2/4, 3/4, 4/4), compound (6/8, 9/8, 12/8)
+ * and irregular (5/4, 5/8, 7/8) meters. Lengths are in quarter-note beats, the unit used by
+ * note durations and tempo throughout the app.
+ */
+
+export const DEFAULT_TIME_SIGNATURE = { beats: 4, noteValue: 4 };
+
+// Meters offered in the UI, most common in children's songs first
+export const TIME_SIGNATURES = [
+    { beats: 2, noteValue: 4 },
+    { beats: 3, noteValue: 4 },
+    { beats: 4, noteValue: 4 },
+    { beats: 6, noteValue: 8 },
+    { beats: 9, noteValue: 8 },
+    { beats: 12, noteValue: 8 },
+    { beats: 3, noteValue: 8 },
+    { beats: 2, noteValue: 2 },
+    { beats: 5, noteValue: 4 },
+    { beats: 5, noteValue: 8 },
+    { beats: 7, noteValue: 8 }
+];
+
+export const ACCENTS = {
+    STRONG: 'strong', // Downbeat
+    MEDIUM: 'medium', // Start of any other beat group
+    WEAK: 'weak'
+};
+
+// Playback volume multiplier for each accent
+export const ACCENT_GAINS = {
+    [ACCENTS.STRONG]: 1.3,
+    [ACCENTS.MEDIUM]: 1.1,
+    [ACCENTS.WEAK]: 0.85
+};
+
+const NOTE_VALUES = [1, 2, 4, 8, 16];
+
+export const isValidTimeSignature = (timeSignature) => Boolean(
+    timeSignature &&
+    Number.isInteger(timeSignature.beats) && timeSignature.beats >= 1 && timeSignature.beats <= 16 &&
+    NOTE_VALUES.includes(timeSignature.noteValue)
+);
+
+export const formatTimeSignature = ({ beats, noteValue }) => `${beats}/${noteValue}`;
+
+// Read '6/8'; 'C' and 'C|' are common and cut time
+export const parseTimeSignature = (text) => {
+    const trimmed = String(text).trim();
+    if (trimmed === 'C') return { beats: 4, noteValue: 4 };
+    if (trimmed === 'C|') return { beats: 2, noteValue: 2 };
+    const match = /^(\d+)\s*\/\s*(\d+)$/.exec(trimmed);
+    if (!match) return null;
+    const timeSignature = { beats: Number(match[1]), noteValue: Number(match[2]) };
+    return isValidTimeSignature(timeSignature) ? timeSignature : null;
+};
+
+export const isSameTimeSignature = (a, b) => Boolean(a && b && a.beats === b.beats && a.noteValue === b.noteValue);
+
+// 6/8, 9/8, 12/8: the beat is a dotted note made of three counted units
+export const isCompound = ({ beats, noteValue }) => noteValue >= 8 && beats > 3 && beats % 3 === 0;
+
+// Length of one counted unit (the bottom number) in quarter-note beats
+export const getUnitBeats = ({ noteValue }) => 4 / noteValue;
+
+// Length of a full bar in quarter-note beats (6/8 is three quarters long)
+export const getBarBeats = (timeSignature) => timeSignature.beats * getUnitBeats(timeSignature);
+
+/**
+ * Counted units in each beat group of the bar
+ * Simple meters have one unit per beat, compound meters three, and fast irregular
+ * meters (5/8, 7/8) mix threes and twos with the longer group first.
+ * @returns {number[]} e.g. [3, 3] for 6/8, [3, 2] for 5/8, [1, 1, 1] for 3/4
+ */
+export const getBeatGroups = (timeSignature) => {
+    const { beats, noteValue } = timeSignature;
+    if (isCompound(timeSignature)) return Array(beats / 3).fill(3);
+    if (noteValue >= 8 && beats > 3) {
+        const threes = beats % 2 === 1 ? 1 : 0;
+        return [...Array(threes).fill(3), ...Array((beats - threes * 3) / 2).fill(2)];
+    }
+    return Array(beats).fill(1);
+};
+
+// Beat group start positions within the bar, in quarter-note beats
+export const getBeatGroupStarts = (timeSignature) => {
+    const unit = getUnitBeats(timeSignature);
+    let position = 0;
+    return getBeatGroups(timeSignature).map(units => {
+        const start = position;
+        position += units * unit;
+        return start;
+    });
+};
+
+/**
+ * Accent for a position within the bar
+ * @param {number} position - quarter-note beats from the barline
+ * @returns {string} one of ACCENTS
+ */
+export const getAccent = (timeSignature, position) => {
+    const starts = getBeatGroupStarts(timeSignature);
+    const onGroup = starts.findIndex(start => Math.abs(start - position) < 1e-6);
+    if (onGroup === 0) return ACCENTS.STRONG;
+    return onGroup > 0 ? ACCENTS.MEDIUM : ACCENTS.WEAK;
+};
+
+// Name of the counted unit, e.g. 'eighth' in 6/8
+export const getUnitName = ({ noteValue }) => ({ 1: 'whole', 2: 'half', 4: 'quarter', 8: 'eighth', 16: 'sixteenth' }[noteValue]);
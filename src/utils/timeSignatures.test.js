@@ -0,0 +1,49 @@
+/**
+ * Tests for meter helpers: bar lengths, beat grouping and accents
+ */
+
+import {
+  ACCENTS,
+  parseTimeSignature,
+  isCompound,
+  getBarBeats,
+  getBeatGroups,
+  getBeatGroupStarts,
+  getAccent
+} from './timeSignatures.js';
+
+describe('parseTimeSignature', () => {
+  test('reads fractions and common and cut time', () => {
+    expect(parseTimeSignature('6/8')).toEqual({ beats: 6, noteValue: 8 });
+    expect(parseTimeSignature('C')).toEqual({ beats: 4, noteValue: 4 });
+    expect(parseTimeSignature('C|')).toEqual({ beats: 2, noteValue: 2 });
+    expect(parseTimeSignature('3/5')).toBeNull();
+  });
+});
+
+describe('beat grouping', () => {
+  test('measures bars in quarter-note beats', () => {
+    expect(getBarBeats({ beats: 3, noteValue: 4 })).toBe(3);
+    expect(getBarBeats({ beats: 6, noteValue: 8 })).toBe(3);
+    expect(getBarBeats({ beats: 2, noteValue: 2 })).toBe(4);
+  });
+
+  test('groups compound meters in threes and irregular meters in threes and twos', () => {
+    expect(isCompound({ beats: 6, noteValue: 8 })).toBe(true);
+    expect(isCompound({ beats: 3, noteValue: 8 })).toBe(false);
+    expect(getBeatGroups({ beats: 3, noteValue: 4 })).toEqual([1, 1, 1]);
+    expect(getBeatGroups({ beats: 9, noteValue: 8 })).toEqual([3, 3, 3]);
+    expect(getBeatGroups({ beats: 5, noteValue: 8 })).toEqual([3, 2]);
+    expect(getBeatGroups({ beats: 7, noteValue: 8 })).toEqual([3, 2, 2]);
+    expect(getBeatGroupStarts({ beats: 6, noteValue: 8 })).toEqual([0, 1.5]);
+  });
+
+  test('accents the downbeat and the start of every other beat group', () => {
+    const sixEight = { beats: 6, noteValue: 8 };
+    expect([0, 0.5, 1, 1.5, 2, 2.5].map(position => getAccent(sixEight, position))).toEqual([
+      ACCENTS.STRONG, ACCENTS.WEAK, ACCENTS.WEAK, ACCENTS.MEDIUM, ACCENTS.WEAK, ACCENTS.WEAK
+    ]);
+    expect(getAccent({ beats: 3, noteValue: 4 }, 2)).toBe(ACCENTS.MEDIUM);
+    expect(getAccent({ beats: 4, noteValue: 4 }, 0.5)).toBe(ACCENTS.WEAK);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Transport
+ * Lookahead playback scheduler clocked by AudioContext.currentTime. A timer wakes up every
+ * few milliseconds and hands each event due within the lookahead window to onEvent with its
+ * exact audio start time, so notes stay sample-accurate while the main thread is busy
+ * (MediaPipe frames, React renders). Supports play, pause, seek, a loop region and
+ * position callbacks.
+ */
+
+export const TRANSPORT_STATES = {
+    STOPPED: 'stopped',
+    PLAYING: 'playing',
+    PAUSED: 'paused'
+};
+
+const DEFAULT_LOOKAHEAD = 0.1; // Seconds of audio scheduled ahead of the clock
+const DEFAULT_INTERVAL = 25;   // Milliseconds between scheduler wake-ups
+const START_DELAY = 0.05;      // Seconds between play() and the first note, so it is never late
+
+export class Transport {
+    /**
+     * @param {Object} options
+     * @param {Object} options.engine - EnhancedAudioEngine (or anything with initialize(), audioContext and stopNote())
+     * @param {Array<{time, duration}>} options.events - event times and durations in seconds
+     * @param {Function} options.onEvent - (event, when) => noteId(s) or a promise of them; when is in AudioContext time
+     * @param {Function} options.onPosition - (seconds) => void, called on every scheduler tick
+     * @param {Function} options.onEnd - called when playback reaches the end without looping
+     */
+    constructor(options = {}) {
+        this.engine = options.engine;
+        this.onEvent = options.onEvent || null;
+        this.onPosition = options.onPosition || null;
+        this.onEnd = options.onEnd || null;
+        this.lookahead = options.lookahead ?? DEFAULT_LOOKAHEAD;
+        this.interval = options.interval ?? DEFAULT_INTERVAL;
+
+        this.state = TRANSPORT_STATES.STOPPED;
+        this.events = [];
+        this.duration = 0;
+        this.loop = null;        // { start, end } in seconds
+        this.position = 0;       // Position while stopped or paused
+        this.timer = null;
+        this.playRequest = null; // Identifies the latest play() while the engine initializes
+        this.segments = [];      // { contextTime, position } anchors mapping the audio clock to positions
+        this.scheduledUntil = 0; // Audio time up to which events have been handed out
+        this.scheduledPosition = 0;
+        this.endTime = null;     // Audio time the last event finishes, once scheduled
+        this.startTime = null;   // Audio time at which position 0 falls in the current run (before loop jumps)
+        this.scheduled = [];     // { handle, end } for silencing on pause/seek/stop
+
+        this.setEvents(options.events || [], options.duration);
+    }
+
+    /**
+     * Replace the event list
+     * @param {Array<{time, duration}>} events - any extra fields are passed through to onEvent
+     * @param {number} duration - total length in seconds (defaults to the end of the last event)
+     */
+    setEvents(events, duration) {
+        this.events = [...events].sort((a, b) => a.time - b.time);
+        this.duration = duration ?? this.events.reduce((end, event) => Math.max(end, event.time + (event.duration || 0)), 0);
+    }
+
+    // Loop between two positions in seconds; pass null to stop looping
+    setLoop(start, end) {
+        if (start === null || start === undefined || end <= start) {
+            this.loop = null;
+        } else {
+            this.loop = { start: Math.max(0, start), end: Math.min(end, this.duration) };
+        }
+
+        if (this.state === TRANSPORT_STATES.PLAYING) {
+            const position = this.getPosition();
+            this.silence();
+            this.restartFrom(position);
+        }
+    }
+
+    getContext() {
+        return this.engine.audioContext;
+    }
+
+    isPlaying() {
+        return this.state === TRANSPORT_STATES.PLAYING;
+    }
+
+    // Current position in seconds, following loop jumps
+    getPosition() {
+        if (this.state !== TRANSPORT_STATES.PLAYING) return this.position;
+
+        const now = this.getContext().currentTime;
+        let anchor = this.segments[0];
+        for (const segment of this.segments) {
+            if (segment.contextTime <= now) anchor = segment;
+        }
+        if (!anchor || now < anchor.contextTime) return anchor ? anchor.position : this.position;
+
+        return Math.min(anchor.position + (now - anchor.contextTime), this.duration);
+    }
+
+    async play() {
+        if (this.state === TRANSPORT_STATES.PLAYING) return;
+
+        const request = {};
+        this.playRequest = request;
+        await this.engine.initialize();
+        // Paused or stopped while the audio context was starting
+        if (this.playRequest !== request) return;
+
+        if (this.position >= this.duration) this.position = this.loop ? this.loop.start : 0;
+
+        this.state = TRANSPORT_STATES.PLAYING;
+        this.restartFrom(this.position);
+        this.timer = setInterval(() => this.tick(), this.interval);
+    }
+
+    pause() {
+        this.playRequest = null;
+        if (this.state !== TRANSPORT_STATES.PLAYING) return;
+
+        this.position = this.getPosition();
+        this.halt();
+        this.state = TRANSPORT_STATES.PAUSED;
+    }
+
+    stop() {
+        this.playRequest = null;
+        const wasActive = this.state !== TRANSPORT_STATES.STOPPED;
+        this.halt();
+        this.state = TRANSPORT_STATES.STOPPED;
+        this.position = 0;
+        if (wasActive) this.onPosition?.(0);
+    }
+
+    // Jump to a position in seconds; playback continues from there if running
+    seek(position) {
+        const target = Math.max(0, Math.min(position, this.duration));
+        if (this.state === TRANSPORT_STATES.PLAYING) {
+            this.silence();
+            this.restartFrom(target);
+        } else {
+            this.position = target;
+        }
+        this.onPosition?.(target);
+    }
+
+    restartFrom(position) {
+        const startAt = this.getContext().currentTime + START_DELAY;
+        this.segments = [{ contextTime: startAt, position }];
+        this.startTime = startAt - position;
+        this.scheduledUntil = startAt;
+        this.scheduledPosition = position;
+        this.endTime = null;
+        this.tick();
+    }
+
+    // Hand out every event that starts before the lookahead horizon
+    tick() {
+        if (this.state !== TRANSPORT_STATES.PLAYING) return;
+
+        const now = this.getContext().currentTime;
+        const horizon = now + this.lookahead;
+
+        while (this.endTime === null && this.scheduledUntil < horizon) {
+            const segmentEnd = this.loop && this.scheduledPosition < this.loop.end ? this.loop.end : this.duration;
+            const windowEnd = Math.min(segmentEnd, this.scheduledPosition + (horizon - this.scheduledUntil));
+
+            this.events
+                .filter(event => event.time >= this.scheduledPosition && event.time < windowEnd)
+                .forEach(event => this.dispatch(event, this.scheduledUntil + (event.time - this.scheduledPosition)));
+
+            this.scheduledUntil += windowEnd - this.scheduledPosition;
+            this.scheduledPosition = windowEnd;
+
+            if (windowEnd < segmentEnd) break;
+
+            if (this.loop && this.loop.end > this.loop.start && segmentEnd === this.loop.end) {
+                this.scheduledPosition = this.loop.start;
+                this.segments.push({ contextTime: this.scheduledUntil, position: this.loop.start });
+            } else {
+                this.endTime = this.scheduledUntil;
+            }
+        }
+
+        // Forget anchors and notes that are already in the past
+        this.segments = this.segments.filter((segment, index) =>
+            index === this.segments.length - 1 || this.segments[index + 1].contextTime > now);
+        this.scheduled = this.scheduled.filter(entry => entry.end > now);
+
+        if (this.endTime !== null && now >= this.endTime) {
+            this.halt();
+            this.state = TRANSPORT_STATES.STOPPED;
+            this.position = 0;
+            this.onPosition?.(this.duration);
+            this.onEnd?.();
+            return;
+        }
+
+        this.onPosition?.(this.getPosition());
+    }
+
+    dispatch(event, when) {
+        const handle = this.onEvent?.(event, when);
+        if (handle) {
+            this.scheduled.push({ handle, end: when + (event.duration || 0) });
+        }
+    }
+
+    // Cut notes that were handed out but have not finished yet
+    silence() {
+        this.scheduled.forEach(({ handle }) => {
+            Promise.resolve(handle).then(ids => {
+                [].concat(ids || []).forEach(id => this.engine.stopNote(id, 0.02));
+            }).catch(error => console.warn('Failed to silence scheduled note:', error));
+        });
+        this.scheduled = [];
+    }
+
+    halt() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.silence();
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ * Tests for the lookahead transport scheduler
+ */
+
+import { Transport, TRANSPORT_STATES } from './transport.js';
+
+// Engine stand-in whose audio clock only moves when the test advances it
+const createEngine = () => ({
+  audioContext: { currentTime: 10 },
+  initialize: jest.fn(() => Promise.resolve()),
+  stopNote: jest.fn()
+});
+
+// Move the audio clock and the scheduler timer forward together
+const advance = (engine, seconds) => {
+  const steps = Math.round(seconds * 1000 / 25);
+  for (let i = 0; i < steps; i++) {
+    engine.audioContext.currentTime += 0.025;
+    jest.advanceTimersByTime(25);
+  }
+};
+
+const events = [
+  { time: 0, duration: 0.5, note: 'do' },
+  { time: 0.5, duration: 0.5, note: 're' },
+  { time: 1, duration: 0.5, note: 'mi' },
+  { time: 1.5, duration: 0.5, note: 'fa' }
+];
+
+const createTransport = (engine, options = {}) => {
+  const played = [];
+  const transport = new Transport({
+    engine,
+    events,
+    onEvent: (event, when) => {
+      played.push({ note: event.note, when });
+      return `${event.note}-${played.length}`;
+    },
+    ...options
+  });
+  return { transport, played };
+};
+
+describe('Transport', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('schedules events on the audio clock within the lookahead window', async () => {
+    const engine = createEngine();
+    const { transport, played } = createTransport(engine);
+
+    await transport.play();
+    expect(played.map(item => item.note)).toEqual(['do']);
+
+    advance(engine, 1);
+    expect(played.map(item => item.note)).toEqual(['do', 're', 'mi']);
+
+    // Start times are spaced exactly as in the event list, however late the timer fires
+    const start = played[0].when;
+    expect(start).toBeCloseTo(10.05);
+    expect(played[1].when - start).toBeCloseTo(0.5);
+    expect(played[2].when - start).toBeCloseTo(1);
+  });
+
+  test('reports position and ends after the last event', async () => {
+    const engine = createEngine();
+    const onPosition = jest.fn();
+    const onEnd = jest.fn();
+    const { transport } = createTransport(engine, { onPosition, onEnd });
+
+    await transport.play();
+    advance(engine, 1.05);
+    expect(transport.getPosition()).toBeCloseTo(1, 1);
+    expect(onPosition).toHaveBeenCalled();
+
+    advance(engine, 1.1);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    expect(transport.state).toBe(TRANSPORT_STATES.STOPPED);
+  });
+
+  test('pauses, silences pending notes and resumes where it left off', async () => {
+    const engine = createEngine();
+    const { transport, played } = createTransport(engine);
+
+    await transport.play();
+    advance(engine, 0.6);
+    transport.pause();
+    await Promise.resolve();
+
+    expect(transport.state).toBe(TRANSPORT_STATES.PAUSED);
+    expect(engine.stopNote).toHaveBeenCalledWith('re-2', 0.02);
+    const pausedAt = transport.getPosition();
+
+    advance(engine, 5);
+    expect(played).toHaveLength(2);
+
+    await transport.play();
+    advance(engine, 0.5);
+    expect(played.map(item => item.note)).toEqual(['do', 're', 'mi']);
+    expect(played[2].when - engine.audioContext.currentTime).toBeLessThan(1 - pausedAt);
+  });
+
+  test('seeks to a new position', async () => {
+    const engine = createEngine();
+    const { transport, played } = createTransport(engine);
+
+    transport.seek(1.5);
+    await transport.play();
+
+    expect(played.map(item => item.note)).toEqual(['fa']);
+  });
+
+  test('repeats the loop region', async () => {
+    const engine = createEngine();
+    const onEnd = jest.fn();
+    const { transport, played } = createTransport(engine, { onEnd });
+
+    transport.setLoop(0.5, 1.5);
+    transport.seek(0.5);
+    await transport.play();
+    advance(engine, 2.5);
+
+    expect(played.map(item => item.note)).toEqual(['re', 'mi', 're', 'mi', 're', 'mi']);
+    expect(played[2].when - played[0].when).toBeCloseTo(1);
+    expect(transport.getPosition()).toBeGreaterThanOrEqual(0.5);
+    expect(transport.getPosition()).toBeLessThan(1.5);
+    expect(onEnd).not.toHaveBeenCalled();
+
+    transport.stop();
+    expect(transport.state).toBe(TRANSPORT_STATES.STOPPED);
+  });
+
+  test('does not start when stopped while the engine initializes', async () => {
+    const engine = createEngine();
+    const { transport, played } = createTransport(engine);
+
+    const starting = transport.play();
+    transport.stop();
+    await starting;
+
+    expect(transport.state).toBe(TRANSPORT_STATES.STOPPED);
+    expect(played).toHaveLength(0);
+  });
+
+  test('warns instead of rejecting when a note it silences failed to start', async () => {
+    const engine = createEngine();
+    const { transport } = createTransport(engine, {
+      onEvent: () => Promise.reject(new Error('no audio'))
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await transport.play();
+    advance(engine, 0.1);
+    transport.stop();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(console.warn).toHaveBeenCalledWith('Failed to silence scheduled note:', expect.any(Error));
+    console.warn.mockRestore();
+  });
+});
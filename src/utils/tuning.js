@@ -0,0 +1,103 @@
+/**
+ * Tuning
+ * Turns MIDI note numbers into frequencies for a reference pitch (A4) and a tuning system:
+ * equal temperament, just intonation or Pythagorean tuning relative to do, or a Scala (.scl) scale
+ */
+
+import { noteNameToMidi } from './chordSymbols.js';
+import { DEFAULT_TONIC } from './keySignatures.js';
+
+export const TUNING_SYSTEMS = {
+    EQUAL: 'equal',
+    JUST: 'just',
+    PYTHAGOREAN: 'pythagorean',
+    SCALA: 'scala'
+};
+
+// Common concert pitches: baroque, "Verdi", modern standard and orchestral
+export const REFERENCE_PITCHES = [415, 432, 440, 442];
+export const DEFAULT_REFERENCE_PITCH = 440;
+
+export const DEFAULT_TUNING = {
+    referencePitch: DEFAULT_REFERENCE_PITCH,
+    system: TUNING_SYSTEMS.EQUAL,
+    tonic: DEFAULT_TONIC,
+    scale: null
+};
+
+// Ratios above do for each semitone (do, di/ra, re, ... ti)
+// 5-limit just intonation, so the major triads on do, fa and sol are pure
+const JUST_RATIOS = [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 16 / 9, 15 / 8];
+// Pure fifths stacked from do: fa is a fifth below, the others up to five fifths above
+const PYTHAGOREAN_RATIOS = [1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128];
+
+const SYSTEM_STEPS = {
+    [TUNING_SYSTEMS.JUST]: { ratios: JUST_RATIOS, period: 2 },
+    [TUNING_SYSTEMS.PYTHAGOREAN]: { ratios: PYTHAGOREAN_RATIOS, period: 2 }
+};
+
+// A Scala pitch is in cents when it has a decimal point, otherwise a ratio ("5/4") or whole number ("2")
+const parseScalaPitch = (text) => {
+    const value = text.trim().split(/\s+/)[0];
+    if (value.includes('.')) {
+        const cents = parseFloat(value);
+        return Number.isFinite(cents) ? Math.pow(2, cents / 1200) : null;
+    }
+    const match = /^(\d+)(?:\/(\d+))?$/.exec(value);
+    if (!match) return null;
+    const ratio = Number(match[1]) / Number(match[2] || 1);
+    return ratio > 0 && Number.isFinite(ratio) ? ratio : null;
+};
+
+/**
+ * Parse a Scala scale file
+ * @param {string} text - contents of a .scl file
+ * @returns {{description, ratios, period}} ratios of each degree above the first (1), and the
+ *          ratio the scale repeats at (the last pitch in the file, usually 2/1)
+ */
+export const parseScala = (text) => {
+    const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+    if (lines.length < 2) {
+        throw new Error('Not a Scala scale file');
+    }
+
+    const description = lines[0].trim();
+    const count = parseInt(lines[1], 10);
+    const pitches = lines.slice(2).filter(line => line.trim()).slice(0, count).map(parseScalaPitch);
+    if (!(count > 0) || pitches.length !== count || pitches.includes(null)) {
+        throw new Error('Scala file does not list the number of pitches it declares');
+    }
+
+    return {
+        description,
+        ratios: [1, ...pitches.slice(0, -1)],
+        period: pitches[pitches.length - 1]
+    };
+};
+
+const equalTemperament = (midi, referencePitch) => referencePitch * Math.pow(2, (midi - 69) / 12);
+
+/**
+ * Frequency of a MIDI note
+ * Equal temperament is tuned from the reference pitch. The other systems keep do where equal
+ * temperament puts it and tune every key from there: key n semitones above do gets degree n of
+ * the scale, repeating at its period (a 12-note Scala scale maps onto the keyboard as expected).
+ * @param {number} midi
+ * @param {Object} tuning - { referencePitch, system, tonic, scale }; tonic is the pitch of do
+ *                          and scale a parseScala result, used by the Scala system
+ * @returns {number}
+ */
+export const getFrequency = (midi, tuning = DEFAULT_TUNING) => {
+    const { referencePitch = DEFAULT_REFERENCE_PITCH, system = TUNING_SYSTEMS.EQUAL, tonic = DEFAULT_TONIC, scale } = tuning;
+    const steps = system === TUNING_SYSTEMS.SCALA ? scale : SYSTEM_STEPS[system];
+    if (!steps) {
+        return equalTemperament(midi, referencePitch);
+    }
+
+    const doMidi = noteNameToMidi(tonic, 4) ?? 60;
+    const size = steps.ratios.length;
+    const distance = midi - doMidi;
+    const degree = ((distance % size) + size) % size;
+    const periods = Math.floor(distance / size);
+    return equalTemperament(doMidi, referencePitch) * Math.pow(steps.period, periods) * steps.ratios[degree];
+};
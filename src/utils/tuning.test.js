@@ -0,0 +1,127 @@
+/**
+ * Tests for reference pitch, tuning systems and Scala scales
+ */
+
+import { getFrequency, parseScala, TUNING_SYSTEMS } from './tuning.js';
+import { EnhancedAudioEngine, Chord } from './enhancedAudioEngine.js';
+
+const C4 = 261.6256;
+
+const SCALA_MEANTONE = `! meanshrp.scl
+!
+Quarter-comma meantone, 12 notes
+ 12
+!
+ 76.04900
+ 193.15686
+ 310.26471
+ 5/4
+ 503.42157
+ 579.47057
+ 696.57843
+ 25/16
+ 889.73529
+ 1006.84314
+ 1082.89214
+ 2/1 octave
+`;
+
+describe('getFrequency', () => {
+  test('tunes equal temperament from the reference pitch', () => {
+    expect(getFrequency(69)).toBeCloseTo(440);
+    expect(getFrequency(60)).toBeCloseTo(C4, 3);
+    expect(getFrequency(69, { referencePitch: 415 })).toBeCloseTo(415);
+    expect(getFrequency(81, { referencePitch: 442 })).toBeCloseTo(884);
+  });
+
+  test('tunes just intonation from do', () => {
+    const just = { system: TUNING_SYSTEMS.JUST, tonic: 'C' };
+
+    expect(getFrequency(60, just)).toBeCloseTo(C4, 3);
+    expect(getFrequency(64, just)).toBeCloseTo(C4 * 5 / 4, 3);
+    expect(getFrequency(69, just)).toBeCloseTo(C4 * 5 / 3, 3);
+    expect(getFrequency(72, just)).toBeCloseTo(C4 * 2, 3);
+    expect(getFrequency(59, just)).toBeCloseTo(C4 / 2 * 15 / 8, 3);
+
+    // Moving do moves every ratio with it: in D major, fi is a pure third above do
+    const inD = { system: TUNING_SYSTEMS.JUST, tonic: 'D' };
+    expect(getFrequency(66, inD) / getFrequency(62, inD)).toBeCloseTo(5 / 4, 6);
+  });
+
+  test('stacks pure fifths for Pythagorean tuning', () => {
+    const pythagorean = { system: TUNING_SYSTEMS.PYTHAGOREAN, tonic: 'C', referencePitch: 432 };
+    const c4 = getFrequency(60, pythagorean);
+
+    expect(c4).toBeCloseTo(432 * Math.pow(2, -9 / 12), 3);
+    expect(getFrequency(67, pythagorean) / c4).toBeCloseTo(3 / 2, 6);
+    expect(getFrequency(64, pythagorean) / c4).toBeCloseTo(81 / 64, 6);
+  });
+
+  test('maps Scala scales onto the keys above do', () => {
+    const meantone = { system: TUNING_SYSTEMS.SCALA, tonic: 'C', scale: parseScala(SCALA_MEANTONE) };
+    expect(getFrequency(64, meantone) / getFrequency(60, meantone)).toBeCloseTo(5 / 4, 6);
+    expect(getFrequency(55, meantone) / getFrequency(60, meantone)).toBeCloseTo(Math.pow(2, 696.57843 / 1200) / 2, 6);
+
+    // Five notes to the octave: the sixth key above do is already an octave up
+    const pentatonic = { system: TUNING_SYSTEMS.SCALA, tonic: 'C', scale: parseScala('Slendro-ish\n5\n240.\n480.\n720.\n960.\n2/1') };
+    expect(getFrequency(65, pentatonic)).toBeCloseTo(C4 * 2, 3);
+    expect(getFrequency(61, pentatonic)).toBeCloseTo(C4 * Math.pow(2, 240 / 1200), 3);
+  });
+});
+
+describe('parseScala', () => {
+  test('reads cents and ratios after the description and count', () => {
+    const scale = parseScala(SCALA_MEANTONE);
+
+    expect(scale.description).toBe('Quarter-comma meantone, 12 notes');
+    expect(scale.ratios).toHaveLength(12);
+    expect(scale.ratios[0]).toBe(1);
+    expect(scale.ratios[4]).toBe(5 / 4);
+    expect(scale.ratios[1]).toBeCloseTo(Math.pow(2, 76.049 / 1200), 9);
+    expect(scale.period).toBe(2);
+  });
+
+  test('rejects files that do not match their declared size', () => {
+    expect(() => parseScala('')).toThrow('Not a Scala scale file');
+    expect(() => parseScala('Short\n3\n9/8\n5/4\n')).toThrow('number of pitches');
+    expect(() => parseScala('Bad\n1\nseven\n')).toThrow('number of pitches');
+  });
+});
+
+describe('engine tuning', () => {
+  test('tunes solfege and letter names through the selected system', () => {
+    const engine = new EnhancedAudioEngine();
+
+    engine.setReferencePitch(415);
+    expect(engine.getNoteFrequency('la', 4, 'C')).toBeCloseTo(415);
+    expect(engine.getNoteFrequency('A', 4)).toBeCloseTo(415);
+
+    engine.setReferencePitch(440);
+    engine.setTuningSystem(TUNING_SYSTEMS.JUST);
+    // Movable do: in G, mi (B) is a pure major third above do
+    expect(engine.getNoteFrequency('mi', 4, 'G') / engine.getNoteFrequency('do', 4, 'G')).toBeCloseTo(5 / 4, 6);
+    expect(engine.getNoteFrequency('sol', 4, 'C')).toBeCloseTo(C4 * 3 / 2, 3);
+  });
+
+  test('only switches to Scala once a scale is loaded', () => {
+    const engine = new EnhancedAudioEngine();
+
+    engine.setTuningSystem(TUNING_SYSTEMS.SCALA);
+    expect(engine.settings.tuningSystem).toBe(TUNING_SYSTEMS.EQUAL);
+
+    engine.loadScala(SCALA_MEANTONE);
+    expect(engine.settings.tuningSystem).toBe(TUNING_SYSTEMS.SCALA);
+    expect(engine.getTuning()).toMatchObject({ system: TUNING_SYSTEMS.SCALA, tonic: 'C', referencePitch: 440 });
+    expect(() => engine.loadScala('not a scale')).toThrow();
+  });
+
+  test('chords are tuned like single notes', () => {
+    const just = { system: TUNING_SYSTEMS.JUST, tonic: 'C', referencePitch: 440 };
+    const chord = new Chord('C', 'major', 4, { tuning: just });
+    const [root, third, fifth] = chord.notes.map(note => note.frequency);
+
+    expect(third / root).toBeCloseTo(5 / 4, 6);
+    expect(fifth / root).toBeCloseTo(3 / 2, 6);
+    expect(new Chord('A', 'major').notes[0].frequency).toBeCloseTo(440);
+  });
+});
@@ -9,7 +9,8 @@ export const LEFT_HAND_GESTURES = {
     PLAY_TOGGLE: 'play_toggle',
     CLEAR: 'clear',
     TEMPO_UP: 'tempo_up',
-    TEMPO_DOWN: 'tempo_down'
+    TEMPO_DOWN: 'tempo_down',
+    METRONOME_TOGGLE: 'metronome_toggle'
 };
 
 // Simple left hand gestures based on basic hand shapes
@@ -59,6 +60,11 @@ const recognizeLeftHandGesture = (landmarks) => {
         return LEFT_HAND_GESTURES.PLAY_TOGGLE;
     }
     
+    // Index and pinky up (horns) - Metronome Toggle
+    if (!thumbExtended && indexExtended && !middleExtended && !ringExtended && pinkyExtended) {
+        return LEFT_HAND_GESTURES.METRONOME_TOGGLE;
+    }
+    
     // Open hand - Clear
     if (thumbExtended && indexExtended && middleExtended && ringExtended && pinkyExtended) {
         return LEFT_HAND_GESTURES.CLEAR;
@@ -1,3 +1,5 @@
+import { matchRhythmSyllables } from './rhythmSyllables.js';
+
 // Enhanced voice command recognition system for music notation
 export class VoiceCommandManager {
     constructor(onCommandCallback) {
@@ -11,13 +13,21 @@ export class VoiceCommandManager {
             'place': 'ADD_NOTE',
             'put': 'ADD_NOTE',
             
+            // Part selection
+            'next part': 'NEXT_PART',
+            'switch part': 'NEXT_PART',
+            
             // Rest addition
             'add rest': 'ADD_REST',
             'rest': 'ADD_REST',
             'pause': 'ADD_REST',
             'silence': 'ADD_REST',
             
-            // Note durations
+            // Note durations (dotted phrases first so "quarter note" does not catch them)
+            'dotted half': 'SET_DOTTED_HALF_NOTE',
+            'dotted quarter': 'SET_DOTTED_QUARTER_NOTE',
+            'dotted eighth': 'SET_DOTTED_EIGHTH_NOTE',
+            'sixteenth note': 'SET_SIXTEENTH_NOTE',
             'whole note': 'SET_WHOLE_NOTE',
             'half note': 'SET_HALF_NOTE',
             'quarter note': 'SET_QUARTER_NOTE',
@@ -53,12 +63,17 @@ export class VoiceCommandManager {
             'reset': 'CLEAR_ALL',
             'new': 'CLEAR_ALL',
             'start over': 'CLEAR_ALL',
+            'tie': 'TOGGLE_TIE',
             
             // Tempo controls
             'faster': 'TEMPO_UP',
             'speed up': 'TEMPO_UP',
             'slower': 'TEMPO_DOWN',
-            'slow down': 'TEMPO_DOWN'
+            'slow down': 'TEMPO_DOWN',
+            
+            // Metronome
+            'metronome': 'TOGGLE_METRONOME',
+            'click track': 'TOGGLE_METRONOME'
         };
     }
 
@@ -118,6 +133,14 @@ export class VoiceCommandManager {
             return;
         }
         
+        // Rhythm syllables ("ta", "ti ti") set the duration; matched as whole words
+        const rhythmCommand = matchRhythmSyllables(transcript);
+        if (rhythmCommand) {
+            console.log('Rhythm syllable command:', rhythmCommand);
+            this.onCommand(rhythmCommand, transcript);
+            return;
+        }
+
         // Check for partial matches
         for (const [phrase, command] of Object.entries(this.commands)) {
             if (transcript.includes(phrase)) {
@@ -0,0 +1,136 @@
+/**
+ * WAV File support
+ * Encodes rendered audio (an AudioBuffer, or plain channel arrays) as 16-bit PCM RIFF/WAVE,
+ * and decodes WAV samples for sampled instruments
+ */
+
+export const WAV_MIME_TYPE = 'audio/wav';
+
+const BITS_PER_SAMPLE = 16;
+const HEADER_SIZE = 44;
+
+const writeString = (view, offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+};
+
+/**
+ * Encode audio as a WAV file
+ * @param {AudioBuffer|{sampleRate, channels: Float32Array[]}} audio - samples from -1 to 1; louder values are clipped
+ * @returns {ArrayBuffer}
+ */
+export const encodeWav = (audio) => {
+    const channels = audio.channels || Array.from({ length: audio.numberOfChannels }, (_, channel) => audio.getChannelData(channel));
+    const sampleRate = audio.sampleRate;
+    const frames = channels.length > 0 ? channels[0].length : 0;
+    const blockAlign = channels.length * BITS_PER_SAMPLE / 8;
+    const dataSize = frames * blockAlign;
+
+    const buffer = new ArrayBuffer(HEADER_SIZE + dataSize);
+    const view = new DataView(buffer);
+
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true); // Byte rate
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, BITS_PER_SAMPLE, true);
+
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // Channels are interleaved frame by frame
+    let offset = HEADER_SIZE;
+    for (let frame = 0; frame < frames; frame++) {
+        for (const samples of channels) {
+            const sample = Math.max(-1, Math.min(1, samples[frame]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += 2;
+        }
+    }
+
+    return buffer;
+};
+
+// Sample readers by format (1 = integer PCM, 3 = IEEE float) and bit depth, scaled to -1..1
+const SAMPLE_READERS = {
+    '1-8': (view, offset) => (view.getUint8(offset) - 128) / 128,
+    '1-16': (view, offset) => view.getInt16(offset, true) / 0x8000,
+    '1-24': (view, offset) => ((view.getInt8(offset + 2) << 16) | view.getUint16(offset, true)) / 0x800000,
+    '1-32': (view, offset) => view.getInt32(offset, true) / 0x80000000,
+    '3-32': (view, offset) => view.getFloat32(offset, true)
+};
+
+// WAVE_FORMAT_EXTENSIBLE keeps the real format in the first two bytes of its sub-format GUID
+const EXTENSIBLE_FORMAT = 0xfffe;
+
+/**
+ * Read a PCM or float WAV file back into channel arrays
+ * Loop points and the unity note of a 'smpl' chunk (written by most sample editors) come back too.
+ * @param {ArrayBuffer} buffer
+ * @returns {{sampleRate, channels: Float32Array[], rootKey, loops: Array<{start, end}>}}
+ *          rootKey is a MIDI note or null; loop ends are inclusive frame numbers
+ */
+export const decodeWav = (buffer) => {
+    const view = new DataView(buffer);
+    const text = (offset, length) => String.fromCharCode(...new Uint8Array(buffer, offset, length));
+    if (buffer.byteLength < 12 || text(0, 4) !== 'RIFF' || text(8, 4) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let data = null;
+    let rootKey = null;
+    const loops = [];
+    let offset = 12;
+    while (offset + 8 <= buffer.byteLength) {
+        const id = text(offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            const audioFormat = view.getUint16(body, true);
+            format = {
+                audioFormat: audioFormat === EXTENSIBLE_FORMAT ? view.getUint16(body + 24, true) : audioFormat,
+                channelCount: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                bitsPerSample: view.getUint16(body + 14, true)
+            };
+        } else if (id === 'data') {
+            data = { body, size: Math.min(size, buffer.byteLength - body) };
+        } else if (id === 'smpl' && size >= 36) {
+            rootKey = view.getUint32(body + 12, true);
+            const loopCount = view.getUint32(body + 28, true);
+            for (let i = 0; i < loopCount && body + 36 + (i + 1) * 24 <= body + size; i++) {
+                const loop = body + 36 + i * 24;
+                loops.push({ start: view.getUint32(loop + 8, true), end: view.getUint32(loop + 12, true) });
+            }
+        }
+        offset = body + size + (size % 2); // Chunks are padded to even lengths
+    }
+
+    if (!data) {
+        throw new Error('WAV file has no audio data');
+    }
+    const readSample = format && SAMPLE_READERS[`${format.audioFormat}-${format.bitsPerSample}`];
+    if (!readSample) {
+        throw new Error('Only PCM and 32-bit float WAV files are supported');
+    }
+
+    const bytesPerSample = format.bitsPerSample / 8;
+    const frames = Math.floor(data.size / (format.channelCount * bytesPerSample));
+    const channels = Array.from({ length: format.channelCount }, () => new Float32Array(frames));
+    for (let frame = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < channels.length; channel++) {
+            channels[channel][frame] = readSample(view, data.body + (frame * channels.length + channel) * bytesPerSample);
+        }
+    }
+    return { sampleRate: format.sampleRate, channels, rootKey, loops };
+};
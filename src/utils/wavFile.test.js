@@ -0,0 +1,139 @@
+/**
+ * Tests for WAV encoding and offline rendering of playback sequences
+ */
+
+import { encodeWav, decodeWav, WAV_MIME_TYPE } from './wavFile.js';
+import { EnhancedAudioEngine, EFFECT_TYPES } from './enhancedAudioEngine.js';
+import { EnhancedAudioPlayer } from './enhancedAudioUtils.js';
+import { MusicComposition } from './musicNotation.js';
+
+// OfflineAudioContext stand-in that records what is scheduled on it
+const createFakeContext = (log) => (channels, length, sampleRate) => {
+  const param = (value = 0) => ({
+    value,
+    setValueAtTime: jest.fn(),
+    linearRampToValueAtTime: jest.fn(),
+    cancelScheduledValues: jest.fn()
+  });
+  const node = (extra = {}) => ({ connect: jest.fn(), disconnect: jest.fn(), ...extra });
+
+  log.context = { channels, length, sampleRate };
+  log.oscillators = [];
+  log.filters = [];
+
+  return {
+    sampleRate,
+    currentTime: 0,
+    destination: node(),
+    createGain: () => node({ gain: param(1) }),
+    createOscillator: () => {
+      const oscillator = node({ type: 'sine', frequency: param(440), start: jest.fn(), stop: jest.fn() });
+      log.oscillators.push(oscillator);
+      return oscillator;
+    },
+    createDelay: () => node({ delayTime: param() }),
+    createBiquadFilter: () => {
+      const filter = node({ type: 'lowpass', frequency: param(), Q: param() });
+      log.filters.push(filter);
+      return filter;
+    },
+    startRendering: () => Promise.resolve({
+      sampleRate,
+      numberOfChannels: channels,
+      length,
+      getChannelData: () => new Float32Array(length)
+    })
+  };
+};
+
+describe('encodeWav', () => {
+  test('writes a 16-bit PCM header and interleaves the channels', () => {
+    const left = new Float32Array([0, 0.5, -0.5, 1]);
+    const right = new Float32Array([0, -1, 2, -2]);
+    const wav = encodeWav({ sampleRate: 8000, channels: [left, right] });
+    const view = new DataView(wav);
+    const text = (offset) => String.fromCharCode(...new Uint8Array(wav, offset, 4));
+
+    expect(wav.byteLength).toBe(44 + 4 * 2 * 2);
+    expect([text(0), text(8), text(12), text(36)]).toEqual(['RIFF', 'WAVE', 'fmt ', 'data']);
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(8000);
+    expect(view.getUint32(28, true)).toBe(32000);
+    expect(view.getUint16(34, true)).toBe(16);
+
+    // Frame 1: left then right; out-of-range samples are clipped
+    expect(view.getInt16(48, true)).toBe(16383);
+    expect(view.getInt16(50, true)).toBe(-32768);
+    expect(view.getInt16(54, true)).toBe(32767);
+  });
+
+  test('reads back what it writes', () => {
+    const samples = new Float32Array([0, 0.25, -0.25, 0.75]);
+    const decoded = decodeWav(encodeWav({ sampleRate: 22050, channels: [samples] }));
+
+    expect(decoded.sampleRate).toBe(22050);
+    expect(decoded.channels).toHaveLength(1);
+    Array.from(samples).forEach((sample, i) => expect(decoded.channels[0][i]).toBeCloseTo(sample, 3));
+    expect(() => decodeWav(new ArrayBuffer(12))).toThrow('Not a WAV file');
+  });
+
+  test('reads 24-bit samples', () => {
+    const wav = new Uint8Array(encodeWav({ sampleRate: 48000, channels: [new Float32Array(3)] }));
+    const view = new DataView(wav.buffer);
+    // Reinterpret the 6 data bytes as two 24-bit frames
+    view.setUint16(32, 3, true);
+    view.setUint16(34, 24, true);
+    wav.set([0x00, 0x00, 0x40, 0x00, 0x00, 0xc0], 44);
+
+    const decoded = decodeWav(wav.buffer);
+    expect(Array.from(decoded.channels[0])).toEqual([0.5, -0.5]);
+    expect(decoded).toMatchObject({ rootKey: null, loops: [] });
+  });
+});
+
+describe('offline rendering', () => {
+  test('schedules every note on the offline context', async () => {
+    const log = {};
+    const engine = new EnhancedAudioEngine();
+    engine.settings.timbre = 'sine';
+
+    await engine.renderSequence([
+      { note: 'do', octave: 4, time: 0, duration: 0.5, tonic: 'C' },
+      { note: 'A', octave: 4, time: 0.5, duration: 0.5 },
+      { note: 'do', octave: 4, time: 1, duration: 0.5, tonic: 'D' }
+    ], { sampleRate: 8000, tail: 1, createContext: createFakeContext(log) });
+
+    expect(log.context).toEqual({ channels: 2, length: 2.5 * 8000, sampleRate: 8000 });
+    expect(log.oscillators.map(osc => osc.start.mock.calls[0][0])).toEqual([0, 0.5, 1]);
+    const frequencies = log.oscillators.map(osc => osc.frequency.setValueAtTime.mock.calls[0][0]);
+    expect(frequencies[0]).toBeCloseTo(261.63, 1);
+    expect(frequencies[1]).toBeCloseTo(440);
+    expect(frequencies[2]).toBeCloseTo(293.66, 1);
+  });
+
+  test('rebuilds the live effect chain and plays each part in its timbre', async () => {
+    const log = {};
+    const engine = new EnhancedAudioEngine();
+    engine.effectsChain = [{ type: EFFECT_TYPES.lowpass, params: { frequency: 800 } }];
+    const player = new EnhancedAudioPlayer();
+    player.engine = engine;
+
+    const composition = new MusicComposition();
+    composition.addNote('do');
+    composition.setActivePart(composition.addPart('Harmony', { timbre: 'organ' }));
+    composition.addNote('mi');
+
+    const wav = await player.exportWav(composition.getPlaybackSequence(), {
+      sampleRate: 8000,
+      tail: 0.5,
+      createContext: createFakeContext(log)
+    });
+
+    // One sine oscillator for the melody, six organ harmonics for the second part
+    expect(log.oscillators).toHaveLength(7);
+    expect(log.filters.map(filter => filter.frequency.value)).toEqual([800]);
+    // Both parts last half a second, plus the tail, in 16-bit stereo
+    expect(wav.type).toBe(WAV_MIME_TYPE);
+    expect(wav.size).toBe(44 + 1 * 8000 * 2 * 2);
+  });
+});